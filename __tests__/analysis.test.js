@@ -0,0 +1,348 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+// every combination of these values (or no value) for the fields a and b
+const values = [null, 0, 1, 2, 3, 5, 7, 30, 40, -1, 2.5, "1", "5", "10", "9", "a", "b", "abc", "", true, false,
+    new Date('2020-05-21T00:00:00Z'), new Date('2021-01-01T00:00:00Z')];
+const documents = combinations(values);
+// without setScalarFields() the fields may also hold arrays
+const arrayDocuments = combinations([null, 1, 2, 5, 2.5, "b", true, [], [1, 2], [3, true], [2, 5], [2.5, "b"], [null, 40]]);
+
+function combinations(fieldValues) {
+    const result = [];
+    for (let a of [undefined].concat(fieldValues)) {
+        for (let b of [undefined].concat(fieldValues)) {
+            const doc = {};
+            if (a !== undefined) {
+                doc.a = a;
+            }
+            if (b !== undefined) {
+                doc.b = b;
+            }
+            result.push(doc);
+        }
+    }
+    return result;
+}
+
+const queries = [
+    {},
+    { a: 1 },
+    { a: 1, "$and": [{ a: 2 }] },
+    { a: 5, "$and": [{ a: "5" }] },
+    { a: { "$gt": 40, "$lt": 30 } },
+    { a: { "$gt": 5 } },
+    { a: { "$gte": 0 } },
+    { a: { "$gte": 5, "$lte": 5 } },
+    { a: { "$gt": 5, "$lte": 5 } },
+    { a: { "$gt": "b", "$lt": "a" } },
+    { a: { "$gt": "9", "$lt": "10" } },
+    { a: { "$gt": "10" } },
+    { a: { "$gt": "1" } },
+    { a: { "$lt": "5" } },
+    { a: { "$in": [1, 2] } },
+    { a: { "$in": [1, 2] }, "$and": [{ a: { "$ne": 1 } }, { a: { "$nin": [2] } }] },
+    { a: { "$in": [1, 2, 3] }, b: { "$in": ["a", "b"] } },
+    { a: { "$in": [1, 40] }, "$and": [{ a: { "$lt": 30 } }] },
+    { a: { "$in": [] } },
+    { a: { "$nin": [] } },
+    { a: { "$ne": 3 } },
+    { a: { "$exists": true } },
+    { a: { "$exists": false } },
+    { a: { "$exists": false, "$lt": 3 } },
+    { a: { "$exists": true }, "$and": [{ a: { "$exists": false } }] },
+    { a: null, b: { "$exists": false } },
+    { a: { "$gt": new Date('2020-01-01T00:00:00Z'), "$lt": { "$date": "2019-01-01T00:00:00Z" } } },
+    { a: { "$gte": new Date('2020-01-01T00:00:00Z') } },
+    { a: /b/ },
+    { a: "abc" },
+    { a: { "$not": { "$gt": 5, "$lt": 1 } } },
+    { a: { "$not": { "$nin": [] } } },
+    { "$or": [] },
+    { "$or": [{ a: 1 }, { a: 2 }] },
+    { "$or": [{ a: 1 }, { b: 2 }] },
+    { "$or": [{ a: { "$exists": true } }, { a: { "$exists": false } }] },
+    { "$or": [{ a: 1 }, { a: { "$ne": 1 } }] },
+    { "$or": [{ a: { "$in": [1, 2] } }, { a: { "$nin": [2, 1] } }] },
+    { "$or": [{ a: { "$gt": 1 } }, { "$not": { a: { "$gt": 1 } } }] },
+    { "$or": [{ a: { "$gt": 1 } }, {}] },
+    { "$or": [{ a: { "$gt": 5, "$lt": 1 } }, { b: { "$in": [] } }] },
+    { "$nor": [] },
+    { "$nor": [{ a: 1 }, { "$not": { a: 1 } }] },
+    { "$nor": [{ a: { "$in": [] } }] },
+    { "$not": {} },
+    { "$not": { a: { "$gt": 40, "$lt": 30 } } },
+    { "$and": [] },
+    { a: { "$gt": 1 }, b: { "$lt": 3 } },
+    { a: { "$gt": 1 }, "$or": [{ b: 1 }, { b: 2 }] },
+    { "$expr": { "$gt": ["$a", "$b"] } },
+    { a: { "$gt": { "$var": "b" } } },
+];
+
+
+function analysisTests(strictMode) {
+
+    function create(query, scalarFields = true) {
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(strictMode);
+        qc.setScalarFields(scalarFields);
+        return qc;
+    }
+
+    // the documents matching the query and those for which test() throws
+    function evaluate(query, docs = documents) {
+        const qc = create(query);
+        const result = {matching: [], throwing: []};
+        for (let doc of docs) {
+            try {
+                if (qc.test(doc)) {
+                    result.matching.push(doc);
+                }
+            } catch (e) {
+                result.throwing.push(doc);
+            }
+        }
+        return result;
+    }
+
+    describe('Results are consistent with test()', () => {
+
+        test.each(queries.map((query) => [JSON.stringify(query), query]))('%s', (json, query) => {
+            const result = create(query).analyze();
+            const {matching, throwing} = evaluate(query);
+            if (result.unsatisfiable) {
+                expect(matching).toEqual([]);
+            }
+            if (result.alwaysTrue) {
+                expect(documents.filter((doc) => !matching.includes(doc) && !throwing.includes(doc))).toEqual([]);
+            }
+            expect(result.unsatisfiable && result.alwaysTrue).toBe(false);
+        });
+
+        test('implications', () => {
+            const results = queries.map((query) => evaluate(query));
+            let count = 0;
+            for (let i = 0; i < queries.length; ++i) {
+                for (let j = 0; j < queries.length; ++j) {
+                    if (create(queries[i]).implies(queries[j])) {
+                        ++count;
+                        const failing = results[i].matching.filter((doc) => !results[j].matching.includes(doc) && !results[j].throwing.includes(doc));
+                        expect([queries[i], queries[j], failing]).toEqual([queries[i], queries[j], []]);
+                    }
+                }
+            }
+            expect(count).toBeGreaterThan(queries.length);
+        });
+
+        test.each(queries.map((query) => [JSON.stringify(query), query]))('%s with arrays', (json, query) => {
+            const result = create(query, null).analyze();
+            const {matching, throwing} = evaluate(query, arrayDocuments);
+            if (result.unsatisfiable) {
+                expect(matching).toEqual([]);
+            }
+            if (result.alwaysTrue) {
+                expect(arrayDocuments.filter((doc) => !matching.includes(doc) && !throwing.includes(doc))).toEqual([]);
+            }
+        });
+
+        test('implications with arrays', () => {
+            const results = queries.map((query) => evaluate(query, arrayDocuments));
+            for (let i = 0; i < queries.length; ++i) {
+                for (let j = 0; j < queries.length; ++j) {
+                    if (create(queries[i], null).implies(queries[j])) {
+                        const failing = results[i].matching.filter((doc) => !results[j].matching.includes(doc) && !results[j].throwing.includes(doc));
+                        expect([queries[i], queries[j], failing]).toEqual([queries[i], queries[j], []]);
+                    }
+                }
+            }
+        });
+
+    });
+
+    describe('Analyzing queries', () => {
+
+        test('unsatisfiable fields', () => {
+            expect(create({ myInt: { "$gt": 40, "$lt": 30 } }).analyze()).toEqual({
+                unsatisfiable: true,
+                alwaysTrue: false,
+                issues: [{ pointer: '/myInt', code: 'UNSATISFIABLE', message: 'No value of myInt matches $gt 40 and $lt 30' }],
+            });
+            expect(create({ x: 0, a: 1, "$and": [{ a: 2 }] }).analyze().issues).toEqual([
+                { pointer: '', code: 'UNSATISFIABLE', message: 'No value of a matches $eq 1 and $eq 2' },
+            ]);
+            expect(create({ "$or": [{ a: { "$in": ["x", "y"], "$nin": ["y"] }, "$and": [{ a: { "$ne": "x" } }] }, { b: 1 }] }).analyze()).toEqual({
+                unsatisfiable: false,
+                alwaysTrue: false,
+                issues: [{ pointer: '/$or/0', code: 'UNSATISFIABLE', message: 'No value of a matches $in ["x", "y"] and $nin ["y"] and $ne "x"' }],
+            });
+            expect(create({ a: { "$in": [1, 2], "$nin": [1, 2] } }).analyze().issues).toEqual([
+                { pointer: '/a', code: 'UNSATISFIABLE', message: 'No value of a matches $in [1, 2] and $nin [1, 2]' },
+            ]);
+            expect(create({ a: { "$gte": 5, "$lt": 5 } }).analyze().unsatisfiable).toBe(true);
+            expect(create({ a: { "$in": [1, 40] }, "$and": [{ a: { "$gte": 30 } }, { a: { "$lt": 35 } }] }).analyze().issues).toEqual([
+                { pointer: '', code: 'UNSATISFIABLE', message: 'No value of a matches $in [1, 40] and $gte 30 and $lt 35' },
+            ]);
+            expect(create({ a: { "$exists": false, "$gt": 1 } }).analyze().issues).toEqual([
+                { pointer: '/a', code: 'UNSATISFIABLE', message: 'No value of a matches $exists false and $gt 1' },
+            ]);
+            expect(create({ d: { "$gt": { "$date": "2021-01-01T00:00:00Z" }, "$lt": new Date('2020-01-01T00:00:00Z') } }).analyze().issues).toEqual([
+                { pointer: '/d', code: 'UNSATISFIABLE', message: 'No value of d matches $gt 2021-01-01T00:00:00.000Z and $lt 2020-01-01T00:00:00.000Z' },
+            ]);
+        });
+
+        test('always true clauses', () => {
+            expect(create({ a: { "$nin": [] } }).analyze()).toEqual({
+                unsatisfiable: false,
+                alwaysTrue: true,
+                issues: [{ pointer: '/a/$nin', code: 'ALWAYS_TRUE', message: 'Any value of a matches $nin []' }],
+            });
+            expect(create({ b: 1, "$or": [{ a: { "$exists": true } }, { a: { "$exists": false } }] }).analyze()).toEqual({
+                unsatisfiable: false,
+                alwaysTrue: false,
+                issues: [{ pointer: '/$or', code: 'ALWAYS_TRUE', message: '$or matches any document as queries 0 and 1 complement each other' }],
+            });
+            expect(create({ "$or": [{ a: 1 }, {}] }).analyze().issues).toEqual([
+                { pointer: '/$or', code: 'ALWAYS_TRUE', message: '$or matches any document as query 1 is empty' },
+            ]);
+            expect(create({ "$and": [] }).analyze().issues).toEqual([
+                { pointer: '/$and', code: 'ALWAYS_TRUE', message: '$and without queries matches any document' },
+            ]);
+            expect(create({ "$nor": [{ a: 1 }, { "$not": { a: 1 } }] }).analyze().issues).toEqual([
+                { pointer: '/$nor', code: 'UNSATISFIABLE', message: '$nor never matches as queries 0 and 1 complement each other' },
+            ]);
+            expect(create({ "$or": [] }).analyze().issues).toEqual([
+                { pointer: '/$or', code: 'UNSATISFIABLE', message: '$or without queries never matches' },
+            ]);
+        });
+
+        test('nothing to report', () => {
+            for (let query of [{}, { a: 1, b: 2 }, { a: { "$gte": 5, "$lte": 5 } }, { a: { "$gt": "9", "$lt": "10" } }, { "$expr": false }]) {
+                expect(create(query).analyze()).toEqual({ unsatisfiable: false, alwaysTrue: Object.keys(query).length == 0, issues: [] });
+            }
+        });
+
+        test('propagation', () => {
+            expect(create({ "$not": { a: { "$gt": 40, "$lt": 30 } } }).analyze()).toMatchObject({ unsatisfiable: false, alwaysTrue: true });
+            expect(create({ "$or": [{ a: { "$in": [] } }, { b: { "$lt": 1, "$gt": 2 } }] }).analyze()).toMatchObject({ unsatisfiable: true, alwaysTrue: false });
+            expect(create({ a: 1, "$nor": [{ b: { "$nin": [] } }] }).analyze()).toMatchObject({ unsatisfiable: true, alwaysTrue: false });
+            expect(create({ items: { "$elemMatch": { qty: { "$gt": 5, "$lt": 1 } } } }).analyze()).toMatchObject({ unsatisfiable: true, alwaysTrue: false });
+        });
+
+    });
+
+    describe('Implications', () => {
+
+        test('proven implications', () => {
+            const cases = [
+                [{ a: { "$gt": 5 } }, { a: { "$gte": 0 } }],
+                [{ a: 5, b: 1 }, { a: { "$in": [4, 5] } }],
+                [{ a: { "$in": [1, 2] } }, { a: { "$lt": 3 } }],
+                [{ "$or": [{ a: 1 }, { a: 2 }] }, { a: { "$in": [1, 2] } }],
+                [{ a: 1 }, { "$or": [{ a: 1 }, { b: 2 }] }],
+                [{ a: { "$gt": 5 } }, { a: { "$ne": 3 } }],
+                [{ a: { "$nin": [1, 2, 3] } }, { a: { "$nin": [3, 1] } }],
+                [{ a: { "$gt": 5 } }, { "$nor": [{ a: { "$lt": 2 } }] }],
+                [{ a: { "$gt": 5 } }, { a: { "$exists": true } }],
+                [{ a: "abc" }, { a: /^a/ }],
+                [{ a: 1, "$or": [] }, { b: 1 }],
+                [{ b: 1 }, { "$or": [{ a: { "$exists": true } }, { a: { "$exists": false } }] }],
+                [{ a: { "$gt": 1, "$lt": 5 }, b: 2 }, { "$and": [{ a: { "$lt": 10 } }, { b: { "$gte": 2 } }] }],
+            ];
+            for (let [query, other] of cases) {
+                expect([query, other, create(query).implies(other)]).toEqual([query, other, true]);
+            }
+            expect(QueryCheck.implies({ a: { "$gt": 5 } }, { a: { "$gte": 5 } }, { scalarFields: ["a"] })).toBe(true);
+        });
+
+        test('implications not proven', () => {
+            const cases = [
+                [{ a: { "$gte": 0 } }, { a: { "$gt": 5 } }],
+                [{ a: { "$in": [1, 2] } }, { a: { "$lt": 2 } }],
+                [{ a: 1 }, { a: 1, b: 1 }],
+                [{ "$or": [{ a: 1 }, { b: 2 }] }, { a: 1 }],
+                [{ a: { "$gt": 1 } }, { "$expr": { "$gt": ["$a", 1] } }],
+                [{ a: { "$exists": true } }, { a: { "$ne": null } }],
+            ];
+            for (let [query, other] of cases) {
+                expect([query, other, create(query).implies(other)]).toEqual([query, other, false]);
+            }
+        });
+
+    });
+
+    describe('Fields that may hold arrays', () => {
+
+        test('conditions may be met by different elements', () => {
+            // {a: [3, true]} and {b: [2, 5]}
+            expect(create({ a: { "$gte": 2.5, "$lt": 2 } }, null).analyze().unsatisfiable).toBe(false);
+            expect(create({ b: { "$in": [5], "$lt": 3 } }, null).analyze().unsatisfiable).toBe(false);
+            expect(create({ a: 1, "$and": [{ a: 2 }] }, null).analyze().issues).toEqual([]);
+            expect(QueryCheck.analyze({ a: { "$gte": 2.5, "$lt": 2 } }).unsatisfiable).toBe(false);
+            expect(QueryCheck.analyze({ a: { "$gte": 2.5, "$lt": 2 } }, { scalarFields: ["b"] }).unsatisfiable).toBe(false);
+            expect(QueryCheck.analyze({ a: { "$gte": 2.5, "$lt": 2 } }, { scalarFields: ["a"] }).unsatisfiable).toBe(true);
+        });
+
+        test('conflicts for every element are still reported', () => {
+            expect(create({ a: { "$in": [1, 2], "$nin": [1, 2] } }, null).analyze().issues).toEqual([
+                { code: 'UNSATISFIABLE', pointer: '/a', message: 'No value of a matches $in [1, 2] and $nin [1, 2]' }]);
+            expect(create({ a: { "$in": [1, 2] }, "$and": [{ a: { "$nin": [1] } }, { a: { "$nin": [2] } }] }, null).analyze().unsatisfiable).toBe(true);
+            expect(create({ a: { "$exists": false, "$gt": 1 } }, null).analyze().unsatisfiable).toBe(true);
+            expect(create({ "$or": [{ a: { "$in": [1, 2] } }, { a: { "$nin": [2, 1] } }] }, null).analyze().alwaysTrue).toBe(true);
+        });
+
+        test('implications need scalar fields', () => {
+            // {a: [2.5, "b"]}
+            expect(create({ a: "b" }, null).implies({ "$nor": [{ a: { "$eq": 2.5 } }] })).toBe(false);
+            expect(create({ a: "b" }).implies({ "$nor": [{ a: { "$eq": 2.5 } }] })).toBe(true);
+            expect(create({ a: { "$gt": 5 } }, null).implies({ a: { "$gte": 0 } })).toBe(false);
+            expect(QueryCheck.implies({ a: "b" }, { "$nor": [{ a: { "$eq": 2.5 } }] })).toBe(false);
+        });
+
+        test('nested paths', () => {
+            const query = { items: { "$elemMatch": { qty: { "$gt": 5, "$lt": 1 } } } };
+            expect(create(query, null).analyze().unsatisfiable).toBe(false);
+            expect(create(query, ["items.qty"]).analyze().unsatisfiable).toBe(true);
+            expect(create({ tags: { "$elemMatch": { "$gt": 5, "$lt": 1 } } }, null).analyze().unsatisfiable).toBe(false);
+        });
+
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    analysisTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    analysisTests(true);
+});
+
+describe('Instance settings', () => {
+
+    test('collations make strings equal', () => {
+        const qc = new QueryCheck({ name: "abc", "$and": [{ name: "ABC" }] });
+        qc.setScalarFields(["name"]);
+        expect(qc.analyze().unsatisfiable).toBe(true);
+        qc.setCollation({ locale: 'en', strength: 2 });
+        expect(qc.analyze().unsatisfiable).toBe(false);
+    });
+
+    test('undefinedEqualsNull makes missing values comparable', () => {
+        const qc = new QueryCheck({ a: { "$exists": false, "$lt": 1 } });
+        expect(qc.analyze().unsatisfiable).toBe(true);
+        qc.setUndefinedEqualsNull(true);
+        expect(qc.analyze().unsatisfiable).toBe(false);
+    });
+
+    test('operand functions are unknown', () => {
+        const qc = new QueryCheck({ a: { "$gt": { "$var": "b" }, "$lt": 1 } });
+        qc.setScalarFields(true);
+        qc.useOperandFunctions();
+        expect(qc.analyze().issues).toEqual([]);
+        expect(qc.implies({ a: { "$gt": { "$var": "b" } } })).toBe(true);
+        expect(qc.implies({ a: { "$lt": 2 } })).toBe(true);
+        expect(qc.implies({ a: { "$gt": { "$var": "c" } } })).toBe(false);
+    });
+
+});
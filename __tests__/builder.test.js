@@ -0,0 +1,220 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const where = QueryCheck.where;
+
+const vars = {
+    now: {
+        isoDate: "2020-05-21",
+        isoTime: "13:59:48",
+    },
+    myInt: 2,
+    myString: "this is a string",
+    tags: ["open", "new"],
+    items: [{sku: "a1", qty: 2}, {sku: "b2", qty: 5}],
+};
+
+
+function builderTests(strictMode) {
+
+    function check(query, data) {
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(strictMode);
+        return qc.test(data || vars);
+    }
+
+    describe('Building queries', () => {
+
+        test('operators on a field', () => {
+            const query = where('now.isoTime').gt('10:00').lt('18:00').and(where('myInt').in([1, 2])).build();
+            expect(query).toEqual({ "now.isoTime": { "$gt": "10:00", "$lt": "18:00" }, "myInt": { "$in": [1, 2] } });
+            expect(check(query)).toBe(true);
+        });
+
+        test('equality uses plain values where possible', () => {
+            expect(where('myInt').eq(2).build()).toEqual({ myInt: 2 });
+            expect(where('now').eq({ isoDate: "2020-05-21" }).build()).toEqual({ now: { isoDate: "2020-05-21" } });
+            expect(where('myString').eq(/string/).build()).toEqual({ myString: { "$eq": /string/ } });
+            expect(where('myInt').eq({ "$gt": 1 }).build()).toEqual({ myInt: { "$eq": { "$gt": 1 } } });
+            expect(where('myInt').eq(2).lt(5).build()).toEqual({ myInt: { "$eq": 2, "$lt": 5 } });
+            expect(check(where('myInt').eq(2).lt(5).build())).toBe(true);
+        });
+
+        test('negation', () => {
+            const query = where('now.isoDate').not().in(["2019-12-25", "2019-12-26"]).build();
+            expect(query).toEqual({ "now.isoDate": { "$not": { "$in": ["2019-12-25", "2019-12-26"] } } });
+            expect(check(query)).toBe(true);
+            expect(where('myInt').not().gt(1).lt(5).build()).toEqual({ myInt: { "$not": { "$gt": 1 }, "$lt": 5 } });
+            expect(where('myInt').not().not().eq(2).build()).toEqual({ myInt: 2 });
+        });
+
+        test('element, evaluation and array operators', () => {
+            const query = where('myInt').exists().type('number').mod(2, 0)
+                .where('myString').regex('^THIS', 'i')
+                .where('tags').all(["open"]).size(2)
+                .where('items').elemMatch(where('sku').eq("b2").where('qty').gte(5))
+                .build();
+            expect(query).toEqual({
+                myInt: { "$exists": true, "$type": "number", "$mod": [2, 0] },
+                myString: { "$regex": "^THIS", "$options": "i" },
+                tags: { "$all": ["open"], "$size": 2 },
+                items: { "$elemMatch": { sku: "b2", qty: { "$gte": 5 } } },
+            });
+            expect(check(query)).toBe(true);
+            expect(where('myInt').exists(false).nin([1]).ne(3).build()).toEqual({ myInt: { "$exists": false, "$nin": [1], "$ne": 3 } });
+        });
+
+        test('custom operators and $expr', () => {
+            expect(where('myString').op('$startsWith', 'this').build()).toEqual({ myString: { "$startsWith": "this" } });
+            expect(() => where('myString').op('startsWith', 'this')).toThrow(TypeError);
+
+            const query = where('myInt').gt(1).expr({ "$lt": ["$myInt", 3] }).build();
+            expect(query).toEqual({ myInt: { "$gt": 1 }, "$expr": { "$lt": ["$myInt", 3] } });
+            expect(check(query)).toBe(true);
+        });
+
+        test('conflicting clauses go into $and', () => {
+            const query = where('myInt').gt(1).gt(0).regex('^1').regex('^2').build();
+            expect(query).toEqual({
+                myInt: { "$gt": 1, "$regex": "^1" },
+                "$and": [{ myInt: { "$gt": 0 } }, { myInt: { "$regex": "^2" } }],
+            });
+            expect(QueryCheck.builder({ myString: /string/ }).where('myString').regex('^this').build()).toEqual({
+                myString: /string/,
+                "$and": [{ myString: { "$regex": "^this" } }],
+            });
+            expect(QueryCheck.builder({ myString: /string/ }).where('myString').exists().build()).toEqual({
+                myString: { "$regex": /string/, "$exists": true },
+            });
+            expect(where('myInt').not().gt(5).not().lt(0).build()).toEqual({
+                myInt: { "$not": { "$gt": 5 } },
+                "$and": [{ myInt: { "$not": { "$lt": 0 } } }],
+            });
+        });
+
+        test('$or and $nor', () => {
+            const query = where('myInt').eq(1).or(where('myInt').eq(2), { tags: "closed" }).or(where('myString').exists()).build();
+            expect(query).toEqual({ "$or": [{ myInt: 1 }, { myInt: 2 }, { tags: "closed" }, { myString: { "$exists": true } }] });
+            expect(check(query)).toBe(true);
+
+            const nor = where('myInt').eq(1).nor(where('tags').eq("closed")).build();
+            expect(nor).toEqual({ "$nor": [{ myInt: 1 }, { tags: "closed" }] });
+            expect(check(nor)).toBe(true);
+
+            const combined = where('myInt').eq(2).and(where('tags').eq("open").or({ tags: "new" })).build();
+            expect(combined).toEqual({ myInt: 2, "$or": [{ tags: "open" }, { tags: "new" }] });
+            expect(check(combined)).toBe(true);
+        });
+
+        test('builders are immutable', () => {
+            const base = where('myInt').gt(0);
+            const a = base.lt(5);
+            const b = base.where('tags').eq("closed");
+            expect(base.build()).toEqual({ myInt: { "$gt": 0 } });
+            expect(a.build()).toEqual({ myInt: { "$gt": 0, "$lt": 5 } });
+            expect(b.build()).toEqual({ myInt: { "$gt": 0 }, tags: "closed" });
+
+            const query = a.build();
+            query.myInt["$lt"] = 10;
+            expect(a.build()).toEqual({ myInt: { "$gt": 0, "$lt": 5 } });
+        });
+
+        test('conditional composition', () => {
+            const search = (filters) => {
+                let builder = QueryCheck.builder();
+                if (filters.minQty !== undefined) {
+                    builder = builder.where('items.qty').gte(filters.minQty);
+                }
+                if (filters.tag !== undefined) {
+                    builder = builder.where('tags').eq(filters.tag);
+                }
+                return builder.build();
+            };
+            expect(search({})).toEqual({});
+            expect(search({ tag: "new" })).toEqual({ tags: "new" });
+            expect(check(search({ minQty: 5, tag: "new" }))).toBe(true);
+            expect(check(search({ minQty: 6, tag: "new" }))).toBe(false);
+        });
+
+        test('builders serialize as JSON', () => {
+            expect(JSON.stringify(where('myInt').in([1, 2]))).toBe('{"myInt":{"$in":[1,2]}}');
+        });
+
+        test('invalid use', () => {
+            expect(() => QueryCheck.builder().gt(1)).toThrow('gt(): no field selected; call where() first');
+            expect(() => where('myInt').eq(1).or({ a: 1 }).lt(5)).toThrow(Error);
+            expect(() => where('')).toThrow(TypeError);
+            expect(() => where('$or')).toThrow(TypeError);
+            expect(() => where('tags').in("open")).toThrow('in() requires an array');
+            expect(() => QueryCheck.builder([])).toThrow(TypeError);
+        });
+
+    });
+
+    describe('Loading queries', () => {
+
+        const query = {
+            "now.isoDate": { "$not": { "$in": ["2019-12-25", "2019-12-26"] } },
+            "now.isoTime": { "$gt": "10:00", "$lt": "18:00" },
+            "$or": [{ myInt: 1 }, { myInt: 2 }],
+            "tags": "open",
+        };
+
+        test('loaded queries build to an equal query', () => {
+            const built = QueryCheck.builder(query).build();
+            expect(built).toEqual(query);
+            expect(Object.keys(built)).toEqual(Object.keys(query));
+            expect(built).not.toBe(query);
+        });
+
+        test('editing loaded queries', () => {
+            const edited = QueryCheck.builder(query)
+                .remove('$or')
+                .where('now.isoTime').lt('17:00')
+                .where('tags').ne("closed")
+                .where('myInt').lte(2)
+                .build();
+            expect(edited).toEqual({
+                "now.isoDate": { "$not": { "$in": ["2019-12-25", "2019-12-26"] } },
+                "now.isoTime": { "$gt": "10:00", "$lt": "18:00" },
+                "tags": { "$eq": "open", "$ne": "closed" },
+                "myInt": { "$lte": 2 },
+                "$and": [{ "now.isoTime": { "$lt": "17:00" } }],
+            });
+            expect(check(edited)).toBe(true);
+
+            const replaced = QueryCheck.builder(query).remove('now.isoTime').where('now.isoTime').lt('12:00').build();
+            expect(replaced["now.isoTime"]).toEqual({ "$lt": "12:00" });
+            expect(check(replaced)).toBe(false);
+        });
+
+        test('loading does not modify the query', () => {
+            const copy = JSON.parse(JSON.stringify(query));
+            QueryCheck.builder(query).where('now.isoTime').gte('11:00').where('tags').size(1).and({ "$or": [{ a: 1 }] }).build();
+            expect(query).toEqual(copy);
+        });
+
+        test('$and clauses are merged', () => {
+            const built = QueryCheck.builder({ "$and": [{ myInt: 2 }] }).and({ "$and": [{ tags: "new" }] }).build();
+            expect(built).toEqual({ "$and": [{ myInt: 2 }, { tags: "new" }] });
+            expect(check(built)).toBe(true);
+        });
+
+        test('Extended JSON values are values', () => {
+            const built = where('createdAt').eq({ "$date": "2020-05-21T00:00:00Z" }).lt({ "$date": "2021-01-01T00:00:00Z" }).build();
+            expect(built).toEqual({ createdAt: { "$eq": { "$date": "2020-05-21T00:00:00Z" }, "$lt": { "$date": "2021-01-01T00:00:00Z" } } });
+            expect(check(built, { createdAt: new Date('2020-05-21T00:00:00Z') })).toBe(true);
+        });
+
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    builderTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    builderTests(true);
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const vars = {
+    lastName: "Müller",
+    firstName: "Maurice",
+    city: "ärhus",
+    version: "10",
+    email: "e-mail",
+    tags: ["Alpha", "BETA"],
+};
+
+const customers = [
+    {name: "zoe"},
+    {name: "Äsa"},
+    {name: "anna"},
+    {name: "Zack"},
+];
+
+
+function collationTests(strictMode) {
+
+    function check(query, collation, data) {
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(strictMode);
+        qc.setCollation(collation);
+        return qc.test(data || vars);
+    }
+
+    describe('Equality', () => {
+
+        test('without collation strings are compared by code units', () => {
+            expect(check({ lastName: "muller" }, null)).toBe(false);
+            expect(check({ firstName: "maurice" }, null)).toBe(false);
+        });
+
+        test('strength 1 ignores accents and case', () => {
+            expect(check({ lastName: "muller" }, { locale: 'de', strength: 1 })).toBe(true);
+            expect(check({ lastName: "MULLER" }, { locale: 'de', strength: 1 })).toBe(true);
+            expect(check({ lastName: "miller" }, { locale: 'de', strength: 1 })).toBe(false);
+        });
+
+        test('strength 2 ignores case only', () => {
+            expect(check({ lastName: "müller" }, { locale: 'de', strength: 2 })).toBe(true);
+            expect(check({ lastName: "muller" }, { locale: 'de', strength: 2 })).toBe(false);
+        });
+
+        test('strength 1 with case level', () => {
+            expect(check({ lastName: "Muller" }, { locale: 'de', strength: 1, caseLevel: true })).toBe(true);
+            expect(check({ lastName: "muller" }, { locale: 'de', strength: 1, caseLevel: true })).toBe(false);
+        });
+
+        test('case-insensitive matching without $regex', () => {
+            expect(check({ firstName: "maurice" }, { locale: 'en', caseInsensitive: true })).toBe(true);
+            expect(check({ firstName: { "$ne": "MAURICE" } }, { locale: 'en', caseInsensitive: true })).toBe(false);
+            expect(check({ lastName: "muller" }, { locale: 'en', caseInsensitive: true })).toBe(false);
+        });
+
+        test('$in, $nin and $all', () => {
+            const collation = { locale: 'en', caseInsensitive: true };
+            expect(check({ firstName: { "$in": ["bob", "maurice"] } }, collation)).toBe(true);
+            expect(check({ firstName: { "$nin": ["bob", "maurice"] } }, collation)).toBe(false);
+            expect(check({ tags: "beta" }, collation)).toBe(true);
+            expect(check({ tags: { "$all": ["alpha", "beta"] } }, collation)).toBe(true);
+            expect(check({ tags: ["alpha", "beta"] }, collation)).toBe(true);
+        });
+
+        test('alternate "shifted" ignores punctuation', () => {
+            expect(check({ email: "email" }, { locale: 'en', alternate: 'shifted' })).toBe(true);
+            expect(check({ email: "email" }, { locale: 'en' })).toBe(false);
+        });
+
+    });
+
+    describe('Ranges', () => {
+
+        test('locale-aware ordering', () => {
+            expect(check({ city: { "$lt": "zürich" } }, null)).toBe(false);
+            expect(check({ city: { "$lt": "zürich" } }, { locale: 'de' })).toBe(true);
+            expect(check({ city: { "$gte": "b" } }, { locale: 'de' })).toBe(false);
+        });
+
+        test('numeric ordering', () => {
+            expect(check({ version: { "$gt": "9" } }, { locale: 'en' })).toBe(false);
+            expect(check({ version: { "$gt": "9" } }, { locale: 'en', numericOrdering: true })).toBe(true);
+            expect(check({ version: { "$lte": "010" } }, { locale: 'en', numericOrdering: true })).toBe(true);
+        });
+
+        test('$expr comparisons', () => {
+            expect(check({ "$expr": { "$eq": ["$firstName", "maurice"] } }, { locale: 'en', strength: 2 })).toBe(true);
+            expect(check({ "$expr": { "$lt": ["$city", "b"] } }, { locale: 'de' })).toBe(true);
+        });
+
+        test('non-strings are not affected', () => {
+            if (strictMode) {
+                expect(() => check({ version: { "$gt": 9 } }, { locale: 'en', numericOrdering: true })).toThrow(TypeError);
+            } else {
+                expect(check({ version: 10 }, { locale: 'en', numericOrdering: true })).toBe(true);
+            }
+        });
+
+    });
+
+    describe('Sorting and settings', () => {
+
+        test('sorting uses the collation', () => {
+            const names = (qc) => qc.filter(customers, { sort: { name: 1 } }).map((customer) => customer.name);
+
+            const qc = new QueryCheck({});
+            expect(names(qc)).toEqual(["Zack", "anna", "zoe", "Äsa"]);
+
+            qc.setCollation({ locale: 'de' });
+            expect(names(qc)).toEqual(["anna", "Äsa", "Zack", "zoe"]);
+        });
+
+        test('collation can be changed after compiling', () => {
+            const qc = new QueryCheck({ firstName: "maurice" });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBe(false);
+            qc.setCollation({ locale: 'en', strength: 1 });
+            expect(qc.collation).toEqual({ locale: 'en', strength: 1 });
+            expect(qc.test(vars)).toBe(true);
+            qc.setCollation({ locale: 'simple' });
+            expect(qc.collation).toBe(null);
+            expect(qc.test(vars)).toBe(false);
+        });
+
+        test('default collation', () => {
+            QueryCheck.setDefaultCollation({ locale: 'en', caseInsensitive: true });
+            try {
+                const qc = new QueryCheck({ firstName: "MAURICE" });
+                expect(qc.test(vars)).toBe(true);
+            } finally {
+                QueryCheck.setDefaultCollation(null);
+            }
+            expect(new QueryCheck({ firstName: "MAURICE" }).test(vars)).toBe(false);
+        });
+
+        test('invalid collations', () => {
+            const qc = new QueryCheck({});
+            expect(() => qc.setCollation("de")).toThrow(TypeError);
+            expect(() => qc.setCollation({ locale: 'de', strength: 0 })).toThrow(RangeError);
+            expect(() => qc.setCollation({ locale: 'de', caseFirst: 'first' })).toThrow(RangeError);
+            expect(() => qc.setCollation({ locale: 'de', numericOrdering: 'yes' })).toThrow(TypeError);
+            expect(() => QueryCheck.setDefaultCollation({ locale: 1 })).toThrow(TypeError);
+        });
+
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    collationTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    collationTests(true);
+});
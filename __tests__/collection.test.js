@@ -0,0 +1,177 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const users = [
+    {name: {first: "Ann", last: "Smith"}, age: 34, tags: ["admin", "dev"], active: true},
+    {name: {first: "Bob", last: "Jones"}, age: 27, tags: ["dev"], active: false},
+    {name: {first: "Cid", last: "Smith"}, age: 41, tags: [], active: true},
+    {name: {first: "Dan", last: "Brown"}, age: 27, tags: ["ops", "dev"], active: true},
+    {name: {first: "Eve", last: "Adams"}, tags: ["sec"], active: true},
+];
+
+const firstNames = (items) => items.map((item) => item.name.first);
+
+function filterTests() {
+    test('filter: returns matching items in order', () => {
+        const qc = new QueryCheck({active: true});
+        expect(firstNames(qc.filter(users))).toEqual(["Ann", "Cid", "Dan", "Eve"]);
+        expect(new QueryCheck({age: {$gt: 100}}).filter(users)).toEqual([]);
+    });
+
+    test('filter: returns the original items', () => {
+        expect(new QueryCheck({"name.first": "Ann"}).filter(users)[0]).toBe(users[0]);
+    });
+
+    test('filter: skip and limit', () => {
+        const qc = new QueryCheck({active: true});
+        expect(firstNames(qc.filter(users, {skip: 1}))).toEqual(["Cid", "Dan", "Eve"]);
+        expect(firstNames(qc.filter(users, {limit: 2}))).toEqual(["Ann", "Cid"]);
+        expect(firstNames(qc.filter(users, {skip: 1, limit: 2}))).toEqual(["Cid", "Dan"]);
+        expect(firstNames(qc.filter(users, {limit: 0}))).toEqual(["Ann", "Cid", "Dan", "Eve"]);
+        expect(qc.filter(users, {skip: 10})).toEqual([]);
+    });
+
+    test('filter: sort by dotted paths', () => {
+        const qc = new QueryCheck({});
+        expect(firstNames(qc.filter(users, {sort: {"name.last": 1, "name.first": -1}}))).toEqual(["Eve", "Dan", "Bob", "Cid", "Ann"]);
+        expect(firstNames(qc.filter(users, {sort: {"name.first": -1}, limit: 2}))).toEqual(["Eve", "Dan"]);
+    });
+
+    test('filter: sort is stable and missing values sort first', () => {
+        const qc = new QueryCheck({});
+        expect(firstNames(qc.filter(users, {sort: {age: 1}}))).toEqual(["Eve", "Bob", "Dan", "Ann", "Cid"]);
+        expect(firstNames(qc.filter(users, {sort: {age: -1}}))).toEqual(["Cid", "Ann", "Bob", "Dan", "Eve"]);
+    });
+
+    test('filter: sort by arrays uses the smallest or largest element', () => {
+        const qc = new QueryCheck({"tags.0": {$exists: true}});
+        expect(firstNames(qc.filter(users, {sort: {tags: 1}}))).toEqual(["Ann", "Bob", "Dan", "Eve"]);
+        expect(firstNames(qc.filter(users, {sort: {tags: -1}}))).toEqual(["Eve", "Dan", "Ann", "Bob"]);
+    });
+
+    test('filter: sort values are resolved once per item', () => {
+        const qc = new QueryCheck({});
+        const getVariableValue = qc.getVariableValue;
+        const paths = [];
+        qc.getVariableValue = function (path, data) {
+            paths.push(path);
+            return getVariableValue.call(this, path, data);
+        };
+        expect(firstNames(qc.filter(users, {sort: {"name.last": 1, "name.first": -1}}))).toEqual(["Eve", "Dan", "Bob", "Cid", "Ann"]);
+        expect(paths.length).toBe(users.length * 2);
+    });
+
+    test('filter: sort mixed types in MongoDB order', () => {
+        const items = [{v: "a"}, {v: true}, {v: 2}, {v: null}, {v: {x: 1}}, {v: new Date(0)}, {v: 1}];
+        const sorted = new QueryCheck({}).filter(items, {sort: {v: 1}}).map((item) => item.v);
+        expect(sorted).toEqual([null, 1, 2, "a", {x: 1}, true, new Date(0)]);
+    });
+
+    test('filter: inclusion projection', () => {
+        const qc = new QueryCheck({"name.first": "Ann"});
+        expect(qc.filter(users, {projection: {age: 1}})).toEqual([{age: 34}]);
+        expect(qc.filter(users, {projection: {"name.last": 1, active: 1}})).toEqual([{name: {last: "Smith"}, active: true}]);
+        expect(qc.filter(users, {projection: {name: 1, "name.last": 1}})).toEqual([{name: {first: "Ann", last: "Smith"}}]);
+        expect(qc.filter(users, {projection: {missing: 1}})).toEqual([{}]);
+    });
+
+    test('filter: exclusion projection', () => {
+        const qc = new QueryCheck({"name.first": "Ann"});
+        expect(qc.filter(users, {projection: {tags: 0, active: 0, "name.first": 0}})).toEqual([{name: {last: "Smith"}, age: 34}]);
+        expect(users[0].name.first).toBe("Ann");
+    });
+
+    test('filter: projection traverses arrays of documents', () => {
+        const items = [{id: 1, lines: [{sku: "a", qty: 2}, {sku: "b", qty: 1}, 5]}];
+        const qc = new QueryCheck({});
+        expect(qc.filter(items, {projection: {"lines.sku": 1}})).toEqual([{lines: [{sku: "a"}, {sku: "b"}]}]);
+        expect(qc.filter(items, {projection: {"lines.qty": 0}})).toEqual([{id: 1, lines: [{sku: "a"}, {sku: "b"}, 5]}]);
+    });
+
+    test('filter: projection of array indexes', () => {
+        const items = [{id: 1, lines: [{sku: "a", qty: 2}, {sku: "b", qty: 1}, 5], matrix: [[1, 2], [3, 4]]}];
+        const qc = new QueryCheck({});
+        expect(qc.filter(items, {projection: {"lines.0.qty": 1}})).toEqual([{lines: [{qty: 2}]}]);
+        expect(qc.filter(items, {projection: {"lines[1]": 1, "lines.2": 1}})).toEqual([{lines: [{sku: "b", qty: 1}, 5]}]);
+        expect(qc.filter(items, {projection: {"lines.1.qty": 1, "lines.sku": 1}})).toEqual([{lines: [{sku: "a"}, {sku: "b", qty: 1}]}]);
+        expect(qc.filter(items, {projection: {"matrix.1.0": 1}})).toEqual([{matrix: [[3]]}]);
+        expect(qc.filter(items, {projection: {"lines.0.qty": 0, "lines.2": 0, matrix: 0}})).toEqual([{id: 1, lines: [{sku: "a"}, {sku: "b", qty: 1}]}]);
+        expect(qc.filter(items, {projection: {"lines.5.qty": 1}})).toEqual([{lines: []}]);
+    });
+
+    test('filter: invalid arguments', () => {
+        const qc = new QueryCheck({});
+        expect(() => qc.filter({})).toThrow(TypeError);
+        expect(() => qc.filter(users, {skip: -1})).toThrow(TypeError);
+        expect(() => qc.filter(users, {limit: 1.5})).toThrow(TypeError);
+        expect(() => qc.filter(users, {sort: {age: 2}})).toThrow(TypeError);
+        expect(() => qc.filter(users, {sort: "age"})).toThrow(TypeError);
+        expect(() => qc.filter(users, {projection: {age: 1, tags: 0}})).toThrow('Projection cannot mix inclusion and exclusion');
+    });
+
+    test('filter: non-object items', () => {
+        const qc = new QueryCheck({});
+        expect(qc.filter([null, 1, {a: 1}, [1]])).toEqual([{a: 1}]);
+
+        qc.setStrictMode(true);
+        expect(() => qc.filter([null])).toThrow(TypeError);
+    });
+}
+
+function findTests() {
+    test('find', () => {
+        const qc = new QueryCheck({age: 27});
+        expect(qc.find(users)).toBe(users[1]);
+        expect(qc.find(users, {skip: 1})).toBe(users[3]);
+        expect(qc.find(users, {sort: {"name.first": -1}})).toBe(users[3]);
+        expect(qc.find(users, {projection: {age: 1}})).toEqual({age: 27});
+        expect(new QueryCheck({age: 1}).find(users)).toBeUndefined();
+    });
+
+    test('findIndex', () => {
+        expect(new QueryCheck({age: 27}).findIndex(users)).toBe(1);
+        expect(new QueryCheck({tags: "sec"}).findIndex(users)).toBe(4);
+        expect(new QueryCheck({age: 1}).findIndex(users)).toBe(-1);
+        expect(new QueryCheck({}).findIndex([])).toBe(-1);
+    });
+
+    test('findIndex: stops at the first match', () => {
+        const qc = new QueryCheck({a: 1});
+        qc.setStrictMode(true);
+        expect(qc.findIndex([{a: 1}, null])).toBe(0);
+    });
+}
+
+function countTests() {
+    test('count', () => {
+        expect(new QueryCheck({"name.last": "Smith"}).count(users)).toBe(2);
+        expect(new QueryCheck({active: true}).count(users, {skip: 1, limit: 2})).toBe(2);
+        expect(new QueryCheck({active: true}).count(users, {skip: 3})).toBe(1);
+        expect(new QueryCheck({age: 1}).count(users)).toBe(0);
+    });
+
+    test('some and every', () => {
+        expect(new QueryCheck({tags: "ops"}).some(users)).toBe(true);
+        expect(new QueryCheck({tags: "qa"}).some(users)).toBe(false);
+        expect(new QueryCheck({"name.first": {$exists: true}}).every(users)).toBe(true);
+        expect(new QueryCheck({active: true}).every(users)).toBe(false);
+
+        expect(new QueryCheck({}).some([])).toBe(false);
+        expect(new QueryCheck({}).every([])).toBe(true);
+    });
+
+    test('partition', () => {
+        const [active, inactive] = new QueryCheck({active: true}).partition(users);
+        expect(firstNames(active)).toEqual(["Ann", "Cid", "Dan", "Eve"]);
+        expect(inactive).toEqual([users[1]]);
+        expect(new QueryCheck({}).partition([])).toEqual([[], []]);
+        expect(() => new QueryCheck({}).partition(null)).toThrow(TypeError);
+    });
+}
+
+describe('Collection helpers', () => {
+    describe('filter', filterTests);
+    describe('find and findIndex', findTests);
+    describe('count, some, every and partition', countTests);
+});
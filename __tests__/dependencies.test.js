@@ -0,0 +1,144 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const documents = [
+    { name: "apple", qty: 5, price: 1.5, limit: 4, tags: ["new", "sale"], items: [{ sku: "a1", qty: 2, min: 1 }], meta: { rank: 1 } },
+    { name: "Banana", qty: 12, price: 0.25, limit: 20, tags: ["old"], items: [{ sku: "b2", qty: 5, min: 9 }], meta: { rank: 3 } },
+    { name: "cherry", qty: 0, price: 4, limit: 0, tags: ["sale"], items: [], meta: { rank: 2 } },
+];
+
+const queries = [
+    { qty: { "$gt": 1, "$lt": { "$var": "limit" } } },
+    { "$or": [{ name: /an/i }, { tags: "sale" }] },
+    { "$nor": [{ "meta.rank": { "$gte": 2 } }] },
+    { "$expr": { "$gt": [{ "$multiply": ["$qty", "$price"] }, 5] } },
+    { items: { "$elemMatch": { sku: "a1", qty: { "$gt": { "$var": "min" } } } } },
+    { qty: { "$not": { "$in": [0, { "$var": "limit" }] } } },
+    { name: { "$regex": "^a", "$options": "i" }, price: { "$exists": true } },
+];
+
+
+function dependenciesTests(strictMode) {
+
+    function evaluate(query, doc) {
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(strictMode);
+        qc.useOperandFunctions();
+        return qc.test(doc);
+    }
+
+    describe('Other fields do not change the result', () => {
+
+        test.each(queries.map((query) => [JSON.stringify(query), query]))('%s', (json, query) => {
+            const roots = new Set(QueryCheck.dependencies(query).map((dependency) => dependency.path.split('.')[0]));
+            for (let doc of documents) {
+                const reduced = {};
+                for (let key of Object.keys(doc)) {
+                    if (roots.has(key)) {
+                        reduced[key] = doc[key];
+                    }
+                }
+                expect([doc.name, evaluate(query, reduced)]).toEqual([doc.name, evaluate(query, doc)]);
+            }
+        });
+
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    dependenciesTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    dependenciesTests(true);
+});
+
+describe('Dependencies', () => {
+
+    test('fields and operators', () => {
+        expect(QueryCheck.dependencies({ myInt: { "$gt": 100, "$lt": 200 }, "now.hour": 10, "$or": [{ name: /x/ }, { tags: { "$exists": false } }] })).toEqual([
+            { path: "myInt", operators: ["$gt", "$lt"], pointers: ["/myInt/$gt", "/myInt/$lt"] },
+            { path: "name", operators: ["$regex"], pointers: ["/$or/0/name"] },
+            { path: "now.hour", operators: ["$eq"], pointers: ["/now.hour"] },
+            { path: "tags", operators: ["$exists"], pointers: ["/$or/1/tags/$exists"] },
+        ]);
+    });
+
+    test('same path in several places', () => {
+        expect(QueryCheck.dependencies({ a: { "$gte": 1 }, "$and": [{ a: { "$lt": 5 } }, { "$not": { a: 3 } }] })).toEqual([
+            { path: "a", operators: ["$eq", "$gte", "$lt"], pointers: ["/a/$gte", "/$and/0/a/$lt", "/$and/1/$not/a"] },
+        ]);
+    });
+
+    test('operand functions', () => {
+        expect(QueryCheck.dependencies({ qty: { "$lte": { "$var": "limits.max" } }, size: { "$var": { name: "size", default: { "$var": "defaultSize" } } } })).toEqual([
+            { path: "defaultSize", operators: ["$eq"], pointers: ["/size/$var/default/$var"] },
+            { path: "limits.max", operators: ["$lte"], pointers: ["/qty/$lte/$var"] },
+            { path: "qty", operators: ["$lte"], pointers: ["/qty/$lte"] },
+            { path: "size", operators: ["$eq"], pointers: ["/size", "/size/$var"] },
+        ]);
+        expect(QueryCheck.dependencies({ tags: { "$in": ["a", { "$var": "tag" }] } })).toEqual([
+            { path: "tag", operators: ["$in"], pointers: ["/tags/$in/1/$var"] },
+            { path: "tags", operators: ["$in"], pointers: ["/tags/$in"] },
+        ]);
+    });
+
+    test('$expr', () => {
+        expect(QueryCheck.dependencies({ "$expr": { "$lt": [{ "$add": ["$a", "$b.c"] }, { "$literal": "$d" }, "$$ROOT", "$"] } })).toEqual([
+            { path: "a", operators: ["$expr"], pointers: ["/$expr/$lt/0/$add/0"] },
+            { path: "b.c", operators: ["$expr"], pointers: ["/$expr/$lt/0/$add/1"] },
+        ]);
+    });
+
+    test('$elemMatch', () => {
+        expect(QueryCheck.dependencies({ items: { "$elemMatch": { sku: "a1", qty: { "$gt": { "$var": "min" } } } }, scores: { "$elemMatch": { "$gt": 5 } } })).toEqual([
+            { path: "items", operators: ["$elemMatch"], pointers: ["/items/$elemMatch"] },
+            { path: "items.min", operators: ["$gt"], pointers: ["/items/$elemMatch/qty/$gt/$var"] },
+            { path: "items.qty", operators: ["$gt"], pointers: ["/items/$elemMatch/qty/$gt"] },
+            { path: "items.sku", operators: ["$eq"], pointers: ["/items/$elemMatch/sku"] },
+            { path: "scores", operators: ["$elemMatch", "$gt"], pointers: ["/scores/$elemMatch", "/scores/$elemMatch/$gt"] },
+        ]);
+    });
+
+    test('regular expressions', () => {
+        expect(QueryCheck.dependencies({ a: { "$regex": "x", "$options": "i" }, b: { "$not": /y/ }, c: { "$regularExpression": { pattern: "z", options: "" } } })).toEqual([
+            { path: "a", operators: ["$regex"], pointers: ["/a/$regex"] },
+            { path: "b", operators: ["$not"], pointers: ["/b/$not"] },
+            { path: "c", operators: ["$regex"], pointers: ["/c"] },
+        ]);
+    });
+
+    test('custom operators', () => {
+        const qc = new QueryCheck({
+            "$xor": [{ a: 1 }, { b: { "$gt": 2 } }],
+            list: { "$every": { qty: { "$gt": 0 } }, "$notAll": { "$lt": { "$var": "limit" } } },
+            n: { "$between": [1, { "$var": "max" }] },
+        });
+        qc.registerOperator({ name: '$xor', type: 'boolean', subQuery: 'queries', evaluate: (data, predicates) => predicates.filter((predicate) => predicate()).length == 1 });
+        qc.registerOperator({ name: '$every', subQuery: 'query', evaluate: (value, predicate) => Array.isArray(value) && value.every((element) => predicate(element)) });
+        qc.registerOperator({ name: '$notAll', subQuery: 'expression', evaluate: (value, predicate) => Array.isArray(value) && !value.every((element) => predicate(element)) });
+        qc.registerOperator({ name: '$between', evaluate: (value, [lo, hi]) => value >= lo && value <= hi });
+        expect(qc.dependencies()).toEqual([
+            { path: "a", operators: ["$eq"], pointers: ["/$xor/0/a"] },
+            { path: "b", operators: ["$gt"], pointers: ["/$xor/1/b/$gt"] },
+            { path: "limit", operators: ["$lt"], pointers: ["/list/$notAll/$lt/$var"] },
+            { path: "list", operators: ["$every", "$lt", "$notAll"], pointers: ["/list/$every", "/list/$notAll", "/list/$notAll/$lt"] },
+            { path: "list.qty", operators: ["$gt"], pointers: ["/list/$every/qty/$gt"] },
+            { path: "max", operators: ["$between"], pointers: ["/n/$between/1/$var"] },
+            { path: "n", operators: ["$between"], pointers: ["/n/$between"] },
+        ]);
+
+        // unknown to a plain instance
+        expect(QueryCheck.dependencies({ n: { "$between": [1, 2] } })).toEqual([
+            { path: "n", operators: ["$eq"], pointers: ["/n"] },
+        ]);
+    });
+
+    test('empty queries', () => {
+        expect(QueryCheck.dependencies({})).toEqual([]);
+        expect(QueryCheck.dependencies({ "$and": [], "$or": [{}] })).toEqual([]);
+    });
+
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const vars = {
+    createdAt: new Date('2020-05-21T13:59:48Z'),
+    dates: [new Date('2019-12-24T00:00:00Z'), new Date('2020-12-24T00:00:00Z')],
+    isoString: "2020-05-21T13:59:48Z",
+    myInt: 137,
+    myFloat: 137.5,
+    myString: "this is a string",
+    myNull: null,
+    orders: [{placedAt: new Date('2020-01-01T00:00:00Z')}, {placedAt: new Date('2020-06-01T00:00:00Z')}],
+};
+
+
+function dateTests(strictMode) {
+
+    function check(query, data) {
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(strictMode);
+        return qc.test(data || vars);
+    }
+
+    describe('Dates', () => {
+
+        test('equality compares the time', () => {
+            expect(check({ createdAt: new Date('2020-05-21T13:59:48Z') })).toBe(true);
+            expect(check({ createdAt: new Date('2020-05-21T13:59:49Z') })).toBe(false);
+            expect(check({ createdAt: { "$ne": new Date('2020-05-21T13:59:49Z') } })).toBe(true);
+            expect(check({ createdAt: { "$ne": new Date('2020-05-21T13:59:48Z') } })).toBe(false);
+            expect(check({ createdAt: { "$in": [new Date(0), new Date('2020-05-21T13:59:48Z')] } })).toBe(true);
+            expect(check({ createdAt: { "$nin": [new Date(0)] } })).toBe(true);
+        });
+
+        test('dates never equal other objects', () => {
+            expect(check({ createdAt: {} }, { createdAt: new Date() })).toBe(false);
+            expect(check({ createdAt: { "$eq": {} } }, { createdAt: {} })).toBe(true);
+        });
+
+        test('range comparisons', () => {
+            expect(check({ createdAt: { "$gt": new Date('2020-01-01T00:00:00Z'), "$lt": new Date('2021-01-01T00:00:00Z') } })).toBe(true);
+            expect(check({ createdAt: { "$gte": new Date('2020-05-21T13:59:48Z') } })).toBe(true);
+            expect(check({ createdAt: { "$lte": new Date('2020-05-21T13:59:47Z') } })).toBe(false);
+        });
+
+        test('dates in arrays', () => {
+            expect(check({ dates: new Date('2020-12-24T00:00:00Z') })).toBe(true);
+            expect(check({ dates: { "$elemMatch": { "$gt": new Date('2020-06-01T00:00:00Z') } } })).toBe(true);
+            expect(check({ "orders.placedAt": { "$gte": new Date('2020-03-01T00:00:00Z') } })).toBe(true);
+            expect(check({ "orders.placedAt": { "$gte": new Date('2020-07-01T00:00:00Z') } })).toBe(false);
+        });
+
+        test('dates are not compared to other types', () => {
+            if (strictMode) {
+                expect(() => check({ createdAt: { "$gt": "2020-01-01" } })).toThrow('$gt: variable createdAt is of type date while operand is of type string');
+                expect(() => check({ isoString: { "$lt": new Date() } })).toThrow(TypeError);
+                expect(() => check({ myInt: { "$gt": new Date(0) } })).toThrow(TypeError);
+            } else {
+                expect(check({ createdAt: { "$gt": "2020-01-01" } })).toBe(false);
+                expect(check({ isoString: { "$lt": new Date() } })).toBe(false);
+                expect(check({ myInt: { "$gt": new Date(0) } })).toBe(false);
+            }
+            expect(check({ myNull: { "$lt": new Date() } })).toBe(false);
+            if (strictMode) {
+                expect(() => check({ createdAt: "2020-05-21T13:59:48Z" })).toThrow('$eq: variable createdAt is of type date while operand is of type string');
+            } else {
+                expect(check({ createdAt: "2020-05-21T13:59:48Z" })).toBe(false);
+            }
+        });
+
+        test('$type date', () => {
+            expect(check({ createdAt: { "$type": "date" } })).toBe(true);
+            expect(check({ isoString: { "$type": "date" } })).toBe(false);
+        });
+
+        test('sorting by dates', () => {
+            const qc = new QueryCheck({});
+            expect(qc.filter(vars.orders, { sort: { placedAt: -1 } })).toEqual([vars.orders[1], vars.orders[0]]);
+        });
+
+    });
+
+    describe('Extended JSON', () => {
+
+        test('$date', () => {
+            expect(check({ createdAt: { "$date": "2020-05-21T13:59:48Z" } })).toBe(true);
+            expect(check({ createdAt: { "$date": 1590069588000 } })).toBe(true);
+            expect(check({ createdAt: { "$date": { "$numberLong": "1590069588000" } } })).toBe(true);
+            expect(check({ createdAt: { "$gt": { "$date": "2020-05-21T00:00:00Z" }, "$lt": { "$date": "2020-05-22T00:00:00Z" } } })).toBe(true);
+            expect(check({ createdAt: { "$in": [{ "$date": "2019-01-01T00:00:00Z" }, { "$date": "2020-05-21T13:59:48Z" }] } })).toBe(true);
+            expect(check({ orders: { "$elemMatch": { placedAt: { "$date": "2020-06-01T00:00:00Z" } } } })).toBe(true);
+        });
+
+        test('numbers', () => {
+            expect(check({ myInt: { "$numberInt": "137" } })).toBe(true);
+            expect(check({ myInt: { "$numberLong": "137" } })).toBe(true);
+            expect(check({ myFloat: { "$numberDouble": "137.5" } })).toBe(true);
+            expect(check({ myFloat: { "$numberDecimal": "137.50" } })).toBe(true);
+            expect(check({ myInt: { "$lt": { "$numberDouble": "Infinity" } } })).toBe(true);
+        });
+
+        test('$numberLong beyond safe integers', () => {
+            const big = { count: BigInt("9007199254740993") };
+            expect(check({ count: { "$numberLong": "9007199254740993" } }, big)).toBe(true);
+            expect(check({ count: { "$gt": { "$numberLong": "9007199254740992" } } }, big)).toBe(true);
+            expect(check({ count: { "$gt": 1 } }, big)).toBe(true);
+            expect(check({ count: { "$ne": 1 } }, big)).toBe(true);
+            expect(check({ myInt: { "$in": [{ "$numberLong": "9007199254740993" }, { "$numberLong": "137" }] } })).toBe(true);
+        });
+
+        test('$regularExpression', () => {
+            expect(check({ myString: { "$regularExpression": { "pattern": "^THIS", "options": "i" } } })).toBe(true);
+            expect(check({ myString: { "$regularExpression": { "pattern": "^THIS", "options": "" } } })).toBe(false);
+            expect(check({ myString: { "$not": { "$regularExpression": { "pattern": "^that", "options": "" } } } })).toBe(true);
+        });
+
+        test('Extended JSON in $expr', () => {
+            expect(check({ "$expr": { "$gt": ["$createdAt", { "$date": "2020-01-01T00:00:00Z" }] } })).toBe(true);
+        });
+
+        test('queries are not modified', () => {
+            const query = { createdAt: { "$in": [{ "$date": "2020-05-21T13:59:48Z" }] } };
+            expect(check(query)).toBe(true);
+            expect(query.createdAt["$in"][0]).toEqual({ "$date": "2020-05-21T13:59:48Z" });
+        });
+
+        test('invalid values are reported', () => {
+            expect(() => check({ createdAt: { "$date": "yesterday" } })).toThrow('$date: invalid date "yesterday"');
+            expect(QueryCheck.validate({ "$or": [{ a: { "$in": [1, { "$numberLong": "1.5" }] } }, { b: { "$regularExpression": { "pattern": "a", "options": "q" } } }] }).map((issue) => [issue.pointer, issue.code])).toEqual([
+                ['/$or/0/a/$in/1', 'INVALID_OPERAND'],
+                ['/$or/1/b', 'INVALID_OPERAND'],
+            ]);
+        });
+
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    dateTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    dateTests(true);
+});
+
+describe('Serializing', () => {
+
+    const ejson = require('../src/ejson.js');
+
+    test('values without JSON representation', () => {
+        const value = { created: new Date(0), name: /^a\/b/i, big: BigInt("9007199254740993"), limits: [-Infinity, 1, NaN], nested: { x: null, y: "z" } };
+        expect(ejson.serialize(value)).toEqual({
+            created: { "$date": "1970-01-01T00:00:00.000Z" },
+            name: { "$regularExpression": { pattern: "^a\\/b", options: "i" } },
+            big: { "$numberLong": "9007199254740993" },
+            limits: [{ "$numberDouble": "-Infinity" }, 1, { "$numberDouble": "NaN" }],
+            nested: { x: null, y: "z" },
+        });
+        expect(ejson.deserialize(JSON.parse(JSON.stringify(ejson.serialize(value))), () => {})).toEqual(value);
+    });
+
+});
@@ -0,0 +1,196 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const vars = {
+    price: 100,
+    discountedPrice: 80,
+    quantity: 12,
+    unitPrice: 99.5,
+    startDate: new Date('2020-05-01T00:00:00Z'),
+    endDate: new Date('2020-05-21T00:00:00Z'),
+    name: "Maurice",
+    emoji: "a😀b",
+    myNull: null,
+    lines: [{qty: 1}, {qty: 3}],
+};
+
+
+function expressionTests(strictMode) {
+
+    function check(expr, data) {
+        const qc = new QueryCheck({ "$expr": expr });
+        qc.setStrictMode(strictMode);
+        return qc.test(data || vars);
+    }
+
+    describe('Field references and comparisons', () => {
+
+        test('field to field comparisons', () => {
+            expect(check({ "$lt": ["$discountedPrice", "$price"] })).toBe(true);
+            expect(check({ "$gt": ["$discountedPrice", "$price"] })).toBe(false);
+            expect(check({ "$gt": ["$endDate", "$startDate"] })).toBe(true);
+            expect(check({ "$eq": ["$price", 100] })).toBe(true);
+            expect(check({ "$ne": ["$price", "$discountedPrice"] })).toBe(true);
+            expect(check({ "$gte": ["$price", 100] })).toBe(true);
+            expect(check({ "$lte": ["$price", 99] })).toBe(false);
+            expect(check({ "$eq": [{ "$cmp": ["$price", "$discountedPrice"] }, 1] })).toBe(true);
+        });
+
+        test('dotted paths and array traversal', () => {
+            expect(check({ "$eq": ["$lines.qty", [1, 3]] })).toBe(true);
+            expect(check({ "$eq": ["$lines.1.qty", 3] })).toBe(true);
+        });
+
+        test('missing fields are null', () => {
+            expect(check({ "$eq": ["$missing", null] })).toBe(true);
+            expect(check({ "$eq": ["$missing", "$myNull"] })).toBe(true);
+            expect(check({ "$lt": ["$missing", 0] })).toBe(true);
+        });
+
+        test('comparing different types', () => {
+            if (strictMode) {
+                expect(() => check({ "$gt": ["$name", 1] })).toThrow('$expr: $gt: cannot compare string with number');
+            } else {
+                // MongoDB's sort order of types: numbers < strings
+                expect(check({ "$gt": ["$name", 1] })).toBe(true);
+            }
+        });
+
+        test('$literal', () => {
+            expect(check({ "$eq": [{ "$literal": "$name" }, "$name"] })).toBe(false);
+            expect(check({ "$eq": [{ "$literal": "$name" }, { "$concat": [{ "$literal": "$" }, "name"] }] })).toBe(true);
+            expect(check({ "$eq": [{ "$strLenCP": { "$literal": "$price" } }, 6] })).toBe(true);
+        });
+
+        test('truthiness of the result', () => {
+            expect(check("$price")).toBe(true);
+            expect(check("$missing")).toBe(false);
+            expect(check({ "$subtract": ["$price", 100] })).toBe(false);
+            expect(check("")).toBe(true);
+        });
+
+        test('logical operators', () => {
+            expect(check({ "$and": [{ "$gt": ["$price", 1] }, { "$lt": ["$price", 1000] }] })).toBe(true);
+            expect(check({ "$or": [{ "$gt": ["$price", 1000] }, "$myNull"] })).toBe(false);
+            expect(check({ "$not": [{ "$gt": ["$price", 1000] }] })).toBe(true);
+            expect(check({ "$and": [] })).toBe(true);
+        });
+
+    });
+
+    describe('Arithmetic', () => {
+
+        test('$multiply, $add, $subtract, $divide and $abs', () => {
+            expect(check({ "$gt": [{ "$multiply": ["$quantity", "$unitPrice"] }, 1000] })).toBe(true);
+            expect(check({ "$eq": [{ "$add": ["$price", "$discountedPrice", 1] }, 181] })).toBe(true);
+            expect(check({ "$eq": [{ "$subtract": ["$discountedPrice", "$price"] }, -20] })).toBe(true);
+            expect(check({ "$eq": [{ "$divide": ["$discountedPrice", "$price"] }, 0.8] })).toBe(true);
+            expect(check({ "$eq": [{ "$abs": { "$subtract": ["$discountedPrice", "$price"] } }, 20] })).toBe(true);
+        });
+
+        test('date arithmetic', () => {
+            const day = 24 * 60 * 60 * 1000;
+            expect(check({ "$eq": [{ "$subtract": ["$endDate", "$startDate"] }, 20 * day] })).toBe(true);
+            expect(check({ "$eq": [{ "$add": ["$startDate", 20 * day] }, "$endDate"] })).toBe(true);
+            expect(check({ "$eq": [{ "$subtract": ["$endDate", 20 * day] }, "$startDate"] })).toBe(true);
+        });
+
+        test('null propagates', () => {
+            expect(check({ "$eq": [{ "$add": ["$price", "$missing"] }, null] })).toBe(true);
+            expect(check({ "$eq": [{ "$multiply": ["$myNull", 2] }, null] })).toBe(true);
+        });
+
+        test('type errors', () => {
+            if (strictMode) {
+                expect(() => check({ "$add": ["$price", "$name"] })).toThrow(TypeError);
+                expect(() => check({ "$multiply": ["$price", "2"] })).toThrow('$expr: $multiply: arguments must be numbers');
+                expect(() => check({ "$add": ["$startDate", "$endDate"] })).toThrow(TypeError);
+                expect(() => check({ "$divide": ["$price", 0] })).toThrow(RangeError);
+            } else {
+                expect(check({ "$eq": [{ "$add": ["$price", "$name"] }, null] })).toBe(true);
+                expect(check({ "$eq": [{ "$multiply": ["$price", "2"] }, null] })).toBe(true);
+                expect(check({ "$eq": [{ "$divide": ["$price", 0] }, null] })).toBe(true);
+            }
+        });
+
+    });
+
+    describe('Strings and conditionals', () => {
+
+        test('$concat, $toLower and $strLenCP', () => {
+            expect(check({ "$eq": [{ "$concat": ["$name", "!"] }, "Maurice!"] })).toBe(true);
+            expect(check({ "$eq": [{ "$toLower": "$name" }, "maurice"] })).toBe(true);
+            expect(check({ "$eq": [{ "$toLower": "$missing" }, ""] })).toBe(true);
+            expect(check({ "$eq": [{ "$strLenCP": "$emoji" }, 3] })).toBe(true);
+            expect(check({ "$eq": [{ "$concat": ["$name", "$missing"] }, null] })).toBe(true);
+        });
+
+        test('string type errors', () => {
+            if (strictMode) {
+                expect(() => check({ "$concat": ["$name", "$price"] })).toThrow(TypeError);
+                expect(() => check({ "$strLenCP": "$price" })).toThrow('$expr: $strLenCP: argument must be a string but is of type number');
+            } else {
+                expect(check({ "$eq": [{ "$concat": ["$name", "$price"] }, null] })).toBe(true);
+                expect(check({ "$eq": [{ "$strLenCP": "$price" }, null] })).toBe(true);
+            }
+        });
+
+        test('$cond', () => {
+            const total = { "$cond": [{ "$gt": ["$quantity", 10] }, { "$multiply": ["$quantity", "$discountedPrice"] }, { "$multiply": ["$quantity", "$price"] }] };
+            expect(check({ "$eq": [total, 960] })).toBe(true);
+            expect(check({ "$eq": [{ "$cond": { "if": "$myNull", "then": 1, "else": 2 } }, 2] })).toBe(true);
+        });
+
+        test('$cond only evaluates the chosen branch', () => {
+            expect(check({ "$cond": [true, true, { "$divide": [1, 0] }] })).toBe(true);
+        });
+
+        test('$ifNull', () => {
+            expect(check({ "$eq": [{ "$ifNull": ["$missing", "$myNull", "$price"] }, 100] })).toBe(true);
+            expect(check({ "$eq": [{ "$ifNull": ["$name", "unknown"] }, "Maurice"] })).toBe(true);
+        });
+
+    });
+
+    describe('Queries with $expr', () => {
+
+        test('$expr combined with other clauses', () => {
+            const qc = new QueryCheck({ name: "Maurice", "$expr": { "$lt": ["$discountedPrice", "$price"] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBe(true);
+            expect(qc.test(Object.assign({}, vars, { discountedPrice: 120 }))).toBe(false);
+        });
+
+        test('$expr in $elemMatch refers to the element', () => {
+            const qc = new QueryCheck({ lines: { "$elemMatch": { "$expr": { "$gt": ["$qty", 2] } } } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBe(true);
+        });
+
+        test('invalid expressions are reported by validate()', () => {
+            const issues = QueryCheck.validate({ "$expr": { "$and": [{ "$gt": ["$a"] }, { "$foo": 1 }, { "$abs": "$$ROOT" }, { "a": 1, "$b": 2 }] } }, { strictMode });
+            expect(issues.map((issue) => [issue.pointer, issue.code])).toEqual([
+                ['/$expr/$and/0/$gt', 'INVALID_OPERAND'],
+                ['/$expr/$and/1/$foo', 'UNKNOWN_OPERATOR'],
+                ['/$expr/$and/2/$abs', 'INVALID_OPERAND'],
+                ['/$expr/$and/3', 'INVALID_OPERAND'],
+            ]);
+        });
+
+        test('invalid expressions throw when compiling', () => {
+            expect(() => new QueryCheck({ "$expr": { "$gt": [1, 2, 3] } }).compile()).toThrow('$expr: $gt takes 2 argument(s) but got 3');
+            expect(() => new QueryCheck({ "$expr": { "$round": 1 } }).compile()).toThrow('Unsupported $expr operator: $round');
+        });
+
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    expressionTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    expressionTests(true);
+});
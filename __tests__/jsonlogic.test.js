@@ -0,0 +1,195 @@
+'use strict';
+
+const jsonLogic = require('json-logic-js');
+const QueryCheck = require('../src/querycheck.js');
+
+const documents = [
+    { name: "apple", qty: 5, active: true, nickname: null, meta: { color: "red", size: 3, tags: ["new", "sale"] } },
+    { name: "banana", qty: 12, active: false, nickname: "nana", meta: { color: "yellow", size: 7, tags: ["old"] } },
+    { name: "cherry", qty: 0, active: true, nickname: null, meta: { color: "red", size: 1, tags: ["sale"] } },
+    { name: "date", qty: 7, active: false, nickname: "dd", meta: { color: "brown", size: 12, tags: ["new"] } },
+];
+
+const queries = [
+    {},
+    { name: "apple" },
+    { name: { "$eq": "banana" }, active: false },
+    { qty: { "$gt": 4 } },
+    { qty: { "$gte": 5, "$lt": 12 } },
+    { qty: { "$lte": 0 } },
+    { name: { "$ne": "apple" } },
+    { qty: { "$in": [5, 7] } },
+    { name: { "$nin": ["apple", "banana"] } },
+    { active: true },
+    { "meta.color": "red", "meta.size": { "$lt": 2 } },
+    { "meta.tags.0": "new" },
+    { "meta.size": { "$gt": { "$var": "qty" } } },
+    { qty: { "$in": [{ "$var": "meta.size" }, 0] } },
+    { nickname: null },
+    { nickname: { "$ne": null } },
+    { "$or": [{ qty: { "$gt": 10 } }, { "meta.color": "red", active: true }] },
+    { "$or": [{ qty: 5 }] },
+    { "$and": [{ qty: { "$gt": 1 } }, { qty: { "$lt": 10 } }] },
+    { "$nor": [{ active: true }, { nickname: null }] },
+    { "$not": { qty: { "$gt": 5 } } },
+    { qty: { "$not": { "$gt": 5, "$lt": 10 } } },
+    { "$or": [] },
+    { "$and": [] },
+    { "$nor": [] },
+];
+
+const rules = [
+    true,
+    false,
+    { "==": [{ "var": "name" }, "apple"] },
+    { "===": ["banana", { "var": "name" }] },
+    { "!=": [{ "var": "name" }, "apple"] },
+    { "!==": [{ "var": "nickname" }, null] },
+    { ">": [10, { "var": "qty" }] },
+    { ">=": [{ "var": "qty" }, 7] },
+    { "<": [1, { "var": "qty" }, 10] },
+    { "<=": [0, { "var": "qty" }, 5] },
+    { "<": [{ "var": "qty" }, { "var": "meta.size" }] },
+    { "<=": [{ "var": ["meta.size"] }, 3] },
+    { "in": [{ "var": "name" }, ["apple", "date"]] },
+    { "in": ["new", { "var": "meta.tags" }] },
+    { "and": [{ "==": [{ "var": "meta.color" }, "red"] }, { ">": [{ "var": "qty" }, 1] }] },
+    { "and": [{ ">": [{ "var": "qty" }, 1] }, { "<": [{ "var": "qty" }, 10] }] },
+    { "or": [{ "==": [{ "var": "active" }, false] }, { "in": ["sale", { "var": "meta.tags" }] }] },
+    { "!": { "==": [{ "var": "active" }, true] } },
+    { "!": [{ "or": [{ "==": [{ "var": "qty" }, 0] }, { "==": [{ "var": "qty" }, 12] }] }] },
+    { "and": [] },
+    { "or": [] },
+];
+
+
+function jsonLogicTests(strictMode) {
+
+    function evaluate(query, doc) {
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(strictMode);
+        qc.useOperandFunctions();
+        return qc.test(doc);
+    }
+
+    describe('Converting queries to JsonLogic', () => {
+
+        test.each(queries.map((query) => [JSON.stringify(query), query]))('%s', (json, query) => {
+            const rule = QueryCheck.toJsonLogic(query);
+            for (let doc of documents) {
+                expect([doc.name, jsonLogic.truthy(jsonLogic.apply(rule, doc))]).toEqual([doc.name, evaluate(query, doc)]);
+            }
+
+            // and back
+            const converted = QueryCheck.fromJsonLogic(rule);
+            for (let doc of documents) {
+                expect([doc.name, evaluate(converted, doc)]).toEqual([doc.name, evaluate(query, doc)]);
+            }
+        });
+
+    });
+
+    describe('Converting JsonLogic to queries', () => {
+
+        test.each(rules.map((rule) => [JSON.stringify(rule), rule]))('%s', (json, rule) => {
+            const query = QueryCheck.fromJsonLogic(rule, { arrayFields: ["meta.tags"] });
+            for (let doc of documents) {
+                expect([doc.name, evaluate(query, doc)]).toEqual([doc.name, jsonLogic.truthy(jsonLogic.apply(rule, doc))]);
+            }
+        });
+
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    jsonLogicTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    jsonLogicTests(true);
+});
+
+describe('Conversions', () => {
+
+    test('queries to JsonLogic', () => {
+        expect(QueryCheck.toJsonLogic({ "now.hour": { "$gte": 10 }, "tags": { "$in": ["open", "new"] } })).toEqual({
+            "and": [{ ">=": [{ "var": "now.hour" }, 10] }, { "in": [{ "var": "tags" }, ["open", "new"]] }],
+        });
+        expect(QueryCheck.toJsonLogic({ a: 1 })).toEqual({ "===": [{ "var": "a" }, 1] });
+        expect(QueryCheck.toJsonLogic({ a: { "$nin": [1] }, "$nor": [{ b: { "$lt": { "$var": "c" } } }] })).toEqual({
+            "and": [{ "!": { "in": [{ "var": "a" }, [1]] } }, { "!": { "<": [{ "var": "b" }, { "var": "c" }] } }],
+        });
+        expect(QueryCheck.toJsonLogic({})).toBe(true);
+        expect(QueryCheck.toJsonLogic({ "$or": [] })).toBe(false);
+    });
+
+    test('JsonLogic to queries', () => {
+        expect(QueryCheck.fromJsonLogic({
+            "and": [
+                { "<": [1, { "var": "a" }, 5] },
+                { "in": ["x", { "var": "tags" }] },
+                { "==": [3, { "var": "b" }] },
+                { ">": [{ "var": "b" }, { "var": "c" }] },
+                { "!": { "in": [{ "var": "c" }, [1, 2]] } },
+            ],
+        }, { arrayFields: ["tags"] })).toEqual({
+            a: { "$gt": 1, "$lt": 5 },
+            tags: "x",
+            b: { "$eq": 3, "$gt": { "$var": "c" } },
+            "$not": { c: { "$in": [1, 2] } },
+        });
+        expect(QueryCheck.fromJsonLogic({ "or": [{ "==": [{ "var": 0 }, null] }] })).toEqual({ "0": null });
+        expect(QueryCheck.fromJsonLogic({ "and": [] })).toEqual({ "$or": [] });
+        expect(QueryCheck.fromJsonLogic(true)).toEqual({});
+    });
+
+    test('"in" with a string variable', () => {
+        // JsonLogic finds substrings, queries compare whole strings
+        const rule = { "in": ["ppl", { "var": "name" }] };
+        expect(jsonLogic.apply(rule, documents[0])).toBe(true);
+        expect(() => QueryCheck.fromJsonLogic(rule)).toThrow('Cannot convert "in" with the variable name on the right to a query unless it is listed in arrayFields (at /in)');
+        expect(() => QueryCheck.fromJsonLogic(rule, { arrayFields: ["meta.tags"] })).toThrow('(at /in)');
+        expect(QueryCheck.fromJsonLogic({ "in": ["new", { "var": "meta.tags" }] }, { arrayFields: ["meta.tags"] })).toEqual({ "meta.tags": "new" });
+    });
+
+    test('constructs without equivalent', () => {
+        const queryCases = [
+            [{ a: /x/ }, '/a', 'Cannot convert regular expressions to JsonLogic'],
+            [{ a: { "$regex": "x" } }, '/a/$regex', 'Cannot convert $regex to JsonLogic'],
+            [{ items: { "$elemMatch": { a: 1 } } }, '/items/$elemMatch', 'Cannot convert $elemMatch to JsonLogic'],
+            [{ "$expr": { "$gt": ["$a", 1] } }, '/$expr', 'Cannot convert $expr to JsonLogic'],
+            [{ "$or": [{ a: 1 }, { b: [1, 2] }] }, '/$or/1/b', 'Cannot convert comparisons with arrays or documents to JsonLogic'],
+            [{ a: { "$gt": { "$date": "2020-05-21T00:00:00Z" } } }, '/a/$gt', 'Cannot convert dates and Extended JSON values to JsonLogic'],
+            [{ a: { "$in": [1, { "$concat": ["a", "b"] }] } }, '/a/$in/1', 'Cannot convert the operand function $concat to JsonLogic'],
+            [{ a: { "$lt": Infinity } }, '/a/$lt', 'Cannot convert Infinity to JsonLogic'],
+        ];
+        for (let [query, pointer, message] of queryCases) {
+            expect(() => QueryCheck.toJsonLogic(query)).toThrow(`${message} (at ${pointer})`);
+        }
+
+        const ruleCases = [
+            [{ "+": [1, 2] }, '/+', 'Cannot convert the JsonLogic operation "+" to a query'],
+            [{ "and": [{ "==": [{ "var": "a" }, { "+": [1, 2] }] }] }, '/and/0/==/1/+', 'Cannot convert the JsonLogic operation "+" to an operand'],
+            [{ "var": "a" }, '/var', 'Cannot convert the JsonLogic operation "var" to a query'],
+            [{ "==": [{ "var": ["a", 1] }, 1] }, '/==/0/var', 'Cannot convert variables with defaults to a query'],
+            [{ "==": [1, 1] }, '/==/0', 'Cannot convert comparisons without a variable to a query'],
+            [{ "<": [{ "var": "a" }, 1, 2] }, '/<', 'Cannot convert "<" with three arguments to a query unless the middle one is the only variable'],
+            [{ "in": ["x", "xyz"] }, '/in', 'Cannot convert "in" to a query unless it tests a variable against an array or a value against an array variable'],
+            [{ "in": ["x", { "var": "name" }] }, '/in', 'Cannot convert "in" with the variable name on the right to a query unless it is listed in arrayFields'],
+            ["x", '', 'Cannot convert a JsonLogic value to a query; expected a rule like {"==": [...]}'],
+        ];
+        for (let [rule, pointer, message] of ruleCases) {
+            let error;
+            try {
+                QueryCheck.fromJsonLogic(rule);
+            } catch (e) {
+                error = e;
+            }
+            expect(error.code).toBe('UNTRANSLATABLE');
+            expect(error.pointer).toBe(pointer);
+            expect(error.message).toBe(`${message} (at ${pointer || '/'})`);
+        }
+    });
+
+});
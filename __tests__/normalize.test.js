@@ -0,0 +1,260 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const documents = [
+    { name: "apple", qty: 5, price: 1.5, tags: ["new", "sale"], created: new Date('2020-05-21T00:00:00Z'), items: [{ sku: "a1", qty: 2 }] },
+    { name: "Banana", qty: 12, price: 0.25, tags: ["old"], created: new Date('2019-01-01T00:00:00Z'), items: [{ sku: "b2", qty: 5 }] },
+    { name: "cherry", qty: 0, price: 4, tags: ["sale"], created: new Date('2021-03-15T00:00:00Z'), items: [] },
+    { name: "date", qty: 7, price: 2, tags: ["new"], created: new Date('2020-05-21T00:00:00Z'), items: [{ sku: "a1", qty: 9 }, { sku: "c3", qty: 1 }] },
+    { name: ["elder", "cherry"], qty: [5, 12], price: 3, tags: [["sale"], "old"], created: [new Date('2020-05-21T00:00:00Z')], items: [{ sku: ["a1", "b2"], qty: [2, 9] }] },
+    { name: [], qty: [], price: 1, tags: [], created: [], items: [{ sku: [], qty: [] }] },
+];
+
+// queries of each group are equivalent, queries of different groups are not
+const groups = [
+    [
+        {},
+        { "$and": [] },
+        { "$nor": [] },
+        { "$and": [{}, { "$and": [] }] },
+        { "$or": [{ qty: 5 }, {}] },
+        { "$not": { "$or": [] } },
+    ],
+    [
+        { "$or": [] },
+        { "$not": {} },
+        { qty: 5, "$or": [] },
+        { "$and": [{ "$or": [] }, { name: "apple" }] },
+    ],
+    [
+        { qty: 5 },
+        { qty: { "$eq": 5 } },
+        { "$and": [{ qty: 5 }] },
+        { "$and": [{ qty: 5 }, { qty: 5 }] },
+        { "$or": [{ qty: 5 }] },
+        { "$or": [{ qty: 5 }, { qty: { "$eq": 5 } }] },
+        { "$not": { "$not": { qty: 5 } } },
+        { "$nor": [{ "$nor": [{ qty: 5 }] }] },
+        { qty: { "$not": { "$not": { "$eq": 5 } } } },
+        { qty: { "$numberInt": "5" } },
+    ],
+    [
+        { qty: { "$in": [5] } },
+        { qty: { "$in": [5, 5] } },
+        { qty: { "$in": [{ "$numberInt": "5" }] } },
+    ],
+    [
+        { qty: { "$gt": 1, "$lt": 10 } },
+        { qty: { "$lt": 10, "$gt": 1 } },
+        { "$and": [{ qty: { "$gt": 1 } }, { qty: { "$lt": 10 } }] },
+        { "$and": [{ qty: { "$lt": 10 } }, { "$and": [{ qty: { "$gt": 1 } }] }] },
+    ],
+    [
+        { qty: { "$gt": 1 }, "$and": [{ qty: { "$gt": 6 } }] },
+        { "$and": [{ qty: { "$gt": 6 } }, { qty: { "$gt": 1 } }] },
+        { "$and": [{ qty: { "$gt": 1 } }, { qty: { "$gt": 6 } }, { qty: { "$gt": 1 } }] },
+    ],
+    [
+        { name: "apple", qty: { "$gte": 5 } },
+        { qty: { "$gte": 5 }, name: "apple" },
+        { "$and": [{ qty: { "$gte": 5 } }, { name: { "$eq": "apple" } }] },
+    ],
+    [
+        { "$or": [{ qty: 5 }, { name: "cherry" }] },
+        { "$or": [{ name: "cherry" }, { qty: 5 }] },
+        { "$or": [{ name: "cherry" }, { "$or": [{ qty: 5 }, { name: "cherry" }] }] },
+        { "$or": [{ "$or": [{ qty: 5 }] }, { "$or": [{ name: { "$eq": "cherry" } }] }] },
+    ],
+    [
+        { "$nor": [{ qty: 5 }, { name: "cherry" }] },
+        { "$not": { "$or": [{ name: "cherry" }, { qty: 5 }] } },
+        { "$not": { qty: 5 }, "$and": [{ "$not": { name: "cherry" } }] },
+        { "$and": [{ "$nor": [{ qty: 5 }] }, { "$nor": [{ name: "cherry" }] }] },
+    ],
+    [
+        { "$not": { qty: 5, name: "apple" } },
+        { "$not": { "$and": [{ name: "apple" }, { qty: { "$eq": 5 } }] } },
+        { "$nor": [{ name: "apple", qty: 5 }] },
+    ],
+    [
+        { qty: { "$in": [7, 5, 7] } },
+        { qty: { "$in": [5, 7] } },
+    ],
+    [
+        { qty: { "$nin": [0] } },
+        { qty: { "$nin": [0, 0] } },
+    ],
+    [
+        { qty: { "$ne": 0 } },
+    ],
+    [
+        { name: /^A/i },
+        { name: { "$regex": "^A", "$options": "i" } },
+        { name: { "$regex": /^A/, "$options": "i" } },
+        { name: { "$regex": /^A/gi } },
+        { name: { "$regularExpression": { pattern: "^A", options: "i" } } },
+    ],
+    [
+        { name: /an/ },
+        { name: { "$regex": "an" } },
+        { name: { "$regex": "an", "$options": "" } },
+    ],
+    [
+        { tags: { "$all": ["sale", "new", "sale"] } },
+        { tags: { "$all": ["new", "sale"] } },
+    ],
+    [
+        { created: new Date('2020-05-21T00:00:00Z') },
+        { created: { "$date": "2020-05-21T00:00:00Z" } },
+        { created: { "$eq": { "$date": "2020-05-21T00:00:00.000Z" } } },
+    ],
+    [
+        { created: { "$in": [new Date('2020-05-21T00:00:00Z')] } },
+        { created: { "$in": [{ "$date": "2020-05-21T00:00:00Z" }] } },
+    ],
+    [
+        { created: { "$lt": new Date('2021-01-01T00:00:00Z') }, price: { "$lt": 2 } },
+        { price: { "$lt": 2 }, created: { "$lt": { "$date": "2021-01-01T00:00:00Z" } } },
+    ],
+    [
+        { items: { "$elemMatch": { sku: "a1", qty: { "$gt": 4 } } } },
+        { items: { "$elemMatch": { qty: { "$gt": 4 }, sku: { "$eq": "a1" } } } },
+        { items: { "$elemMatch": { "$and": [{ qty: { "$gt": 4 } }, { sku: "a1" }] } } },
+    ],
+    [
+        { qty: { "$not": { "$gt": 1, "$lt": 10 } } },
+        { qty: { "$not": { "$lt": 10, "$gt": 1 } } },
+    ],
+    [
+        { "$expr": { "$gt": ["$qty", "$price"] } },
+    ],
+    [
+        { qty: { "$gt": { "$var": "price" } } },
+    ],
+    [
+        { name: { "$exists": true } },
+    ],
+    [
+        { tags: "sale" },
+    ],
+    [
+        { tags: { "$in": ["sale"] } },
+    ],
+    [
+        { tags: { "$in": [["sale"]] } },
+    ],
+];
+
+
+function normalizeTests(strictMode) {
+
+    function evaluate(query, doc) {
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(strictMode);
+        qc.useOperandFunctions();
+        try {
+            return qc.test(doc);
+        } catch (e) {
+            // strict mode rejects some array values; both forms have to
+            return e.constructor.name;
+        }
+    }
+
+    describe('Normalized queries match the same documents', () => {
+
+        const queries = [].concat(...groups);
+        test.each(queries.map((query) => [JSON.stringify(query), query]))('%s', (json, query) => {
+            const normalized = QueryCheck.normalize(query);
+            for (let doc of documents) {
+                expect([doc.name, evaluate(normalized, doc)]).toEqual([doc.name, evaluate(query, doc)]);
+            }
+        });
+
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    normalizeTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    normalizeTests(true);
+});
+
+describe('Normal form', () => {
+
+    test.each(groups.map((group) => [JSON.stringify(group[0]), group]))('equivalent to %s', (json, group) => {
+        const normalized = QueryCheck.normalize(group[0]);
+        const hash = QueryCheck.hash(group[0]);
+        for (let query of group) {
+            expect(QueryCheck.normalize(query)).toEqual(normalized);
+            expect(QueryCheck.hash(query)).toBe(hash);
+        }
+
+        // normalizing again changes nothing
+        expect(QueryCheck.normalize(normalized)).toEqual(normalized);
+        expect(QueryCheck.hash(normalized)).toBe(hash);
+    });
+
+    test('distinct hashes for distinct queries', () => {
+        const hashes = groups.map((group) => QueryCheck.hash(group[0]));
+        expect(new Set(hashes).size).toBe(groups.length);
+        expect(QueryCheck.hash({ tags: { "$in": ["a"] } })).not.toBe(QueryCheck.hash({ tags: "a" }));
+        expect(QueryCheck.hash({ tags: { "$nin": ["a"] } })).not.toBe(QueryCheck.hash({ tags: { "$ne": "a" } }));
+    });
+
+    test('canonical form', () => {
+        expect(QueryCheck.normalize({ "$and": [{ b: { "$in": [2] } }, { a: 5 }], c: /x/i })).toEqual({
+            a: { "$eq": 5 },
+            b: { "$in": [2] },
+            c: { "$options": "i", "$regex": "x" },
+        });
+        expect(QueryCheck.normalize({ "$nor": [{ b: 1 }, { a: 1 }] })).toEqual({
+            "$not": { "$or": [{ a: { "$eq": 1 } }, { b: { "$eq": 1 } }] },
+        });
+        expect(QueryCheck.normalize({ a: { "$gt": 5 }, "$and": [{ a: { "$gt": 1 } }, { a: { "$lt": 9 } }] })).toEqual({
+            a: { "$gt": 1, "$lt": 9 },
+            "$and": [{ a: { "$gt": 5 } }],
+        });
+        expect(QueryCheck.normalize({ a: { "$in": [3, 1, 2, 1] }, b: { x: 1, y: [new Date(0)] } })).toEqual({
+            a: { "$in": [1, 2, 3] },
+            b: { "$eq": { x: 1, y: [{ "$date": "1970-01-01T00:00:00.000Z" }] } },
+        });
+        expect(QueryCheck.normalize({ a: { "$in": [/x/] }, b: { "$in": [[1]] }, c: { "$in": [1], "$eq": 2 } })).toEqual({
+            a: { "$in": [{ "$regularExpression": { options: "", pattern: "x" } }] },
+            b: { "$in": [[1]] },
+            c: { "$eq": 2, "$in": [1] },
+        });
+    });
+
+    test('keys are sorted', () => {
+        const normalized = QueryCheck.normalize({ z: 1, a: { "$lt": 3, "$gt": 1 }, "$or": [{ y: 1 }, { x: 1 }], m: { q: 1, b: 2 } });
+        expect(Object.keys(normalized)).toEqual(["$or", "a", "m", "z"]);
+        expect(Object.keys(normalized.a)).toEqual(["$gt", "$lt"]);
+        expect(Object.keys(normalized.m["$eq"])).toEqual(["b", "q"]);
+        expect(QueryCheck.hash({ a: { b: 1, c: 2 } })).toBe(QueryCheck.hash({ a: { c: 2, b: 1 } }));
+    });
+
+    test('hash format', () => {
+        expect(QueryCheck.hash({})).toMatch(/^[0-9a-f]{16}$/);
+        // FNV-1a of '{"a":{"$eq":1}}'
+        expect(QueryCheck.hash({ a: 1 })).toBe(require('../src/normalize.js').fnv1a64('{"a":{"$eq":1}}'));
+        expect(QueryCheck.hash({ a: "ä" })).not.toBe(QueryCheck.hash({ a: "a" }));
+    });
+
+    test('custom operators', () => {
+        const qc = new QueryCheck({ n: { "$between": [5, 1] } });
+        qc.registerOperator({ name: '$between', evaluate: (value, [lo, hi]) => value >= lo && value <= hi });
+        expect(qc.normalize()).toEqual({ n: { "$between": [5, 1] } });
+        expect(QueryCheck.normalize({ n: { "$between": [5, 1] } })).toEqual({ n: { "$eq": { "$between": [5, 1] } } });
+    });
+
+    test('invalid queries', () => {
+        expect(() => QueryCheck.normalize({ "$and": {} })).toThrow(TypeError);
+        expect(() => QueryCheck.normalize({ "$or": [1] })).toThrow(TypeError);
+        expect(() => QueryCheck.normalize({ a: { "$date": "not a date" } })).toThrow(TypeError);
+    });
+
+});
@@ -0,0 +1,189 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+const operands = require('../src/operands.js');
+
+const vars = {
+    now: {
+        isoDate: "2020-05-21",
+        isoTime: "13:59:48",
+        isoDateTime: "2020-05-21T13:59:48"
+    },
+    myStringPrime: "prime number 137",
+    myInt: 137,
+    myFloat: 137.12345,
+    myNull: null,
+    myArrayOfInts: [10, 20, 30, 40, 50],
+    myLookup: {
+        0: "zero",
+        "1": "one",
+        user: "maurice"
+    },
+    lookupKey: "user",
+    myObject: {
+        userName: "maurice",
+        firstName: "First",
+        lastName: "Last"
+    }
+};
+
+function deepFreeze(obj) {
+    Object.values(obj).forEach((value) => {
+        if (value !== null && typeof value === 'object') {
+            deepFreeze(value);
+        }
+    });
+    return Object.freeze(obj);
+}
+
+function check(query, options, data) {
+    const qc = new QueryCheck(deepFreeze(query));
+    qc.useOperandFunctions(options);
+    return qc.test(data || vars);
+}
+
+
+function operandFunctionTests(strictMode) {
+
+    function checkStrict(query, options, data) {
+        const qc = new QueryCheck(deepFreeze(query));
+        qc.useOperandFunctions(options);
+        qc.setStrictMode(strictMode);
+        return qc.test(data || vars);
+    }
+
+    describe('Variable functions', () => {
+
+        test('$var function (shortcut syntax)', () => {
+            expect(checkStrict({ myInt: { "$gt": { "$var": "myArrayOfInts[4]" } } })).toBeTruthy();
+        });
+
+        test('$var function with default', () => {
+            expect(checkStrict({ myInt: { "$var": { "name": "myUndefined", "default": 137 } } })).toBeTruthy();
+            expect(checkStrict({ myInt: { "$var": { "name": "myNull", "default": { "$var": "myInt" } } } })).toBeTruthy();
+        });
+
+        test('$var function in array operand', () => {
+            expect(checkStrict({ myInt: { "$in": [1, { "$var": "myInt" }] } })).toBeTruthy();
+        });
+
+        test('$concat function with string and $var (with string casting)', () => {
+            expect(checkStrict({ myStringPrime: { "$concat": ["prime", " ", "number", " ", { "$var": "myInt" }] } })).toBeTruthy();
+            expect(checkStrict({ "now.isoDateTime": { "$concat": [{ "$var": "now.isoDate" }, "T", { "$var": "now.isoTime" }] } })).toBeTruthy();
+        });
+
+        test('$lookup function with variable map/key (key exists)', () => {
+            expect(checkStrict({ "myObject.userName": { "$lookup": { "map": { "$var": "myLookup" }, "key": { "$var": "lookupKey" } } } })).toBeTruthy();
+        });
+
+        test('$lookup function with missing key and default', () => {
+            expect(checkStrict({ "myObject.userName": { "$lookup": { "map": { "$var": "myLookup" }, "key": "non-existant" } } })).toBeFalsy();
+            expect(checkStrict({ "myObject.userName": { "$lookup": { "map": { "$var": "myLookup" }, "key": "non-existant", "default": "maurice" } } })).toBeTruthy();
+        });
+
+    });
+
+    describe('Time functions', () => {
+
+        test('$time function returns given date', () => {
+            expect(checkStrict({ "now.isoDateTime": { "$time": { "date": "2020-05-21T13:59:48" } } })).toBeTruthy();
+        });
+
+        test('$time function returns given date using different input format', () => {
+            expect(checkStrict({ "now.isoDateTime": { "$time": { "date": "21.05.2020, 13:59:48", "inputFormat": "dd.MM.yyyy, HH:mm:ss" } } })).toBeTruthy();
+        });
+
+        test('$time function returns modified date (-2 days and -3 hours)', () => {
+            expect(checkStrict({ "now.isoDateTime": { "$time": { "date": "2020-05-23T16:59:48", "sub": { "days": 2, "hours": 3 } } } })).toBeTruthy();
+        });
+
+        test('$time function applies both add and sub', () => {
+            expect(checkStrict({ "now.isoDateTime": { "$time": { "date": "2020-05-20T10:59:48", "add": { "days": 1, "hours": 4 }, "sub": { "hours": 1 } } } })).toBeTruthy();
+            expect(checkStrict({ "date": { "$time": { "date": "2020-01-31", "add": { "months": 1 }, "sub": { "days": 1 }, "format": "yyyy-MM-dd" } } }, {}, { date: "2020-02-28" })).toBeTruthy();
+        });
+
+        test('$time function cascading combined with $var function', () => {
+            expect(checkStrict({ "now.isoDateTime": { "$time": { "date": { "$time": { "date": { "$var": "now.isoDateTime" }, "sub": { "days": 10 } } }, "add": { "days": 10 } } } })).toBeTruthy();
+        });
+
+        test('$time function with injected clock and output format', () => {
+            const now = () => new Date(2020, 4, 21, 13, 59, 48);
+            expect(checkStrict({ "now.isoDate": { "$time": { "format": "yyyy-MM-dd" } } }, { now })).toBeTruthy();
+            expect(checkStrict({ "now.isoTime": { "$gt": { "$time": { "sub": { "hours": 1 }, "format": "HH:mm:ss" } } } }, { now })).toBeTruthy();
+        });
+
+        test('$time function adds months clamped to the end of month', () => {
+            expect(checkStrict({ "date": { "$time": { "date": "2020-01-31", "add": { "months": 1 }, "format": "yyyy-MM-dd" } } }, {}, { date: "2020-02-29" })).toBeTruthy();
+        });
+
+        test('$time function with invalid date returns null', () => {
+            expect(checkStrict({ "myNull": { "$time": { "date": "2020-02-30" } } })).toBeTruthy();
+            expect(checkStrict({ "myNull": { "$time": { "date": "21.05.2020", "inputFormat": "yyyy-MM-dd" } } })).toBeTruthy();
+        });
+
+    });
+
+    describe('Arithmetic and string functions', () => {
+
+        test('arithmetic functions', () => {
+            expect(checkStrict({ myInt: { "$add": [100, 30, { "$var": "myArrayOfInts[0]" }, -3] } })).toBeTruthy();
+            expect(checkStrict({ myInt: { "$subtract": [140, 3] } })).toBeTruthy();
+            expect(checkStrict({ myInt: { "$multiply": [{ "$divide": [274, 4] }, 2] } })).toBeTruthy();
+            expect(checkStrict({ myInt: { "$subtract": [{ "$abs": -1137 }, 1000] } })).toBeTruthy();
+            expect(checkStrict({ myFloat: { "$round": [{ "$var": "myFloat" }, 5] } })).toBeTruthy();
+            expect(checkStrict({ myInt: { "$floor": 137.9 } })).toBeTruthy();
+        });
+
+        test('arithmetic functions with invalid arguments return null', () => {
+            expect(checkStrict({ myNull: { "$divide": [1, 0] } })).toBeTruthy();
+            expect(checkStrict({ myNull: { "$add": [1, "2"] } })).toBeTruthy();
+        });
+
+        test('string functions', () => {
+            expect(checkStrict({ "myObject.firstName": { "$concat": [{ "$toUpper": { "$substr": ["first", 0, 1] } }, { "$substr": ["first", 1] }] } })).toBeTruthy();
+            expect(checkStrict({ "myObject.userName": { "$toLower": { "$trim": "  MAURICE " } } })).toBeTruthy();
+        });
+
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    operandFunctionTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    operandFunctionTests(true);
+});
+
+describe('Operand evaluator', () => {
+
+    test('literal operands are returned as they are', () => {
+        const operand = { a: [1, 2, { b: 3 }] };
+        const evaluator = operands.createOperandEvaluator();
+        expect(evaluator.apply(new QueryCheck({}), [operand, vars])).toBe(operand);
+    });
+
+    test('query is not modified', () => {
+        const query = { "myObject.userName": { "$lookup": { "map": { "$var": "myLookup" }, "key": { "$var": "lookupKey" } } } };
+        const qc = new QueryCheck(query);
+        qc.useOperandFunctions();
+        expect(qc.test(vars)).toBeTruthy();
+        expect(qc.test(vars)).toBeTruthy();
+        expect(query["myObject.userName"]["$lookup"]).toEqual({ "map": { "$var": "myLookup" }, "key": { "$var": "lookupKey" } });
+    });
+
+    test('custom functions', () => {
+        const functions = {
+            '$double': (params, context) => context.evaluate(params) * 2,
+        };
+        expect(check({ myInt: { "$double": { "$subtract": [{ "$var": "myInt" }, 68.5] } } }, { functions })).toBeTruthy();
+    });
+
+    test('$time function returns Date with format false', () => {
+        const evaluator = operands.createOperandEvaluator({ now: () => new Date(2020, 0, 1) });
+        const date = evaluator.apply(new QueryCheck({}), [{ "$time": { "add": { "years": 1 }, "format": false } }, vars]);
+        expect(date).toEqual(new Date(2021, 0, 1));
+    });
+
+});
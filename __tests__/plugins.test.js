@@ -0,0 +1,215 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const vars = {
+    myString: "this is a string",
+    myInt: 137,
+    myNull: null,
+    myArrayOfInts: [10, 20, 30, 40, 50],
+    myArrayOfObjects: [{x: 10, y: 11}, {x: 20, y: 21}, {x: 40, y: 41}],
+    myObject: {
+        userName: "maurice",
+        firstName: "First",
+        lastName: "Last"
+    }
+};
+
+const startsWith = {
+    name: '$startsWith',
+    operand: 'string',
+    evaluate: (value, operand) => typeof(value) === 'string' && value.indexOf(operand) === 0,
+};
+
+const between = {
+    name: '$between',
+    operand: (operand) => Array.isArray(operand) && operand.length == 2,
+    evaluate: (value, operand) => value >= operand[0] && value <= operand[1],
+};
+
+const xor = {
+    name: '$xor',
+    type: 'boolean',
+    subQuery: 'queries',
+    evaluate: (data, predicates) => predicates.filter((predicate) => predicate()).length == 1,
+};
+
+const everyElement = {
+    name: '$every',
+    subQuery: 'query',
+    evaluate: (value, predicate) => Array.isArray(value) && value.every((element) => predicate(element)),
+};
+
+const notAll = {
+    name: '$notAll',
+    subQuery: 'expression',
+    evaluate: (value, predicate) => Array.isArray(value) && !value.every((element) => predicate(element)),
+};
+
+
+function pluginTests(strictMode) {
+
+    function createQueryCheck(query) {
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(strictMode);
+        return qc;
+    }
+
+    describe('Custom expression operators', () => {
+
+        test('operator with simple operand', () => {
+            const qc = createQueryCheck({ myString: { "$startsWith": "this" } });
+            qc.registerOperator(startsWith);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(qc.test({ myString: "that" })).toBeFalsy();
+        });
+
+        test('operator is recognized if it is not the first key', () => {
+            const qc = createQueryCheck({ myInt: { "$gt": 100, "$between": [130, 140] } });
+            qc.registerOperator(between);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(qc.test({ myInt: 145 })).toBeFalsy();
+        });
+
+        test('unknown operator is not accepted next to known operators', () => {
+            const qc = createQueryCheck({ myInt: { "$unknown": 1, "$gt": 100 } });
+            expect(() => qc.test(vars)).toThrow('Unsupported expression operator: $unknown');
+        });
+
+        test('operator applies to all values of traversed arrays', () => {
+            const qc = createQueryCheck({ "myArrayOfObjects.x": { "$between": [30, 50] } });
+            qc.registerOperator(between);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('operator with noneMatch semantics', () => {
+            const qc = createQueryCheck({ "myArrayOfObjects.x": { "$notBetween": [30, 50] } });
+            qc.registerOperator(Object.assign({}, between, { name: '$notBetween', noneMatch: true, evaluate: (value, operand) => !between.evaluate(value, operand) }));
+            expect(qc.test(vars)).toBeFalsy();
+            expect(qc.test({ myArrayOfObjects: [{x: 10}, {x: 20}] })).toBeTruthy();
+        });
+
+        test('operator with sub query', () => {
+            const qc = createQueryCheck({ myArrayOfObjects: { "$every": { x: { "$lt": 50 }, y: { "$exists": true } } } });
+            qc.registerOperator(everyElement);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(createQueryCheck({ myArrayOfObjects: { "$every": { x: { "$lt": 40 } } } }).test(vars)).toBeFalsy();
+        });
+
+        test('operator with sub expression', () => {
+            const qc = createQueryCheck({ myArrayOfInts: { "$notAll": { "$gt": 10 } } });
+            qc.registerOperator(notAll);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('operand shape is checked', () => {
+            const qc = createQueryCheck({ myString: { "$startsWith": 1 } });
+            qc.registerOperator(startsWith);
+            if (strictMode) {
+                expect(() => qc.test(vars)).toThrow(TypeError);
+            } else {
+                expect(qc.test(vars)).toBeFalsy();
+            }
+        });
+
+        test('operand shape is validated', () => {
+            const qc = createQueryCheck({ myString: { "$startsWith": 1 }, myArrayOfObjects: { "$every": [] } });
+            qc.use({ operators: [startsWith, everyElement] });
+            const issues = qc.validate().map((issue) => [issue.pointer, issue.code]);
+            if (strictMode) {
+                expect(issues).toEqual([['/myString/$startsWith', 'INVALID_OPERAND'], ['/myArrayOfObjects/$every', 'INVALID_OPERAND']]);
+            } else {
+                expect(issues).toEqual([['/myArrayOfObjects/$every', 'INVALID_OPERAND']]);
+            }
+        });
+
+        test('operand is evaluated', () => {
+            const qc = createQueryCheck({ myString: { "$startsWith": { "$substr": [{ "$var": "myObject.userName" }, 0, 3] } } });
+            qc.registerOperator(startsWith);
+            qc.useOperandFunctions();
+            const data = { myString: "maurice", myObject: { userName: "mauro" } };
+            expect(qc.test(data)).toBeTruthy();
+            expect(qc.explain(data).children[0].children[0].operand).toBe("mau");
+        });
+
+    });
+
+    describe('Custom boolean operators', () => {
+
+        test('operator with sub queries', () => {
+            const qc = createQueryCheck({ "$xor": [{ myInt: 137 }, { myString: "other" }] });
+            qc.registerOperator(xor);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(qc.test({ myInt: 137, myString: "other" })).toBeFalsy();
+        });
+
+        test('operator with invalid operand', () => {
+            const qc = createQueryCheck({ "$xor": { myInt: 137 } });
+            qc.registerOperator(xor);
+            expect(() => qc.test(vars)).toThrow('$xor can only operate on arrays of queries');
+        });
+
+        test('operator without sub query', () => {
+            const qc = createQueryCheck({ "$hasKeys": ["myInt", "myNull"] });
+            qc.registerOperator({ name: '$hasKeys', type: 'boolean', operand: 'array', evaluate: (data, keys) => keys.every((key) => key in data) });
+            expect(qc.test(vars)).toBeTruthy();
+            expect(qc.test({ myInt: 1 })).toBeFalsy();
+        });
+
+    });
+
+    describe('Plugins', () => {
+
+        test('plugin with operators and operand functions', () => {
+            const plugin = {
+                operators: [startsWith],
+                operandFunctions: {
+                    '$prefix': (params, context) => String(context.evaluate(params)).substr(0, 4),
+                },
+            };
+
+            const qc = createQueryCheck({ myString: { "$startsWith": { "$prefix": { "$var": "myString" } } } });
+            qc.use(plugin);
+            qc.useOperandFunctions();
+            expect(qc.test(vars)).toBeTruthy();
+
+            const qc2 = createQueryCheck({ myString: { "$eq": { "$prefix": "this is a string" } } });
+            qc2.useOperandFunctions();
+            qc2.use(plugin);
+            expect(qc2.test({ myString: "this" })).toBeTruthy();
+        });
+
+        test('invalid definitions are rejected', () => {
+            const qc = createQueryCheck({});
+            expect(() => qc.registerOperator({ name: 'noDollar', evaluate: () => true })).toThrow(TypeError);
+            expect(() => qc.registerOperator({ name: '$x', operand: 'unknown', evaluate: () => true })).toThrow(TypeError);
+            expect(() => qc.registerOperator({ name: '$x', type: 'boolean', subQuery: 'expression', evaluate: () => true })).toThrow(TypeError);
+            expect(() => qc.registerOperator({ name: '$x' })).toThrow(TypeError);
+            expect(() => qc.use({ operandFunctions: { '$x': 1 } })).toThrow(TypeError);
+        });
+
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    pluginTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    pluginTests(true);
+});
+
+describe('Global registration', () => {
+
+    test('globally registered operators are available in new instances', () => {
+        QueryCheck.registerOperator(startsWith);
+        QueryCheck.use({ operators: [xor], operandFunctions: { '$answer': () => 42 } });
+
+        const qc = new QueryCheck({ "$xor": [{ myString: { "$startsWith": "this" } }, { myInt: { "$answer": null } }] });
+        qc.useOperandFunctions();
+        expect(qc.test(vars)).toBeTruthy();
+        expect(qc.test({ myString: "this", myInt: 42 })).toBeFalsy();
+    });
+
+});
@@ -23,6 +23,10 @@ const vars = {
     myArrayOfStrings: ["vanilla", "strawberry", "chocolate"],
     myArrayOfObjects: [{x: 10, y: 11}, {x: 20, y: 21}, {x: 40, y: 41}],
     mySimpleObject: {x: 30, y: 31},
+    myOrders: [
+        {id: 1, items: [{sku: "A-100", price: 10}, {sku: "B-200", price: 25}]},
+        {id: 2, items: [{sku: "C-300", price: 5, tags: ["sale", "new"]}]}
+    ],
     myLookup: {
         0: "zero",
         "1": "one",
@@ -462,6 +466,398 @@ function simpleTests(strictMode) {
 }
 
 
+function elementTests(strictMode) {
+
+    describe('Element operator tests', () => {
+
+        test('$exists // existing variable', () => {
+            const qc = new QueryCheck({ myInt: { "$exists": true } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$exists // null variable exists', () => {
+            const qc = new QueryCheck({ myNull: { "$exists": true } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$exists // non-existant variable', () => {
+            const qc = new QueryCheck({ myUndefined: { "$exists": false } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$exists // non-existant variable with setUndefinedEqualsNull(true)', () => {
+            const qc = new QueryCheck({ myUndefined: { "$exists": true } });
+            qc.setStrictMode(strictMode);
+            qc.setUndefinedEqualsNull(true);
+            expect(qc.test(vars)).toBeFalsy();
+        });
+
+        test('$exists // sub-variable of null does not exist', () => {
+            const qc = new QueryCheck({ "myNull.sub": { "$exists": false }, "myArrayOfObjects[1].x": { "$exists": true } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$type // string alias', () => {
+            const qc = new QueryCheck({ myString: { "$type": "string" }, myNull: { "$type": "null" }, myBoolTrue: { "$type": "bool" } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$type // number aliases', () => {
+            const qc = new QueryCheck({ myInt: { "$type": "int" }, myFloat: { "$type": "double" } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(new QueryCheck({ myFloat: { "$type": "int" } }).test(vars)).toBeFalsy();
+            expect(new QueryCheck({ myFloat: { "$type": "number" } }).test(vars)).toBeTruthy();
+        });
+
+        test('$type // numeric type codes and list of types', () => {
+            const qc = new QueryCheck({ myIntAsString: { "$type": [1, 2] }, mySimpleObject: { "$type": 3 } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$type // array matches "array" and the type of its elements', () => {
+            const qc = new QueryCheck({ myArrayOfStrings: { "$type": "array" } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(new QueryCheck({ myArrayOfStrings: { "$type": "string" } }).test(vars)).toBeTruthy();
+            expect(new QueryCheck({ myArrayOfStrings: { "$type": "int" } }).test(vars)).toBeFalsy();
+        });
+
+        test('$type // non-existant variable has no type', () => {
+            const qc = new QueryCheck({ myUndefined: { "$type": ["null", "undefined"] } });
+            qc.setStrictMode(strictMode);
+            expect(() => qc.test(vars)).toThrow('$type: unsupported type undefined');
+            expect(new QueryCheck({ myUndefined: { "$type": "null" } }).test(vars)).toBeFalsy();
+        });
+
+        test('$nin full syntax // int $nin array', () => {
+            const qc = new QueryCheck({ myInt: { "$nin": ["A", "B"] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$nin full syntax // int $nin array (but int included)', () => {
+            const qc = new QueryCheck({ myInt: { "$nin": ["A", 137] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+        });
+
+        test('$nin full syntax // array value with an element in the list', () => {
+            const qc = new QueryCheck({ myArrayOfStrings: { "$nin": ["chocolate", "mint"] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(new QueryCheck({ myArrayOfStrings: { "$nin": ["mint"] } }).test(vars)).toBeTruthy();
+            expect(new QueryCheck({ myArrayOfStrings: { "$nin": [["vanilla", "strawberry", "chocolate"]] } }).test(vars)).toBeFalsy();
+            expect(new QueryCheck({ myArrayOfStrings: { "$in": ["chocolate", "mint"] } }).test(vars)).toBeTruthy();
+        });
+
+        test('$nin full syntax // operand is not an array', () => {
+            const qc = new QueryCheck({ myInt: { "$nin": 137 } });
+            qc.setStrictMode(strictMode);
+            if (strictMode) {
+                expect(() => qc.test(vars)).toThrow(TypeError);
+            } else {
+                expect(qc.test(vars)).toBeFalsy();
+            }
+        });
+
+        test('$mod full syntax // 137 % 4 == 1', () => {
+            const qc = new QueryCheck({ myInt: { "$mod": [4, 1] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$mod full syntax // 137 % 4 != 0', () => {
+            const qc = new QueryCheck({ myInt: { "$mod": [4, 0] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+        });
+
+        test('$mod full syntax // invalid operand', () => {
+            const qc = new QueryCheck({ myInt: { "$mod": [0, 1] } });
+            qc.setStrictMode(strictMode);
+            if (strictMode) {
+                expect(() => qc.test(vars)).toThrow(TypeError);
+            } else {
+                expect(qc.test(vars)).toBeFalsy();
+            }
+        });
+
+        test('$mod full syntax // string variable', () => {
+            const qc = new QueryCheck({ myIntAsString: { "$mod": [4, 1] } });
+            qc.setStrictMode(strictMode);
+            if (strictMode) {
+                expect(() => qc.test(vars)).toThrow(TypeError);
+            } else {
+                expect(qc.test(vars)).toBeFalsy();
+            }
+        });
+
+    });
+}
+
+
+function arrayTests(strictMode) {
+
+    describe('Array operator tests', () => {
+
+        test('$all // array contains all values', () => {
+            const qc = new QueryCheck({ myArrayOfInts: { "$all": [50, 10] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$all // array does not contain all values', () => {
+            const qc = new QueryCheck({ myArrayOfInts: { "$all": [10, 11] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+        });
+
+        test('$all // array of objects', () => {
+            const qc = new QueryCheck({ myArrayOfObjects: { "$all": [{x: 40, y: 41}, {x: 10, y: 11}] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$all // empty operand never matches', () => {
+            const qc = new QueryCheck({ myArrayOfInts: { "$all": [] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+        });
+
+        test('$all // operand is not an array', () => {
+            const qc = new QueryCheck({ myArrayOfInts: { "$all": 10 } });
+            qc.setStrictMode(strictMode);
+            if (strictMode) {
+                expect(() => qc.test(vars)).toThrow(TypeError);
+            } else {
+                expect(qc.test(vars)).toBeFalsy();
+            }
+        });
+
+        test('$size // array has exactly n items', () => {
+            const qc = new QueryCheck({ myArrayOfInts: { "$size": 5 }, myArrayOfObjects: { "$size": 3 } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$size // array has a different number of items', () => {
+            const qc = new QueryCheck({ myArrayOfInts: { "$size": 4 } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+        });
+
+        test('$size // variable is not an array', () => {
+            const qc = new QueryCheck({ myString: { "$size": 16 } });
+            qc.setStrictMode(strictMode);
+            if (strictMode) {
+                expect(() => qc.test(vars)).toThrow(TypeError);
+            } else {
+                expect(qc.test(vars)).toBeFalsy();
+            }
+        });
+
+        test('$elemMatch // one element matches all conditions', () => {
+            const qc = new QueryCheck({ myArrayOfObjects: { "$elemMatch": { x: { "$gt": 10 }, y: { "$lt": 30 } } } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$elemMatch // conditions only match on different elements', () => {
+            const qc = new QueryCheck({ myArrayOfObjects: { "$elemMatch": { x: { "$gt": 30 }, y: { "$lt": 30 } } } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+        });
+
+        test('$elemMatch // sub query with boolean operators', () => {
+            const qc = new QueryCheck({ myArrayOfObjects: { "$elemMatch": { "$or": [{ x: 5 }, { y: 41 }] } } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$elemMatch // operator-only expression on array of scalars', () => {
+            const qc = new QueryCheck({ myArrayOfInts: { "$elemMatch": { "$gt": 20, "$lt": 40 } } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(new QueryCheck({ myArrayOfInts: { "$elemMatch": { "$gt": 20, "$lt": 30 } } }).test(vars)).toBeFalsy();
+        });
+
+        test('$elemMatch // variable is not an array', () => {
+            const qc = new QueryCheck({ mySimpleObject: { "$elemMatch": { x: 30 } } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+        });
+
+    });
+}
+
+
+function arrayTraversalTests(strictMode) {
+
+    describe('Array traversal tests', () => {
+
+        test('$eq short syntax // array.x == int (any element)', () => {
+            const qc = new QueryCheck({ "myArrayOfObjects.x": 20 });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$eq short syntax // array.x == int (no element)', () => {
+            const qc = new QueryCheck({ "myArrayOfObjects.x": 30 });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+        });
+
+        test('$eq short syntax // nested arrays', () => {
+            const qc = new QueryCheck({ "myOrders.items.sku": "C-300" });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$eq short syntax // nested arrays with missing sub-variables', () => {
+            const qc = new QueryCheck({ "myOrders.items.tags": "sale" });
+            qc.setStrictMode(strictMode);
+            if (!strictMode) {
+                expect(qc.test(vars)).toBeTruthy();
+            } else {
+                expect(() => qc.test(vars)).toThrow(TypeError);
+            }
+        });
+
+        test('$eq short syntax // numeric index in dotted path', () => {
+            const qc = new QueryCheck({ "myArrayOfObjects.1.x": 20, "myOrders.0.items.price": 25 });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(new QueryCheck({ "myOrders.0.items.price": 5 }).test(vars)).toBeFalsy();
+        });
+
+        test('$gt/$lt full syntax // any element', () => {
+            const qc = new QueryCheck({ "myOrders.items.price": { "$gt": 20 } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(new QueryCheck({ "myOrders.items.price": { "$lt": 5 } }).test(vars)).toBeFalsy();
+        });
+
+        test('$in full syntax // any element', () => {
+            const qc = new QueryCheck({ "myOrders.items.sku": { "$in": ["X-999", "B-200"] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$regex full syntax // any element', () => {
+            const qc = new QueryCheck({ "myOrders.items.sku": { "$regex": "^c-", "$options": "i" } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(new QueryCheck({ "myOrders.items.sku": { "$regex": "^D-" } }).test(vars)).toBeFalsy();
+        });
+
+        test('$ne full syntax // none of the elements matches', () => {
+            const qc = new QueryCheck({ "myArrayOfObjects.x": { "$ne": 20 } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(new QueryCheck({ "myArrayOfObjects.x": { "$ne": 30 } }).test(vars)).toBeTruthy();
+        });
+
+        test('$nin full syntax // none of the elements matches', () => {
+            const qc = new QueryCheck({ "myOrders.items.sku": { "$nin": ["X-999", "B-200"] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(new QueryCheck({ "myOrders.items.sku": { "$nin": ["X-999"] } }).test(vars)).toBeTruthy();
+        });
+
+        test('$not full syntax // no element matches', () => {
+            const qc = new QueryCheck({ "myArrayOfObjects.x": { "$not": { "$gt": 30 } } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+        });
+
+        test('$exists // any element', () => {
+            const qc = new QueryCheck({ "myOrders.items.tags": { "$exists": true }, "myOrders.items.color": { "$exists": false } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('$gt/$lt full syntax // elements of an array value', () => {
+            const qc = new QueryCheck({ myArrayOfInts: { "$gt": 40 } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(new QueryCheck({ myArrayOfInts: { "$gt": 50 } }).test(vars)).toBeFalsy();
+            expect(new QueryCheck({ myArrayOfInts: { "$gte": 50, "$lt": 10 } }).test(vars)).toBeFalsy();
+            expect(new QueryCheck({ myArrayOfInts: { "$lte": 10 } }).test(vars)).toBeTruthy();
+            expect(new QueryCheck({ myArrayOfInts: { "$gt": 0 } }).test({ myArrayOfInts: [] })).toBeFalsy();
+        });
+
+        test('$gt/$lt full syntax // elements of arrays at the end of a path', () => {
+            const data = { items: [{ prices: [5, 15] }, { prices: [8] }] };
+            const qc = new QueryCheck({ "items.prices": { "$gt": 10 } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(data)).toBeTruthy();
+            expect(new QueryCheck({ "items.prices": { "$gt": 15 } }).test(data)).toBeFalsy();
+            expect(new QueryCheck({ "items.prices": { "$lt": 6 } }).test(data)).toBeTruthy();
+        });
+
+        test('$in full syntax // elements of arrays at the end of a path', () => {
+            const qc = new QueryCheck({ "myOrders.items.tags": { "$in": ["new", "old"] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(new QueryCheck({ "myOrders.items.tags": { "$in": ["old"] } }).test(vars)).toBeFalsy();
+            expect(new QueryCheck({ myArrayOfInts: { "$in": [30, 60] } }).test(vars)).toBeTruthy();
+        });
+
+        test('$ne full syntax // elements of an array value', () => {
+            const qc = new QueryCheck({ myArrayOfInts: { "$ne": 30 } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(new QueryCheck({ myArrayOfInts: { "$ne": 35 } }).test(vars)).toBeTruthy();
+            expect(new QueryCheck({ myArrayOfInts: { "$ne": [10, 20, 30, 40, 50] } }).test(vars)).toBeFalsy();
+            expect(new QueryCheck({ myArrayOfInts: { "$ne": 30 } }).test({ myArrayOfInts: [] })).toBeTruthy();
+        });
+
+        test('$ne full syntax // elements of arrays at the end of a path', () => {
+            const qc = new QueryCheck({ "myOrders.items.tags": { "$ne": "sale" } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(new QueryCheck({ "myOrders.items.tags": { "$ne": "old" } }).test(vars)).toBeTruthy();
+        });
+
+        test('$size, $all, $elemMatch and $eq with an array test the whole array', () => {
+            const data = { items: [{ tags: ["sale", "new"] }, { tags: ["old"] }] };
+            const qc = new QueryCheck({ "items.tags": { "$size": 2, "$all": ["new", "sale"] } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(data)).toBeTruthy();
+            expect(new QueryCheck({ "items.tags": { "$size": 3 } }).test(data)).toBeFalsy();
+            expect(new QueryCheck({ "items.tags": { "$all": ["new", "old"] } }).test(data)).toBeFalsy();
+            expect(new QueryCheck({ "items.tags": ["old"] }).test(data)).toBeTruthy();
+            expect(new QueryCheck({ myArrayOfInts: { "$elemMatch": { "$gt": 15, "$lt": 25 } } }).test(vars)).toBeTruthy();
+            expect(new QueryCheck({ myArrayOfInts: { "$elemMatch": { "$gt": 20, "$lt": 30 } } }).test(vars)).toBeFalsy();
+            expect(new QueryCheck({ myArrayOfInts: [10, 20, 30, 40, 50] }).test(vars)).toBeTruthy();
+            expect(new QueryCheck({ myArrayOfInts: [10, 20] }).test(vars)).toBeFalsy();
+        });
+
+        test('$elemMatch // nested array of objects', () => {
+            const qc = new QueryCheck({ "myOrders.items": { "$elemMatch": { sku: "B-200", price: { "$gte": 25 } } } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(new QueryCheck({ "myOrders.items": { "$elemMatch": { sku: "B-200", price: 5 } } }).test(vars)).toBeFalsy();
+        });
+
+        test('getVariableValue() collects all candidate values', () => {
+            const qc = new QueryCheck({});
+            qc.setStrictMode(strictMode);
+            expect(qc.getVariableValue("myOrders.items.price", vars)).toEqual([10, 25, 5]);
+            expect(qc.getVariableValue("myOrders.id", vars)).toEqual([1, 2]);
+        });
+
+    });
+}
+
+
 function combinedTests(strictMode) {
 
     describe('Combined tests', () => {
@@ -507,6 +903,50 @@ function combinedTests(strictMode) {
             expect(qc.test(vars)).toBeTruthy();
         });
 
+        test('NORed full syntax // true', () => {
+            const qc = new QueryCheck({"$nor": [{myString: "this is a different string"}, {myInt: 138}]});
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('NORed full syntax // false', () => {
+            const qc = new QueryCheck({"$nor": [{myString: "this is a different string"}, {myInt: 137}]});
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).not.toBeTruthy();
+        });
+
+        test('NORed full syntax // operand is not an array', () => {
+            const qc = new QueryCheck({"$nor": {myInt: 137}});
+            qc.setStrictMode(strictMode);
+            expect(() => qc.test(vars)).toThrow('$nor can only operate on arrays of queries');
+        });
+
+        test('NOT of sub-OR full syntax', () => {
+            const qc = new QueryCheck({"$not": {"$or": [{myString: "this is a different string"}, {myInt: 138}]}});
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('NOT of implicit AND', () => {
+            const qc = new QueryCheck({"$not": {myString: "this is a string", myInt: 137}});
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).not.toBeTruthy();
+        });
+
+        test('NOT with $regex', () => {
+            const qc = new QueryCheck({myString: {"$not": {"$regex": "^that"}}});
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(new QueryCheck({myString: {"$not": {"$regex": "^THIS", "$options": "i"}}}).test(vars)).toBeFalsy();
+        });
+
+        test('NOT with native regular expression', () => {
+            const qc = new QueryCheck({myString: {"$not": /^that/}});
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(new QueryCheck({myString: {"$not": /^THIS/i}}).test(vars)).toBeFalsy();
+        });
+
         test('implicit AND with $in, $not, $gt and $lt (opening hours 1)', () => {
 
             const qc = new QueryCheck(
@@ -537,6 +977,153 @@ function combinedTests(strictMode) {
 }
 
 
+function validationTests(strictMode) {
+
+    describe('Validation tests', () => {
+
+        test('valid query has no issues', () => {
+            const issues = QueryCheck.validate({ myInt: { "$gt": 100, "$in": [137] }, "$or": [{ myString: { "$regex": "^this" } }, { myNull: null }] }, { strictMode });
+            expect(issues).toEqual([]);
+        });
+
+        test('unknown operators are reported with their location', () => {
+            const issues = QueryCheck.validate({ "$or": [{ myInt: 1 }, { myInt: { "$gt": 1, "$foo": 2 } }], "$bar": [] }, { strictMode });
+            expect(issues).toEqual([
+                { pointer: '/$or/1/myInt/$foo', code: 'UNKNOWN_OPERATOR', message: 'Unsupported expression operator: $foo' },
+                { pointer: '/$bar', code: 'UNKNOWN_OPERATOR', message: 'Unsupported boolean operator: $bar' },
+            ]);
+        });
+
+        test('unknown operators without a known one are reported', () => {
+            const issues = QueryCheck.validate({ myInt: { "$gtt": 5 }, mySimpleObject: { "$foo": 1, x: 30 }, myObject: { userName: "maurice" } }, { strictMode });
+            expect(issues).toEqual([
+                { pointer: '/myInt/$gtt', code: 'UNKNOWN_OPERATOR', message: 'Unsupported expression operator: $gtt' },
+                { pointer: '/mySimpleObject/$foo', code: 'UNKNOWN_OPERATOR', message: 'Unsupported expression operator: $foo' },
+            ]);
+            expect(QueryCheck.validate({ created: { "$date": "2020-05-21T00:00:00Z" } }, { strictMode })).toEqual([]);
+            expect(QueryCheck.validate({ myInt: { "$var": "myFloat" } }, { strictMode, operandEvaluator: opEvaluator })).toEqual([]);
+        });
+
+        test('all problems of a query are reported', () => {
+            const issues = QueryCheck.validate({ "$and": [{ "": 1 }, { "$or": { myInt: 1 } }, "not a query", { "a/b": { "$not": { "$regex": "(" } } }] }, { strictMode });
+            expect(issues.map((issue) => [issue.pointer, issue.code])).toEqual([
+                ['/$and/0/', 'EMPTY_KEY'],
+                ['/$and/1/$or', 'INVALID_OPERAND'],
+                ['/$and/2', 'INVALID_QUERY'],
+                ['/$and/3/a~1b/$not/$regex', 'INVALID_REGEX'],
+            ]);
+        });
+
+        test('invalid $type alias is reported', () => {
+            const issues = QueryCheck.validate({ myInt: { "$type": ["int", "integer"] } }, { strictMode });
+            expect(issues).toEqual([{ pointer: '/myInt/$type', code: 'INVALID_OPERAND', message: '$type: unsupported type integer' }]);
+        });
+
+        test('invalid operands are reported in strict mode', () => {
+            const issues = QueryCheck.validate({ myInt: { "$in": 137 }, myArrayOfInts: { "$size": -1 } }, { strictMode });
+            if (strictMode) {
+                expect(issues).toEqual([
+                    { pointer: '/myInt/$in', code: 'INVALID_OPERAND', message: '$in: operand must be an array' },
+                    { pointer: '/myArrayOfInts/$size', code: 'INVALID_OPERAND', message: '$size: operand must be a non-negative integer' },
+                ]);
+            } else {
+                expect(issues).toEqual([]);
+            }
+        });
+
+        test('operands which might get evaluated are not checked', () => {
+            const issues = QueryCheck.validate({ myInt: { "$in": { "$var": "myArrayOfInts" } } }, { strictMode, operandEvaluator: opEvaluator });
+            expect(issues).toEqual([]);
+        });
+
+        test('query must be an object', () => {
+            expect(QueryCheck.validate(["myInt"], { strictMode })[0].code).toBe('INVALID_QUERY');
+            expect(() => new QueryCheck("myInt").test(vars)).toThrow(SyntaxError);
+        });
+
+        test('validate() on an instance uses its settings', () => {
+            const qc = new QueryCheck({ myInt: { "$nin": 137 } });
+            qc.setStrictMode(strictMode);
+            expect(qc.validate().length).toBe(strictMode ? 1 : 0);
+        });
+
+    });
+}
+
+
+function explainTests(strictMode) {
+
+    describe('Explain tests', () => {
+
+        test('explain() returns a trace mirroring the query', () => {
+            const qc = new QueryCheck({ myInt: { "$gt": 200 }, "$or": [{ myString: "this is a string" }, { myNull: { "$ne": null } }] });
+            qc.setStrictMode(strictMode);
+            qc.setEvaluateAll(true);
+            const trace = qc.explain(vars);
+
+            expect(trace.type).toBe('query');
+            expect(trace.result).toBe(false);
+            expect(trace.result).toBe(qc.test(vars));
+
+            const and = trace.children[0];
+            expect(and).toMatchObject({ type: 'boolean', operator: '$and', implicit: true, result: false });
+            expect(and.children[0]).toMatchObject({ type: 'field', pointer: '/myInt', variable: 'myInt', value: 137, result: false });
+            expect(and.children[0].children[0]).toMatchObject({ type: 'operator', pointer: '/myInt/$gt', operator: '$gt', operand: 200, value: 137, result: false });
+
+            const or = and.children[1];
+            expect(or).toMatchObject({ type: 'boolean', operator: '$or', pointer: '/$or', result: true });
+            expect(or.children[1].children[0]).toMatchObject({ pointer: '/$or/1/myNull/$ne', operator: '$ne', operand: null, value: null, result: false });
+        });
+
+        test('explain() records the operand after evaluation', () => {
+            const qc = new QueryCheck({ myInt: { "$lt": { "$var": "myArrayOfInts[4]" } } });
+            qc.setOperandEvaluator(opEvaluator);
+            qc.setStrictMode(strictMode);
+            const operatorNode = qc.explain(vars).children[0].children[0];
+            expect(operatorNode).toMatchObject({ operator: '$lt', operand: 50, value: 137, result: false });
+        });
+
+        test('explain() records thrown errors', () => {
+            const qc = new QueryCheck({ "$and": [{ myInt: { "$gt": "100" } }] });
+            qc.setStrictMode(strictMode);
+            const trace = qc.explain(vars);
+            const operatorNode = trace.children[0].children[0].children[0];
+            if (strictMode) {
+                expect(trace.result).toBeUndefined();
+                expect(trace.error).toBeInstanceOf(TypeError);
+                expect(operatorNode.error).toBe(trace.error);
+                expect(trace.children[0].error).toBeUndefined();
+            } else {
+                expect(trace.result).toBe(true);
+                expect(operatorNode.error).toBeUndefined();
+            }
+        });
+
+        test('formatTrace() renders a readable trace', () => {
+            const qc = new QueryCheck({ myInt: { "$gt": 200 }, myString: { "$not": { "$in": ["a", "b"] } } });
+            qc.setStrictMode(strictMode);
+            qc.setEvaluateAll(true);
+            expect(QueryCheck.formatTrace(qc.explain(vars))).toBe([
+                'query → false',
+                '  $and (implicit) → false',
+                '    myInt: 137 $gt 200 → false',
+                '    myString: "this is a string" $not → true',
+                '      myString: "this is a string" $in ["a","b"] → false',
+            ].join('\n'));
+        });
+
+        test('explain() omits clauses skipped by short-circuit evaluation', () => {
+            const qc = new QueryCheck({ myInt: { "$gt": 200 }, "$or": [{ myString: "this is a string" }, { myNull: { "$ne": null } }] });
+            qc.setStrictMode(strictMode);
+            const and = qc.explain(vars).children[0];
+            expect(and.result).toBe(false);
+            expect(and.children.length).toBe(1);
+        });
+
+    });
+}
+
+
 let opEvalFuncs = {
     '$time': timeFunc,
     '$concat': concatFunc,
@@ -625,6 +1212,99 @@ function varFunc(params, data) {
     return this.getVariableValue(params.name, data);
 }
 
+function evaluationTests(strictMode) {
+
+    describe('Evaluation order tests', () => {
+
+        const countingEvaluator = (calls) => function (operand, data) {
+            calls.push(operand);
+            return opEvaluator.apply(this, [operand, data]);
+        };
+
+        test('$or stops at the first matching clause', () => {
+            const calls = [];
+            const qc = new QueryCheck({ "$or": [{ myInt: 137 }, { myString: { "$eq": { "$var": "myString" } } }] });
+            qc.setOperandEvaluator(countingEvaluator(calls));
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(calls).toEqual([137]);
+        });
+
+        test('$and and $nor stop at the first deciding clause', () => {
+            const calls = [];
+            const qc = new QueryCheck({ "$and": [{ myInt: 1 }, { myString: { "$var": "myString" } }], "$nor": [{ myInt: 137 }, { myNull: 1 }] });
+            qc.setOperandEvaluator(countingEvaluator(calls));
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(calls).toEqual([1]);
+
+            calls.length = 0;
+            qc.setEvaluateAll(true);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(calls).toEqual([1, { "$var": "myString" }, 137, 1]);
+        });
+
+        test('later clauses do not throw once the result is known', () => {
+            const qc = new QueryCheck({ myInt: { "$lt": 100, "$gt": "100" }, "$or": [{ myString: { "$regex": "string" } }, { myInt: { "$gt": "x" } }] });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+
+            qc.setEvaluateAll(true);
+            if (strictMode) {
+                expect(() => qc.test(vars)).toThrow(TypeError);
+            } else {
+                expect(qc.test(vars)).toBeFalsy();
+            }
+        });
+
+        test('reordering evaluates cheap clauses first', () => {
+            const calls = [];
+            const qc = new QueryCheck({ "$or": [{ myString: { "$eq": { "$var": "myString" } } }, { myString: { "$regex": "^this" } }, { myInt: 137 }] });
+            qc.setOperandEvaluator(countingEvaluator(calls));
+            qc.setStrictMode(strictMode);
+            qc.setReorderClauses(true);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(calls).toEqual([137]);
+        });
+
+        test('reordering keeps the results', () => {
+            const queries = [
+                { myInt: { "$gt": 100, "$in": [1, 137], "$lt": { "$var": "myArrayOfInts[4]" } } },
+                { "$or": [{ myArrayOfObjects: { "$elemMatch": { x: 20 } } }, { myString: /string$/ }, { myNull: null }] },
+                { "$nor": [{ myString: { "$regex": "^x" } }, { "myObject.userName": "maurice" }] },
+                { myString: { "$not": { "$regex": "^x" } }, myArrayOfInts: { "$size": 5, "$all": [10, 50] }, myNull: { "$exists": true } },
+            ];
+
+            for (let query of queries) {
+                const qc = new QueryCheck(query);
+                qc.setOperandEvaluator(opEvaluator);
+                qc.setStrictMode(strictMode);
+                const expected = qc.test(vars);
+
+                qc.setReorderClauses(true);
+                expect(qc.test(vars)).toBe(expected);
+            }
+        });
+
+        test('custom operators declare their cost', () => {
+            const calls = [];
+            const qc = new QueryCheck({ myInt: { "$slow": null }, myString: { "$cheap": null } });
+            qc.registerOperator({ name: '$slow', cost: 50, evaluate: () => calls.push('$slow') && false });
+            qc.registerOperator({ name: '$cheap', cost: 0, evaluate: () => calls.push('$cheap') && false });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(calls).toEqual(['$slow']);
+
+            calls.length = 0;
+            qc.setReorderClauses(true);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(calls).toEqual(['$cheap']);
+        });
+
+    });
+}
+
+
 function opEvaluator(operand, data) {
     const isObject = typeof(operand) === 'object' && !Array.isArray(operand) && operand !== null;
     if (!isObject) {
@@ -693,6 +1373,14 @@ function extendingTests(strictMode) {
             expect(qc.test(vars)).toBeTruthy();
         });
 
+        test('$var function inside $not', () => {
+            const qc = new QueryCheck({ "myInt": {"$not": {"$gt": {"$var": "myArrayOfInts[4]"}}} });
+            qc.setOperandEvaluator(opEvaluator);
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(qc.test({ ...vars, myInt: 50 })).toBeTruthy();
+        });
+
         test('$lookup function with static map/key (key exists)', () => {
             const qc = new QueryCheck({ "myObject.userName": {"$lookup": {"map": {"this": "is", "a": "lookup", "user": "maurice"}, "key": "user", "default": null} }});
             qc.setOperandEvaluator(opEvaluator);
@@ -725,16 +1413,106 @@ function extendingTests(strictMode) {
 }
 
 
+function compileTests(strictMode) {
+
+    describe('Compiled query tests', () => {
+
+        test('compile() returns a predicate equivalent to test()', () => {
+            const qc = new QueryCheck({ myInt: { "$gt": 100, "$lt": 200 }, "myArrayOfObjects[1].x": 20 });
+            qc.setStrictMode(strictMode);
+            const predicate = qc.compile();
+            expect(typeof predicate).toBe('function');
+            expect(predicate(vars)).toBe(qc.test(vars));
+            expect(predicate(vars)).toBeTruthy();
+            expect(predicate({ myInt: 99, myArrayOfObjects: [{x: 10}, {x: 20}] })).toBeFalsy();
+        });
+
+        test('compile() is only done once', () => {
+            const qc = new QueryCheck({ myInt: 137 });
+            qc.setStrictMode(strictMode);
+            expect(qc.compile()).toBe(qc.compile());
+        });
+
+        test('compiled predicate is discarded when the query or the operand evaluator change', () => {
+            const qc = new QueryCheck({ myString: { "$regex": "^this" } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+
+            qc.query = { myString: { "$regex": "^that" } };
+            expect(qc.query).toEqual({ myString: { "$regex": "^that" } });
+            expect(qc.test(vars)).toBeFalsy();
+
+            qc.query = { myString: { "$regex": { "$var": "myStringFlavor" } } };
+            if (!strictMode) {
+                expect(qc.test({ myString: "strawberry", myStringFlavor: "^straw" })).toBeFalsy();
+            } else {
+                expect(() => qc.test({ myString: "strawberry", myStringFlavor: "^straw" })).toThrow(TypeError);
+            }
+            qc.setOperandEvaluator(opEvaluator);
+            expect(qc.test({ myString: "strawberry", myStringFlavor: "^straw" })).toBeTruthy();
+        });
+
+        test('compiled predicate checks input data', () => {
+            const qc = new QueryCheck({ myInt: 137 });
+            qc.setStrictMode(strictMode);
+            const predicate = qc.compile();
+            if (strictMode) {
+                expect(() => predicate(null)).toThrow(TypeError);
+            } else {
+                expect(predicate(null)).toBeFalsy();
+            }
+        });
+
+        test('unsupported operators are reported when compiling', () => {
+            const qc = new QueryCheck({ "$or": [{ myInt: 137 }, { myInt: { "$eq": 1, "$unknown": 1 } }] });
+            qc.setStrictMode(strictMode);
+            expect(() => qc.compile()).toThrow('Unsupported expression operator: $unknown');
+        });
+
+        test('compiled $regex with global flag matches repeatedly', () => {
+            const qc = new QueryCheck({ myString: { "$regex": "string", "$options": "g" } });
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('compiled $regex with changing evaluated operand', () => {
+            const qc = new QueryCheck({ myString: { "$regex": {"$var": "pattern"} } });
+            qc.setOperandEvaluator(opEvaluator);
+            qc.setStrictMode(strictMode);
+            expect(qc.test({ myString: "abc", pattern: "^a" })).toBeTruthy();
+            expect(qc.test({ myString: "abc", pattern: "^b" })).toBeFalsy();
+            expect(qc.test({ myString: "bcd", pattern: "^b" })).toBeTruthy();
+        });
+
+    });
+}
+
+
 describe('Testing in STANDARD mode', () => {
     simpleTests(false);
+    elementTests(false);
+    arrayTests(false);
+    arrayTraversalTests(false);
     combinedTests(false);
     extendingTests(false);
+    compileTests(false);
+    evaluationTests(false);
+    validationTests(false);
+    explainTests(false);
 });
 
 describe('Testing in STRICT mode', () => {
     simpleTests(true);
+    elementTests(true);
+    arrayTests(true);
+    arrayTraversalTests(true);
     combinedTests(true);
     extendingTests(true);
+    compileTests(true);
+    evaluationTests(true);
+    validationTests(true);
+    explainTests(true);
 });
 
 /**/
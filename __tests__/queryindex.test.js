@@ -0,0 +1,229 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const values = [undefined, null, 0, 1, 5, 5.5, 10, -1, "5", "10", "abc", "", true, false, [5], [1, 10], [], [[5]], [null], BigInt(5), new Date(5), new Date('2020-05-21T00:00:00Z'), { x: 1 }];
+
+const documents = [].concat(
+    values.map((a) => ({ a })),
+    values.map((a) => ({ a, b: "x", items: [{ qty: a }, { qty: 2 }] })),
+    [
+        { a: 5, b: "y", items: [] },
+        { a: 10, b: "x", items: [{ qty: 1, sku: "a1" }, { qty: 12, sku: "b2" }] },
+        { a: [5, "x"], b: ["x", "y"], items: [{ qty: [3, 7] }] },
+        { b: "X", items: { qty: 5 } },
+    ]
+);
+
+const queries = [
+    {},
+    { a: 5 },
+    { a: { "$eq": 5 } },
+    { a: "5" },
+    { a: null },
+    { a: true },
+    { a: [5] },
+    { a: { "$in": [1, "10", null] } },
+    { a: { "$in": [] } },
+    { a: { "$in": [5, BigInt(10)] } },
+    { a: { "$gt": 1 } },
+    { a: { "$gte": 5 } },
+    { a: { "$lt": 5 } },
+    { a: { "$lte": 0 } },
+    { a: { "$gt": 1, "$lt": 10 } },
+    { a: { "$gt": -2, "$lte": 5.5 } },
+    { a: { "$gte": { "$numberLong": "5" } } },
+    { a: { "$lt": { "$date": "2021-01-01T00:00:00Z" } } },
+    { a: { "$gt": new Date(0) } },
+    { a: { "$gt": "4" } },
+    { a: { "$date": "2020-05-21T00:00:00Z" } },
+    { a: 5, b: "x" },
+    { a: { "$gte": 1 }, b: { "$in": ["x", "y"] } },
+    { "$and": [{ a: { "$gt": 0 } }, { "$and": [{ b: "x" }] }] },
+    { "$or": [{ a: 5 }, { b: "y" }] },
+    { a: { "$ne": 5 } },
+    { a: { "$exists": false } },
+    { a: 5, "$or": [{ b: "x" }, { b: { "$exists": false } }] },
+    { a: { "$in": [5, 10], "$nin": ["5"] } },
+    { b: /^x/i },
+    { "items.qty": 2 },
+    { "items.qty": { "$gt": 6 } },
+    { "items.qty": { "$gte": 1, "$lte": 3 } },
+    { items: { "$elemMatch": { qty: { "$gt": 1 } } }, a: { "$lt": 100 } },
+    { "items.0.qty": { "$in": [5, 1] } },
+    { "items.sku": "a1", "items.qty": 12 },
+];
+
+function queryIndexTests(strictMode, undefinedEqualsNull) {
+
+    function createQueryCheck(query) {
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(strictMode);
+        qc.setUndefinedEqualsNull(undefinedEqualsNull);
+        return qc;
+    }
+
+    function expected(doc) {
+        return queries.map((query, i) => i).filter((i) => {
+            try {
+                return createQueryCheck(queries[i]).test(doc);
+            } catch (e) {
+                return false;
+            }
+        });
+    }
+
+    test('same results as test()', () => {
+        const index = QueryCheck.createIndex();
+        queries.forEach((query, i) => index.add(i, createQueryCheck(query)));
+
+        for (let doc of documents) {
+            expect([doc, index.match(doc)]).toEqual([doc, expected(doc)]);
+        }
+    });
+
+    test('same results after removing and replacing queries', () => {
+        const index = QueryCheck.createIndex();
+        queries.forEach((query, i) => index.add(i, createQueryCheck(query)));
+        queries.forEach((query, i) => {
+            if (i % 2 == 0) {
+                index.remove(i);
+            }
+        });
+        index.add(1, createQueryCheck(queries[1]));
+
+        for (let doc of documents) {
+            const ids = expected(doc).filter((i) => i % 2 == 1);
+            // replaced queries come last
+            const replaced = ids.indexOf(1) !== -1 ? ids.filter((i) => i != 1).concat([1]) : ids;
+            expect([doc, index.match(doc)]).toEqual([doc, replaced]);
+        }
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    queryIndexTests(false, false);
+
+    describe('undefined equals null', () => {
+        queryIndexTests(false, true);
+    });
+});
+
+describe('Testing in STRICT mode', () => {
+    queryIndexTests(true, false);
+
+    describe('undefined equals null', () => {
+        queryIndexTests(true, true);
+    });
+});
+
+describe('QueryIndex', () => {
+
+    test('add, remove and match', () => {
+        const index = QueryCheck.createIndex();
+        index.add('cheap', { type: "offer", price: { "$lt": 10 } })
+            .add('range', { type: { "$in": ["offer", "sale"] }, price: { "$gte": 5, "$lte": 20 } })
+            .add('any', {});
+
+        expect(index.size()).toBe(3);
+        expect(index.ids()).toEqual(['cheap', 'range', 'any']);
+        expect(index.match({ type: "offer", price: 5 })).toEqual(['cheap', 'range', 'any']);
+        expect(index.match({ type: "sale", price: 30 })).toEqual(['any']);
+
+        expect(index.remove('cheap')).toBe(true);
+        expect(index.remove('cheap')).toBe(false);
+        expect(index.has('cheap')).toBe(false);
+        expect(index.match({ type: "offer", price: 5 })).toEqual(['range', 'any']);
+
+        index.clear();
+        expect(index.size()).toBe(0);
+        expect(index.match({ type: "offer", price: 5 })).toEqual([]);
+    });
+
+    test('replacing a query', () => {
+        const index = QueryCheck.createIndex();
+        index.add(1, { a: 1 });
+        index.add(1, { a: 2 });
+        expect(index.size()).toBe(1);
+        expect(index.match({ a: 1 })).toEqual([]);
+        expect(index.match({ a: 2 })).toEqual([1]);
+        expect(index.get(1).query).toEqual({ a: 2 });
+        expect(index.get(2)).toBeUndefined();
+    });
+
+    test('invalid queries are not added', () => {
+        const index = QueryCheck.createIndex();
+        index.add(1, { a: 1 });
+        expect(() => index.add(1, { "$and": {} })).toThrow();
+        expect(index.match({ a: 1 })).toEqual([1]);
+        expect(() => index.add(2, { a: { "$gt": 1, "$unknown": 1 } })).toThrow();
+        expect(index.has(2)).toBe(false);
+    });
+
+    test('documents which are not objects', () => {
+        const index = QueryCheck.createIndex();
+        index.add(1, {});
+        expect(index.match(null)).toEqual([]);
+        expect(index.match([1])).toEqual([]);
+        expect(index.match({})).toEqual([1]);
+    });
+
+    test('only candidates with unindexed conditions are evaluated', () => {
+        const index = QueryCheck.createIndex();
+        const evaluations = {};
+        const add = (id, query) => {
+            const qc = new QueryCheck(query);
+            const predicateFn = qc.compile();
+            evaluations[id] = 0;
+            qc.compile = () => (data) => {
+                ++evaluations[id];
+                return predicateFn(data);
+            };
+            index.add(id, qc);
+        };
+
+        add('eq', { type: "order", amount: { "$gte": 100 } });
+        add('in', { type: { "$in": ["order", "refund"] }, country: "DE" });
+        add('regex', { type: "order", name: /^a/ });
+        add('or', { "$or": [{ type: "refund" }, { amount: 0 }] });
+        add('coerced', { amount: "150" });
+
+        expect(index.match({ type: "order", amount: 150, country: "DE", name: "abc" })).toEqual(['eq', 'in', 'regex', 'coerced']);
+        expect(evaluations).toEqual({ eq: 0, in: 0, regex: 1, or: 1, coerced: 1 });
+
+        expect(index.match({ type: "refund", amount: 1, country: "FR" })).toEqual(['or']);
+        expect(evaluations).toEqual({ eq: 0, in: 0, regex: 1, or: 2, coerced: 1 });
+    });
+
+    test('custom operators and operand functions', () => {
+        const index = QueryCheck.createIndex();
+
+        const between = new QueryCheck({ n: { "$between": [1, 5] }, type: "x" });
+        between.registerOperator({ name: '$between', evaluate: (value, [lo, hi]) => value >= lo && value <= hi });
+        index.add('between', between);
+
+        const limit = new QueryCheck({ n: { "$lt": { "$var": "limit" } } });
+        limit.useOperandFunctions();
+        index.add('limit', limit);
+
+        const evaluator = new QueryCheck({ n: 3 });
+        evaluator.setOperandEvaluator((operand) => operand * 2);
+        index.add('evaluator', evaluator);
+
+        expect(index.match({ n: 3, type: "x", limit: 4 })).toEqual(['between', 'limit']);
+        expect(index.match({ n: 6, type: "x", limit: 4 })).toEqual(['evaluator']);
+    });
+
+    test('collation', () => {
+        const index = QueryCheck.createIndex();
+        const qc = new QueryCheck({ name: { "$in": ["Zoe", "anna"] } });
+        qc.setCollation({ locale: 'en', strength: 2 });
+        index.add('collated', qc);
+        index.add('plain', { name: "anna" });
+
+        expect(index.match({ name: "ANNA" })).toEqual(['collated']);
+        expect(index.match({ name: "anna" })).toEqual(['collated', 'plain']);
+    });
+
+});
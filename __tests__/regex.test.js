@@ -0,0 +1,215 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const vars = {
+    myString: "this is a string",
+    myPath: "/usr/bin",
+    myInt: 137,
+    myNull: null,
+    myTags: ["alpha", "Beta", 42],
+    myOrders: [{sku: "A-1"}, {sku: "b-2"}],
+    pattern: "/^THIS/i",
+};
+
+
+function regexTests(strictMode) {
+
+    function check(query, data) {
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(strictMode);
+        return qc.test(data || vars);
+    }
+
+    describe('Pattern forms', () => {
+
+        test('"/pattern/flags" strings', () => {
+            expect(check({ myString: { "$regex": "/^THIS/i" } })).toBeTruthy();
+            expect(check({ myString: { "$regex": "/^THIS/" } })).toBeFalsy();
+            expect(check({ myString: { "$regex": "/^THIS/", "$options": "i" } })).toBeTruthy();
+        });
+
+        test('strings looking like paths are patterns', () => {
+            expect(check({ myPath: { "$regex": "/usr/bin" } })).toBeTruthy();
+            expect(check({ myPath: { "$regex": "^/usr/" } })).toBeTruthy();
+        });
+
+        test('native RegExp operands', () => {
+            expect(check({ myString: { "$regex": /^THIS/i } })).toBeTruthy();
+            expect(check({ myString: { "$regex": /^THIS/ } })).toBeFalsy();
+            expect(check({ myString: { "$regex": /^THIS/, "$options": "i" } })).toBeTruthy();
+            expect(check({ myString: /string$/ })).toBeTruthy();
+            expect(check({ myString: { "$not": /^that/ } })).toBeTruthy();
+        });
+
+        test('native RegExp operands are not shared', () => {
+            const re = /string/g;
+            expect(check({ myString: re })).toBeTruthy();
+            expect(check({ myString: re })).toBeTruthy();
+            expect(re.lastIndex).toBe(0);
+        });
+
+        test('evaluated "/pattern/flags" operands', () => {
+            const qc = new QueryCheck({ myString: { "$regex": { "$var": "pattern" } } });
+            qc.useOperandFunctions();
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeTruthy();
+            expect(qc.test(Object.assign({}, vars, { pattern: "/^THIS/" }))).toBeFalsy();
+            expect(qc.test(Object.assign({}, vars, { pattern: /STRING$/i }))).toBeTruthy();
+        });
+
+    });
+
+    describe('Options', () => {
+
+        test('supported flags', () => {
+            expect(check({ myString: { "$regex": "^a", "$options": "m" } }, { myString: "b\na" })).toBeTruthy();
+            expect(check({ myString: { "$regex": "b.a", "$options": "s" } }, { myString: "b\na" })).toBeTruthy();
+            expect(check({ myString: { "$regex": "^\\u{74}", "$options": "u" } })).toBeTruthy();
+        });
+
+        test('extended flag ignores whitespace and comments', () => {
+            expect(check({ myString: { "$regex": "^this \\  is  # a comment\n [ ]a", "$options": "x" } })).toBeTruthy();
+            expect(check({ myString: { "$regex": "^this is", "$options": "x" } })).toBeFalsy();
+        });
+
+        test('unsupported and duplicate flags are rejected', () => {
+            expect(() => check({ myString: { "$regex": "a", "$options": "y" } })).toThrow(SyntaxError);
+            expect(() => check({ myString: { "$regex": "a", "$options": "ii" } })).toThrow('Duplicate $options flag "i"');
+        });
+
+        test('non-string options', () => {
+            if (strictMode) {
+                expect(() => check({ myString: { "$regex": "a", "$options": 1 } })).toThrow(TypeError);
+            } else {
+                expect(check({ myString: { "$regex": "a", "$options": 1 } })).toBeFalsy();
+            }
+        });
+
+    });
+
+    describe('Values', () => {
+
+        test('arrays match if any element matches', () => {
+            expect(check({ myTags: { "$regex": "^b", "$options": "i" } })).toBeTruthy();
+            expect(check({ myTags: { "$regex": "^gamma" } })).toBeFalsy();
+            expect(check({ myTags: { "$regex": "^42$" } })).toBeFalsy();
+            expect(check({ "myOrders.sku": /^b-/ })).toBeTruthy();
+            expect(check({ myTags: { "$not": /^b/i } })).toBeFalsy();
+        });
+
+        test('missing values and null never match', () => {
+            expect(check({ myMissing: { "$regex": "undefined" } })).toBeFalsy();
+            expect(check({ myNull: { "$regex": "null" } })).toBeFalsy();
+        });
+
+        test('non-string values are not stringified', () => {
+            if (strictMode) {
+                expect(() => check({ myInt: { "$regex": "137" } })).toThrow(TypeError);
+            } else {
+                expect(check({ myInt: { "$regex": "137" } })).toBeFalsy();
+            }
+        });
+
+        test('non-string operands', () => {
+            if (strictMode) {
+                expect(() => check({ myString: { "$regex": 137 } })).toThrow(TypeError);
+            } else {
+                expect(check({ myString: { "$regex": 137 } })).toBeFalsy();
+            }
+        });
+
+    });
+
+    describe('Compilation', () => {
+
+        test('invalid patterns are reported when compiling', () => {
+            const qc = new QueryCheck({ myString: { "$regex": "(" } });
+            qc.setStrictMode(strictMode);
+            expect(() => qc.compile()).toThrow(SyntaxError);
+        });
+
+        test('patterns are compiled once per query', () => {
+            const calls = [];
+            const qc = new QueryCheck({ myString: { "$regex": "^this" }, myTags: { "$regex": { "$var": "tag" } } });
+            qc.useOperandFunctions();
+            qc.setRegExpPolicy((source) => calls.push(source) > 0);
+            qc.setStrictMode(strictMode);
+
+            expect(calls).toEqual([]);
+            for (let tag of ["^a", "^B", "^a"]) {
+                expect(qc.test(Object.assign({}, vars, { tag }))).toBeTruthy();
+            }
+            expect(calls).toEqual(["^this", "^a", "^B"]);
+        });
+
+    });
+
+    describe('Policies', () => {
+
+        test('policies can reject patterns', () => {
+            const qc = new QueryCheck({ myString: { "$regex": "^this.*" } });
+            qc.setRegExpPolicy((source) => source.indexOf('.*') === -1);
+            qc.setStrictMode(strictMode);
+            expect(() => qc.test(vars)).toThrow('$regex: variable myString: Pattern /^this.*/ rejected by policy');
+
+            qc.setRegExpPolicy(null);
+            expect(qc.test(vars)).toBeTruthy();
+        });
+
+        test('policies can replace the matcher', () => {
+            const qc = new QueryCheck({ myString: { "$regex": "^THIS", "$options": "i" } });
+            qc.setRegExpPolicy((source, flags) => ({ test: (value) => value === `${source}/${flags}` }));
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(qc.test({ myString: "^THIS/i" })).toBeTruthy();
+        });
+
+        test('safe policy rejects nested quantifiers and backreferences', () => {
+            const qc = (pattern) => {
+                const result = new QueryCheck({ myString: { "$regex": pattern } });
+                result.setRegExpPolicy(QueryCheck.safeRegExpPolicy());
+                result.setStrictMode(strictMode);
+                return result;
+            };
+
+            expect(() => qc("^(a+)+$").test(vars)).toThrow('Nested quantifiers are not allowed');
+            expect(() => qc("(\\w*x?){2,}").test(vars)).toThrow('Nested quantifiers are not allowed');
+            expect(() => qc("(?:a|[)*]+)*").test(vars)).toThrow('Nested quantifiers are not allowed');
+            expect(() => qc("(a)\\1").test(vars)).toThrow('Backreferences are not allowed');
+            expect(() => qc("a".repeat(300)).test(vars)).toThrow('Pattern is longer than 256 characters');
+
+            expect(qc("^(this) (is)+ a [+*]+ (?:str)?ing$").test(vars)).toBeFalsy();
+            expect(qc("^(th(is)?) (is)+ a (string){1}$").test(vars)).toBeTruthy();
+            expect(qc("(a+)?b").test(vars)).toBeFalsy();
+        });
+
+        test('safe policy options', () => {
+            const qc = new QueryCheck({ myString: { "$regex": "(\\w+\\s?)+" } });
+            qc.setRegExpPolicy(QueryCheck.safeRegExpPolicy({ allowNestedQuantifiers: true, maxInputLength: 10 }));
+            qc.setStrictMode(strictMode);
+            expect(qc.test(vars)).toBeFalsy();
+            expect(qc.test({ myString: "short" })).toBeTruthy();
+        });
+
+        test('rejected patterns are reported by validate()', () => {
+            const qc = new QueryCheck({ "$or": [{ myString: { "$regex": "(a*)*" } }, { myString: { "$regex": "a", "$options": "q" } }] });
+            qc.setRegExpPolicy(QueryCheck.safeRegExpPolicy());
+            qc.setStrictMode(strictMode);
+            expect(qc.validate().map((issue) => [issue.pointer, issue.code])).toEqual([
+                ['/$or/0/myString/$regex', 'INVALID_REGEX'],
+                ['/$or/1/myString/$regex', 'INVALID_REGEX'],
+            ]);
+        });
+
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    regexTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    regexTests(true);
+});
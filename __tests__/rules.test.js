@@ -0,0 +1,268 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const openingHours = [
+    { id: 'holiday', query: { "now.isoDate": { "$in": ["2026-12-24", "2026-12-25"] } }, priority: 20, payload: { open: false, reason: "holiday" } },
+    { id: 'closed', query: { "now.hour": { "$not": { "$gte": 10, "$lt": 18 } } }, priority: 10, payload: { open: false } },
+    { id: 'late', query: { "now.weekday": 4, "now.hour": { "$gte": 10, "$lt": 20 } }, priority: 15, payload: { open: true, late: true } },
+    { id: 'open', query: {}, payload: { open: true } },
+];
+
+function ruleTests(strictMode) {
+
+    function createRuleSet(rules, options) {
+        return QueryCheck.createRuleSet(rules, Object.assign({ configure: (qc) => qc.setStrictMode(strictMode) }, options));
+    }
+
+    function fired(result) {
+        return result.fired.map((rule) => rule.id);
+    }
+
+    test('first-match', () => {
+        const rules = createRuleSet(openingHours);
+        expect(fired(rules.evaluate({ now: { isoDate: "2026-12-24", hour: 12, weekday: 4 } }))).toEqual(['holiday']);
+        expect(fired(rules.evaluate({ now: { isoDate: "2026-10-22", hour: 19, weekday: 4 } }))).toEqual(['closed']);
+        expect(fired(rules.evaluate({ now: { isoDate: "2026-10-21", hour: 12, weekday: 3 } }))).toEqual(['open']);
+    });
+
+    test('highest-priority', () => {
+        const rules = createRuleSet(openingHours, { strategy: 'highest-priority' });
+        const result = rules.evaluate({ now: { isoDate: "2026-10-22", hour: 19, weekday: 4 } });
+        expect(result.strategy).toBe('highest-priority');
+        expect(result.fired).toEqual([{ id: 'late', priority: 15, payload: { open: true, late: true } }]);
+        expect(result.outcomes).toEqual([
+            { id: 'holiday', status: 'no-match', reason: 'Query does not match' },
+            { id: 'late', status: 'fired', reason: 'Query matches' },
+            { id: 'closed', status: 'skipped', reason: 'Rule late fired before' },
+            { id: 'open', status: 'skipped', reason: 'Rule late fired before' },
+        ]);
+    });
+
+    test('all-matches', () => {
+        const rules = createRuleSet(openingHours);
+        const result = rules.evaluate({ now: { isoDate: "2026-12-24", hour: 19, weekday: 4 } }, { strategy: 'all-matches' });
+        expect(fired(result)).toEqual(['holiday', 'late', 'closed', 'open']);
+        expect(fired(rules.evaluate({ now: { isoDate: "2026-10-21", hour: 12, weekday: 3 } }, { strategy: 'all-matches' }))).toEqual(['open']);
+    });
+
+    test('equal priorities keep their order', () => {
+        const rules = createRuleSet([
+            { id: 'b', query: {}, priority: 1 },
+            { id: 'a', query: {}, priority: 1 },
+            { id: 'c', query: {}, priority: 2 },
+        ]);
+        expect(fired(rules.evaluate({}, { strategy: 'all-matches' }))).toEqual(['c', 'b', 'a']);
+        expect(fired(rules.evaluate({}, { strategy: 'highest-priority' }))).toEqual(['c']);
+        expect(fired(rules.evaluate({}))).toEqual(['b']);
+    });
+
+    test('errors', () => {
+        const rules = createRuleSet([
+            { id: 'typed', query: { qty: { "$gt": 5 } } },
+            { id: 'fallback', query: {} },
+        ]);
+        const result = rules.evaluate({ qty: "7" });
+        if (strictMode) {
+            expect(fired(result)).toEqual(['fallback']);
+            expect(result.outcomes[0]).toMatchObject({ id: 'typed', status: 'error' });
+            expect(result.outcomes[0].error).toBeInstanceOf(TypeError);
+            expect(result.outcomes[0].reason).toBe(result.outcomes[0].error.message);
+        } else {
+            expect(fired(result)).toEqual(['typed']);
+        }
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    ruleTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    ruleTests(true);
+});
+
+describe('Rule sets', () => {
+
+    test('enabled and validity', () => {
+        const rules = QueryCheck.createRuleSet([
+            { id: 'off', query: {}, enabled: false },
+            { id: 'future', query: {}, validFrom: '2027-01-01T00:00:00Z' },
+            { id: 'past', query: {}, validUntil: new Date('2026-10-19T12:00:00Z') },
+            { id: 'current', query: {}, validFrom: { "$date": "2026-10-19T12:00:00Z" }, validUntil: '2026-10-20' },
+        ]);
+
+        const result = rules.evaluate({}, { now, strategy: 'all-matches' });
+        expect(fired(result)).toEqual(['current']);
+        expect(result.outcomes).toEqual([
+            { id: 'off', status: 'disabled', reason: 'Rule is disabled' },
+            { id: 'future', status: 'not-yet-valid', reason: 'Rule is valid from 2027-01-01T00:00:00.000Z' },
+            { id: 'past', status: 'expired', reason: 'Rule was valid until 2026-10-19T12:00:00.000Z' },
+            { id: 'current', status: 'fired', reason: 'Query matches' },
+        ]);
+
+        expect(fired(rules.evaluate({}, { now: new Date('2026-10-20T00:00:00Z') }))).toEqual([]);
+        expect(fired(rules.evaluate({}, { now: new Date('2027-06-01T00:00:00Z') }))).toEqual(['future']);
+
+        function fired(result) {
+            return result.fired.map((rule) => rule.id);
+        }
+    });
+
+    test('actions', () => {
+        const calls = [];
+        const rules = QueryCheck.createRuleSet([
+            { id: 'discount', query: { total: { "$gte": 100 } }, action: 'discount', payload: { percent: 10 } },
+            { id: 'none', query: {}, payload: { percent: 0 } },
+        ], {
+            actions: {
+                discount: (data, rule) => {
+                    calls.push(rule.id);
+                    return data.total * rule.payload.percent / 100;
+                },
+            },
+        });
+
+        expect(rules.evaluate({ total: 200 }).fired).toEqual([{ id: 'discount', priority: 0, payload: { percent: 10 }, action: 'discount', result: 20 }]);
+        expect(rules.evaluate({ total: 50 }).fired).toEqual([{ id: 'none', priority: 0, payload: { percent: 0 } }]);
+        expect(calls).toEqual(['discount']);
+    });
+
+    test('actions which throw', () => {
+        const rules = QueryCheck.createRuleSet([
+            { id: 'broken', query: {}, action: 'fail', priority: 1 },
+            { id: 'fallback', query: {}, payload: "ok" },
+        ], {
+            actions: {
+                fail: () => {
+                    throw new RangeError("out of stock");
+                },
+            },
+        });
+
+        const result = rules.evaluate({});
+        expect(result.fired).toEqual([{ id: 'fallback', priority: 0, payload: "ok" }]);
+        expect(result.outcomes[0]).toMatchObject({ id: 'broken', status: 'error', reason: "out of stock" });
+        expect(result.outcomes[0].error).toBeInstanceOf(RangeError);
+        expect(result.outcomes[1]).toEqual({ id: 'fallback', status: 'fired', reason: 'Query matches' });
+    });
+
+    test('explain', () => {
+        const rules = QueryCheck.createRuleSet(openingHours);
+        const result = rules.evaluate({ now: { isoDate: "2026-10-22", hour: 19, weekday: 4 } }, { explain: true });
+
+        expect(result.outcomes.map((outcome) => outcome.status)).toEqual(['no-match', 'fired', 'skipped', 'skipped']);
+        expect(result.outcomes[0].trace.result).toBe(false);
+        expect(result.outcomes[1].trace.result).toBe(true);
+        expect(QueryCheck.formatTrace(result.outcomes[1].trace)).toContain('now.hour');
+        expect(result.outcomes[2].trace).toBeUndefined();
+        expect(rules.evaluate({ now: { hour: 19 } }).outcomes[0].trace).toBeUndefined();
+    });
+
+    test('explain evaluates each rule once', () => {
+        let evaluations = 0;
+        const rules = QueryCheck.createRuleSet([
+            { id: 'typed', query: { qty: { "$gt": 5 } } },
+            { id: 'fallback', query: {} },
+        ], {
+            configure: (qc) => {
+                qc.setStrictMode(true);
+                qc.setOperandEvaluator((operand) => {
+                    ++evaluations;
+                    return operand;
+                });
+            },
+        });
+
+        const result = rules.evaluate({ qty: 7 }, { explain: true });
+        expect(result.outcomes.map((outcome) => outcome.status)).toEqual(['fired', 'skipped']);
+        expect(evaluations).toBe(1);
+
+        const failed = rules.evaluate({ qty: "7" }, { explain: true });
+        expect(failed.outcomes[0]).toMatchObject({ id: 'typed', status: 'error' });
+        expect(failed.outcomes[0].error).toBeInstanceOf(TypeError);
+        expect(failed.outcomes[0].trace.error).toBe(failed.outcomes[0].error);
+        expect(fired(failed)).toEqual(['fallback']);
+
+        function fired(result) {
+            return result.fired.map((rule) => rule.id);
+        }
+    });
+
+    test('add, remove and get', () => {
+        const rules = QueryCheck.createRuleSet();
+        rules.add({ id: 'a', query: { x: 1 }, description: "x is one" }).add({ id: 'b', query: {} });
+        expect(rules.ids()).toEqual(['a', 'b']);
+        expect(rules.get('a')).toMatchObject({ id: 'a', query: { x: 1 }, priority: 0, enabled: true, description: "x is one" });
+        expect(rules.get('c')).toBeUndefined();
+
+        expect(rules.remove('a')).toBe(true);
+        expect(rules.remove('a')).toBe(false);
+        expect(rules.ids()).toEqual(['b']);
+        expect(rules.evaluate({ x: 1 }).fired.map((rule) => rule.id)).toEqual(['b']);
+
+        // objects without prototype, like those of some parsers
+        const rule = Object.assign(Object.create(null), { id: 'c', query: Object.assign(Object.create(null), { x: 1 }) });
+        expect(rules.add(rule).evaluate({ x: 1 }, { strategy: 'all-matches' }).fired.map((rule) => rule.id)).toEqual(['b', 'c']);
+    });
+
+    test('save and load', () => {
+        const rules = QueryCheck.createRuleSet([
+            { id: 'dated', query: { created: { "$gt": new Date(0) }, name: /^a/i, big: { "$lt": BigInt("9007199254740993") } }, validUntil: new Date('2027-01-01T00:00:00Z') },
+            { id: 'plain', query: { "$or": [{ a: 1 }, { b: { "$in": [null, "x"] } }] }, priority: -1, enabled: false, payload: null, description: "fallback" },
+        ], { strategy: 'all-matches' });
+
+        const json = JSON.stringify(rules);
+        expect(JSON.parse(json)).toEqual({
+            strategy: 'all-matches',
+            rules: [
+                {
+                    id: 'dated',
+                    query: {
+                        created: { "$gt": { "$date": "1970-01-01T00:00:00.000Z" } },
+                        name: { "$regularExpression": { pattern: "^a", options: "i" } },
+                        big: { "$lt": { "$numberLong": "9007199254740993" } },
+                    },
+                    priority: 0,
+                    enabled: true,
+                    validUntil: "2027-01-01T00:00:00.000Z",
+                },
+                { id: 'plain', description: "fallback", query: { "$or": [{ a: 1 }, { b: { "$in": [null, "x"] } }] }, priority: -1, enabled: false, payload: null },
+            ],
+        });
+
+        const loaded = QueryCheck.createRuleSet(json);
+        expect(JSON.stringify(loaded)).toBe(json);
+        expect(loaded.strategy).toBe('all-matches');
+
+        const data = { created: new Date(5), name: "Anna", big: 1 };
+        expect(loaded.evaluate(data, { now })).toEqual(rules.evaluate(data, { now }));
+        expect(loaded.evaluate(data, { now }).fired.map((rule) => rule.id)).toEqual(['dated']);
+
+        expect(QueryCheck.createRuleSet(JSON.parse(json), { strategy: 'first-match' }).strategy).toBe('first-match');
+    });
+
+    test('invalid rules', () => {
+        expect(() => QueryCheck.createRuleSet({})).toThrow(TypeError);
+        expect(() => QueryCheck.createRuleSet([], { strategy: 'random' })).toThrow(TypeError);
+        expect(() => QueryCheck.createRuleSet('[{"id": ')).toThrow(SyntaxError);
+        expect(() => QueryCheck.createRuleSet([{ query: {} }])).toThrow(TypeError);
+        expect(() => QueryCheck.createRuleSet([{ id: 'a', query: {} }, { id: 'a', query: {} }])).toThrow(TypeError);
+        expect(() => QueryCheck.createRuleSet([{ id: 'a', query: {}, priorty: 1 }])).toThrow(TypeError);
+        expect(() => QueryCheck.createRuleSet([{ id: 'a', query: 1 }])).toThrow(TypeError);
+        expect(() => QueryCheck.createRuleSet([{ id: 'a', query: {}, priority: "1" }])).toThrow(TypeError);
+        expect(() => QueryCheck.createRuleSet([{ id: 'a', query: {}, enabled: 1 }])).toThrow(TypeError);
+        expect(() => QueryCheck.createRuleSet([{ id: 'a', query: {}, validFrom: "tomorrow" }])).toThrow(TypeError);
+        expect(() => QueryCheck.createRuleSet([{ id: 'a', query: {}, validUntil: { "$date": "never" } }])).toThrow(TypeError);
+        expect(() => QueryCheck.createRuleSet([{ id: 'a', query: {}, action: 'missing' }])).toThrow(TypeError);
+        expect(() => QueryCheck.createRuleSet([{ id: 'a', query: { "$and": {} } }])).toThrow();
+
+        const rules = QueryCheck.createRuleSet([{ id: 'a', query: {} }]);
+        expect(() => rules.evaluate({}, { strategy: 'last-match' })).toThrow(TypeError);
+        expect(() => rules.evaluate({}, { now: "2026-10-19" })).toThrow(TypeError);
+    });
+
+});
@@ -0,0 +1,260 @@
+/**
+ * @jest-environment node
+ */
+
+'use strict';
+
+const initSqlJs = require('sql.js');
+const QueryCheck = require('../src/querycheck.js');
+
+const documents = [
+    { id: 1, name: "apple", qty: 5, active: true, created: new Date('2020-01-01T00:00:00Z'), meta: { color: "red", size: 3 } },
+    { id: 2, name: "banana", qty: 12, active: false, created: new Date('2020-06-15T12:00:00Z'), meta: { color: "yellow", size: 7 } },
+    { id: 3, name: "Cherry", qty: 0, active: true, created: new Date('2021-03-01T00:00:00Z'), meta: { color: "red" } },
+    { id: 4, name: "date", active: true, created: new Date('2019-12-31T23:59:59Z'), meta: { color: null } },
+    { id: 5, name: "elder'berry", active: false, created: new Date('2020-02-29T00:00:00Z'), meta: { color: "black", size: 1 } },
+    { id: 6, name: null, qty: 7.5, active: false, created: new Date('2020-06-15T12:00:00Z'), meta: { size: 12 } },
+];
+
+// the documents as stored in the JSON column (dates become strings)
+const jsonDocuments = JSON.parse(JSON.stringify(documents));
+
+const columns = { "meta.color": 'color', "meta.size": 'size' };
+
+const queries = [
+    {},
+    { name: "apple" },
+    { name: { "$eq": "elder'berry" } },
+    { qty: { "$gt": 4 } },
+    { qty: { "$gte": 5, "$lt": 12 } },
+    { qty: { "$lte": 0 } },
+    { name: null },
+    { name: { "$ne": null } },
+    { name: { "$ne": "apple" } },
+    { qty: { "$in": [5, 7.5] } },
+    { name: { "$in": ["apple", null] } },
+    { name: { "$in": [] } },
+    { qty: { "$nin": [5, 12] } },
+    { name: { "$nin": ["apple", null] } },
+    { qty: { "$nin": [] } },
+    { active: true },
+    { active: false, qty: { "$gt": 1 } },
+    { "meta.color": "red" },
+    { "meta.size": { "$gt": 2 } },
+    { "$or": [{ qty: { "$gt": 10 } }, { "meta.color": "red", active: true }] },
+    { "$or": [{ qty: 5 }] },
+    { "$and": [{ qty: { "$gt": 1 } }, { qty: { "$lt": 10 } }] },
+    { "$nor": [{ active: true }, { name: null }] },
+    { "$not": { qty: { "$gt": 5 } } },
+    { qty: { "$not": { "$gt": 5 } } },
+    { "meta.size": { "$not": { "$in": [1, 3] } } },
+    { "$or": [] },
+    { "$and": [] },
+    { "$nor": [] },
+];
+
+const dateQueries = [
+    { created: { "$gte": { "$date": "2020-01-01T00:00:00Z" } } },
+    { created: { "$lt": new Date('2020-06-15T12:00:00Z') } },
+    { created: new Date('2020-06-15T12:00:00Z') },
+];
+
+const regexQueries = [
+    { name: /^[a-c]/ },
+    { name: { "$regex": "^[a-c]", "$options": "i" } },
+    { "meta.color": { "$not": /^r/ } },
+    { "$or": [{ name: /rr/ }, { qty: { "$gt": 10 } }] },
+];
+
+// JSON columns tell null and missing values apart
+const nullQueries = [
+    { qty: { "$exists": true } },
+    { "meta.color": { "$exists": false } },
+    { "meta.size": { "$exists": true, "$gte": 3 } },
+    { "meta.color": null },
+    { "meta.color": { "$ne": null } },
+    { "meta.color": { "$in": ["red", null] } },
+    { "meta.color": { "$nin": [null] } },
+];
+
+// evaluates regular expressions for the sqlite-regexp dialect
+const sqliteRegExp = {
+    extends: 'sqlite',
+    regex: (expression, source, flags, bind) => `regexp_like(${expression}, ${bind(source)}, ${bind(flags)})`,
+};
+
+let SQL;
+let db;
+
+beforeAll(async () => {
+    SQL = await initSqlJs();
+    db = new SQL.Database();
+    db.create_function('regexp_like', (value, source, flags) => value === null ? null : Number(new RegExp(source, flags).test(value)));
+    db.run('CREATE TABLE docs (id INTEGER, name TEXT, qty REAL, active INTEGER, created TEXT, color TEXT, size INTEGER, data TEXT)');
+    for (let doc of documents) {
+        db.run('INSERT INTO docs VALUES (?, ?, ?, ?, ?, ?, ?, ?)', [
+            doc.id, doc.name, doc.qty === undefined ? null : doc.qty, Number(doc.active), doc.created.toISOString(),
+            doc.meta.color === undefined ? null : doc.meta.color, doc.meta.size === undefined ? null : doc.meta.size,
+            JSON.stringify(doc),
+        ]);
+    }
+});
+
+afterAll(() => {
+    db.close();
+});
+
+function selectIds(query, options) {
+    const { sql, params } = QueryCheck.toSql(query, Object.assign({ dialect: 'sqlite' }, options));
+    const result = db.exec(`SELECT id FROM docs WHERE ${sql} ORDER BY id`, params);
+    return result.length > 0 ? result[0].values.map((row) => row[0]) : [];
+}
+
+// strict mode throws for missing values and values of other types instead of
+// not matching them, so results are compared with the standard mode only
+function filterIds(query, docs, undefinedEqualsNull) {
+    const qc = new QueryCheck(query);
+    qc.setUndefinedEqualsNull(Boolean(undefinedEqualsNull));
+    return qc.filter(docs).map((doc) => doc.id);
+}
+
+describe('Matching the query engine in SQLite', () => {
+
+    test.each(queries.concat(dateQueries).map((query) => [JSON.stringify(query), query]))('columns: %s', (json, query) => {
+        expect(selectIds(query, { columns })).toEqual(filterIds(query, documents));
+    });
+
+    test.each(queries.concat(nullQueries).map((query) => [JSON.stringify(query), query]))('JSON column: %s', (json, query) => {
+        expect(selectIds(query, { json: 'data' })).toEqual(filterIds(query, jsonDocuments));
+    });
+
+    test.each(regexQueries.map((query) => [JSON.stringify(query), query]))('regular expressions: %s', (json, query) => {
+        expect(selectIds(query, { columns, dialect: sqliteRegExp })).toEqual(filterIds(query, documents));
+        expect(selectIds(query, { json: 'data', dialect: sqliteRegExp })).toEqual(filterIds(query, jsonDocuments));
+    });
+
+    test('JSON values are compared by type', () => {
+        expect(selectIds({ "meta.size": { "$lt": "9" } }, { json: 'data' })).toEqual([]);
+        expect(selectIds({ "name": { "$gt": 1 } }, { json: 'data' })).toEqual([]);
+        expect(selectIds({ "active": 1 }, { json: 'data' })).toEqual([]);
+        expect(selectIds({ "active": { "$ne": 1 } }, { json: 'data' })).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    test.each(nullQueries.map((query) => [JSON.stringify(query), query]))('undefinedEqualsNull: %s', (json, query) => {
+        expect(selectIds(query, { json: 'data', undefinedEqualsNull: true })).toEqual(filterIds(query, jsonDocuments, true));
+    });
+
+});
+
+describe('Translating queries', () => {
+
+    test('postgres', () => {
+        expect(QueryCheck.toSql({ name: "apple", qty: { "$gt": 1, "$lte": 10 } })).toEqual({
+            sql: '"name" = $1 AND "qty" > $2 AND "qty" <= $3',
+            params: ["apple", 1, 10],
+        });
+        expect(QueryCheck.toSql({ "$or": [{ qty: null }, { name: { "$ne": "apple" }, active: true }] }, { dialect: 'postgres' })).toEqual({
+            sql: '("qty" IS NULL OR (("name" IS NULL OR "name" <> $1) AND "active" = $2))',
+            params: ["apple", true],
+        });
+        expect(QueryCheck.toSql({ name: { "$nin": ["a", "b"] }, "$not": { name: /^a/i } })).toEqual({
+            sql: 'NOT COALESCE("name" IN ($1, $2), FALSE) AND NOT COALESCE("name" ~* $3, FALSE)',
+            params: ["a", "b", "^a"],
+        });
+        expect(QueryCheck.toSql({ "meta.size": { "$gte": 3 }, "meta.tags.0": "new" }, { json: 'data' })).toEqual({
+            sql: `CASE WHEN jsonb_typeof("data" #> '{"meta","size"}') = 'number' THEN ("data" #>> '{"meta","size"}')::numeric END >= $1`
+                + ` AND CASE WHEN jsonb_typeof("data" #> '{"meta","tags","0"}') = 'string' THEN ("data" #>> '{"meta","tags","0"}') END = $2`,
+            params: [3, "new"],
+        });
+        // strings which aren't ISO-8601 dates aren't cast (which would fail the query)
+        expect(QueryCheck.toSql({ "created": { "$lt": new Date('2020-01-01T00:00:00Z') } }, { json: 'data' })).toEqual({
+            sql: `CASE WHEN jsonb_typeof("data" #> '{"created"}') = 'string'`
+                + ` AND ("data" #>> '{"created"}') ~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}([T ][0-9]{2}:[0-9]{2}(:[0-9]{2}([.][0-9]+)?)?)?(Z|[+-][0-9]{2}(:?[0-9]{2})?)?$'`
+                + ` THEN ("data" #>> '{"created"}')::timestamptz END < $1`,
+            params: [new Date('2020-01-01T00:00:00Z')],
+        });
+    });
+
+    test('sqlite', () => {
+        expect(QueryCheck.toSql({ active: true, created: { "$lt": { "$date": "2020-01-01T00:00:00Z" } } }, { dialect: 'sqlite' })).toEqual({
+            sql: '"active" = ? AND "created" < ?',
+            params: [1, "2020-01-01T00:00:00.000Z"],
+        });
+        expect(QueryCheck.toSql({ "meta.tags.0": { "$exists": true } }, { dialect: 'sqlite', json: 'data' })).toEqual({
+            sql: `json_type("data", '$."meta"."tags"[0]') IS NOT NULL`,
+            params: [],
+        });
+    });
+
+    test('empty queries', () => {
+        expect(QueryCheck.toSql({})).toEqual({ sql: 'TRUE', params: [] });
+        expect(QueryCheck.toSql({ "$or": [] }).sql).toBe('FALSE');
+    });
+
+    test('column mappings', () => {
+        expect(QueryCheck.toSql({ "now.hour": 13 }, { columns: { "now.hour": 't.hour' } }).sql).toBe('"t"."hour" = $1');
+        expect(QueryCheck.toSql({ "meta.created.day": 1 }, { columns: { meta: { json: 'meta' } } }).sql)
+            .toBe(`CASE WHEN jsonb_typeof("meta" #> '{"created","day"}') = 'number' THEN ("meta" #>> '{"created","day"}')::numeric END = $1`);
+        expect(QueryCheck.toSql({ "meta.created": null }, { columns: { "meta.created": { json: 'doc', path: 'createdAt' } } }).sql)
+            .toBe(`jsonb_typeof("doc" #> '{"createdAt"}') = 'null'`);
+        expect(QueryCheck.toSql({ name: "apple" }, { columns: { name: { sql: 'lower(name)' } } }).sql).toBe('lower(name) = $1');
+        expect(QueryCheck.toSql({ "a.b": 1, c: 2 }, { columns: (path) => path.replace('.', '_') }).sql).toBe('"a_b" = $1 AND "c" = $2');
+        expect(QueryCheck.toSql({ "a.b": 1, c: 2 }, { json: 'data', columns: (path) => path === 'c' ? 'c' : null }).sql)
+            .toBe(`CASE WHEN jsonb_typeof("data" #> '{"a","b"}') = 'number' THEN ("data" #>> '{"a","b"}')::numeric END = $1 AND "c" = $2`);
+        expect(QueryCheck.toSql({ 'we"ird': 1 }).sql).toBe('"we""ird" = $1');
+        expect(selectIds({ "meta.size": { "$gt": 2 } }, { columns: { meta: { json: 'data', path: 'meta' } } })).toEqual([1, 2, 6]);
+
+        expect(() => QueryCheck.toSql({ "a.b": 1 })).toThrow('No column for the path "a.b"; map it using the columns option (at /a.b)');
+        expect(() => QueryCheck.toSql({ "a.b": 1 }, { columns: { a: 'a' } })).toThrow('column a is not a JSON column');
+        expect(() => QueryCheck.toSql({ a: 1 }, { columns: { a: 1 } })).toThrow(TypeError);
+    });
+
+    test('untranslatable constructs', () => {
+        const cases = [
+            [{ items: { "$elemMatch": { qty: 1 } } }, '/items/$elemMatch', 'Cannot translate $elemMatch to SQL'],
+            [{ tags: { "$size": 2 } }, '/tags/$size', 'Cannot translate $size to SQL'],
+            [{ "$expr": { "$gt": ["$a", 1] } }, '/$expr', 'Cannot translate $expr to SQL'],
+            [{ "$or": [{ a: 1 }, { b: [1, 2] }] }, '/$or/1/b', 'Cannot translate comparisons with arrays to SQL'],
+            [{ a: { b: 1 } }, '/a', 'Cannot translate comparisons with documents to SQL'],
+            [{ a: { "$gt": { "$var": "b" } } }, '/a/$gt', 'Cannot translate operand function $var to SQL'],
+            [{ a: { "$in": [1, /x/] } }, '/a/$in/1', 'Cannot translate regular expressions within operands to SQL'],
+            [{ a: { "$lt": null } }, '/a/$lt', 'Cannot translate $lt with null to SQL'],
+            [{ a: { "$regex": "^a", "$options": "m" } }, '/a/$regex', 'Cannot translate $regex with flags "m" to SQL in this dialect'],
+        ];
+        for (let [query, pointer, message] of cases) {
+            let error;
+            try {
+                QueryCheck.toSql(query);
+            } catch (e) {
+                error = e;
+            }
+            expect(error).toBeInstanceOf(Error);
+            expect(error.code).toBe('UNTRANSLATABLE');
+            expect(error.pointer).toBe(pointer);
+            expect(error.message).toBe(`${message} (at ${pointer})`);
+        }
+
+        expect(() => QueryCheck.toSql({ name: /^a/ }, { dialect: 'sqlite' })).toThrow('Cannot translate $regex to SQL in this dialect (at /name)');
+        expect(() => QueryCheck.toSql({ a: { "$in": 1 } })).toThrow(TypeError);
+        expect(() => QueryCheck.toSql({ a: { "$options": "i" } })).toThrow(TypeError);
+        expect(() => QueryCheck.toSql({ a: { "$date": "not a date" } })).toThrow(TypeError);
+    });
+
+    test('dialect plugins', () => {
+        QueryCheck.registerSqlDialect('sqlite-test', Object.assign({}, sqliteRegExp, {
+            operators: {
+                '$startsWith': (operand, context) => `${context.field('string')} LIKE ${context.bind(operand.replace(/[%_\\]/g, '\\$&') + '%')} ESCAPE '\\'`,
+            },
+        }));
+        expect(QueryCheck.toSql({ name: { "$startsWith": "b" } }, { dialect: 'sqlite-test' })).toEqual({
+            sql: `"name" LIKE ? ESCAPE '\\'`,
+            params: ["b%"],
+        });
+        expect(selectIds({ "$or": [{ name: { "$startsWith": "b" } }, { name: /^d/ }] }, { dialect: 'sqlite-test' })).toEqual([2, 4]);
+
+        expect(QueryCheck.toSql({ a: 1, b: 2 }, { dialect: { extends: 'postgres', placeholder: (i) => ':p' + i } }).sql).toBe('"a" = :p1 AND "b" = :p2');
+        expect(() => QueryCheck.toSql({}, { dialect: 'oracle' })).toThrow('Unknown SQL dialect "oracle"');
+        expect(() => QueryCheck.registerSqlDialect('incomplete', { placeholder: () => '?' })).toThrow(TypeError);
+    });
+
+});
@@ -0,0 +1,283 @@
+'use strict';
+
+const QueryCheck = require('../src/querycheck.js');
+
+const parse = QueryCheck.parseText;
+const print = QueryCheck.printText;
+
+const vars = {
+    now: {
+        isoDate: "2020-05-21",
+        isoTime: "13:59:48",
+    },
+    myInt: 137,
+    myString: "this is a string",
+    myNull: null,
+    createdAt: new Date('2020-05-21T13:59:48Z'),
+    tags: ["open", "new"],
+    scores: [75, 88, 92],
+    items: [{sku: "a1", qty: 2}, {sku: "b2", qty: 5}],
+    "my field": "with space",
+};
+
+// queries that have to survive print() and parse() unchanged
+const corpus = [
+    {},
+    { myInt: 137 },
+    { myInt: { "$eq": 137 } },
+    { "now.isoTime": { "$gt": "10:00", "$lt": "18:00" }, "now.isoDate": { "$not": { "$in": ["2019-12-25", "2019-12-26"] } } },
+    { "$or": [{ myInt: { "$gte": 100 } }, { myString: { "$regex": "^this", "$options": "i" } }] },
+    { "$or": [{ "$or": [{ myInt: 1 }, { myInt: 2 }] }, { myInt: 137 }] },
+    { myInt: 137, "$or": [{ tags: "open" }, { tags: { "$size": 0 } }], "$nor": [{ myNull: { "$exists": false } }] },
+    { "$and": [{ myInt: { "$gt": 100 } }, { myInt: { "$gt": 130 } }] },
+    { "$and": [] },
+    { "$or": [{ myInt: 137 }] },
+    { "$not": { myInt: { "$lt": 100 }, myString: /string/ } },
+    { "$not": { "$not": { myNull: null } } },
+    { myString: /^THIS/i, tags: { "$all": ["open", "new"] }, scores: { "$elemMatch": { "$gte": 90, "$lt": 95 } } },
+    { items: { "$elemMatch": { sku: "b2", qty: { "$gt": 4 } } } },
+    { items: { "$elemMatch": {} } },
+    { scores: { "$elemMatch": { "$not": { "$lt": 90 } } } },
+    { myInt: { "$mod": [2, 1], "$type": ["int", "long"], "$nin": [1, 2, 3], "$ne": null } },
+    { myInt: { "$not": { "$gt": 200, "$lt": 300 } }, myString: { "$not": /^that/ } },
+    { myString: { "$regex": "a/b", "$options": "i" } },
+    { myString: { "$regex": /^this/m } },
+    { myString: { "$regex": "^this", "$options": "" } },
+    { createdAt: new Date('2020-05-21T13:59:48Z'), "meta.created": { "$lt": { "$date": "2021-01-01T00:00:00Z" } } },
+    { "$expr": { "$gt": [{ "$multiply": ["$myInt", 2] }, 200] } },
+    { "my field": "with space", "": 1, "and": true, "items.0.sku": "a1", "$custom": { "a": [1, 2] } },
+    { values: { "$in": [1.5, -2, 1e-7, 1e21, -0, Infinity, -Infinity, NaN, true, false, null, "'\"\\\n\t"] } },
+    { big: BigInt("9007199254740993"), "doc": { "$eq": { "nested": { "$var": "x" } } } },
+    { myString: { "$startsWith": "this", "$exists": true } },
+];
+
+
+function textTests(strictMode) {
+
+    function check(query, data) {
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(strictMode);
+        return qc.test(data || vars);
+    }
+
+    describe('Parsing', () => {
+
+        test('example from the README', () => {
+            const query = parse('now.isoTime > "10:00" and now.isoDate not in ["2019-12-25"] or myString ~ /^this/i');
+            expect(query).toEqual({
+                "$or": [
+                    { "now.isoTime": { "$gt": "10:00" }, "now.isoDate": { "$not": { "$in": ["2019-12-25"] } } },
+                    { myString: { "$regex": "^this", "$options": "i" } },
+                ],
+            });
+            expect(check(query)).toBe(true);
+        });
+
+        test('comparison operators', () => {
+            expect(parse('myInt = 137')).toEqual({ myInt: 137 });
+            expect(parse('myInt == 137')).toEqual({ myInt: { "$eq": 137 } });
+            expect(parse('myInt != 1 and myInt >= 100 and myInt <= 200 and myInt > 99 and myInt < 201')).toEqual({
+                myInt: { "$ne": 1, "$gte": 100, "$lte": 200, "$gt": 99, "$lt": 201 },
+            });
+            expect(check(parse('myInt != 1 and myInt >= 100 and myInt <= 200'))).toBe(true);
+        });
+
+        test('word operators', () => {
+            expect(parse('tags in ["open"] and tags nin ["closed"] and tags all ["new"] and tags size 2')).toEqual({
+                tags: { "$in": ["open"], "$nin": ["closed"], "$all": ["new"], "$size": 2 },
+            });
+            expect(parse('myInt mod [2, 1] and myInt type "number" and myInt exists and myNull exists false')).toEqual({
+                myInt: { "$mod": [2, 1], "$type": "number", "$exists": true },
+                myNull: { "$exists": false },
+            });
+            expect(check(parse('myInt mod [2, 1] and myInt type "number" and myInt exists and nothing exists false'))).toBe(true);
+        });
+
+        test('regular expressions', () => {
+            expect(parse('myString ~ /^this/')).toEqual({ myString: { "$regex": "^this" } });
+            expect(parse('myString ~ "^this"')).toEqual({ myString: { "$regex": "^this" } });
+            expect(parse('myString ~ /[/]x\\/y/i')).toEqual({ myString: { "$regex": "[/]x\\/y", "$options": "i" } });
+            expect(parse('myString = /^this/i')).toEqual({ myString: /^this/i });
+            expect(parse('myString $regex /^this/i')).toEqual({ myString: { "$regex": /^this/i } });
+            expect(check(parse('myString ~ /^THIS/i and myString not ~ /^that/'))).toBe(true);
+        });
+
+        test('negation', () => {
+            expect(parse('myInt not > 200')).toEqual({ myInt: { "$not": { "$gt": 200 } } });
+            expect(parse('myInt not (> 200 and < 300)')).toEqual({ myInt: { "$not": { "$gt": 200, "$lt": 300 } } });
+            expect(parse('myInt not = /1/')).toEqual({ myInt: { "$not": /1/ } });
+            expect(parse('not myInt > 200')).toEqual({ "$not": { myInt: { "$gt": 200 } } });
+            expect(parse('not (myInt > 200 or myInt < 100)')).toEqual({ "$not": { "$or": [{ myInt: { "$gt": 200 } }, { myInt: { "$lt": 100 } }] } });
+            expect(check(parse('not (myInt > 200 or myInt < 100) and myInt not (> 200 and < 300)'))).toBe(true);
+        });
+
+        test('precedence and parentheses', () => {
+            expect(parse('a = 1 or b = 2 and c = 3')).toEqual({ "$or": [{ a: 1 }, { b: 2, c: 3 }] });
+            expect(parse('(a = 1 or b = 2) and c = 3')).toEqual({ "$or": [{ a: 1 }, { b: 2 }], c: 3 });
+            expect(parse('a = 1 or b = 2 or c = 3')).toEqual({ "$or": [{ a: 1 }, { b: 2 }, { c: 3 }] });
+            expect(parse('(a = 1 or b = 2) or c = 3')).toEqual({ "$or": [{ "$or": [{ a: 1 }, { b: 2 }] }, { c: 3 }] });
+            expect(parse('not not a = 1')).toEqual({ "$not": { "$not": { a: 1 } } });
+            expect(parse('()')).toEqual({});
+            expect(parse('  # nothing\n')).toEqual({});
+        });
+
+        test('conditions that cannot be merged go into $and', () => {
+            expect(parse('myInt > 1 and myInt > 2')).toEqual({ myInt: { "$gt": 1 }, "$and": [{ myInt: { "$gt": 2 } }] });
+            expect(parse('myInt = 137 and myInt < 200')).toEqual({ myInt: { "$eq": 137, "$lt": 200 } });
+            expect(parse('(a = 1 or b = 1) and (c = 1 or d = 1)')).toEqual({
+                "$or": [{ a: 1 }, { b: 1 }],
+                "$and": [{ "$or": [{ c: 1 }, { d: 1 }] }],
+            });
+            expect(check(parse('myInt > 1 and myInt > 200'))).toBe(false);
+        });
+
+        test('boolean operators written as calls', () => {
+            expect(parse('$and(a = 1, a = 2)')).toEqual({ "$and": [{ a: 1 }, { a: 2 }] });
+            expect(parse('$nor(a = 1, b = 2 or c = 3)')).toEqual({ "$nor": [{ a: 1 }, { "$or": [{ b: 2 }, { c: 3 }] }] });
+            expect(parse('$or()')).toEqual({ "$or": [] });
+            expect(parse('$not(a = 1)')).toEqual({ "$not": { a: 1 } });
+            expect(parse('$expr({"$lt": ["$a", "$b"]})')).toEqual({ "$expr": { "$lt": ["$a", "$b"] } });
+            expect(check(parse('$expr({$gt: ["$myInt", 100]})'))).toBe(true);
+        });
+
+        test('$elemMatch', () => {
+            expect(parse('items elemMatch (sku = "b2" and qty > 4)')).toEqual({ items: { "$elemMatch": { sku: "b2", qty: { "$gt": 4 } } } });
+            expect(parse('scores elemMatch (>= 90 and < 95)')).toEqual({ scores: { "$elemMatch": { "$gte": 90, "$lt": 95 } } });
+            expect(parse('scores elemMatch (not < 90)')).toEqual({ scores: { "$elemMatch": { "$not": { "$lt": 90 } } } });
+            expect(parse('items elemMatch (not sku = "a1")')).toEqual({ items: { "$elemMatch": { "$not": { sku: "a1" } } } });
+            expect(check(parse('items elemMatch (sku = "b2" and qty > 4) and scores elemMatch (>= 90 and < 95)'))).toBe(true);
+        });
+
+        test('values', () => {
+            expect(parse('a = \'it\\\'s "quoted"\'')).toEqual({ a: 'it\'s "quoted"' });
+            expect(parse('a in [-1.5e3, Infinity, -Infinity, NaN, 12n, true, false, null]')).toEqual({ a: { "$in": [-1500, Infinity, -Infinity, NaN, BigInt(12), true, false, null] } });
+            expect(parse('a = {b: [1, {"c d": "e"}], $var: "x"}')).toEqual({ a: { b: [1, { "c d": "e" }], "$var": "x" } });
+            expect(parse('createdAt = date("2020-05-21T13:59:48Z")')).toEqual({ createdAt: new Date('2020-05-21T13:59:48Z') });
+            expect(parse('createdAt < date(0)')).toEqual({ createdAt: { "$lt": new Date(0) } });
+            expect(check(parse('createdAt = date("2020-05-21T13:59:48Z") and "my field" = "with space"'))).toBe(true);
+        });
+
+        test('operand functions', () => {
+            const qc = new QueryCheck(parse('myInt > {"$var": "min"}'));
+            qc.setStrictMode(strictMode);
+            qc.useOperandFunctions();
+            expect(qc.test(Object.assign({ min: 100 }, vars))).toBe(true);
+        });
+
+        test('multi-line queries with comments', () => {
+            const query = parse([
+                '# opening hours',
+                'now.isoTime > "10:00"   # opens at 10',
+                '    and now.isoTime < "18:00"',
+                'or now.isoDate = "2020-05-21"',
+            ].join('\n'));
+            expect(query).toEqual({ "$or": [{ "now.isoTime": { "$gt": "10:00", "$lt": "18:00" } }, { "now.isoDate": "2020-05-21" }] });
+        });
+    });
+
+    describe('Syntax errors', () => {
+
+        function error(text) {
+            try {
+                parse(text);
+            } catch (e) {
+                expect(e).toBeInstanceOf(SyntaxError);
+                return [e.message, e.line, e.column];
+            }
+            throw new Error('no error thrown');
+        }
+
+        test('errors report line and column', () => {
+            expect(error('myInt >')).toEqual(['Expected a value but found end of input at line 1, column 8', 1, 8]);
+            expect(error('a = 1 and\n  b = 2 c = 3')).toEqual(['Expected "and", "or" or end of input but found "c" at line 2, column 9', 2, 9]);
+            expect(error('a = 1\nand b @ 2')).toEqual(['Unexpected character "@" at line 2, column 7', 2, 7]);
+            expect(error('a = "unterminated')).toEqual(['Unterminated string at line 1, column 5', 1, 5]);
+            expect(error('a ~ /x')).toEqual(['Unterminated regular expression at line 1, column 5', 1, 5]);
+            expect(error('a = /(/')).toEqual([expect.stringMatching(/^Invalid regular expression: .* at line 1, column 5$/), 1, 5]);
+            expect(error('(a = 1')).toEqual(['Expected ")" but found end of input at line 1, column 7', 1, 7]);
+            expect(error('a foo 1')).toEqual(['Expected an operator but found "foo" at line 1, column 3', 1, 3]);
+            expect(error('in = 1')).toEqual(['"in" is a reserved word; quote field names like "in" at line 1, column 1', 1, 1]);
+            expect(error('a not (> 1 and > 2)')).toEqual(['Duplicate operator $gt at line 1, column 7', 1, 7]);
+            expect(error('a = date("yesterday")')).toEqual(['Invalid date "yesterday" at line 1, column 10', 1, 10]);
+            expect(error('a = 1.5n')).toEqual(['Invalid bigint at line 1, column 5', 1, 5]);
+            expect(error('$nor(a = 1 b = 2)')).toEqual(['Expected "," but found "b" at line 1, column 12', 1, 12]);
+            expect(error('items elemMatch (sku = 1 and > 2)')).toEqual(['Expected a field, "(" or "not" but found ">" at line 1, column 30', 1, 30]);
+        });
+
+        test('only strings can be parsed', () => {
+            expect(() => parse(null)).toThrow(TypeError);
+        });
+    });
+
+    describe('Printing', () => {
+
+        test('queries print as text', () => {
+            expect(print({ "now.isoTime": { "$gt": "10:00", "$lt": "18:00" }, "now.isoDate": { "$not": { "$in": ["2019-12-25"] } } }))
+                .toBe('now.isoTime > "10:00" and now.isoTime < "18:00" and now.isoDate not in ["2019-12-25"]');
+            expect(print({ "$or": [{ a: 1, b: { "$exists": true } }, { "$or": [{ c: /x/g }, { d: { "$regex": "^y", "$options": "i" } }] }] }))
+                .toBe('a = 1 and b exists true or (c = /x/g or d ~ /^y/i)');
+            expect(print({ "in": 1, "a-b": 2, "$nor": [{ c: 3 }] })).toBe('"in" = 1 and "a-b" = 2 and $nor(c = 3)');
+            expect(print({})).toBe('()');
+        });
+
+        test('pretty printing', () => {
+            const query = { "$or": [{ a: 1, b: 2 }, { c: { "$elemMatch": { d: 1, e: 2 } } }], f: 3 };
+            expect(print(query, { pretty: true, indent: '  ' })).toBe([
+                '(',
+                '  a = 1',
+                '    and b = 2',
+                '  or c elemMatch (',
+                '    d = 1',
+                '    and e = 2',
+                '  )',
+                ')',
+                'and f = 3',
+            ].join('\n'));
+            expect(parse(print(query, { pretty: true }))).toEqual(query);
+        });
+
+        test('queries that cannot be printed', () => {
+            expect(() => print([])).toThrow(TypeError);
+            expect(() => print({ a: undefined })).toThrow('Cannot print value undefined');
+            expect(() => print({ a: new Date(NaN) })).toThrow(TypeError);
+            expect(() => print({ "$or": {} })).toThrow(TypeError);
+            expect(() => print({ a: { "$gt": 1, "b": 2 } })).toThrow(TypeError);
+        });
+    });
+
+    describe('Round trips', () => {
+
+        test.each(corpus.map((query) => [print(query), query]))('%s', (text, query) => {
+            expect(parse(text)).toEqual(query);
+            expect(parse(print(query, { pretty: true }))).toEqual(query);
+            expect(print(parse(text))).toBe(text);
+        });
+
+        test('parsed and original queries give the same results', () => {
+            for (let query of corpus) {
+                let expected;
+                try {
+                    expected = check(query);
+                } catch (e) {
+                    expect(() => check(parse(print(query)))).toThrow(e.constructor);
+                    continue;
+                }
+                expect(check(parse(print(query)))).toBe(expected);
+            }
+        });
+
+        test('text is normalized', () => {
+            expect(print(parse("a=1  and\n b  in['x' ,\"y\"]or(c>-1)"))).toBe('a = 1 and b in ["x", "y"] or c > -1');
+            expect(print(parse('myString ~ "^this" and x exists'))).toBe('myString ~ /^this/ and x exists true');
+        });
+    });
+}
+
+
+describe('Testing in STANDARD mode', () => {
+    textTests(false);
+});
+
+describe('Testing in STRICT mode', () => {
+    textTests(true);
+});
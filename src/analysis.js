@@ -0,0 +1,776 @@
+'use strict';
+
+/**
+ * Static analysis of queries
+ *
+ * analyze() finds clauses which can never match, like {a: {$gt: 40, $lt: 30}}
+ * or {a: 1, $and: [{a: 2}]}, and clauses which match anything, like
+ * {a: {$nin: []}} or {$or: [{a: {$exists: true}}, {a: {$exists: false}}]}.
+ * implies() tells whether every document matching one query matches
+ * another one as well, e.g. to find rules shadowed by other rules.
+ *
+ * Both are conservative: issues are only reported if they can be proven and
+ * implies() returns false unless the implication could be proven. They
+ * reason about $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin and $exists (with
+ * the instance's strict mode, collation and undefinedEqualsNull setting) and
+ * treat other operators as unknown. Documents for which test() throws in
+ * strict mode are disregarded.
+ *
+ * An array (or a path through an array) can match {a: 1} and {a: 2} with
+ * different elements, so conditions of a field are only checked against each
+ * other if the field is known to hold a single value (see setScalarFields());
+ * otherwise only conflicts which hold for every element are reported, like
+ * {a: {$in: [1, 2], $nin: [1, 2]}} or {a: {$exists: false, $gt: 1}}.
+ */
+
+const ejson = require('./ejson.js');
+const normalize = require('./normalize.js');
+const utils = require('./utils.js');
+
+const UNKNOWN = {never: false, always: false};
+
+/**
+ * Returns the longest pointer all pointers start with
+ */
+function commonPointer(pointers) {
+    const parts = pointers.map((pointer) => pointer.split('/'));
+    let length = 0;
+    while (length < parts[0].length && parts.every((p) => p[length] === parts[0][length])) {
+        ++length;
+    }
+    return parts[0].slice(0, length).join('/');
+}
+
+function isScalar(value) {
+    if (value instanceof Date) {
+        return !isNaN(value.getTime());
+    }
+    if (typeof(value) === 'number') {
+        return !isNaN(value);
+    }
+    return value === null || ['string', 'boolean', 'bigint'].indexOf(typeof(value)) !== -1;
+}
+
+function isNumeric(str) {
+    return str.trim() !== '' && !isNaN(Number(str));
+}
+
+function format(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(format).join(', ') + ']';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (value instanceof RegExp || typeof(value) === 'bigint') {
+        return String(value);
+    }
+    return JSON.stringify(value);
+}
+
+function report(context, code, pointer, message) {
+    if (context.issues !== null) {
+        context.issues.push({pointer, code, message});
+    }
+}
+
+function createContext(qc, issues) {
+    const scalarFields = qc.scalarFields;
+    const isScalarField = (path) => scalarFields === true || (Array.isArray(scalarFields) && scalarFields.indexOf(path) !== -1);
+    return {qc, issues, isScalarField};
+}
+
+/**
+ * Returns the context for the sub query of $elemMatch on a path; its paths
+ * are relative to the elements
+ */
+function elementContext(context, path, isQuery) {
+    const isScalarField = isQuery ? (other) => context.isScalarField(path + '.' + other) : () => context.qc.scalarFields === true;
+    return Object.assign({}, context, {isScalarField});
+}
+
+function normalizeQuery(qc, query) {
+    return normalize.normalize(query, (operator) => qc._isExpressionOperator(operator));
+}
+
+/**
+ * Analyzes the query of a QueryCheck instance
+ *
+ * @param {QueryCheck} qc
+ * @returns {{unsatisfiable: boolean, alwaysTrue: boolean, issues: Array<{pointer: string, code: string, message: string}>}}
+ */
+function analyze(qc) {
+    const context = createContext(qc, []);
+    const result = analyzeQuery(context, qc.query, '');
+    return {unsatisfiable: result.never, alwaysTrue: result.always, issues: context.issues};
+}
+
+/**
+ * @returns {{never: boolean, always: boolean}}
+ */
+function analyzeQuery(context, query, pointer) {
+    if (!utils.isPlainObject(query)) {
+        return UNKNOWN;
+    }
+
+    const conjunction = createConjunction();
+    collect(context, conjunction, query, pointer);
+    return finish(context, conjunction);
+}
+
+function createConjunction() {
+    return {fields: new Map(), never: false, always: true};
+}
+
+function merge(conjunction, result) {
+    conjunction.never = conjunction.never || result.never;
+    conjunction.always = conjunction.always && result.always;
+}
+
+/**
+ * Collects the field conditions of a query and the queries of its $and
+ */
+function collect(context, conjunction, query, pointer) {
+    for (let key of Object.keys(query)) {
+        const operand = query[key];
+        const keyPointer = utils.childPointer(pointer, key);
+
+        if (key === '$and' && Array.isArray(operand)) {
+            if (operand.length == 0) {
+                report(context, 'ALWAYS_TRUE', keyPointer, '$and without queries matches any document');
+            }
+            operand.forEach((item, i) => {
+                if (utils.isPlainObject(item)) {
+                    collect(context, conjunction, item, utils.childPointer(keyPointer, i));
+                } else {
+                    conjunction.always = false;
+                }
+            });
+        } else if (key === '$or' || key === '$nor') {
+            merge(conjunction, analyzeOr(context, key, operand, keyPointer));
+        } else if (key === '$not') {
+            merge(conjunction, analyzeNot(context, operand, keyPointer));
+        } else if (key[0] === '$') {
+            merge(conjunction, UNKNOWN);
+        } else {
+            merge(conjunction, analyzeField(context, conjunction, key, operand, keyPointer));
+        }
+    }
+}
+
+/**
+ * Checks the conditions collected for each field against each other
+ */
+function finish(context, conjunction) {
+    for (let constraints of conjunction.fields.values()) {
+        let conflict = findConflict(context.qc, constraints, context.isScalarField(constraints.path));
+        if (conflict !== null) {
+            // a condition with several values (like $nin) can be involved more than once
+            conflict = conflict.filter((condition, i) => conflict.indexOf(condition) === i);
+            conjunction.never = true;
+            report(context, 'UNSATISFIABLE', commonPointer(conflict.map((condition) => condition.pointer)),
+                `No value of ${constraints.path} matches ${conflict.map((condition) => condition.description).join(' and ')}`);
+        }
+    }
+
+    return {never: conjunction.never, always: conjunction.always && !conjunction.never};
+}
+
+function analyzeOr(context, key, items, pointer) {
+    if (!Array.isArray(items)) {
+        return UNKNOWN;
+    }
+
+    const results = items.map((item, i) => analyzeQuery(context, item, utils.childPointer(pointer, i)));
+    const empty = items.findIndex((item) => utils.isPlainObject(item) && Object.keys(item).length == 0);
+    const complement = empty === -1 ? findComplement(context.qc, items) : null;
+
+    const [code, effect] = key === '$or' ? ['ALWAYS_TRUE', 'matches any document'] : ['UNSATISFIABLE', 'never matches'];
+    if (items.length == 0) {
+        report(context, key === '$or' ? 'UNSATISFIABLE' : 'ALWAYS_TRUE', pointer,
+            `${key} without queries ${key === '$or' ? 'never matches' : 'matches any document'}`);
+    } else if (empty !== -1) {
+        report(context, code, pointer, `${key} ${effect} as query ${empty} is empty`);
+    } else if (complement !== null) {
+        report(context, code, pointer, `${key} ${effect} as queries ${complement[0]} and ${complement[1]} complement each other`);
+    }
+
+    const never = results.every((result) => result.never);
+    const always = results.some((result) => result.always) || complement !== null;
+    return key === '$or' ? {never, always} : {never: always, always: never};
+}
+
+function analyzeNot(context, query, pointer) {
+    if (!utils.isPlainObject(query)) {
+        return UNKNOWN;
+    }
+
+    if (Object.keys(query).length == 0) {
+        report(context, 'UNSATISFIABLE', pointer, '$not of an empty query never matches');
+        return {never: true, always: false};
+    }
+
+    const result = analyzeQuery(context, query, pointer);
+    return {never: result.always, always: result.never};
+}
+
+/**
+ * Returns the indexes of two queries of which always one matches, like
+ * {a: 1} and {a: {$ne: 1}}, or null
+ */
+function findComplement(qc, items) {
+    let normalized;
+    try {
+        normalized = items.map((item) => normalizeQuery(qc, item));
+    } catch (e) {
+        return null;
+    }
+
+    const keys = normalized.map(normalize.stringify);
+    for (let i = 0; i < normalized.length; ++i) {
+        for (let complement of complements(qc, normalized[i])) {
+            const j = keys.indexOf(complement);
+            if (j !== -1) {
+                return [Math.min(i, j), Math.max(i, j)];
+            }
+        }
+    }
+    return null;
+}
+
+function complements(qc, query) {
+    const result = [{'$not': query}];
+
+    const keys = Object.keys(query);
+    if (keys.length == 1 && keys[0][0] !== '$') {
+        const path = keys[0];
+        const operators = query[path];
+        result.push({[path]: {'$not': operators}});
+
+        const ops = Object.keys(operators);
+        if (ops.length == 1) {
+            // $eq throws for mismatching types in strict mode
+            const opposites = qc.strictMode ? {'$in': '$nin', '$nin': '$in'} : {'$in': '$nin', '$nin': '$in', '$eq': '$ne', '$ne': '$eq'};
+            if (opposites[ops[0]] !== undefined) {
+                result.push({[path]: {[opposites[ops[0]]]: operators[ops[0]]}});
+            } else if (ops[0] === '$exists') {
+                result.push({[path]: {'$exists': !operators['$exists']}});
+            }
+        }
+    }
+
+    return result.map((complement) => normalize.stringify(normalizeQuery(qc, complement)));
+}
+
+/**
+ * Adds the operators of a field condition to the field's constraints
+ */
+function analyzeField(context, conjunction, path, condition, pointer) {
+    const qc = context.qc;
+
+    let invalid = false;
+    condition = ejson.deserialize(condition, () => {
+        invalid = true;
+    });
+    if (invalid || condition instanceof RegExp) {
+        return UNKNOWN;
+    }
+
+    if (!conjunction.fields.has(path)) {
+        conjunction.fields.set(path, createConstraints(path));
+    }
+    const constraints = conjunction.fields.get(path);
+
+    if (!utils.isOperatorObject(condition, (key) => qc._isExpressionOperator(key))) {
+        return addOperator(context, constraints, '$eq', condition, pointer);
+    }
+
+    const result = {never: false, always: true};
+    for (let op of Object.keys(condition)) {
+        merge(result, addOperator(context, constraints, op, condition[op], utils.childPointer(pointer, op)));
+    }
+    return result;
+}
+
+/**
+ * Analyzes a field condition on its own, e.g. the operand of $not
+ */
+function analyzeCondition(context, path, condition, pointer) {
+    const conjunction = createConjunction();
+    merge(conjunction, analyzeField(context, conjunction, path, condition, pointer));
+    return finish(context, conjunction);
+}
+
+function createConstraints(path) {
+    return {
+        path,
+        // arrays of values of which the field has to equal one each
+        sets: [],
+        // values the field must not equal, as of $nin or $ne (which doesn't
+        // compare strings to numbers in strict mode)
+        excluded: [],
+        lower: [],
+        upper: [],
+        exists: [],
+    };
+}
+
+function addOperator(context, constraints, op, operand, pointer) {
+    const qc = context.qc;
+    if (!qc._isStaticOperand(operand)) {
+        return UNKNOWN;
+    }
+
+    const condition = {pointer, description: `${op} ${format(operand)}`};
+    switch (op) {
+    case '$eq':
+        if (isScalar(operand)) {
+            constraints.sets.push({values: [operand], condition});
+        }
+        break;
+    case '$in':
+        if (Array.isArray(operand) && operand.every(isScalar)) {
+            constraints.sets.push({values: operand, condition});
+        }
+        break;
+    case '$ne':
+        if (isScalar(operand)) {
+            constraints.excluded.push({value: operand, coercing: !qc.strictMode, condition});
+        }
+        break;
+    case '$nin':
+        if (Array.isArray(operand)) {
+            if (operand.length == 0) {
+                report(context, 'ALWAYS_TRUE', pointer, `Any value of ${constraints.path} matches $nin []`);
+                return {never: false, always: true};
+            }
+            operand.filter(isScalar).forEach((value) => constraints.excluded.push({value, coercing: true, condition}));
+        }
+        break;
+    case '$gt':
+    case '$gte':
+        if (isScalar(operand)) {
+            constraints.lower.push({value: operand, inclusive: op === '$gte', condition});
+        }
+        break;
+    case '$lt':
+    case '$lte':
+        if (isScalar(operand)) {
+            constraints.upper.push({value: operand, inclusive: op === '$lte', condition});
+        }
+        break;
+    case '$exists':
+        constraints.exists.push({value: Boolean(operand), condition});
+        break;
+    case '$not':
+        if (utils.isOperatorObject(operand, (key) => qc._isExpressionOperator(key))) {
+            const result = analyzeCondition(context, constraints.path, operand, pointer);
+            return {never: result.always, always: result.never};
+        }
+        break;
+    case '$elemMatch':
+        if (utils.isPlainObject(operand)) {
+            const keys = Object.keys(operand);
+            const result = keys.length > 0 && keys.every((key) => qc._isExpressionOperator(key))
+                ? analyzeCondition(elementContext(context, constraints.path, false), constraints.path, operand, pointer)
+                : analyzeQuery(elementContext(context, constraints.path, true), operand, pointer);
+            return {never: result.never, always: false};
+        }
+        break;
+    }
+
+    return UNKNOWN;
+}
+
+/**
+ * Returns the conditions of a field which can't match together or null;
+ * for fields which might be arrays only those no single element can match
+ */
+function findConflict(qc, constraints, scalar) {
+    const present = constraints.exists.find((entry) => entry.value);
+    const missing = constraints.exists.find((entry) => !entry.value);
+    if (present !== undefined && missing !== undefined) {
+        return [present.condition, missing.condition];
+    }
+
+    const bounds = constraints.lower.concat(constraints.upper);
+    if (missing !== undefined && bounds.length > 0 && !qc.undefinedEqualsNull) {
+        // a missing value isn't comparable
+        return [missing.condition, bounds[0].condition];
+    }
+
+    if (!scalar) {
+        // elements may match different sets and bounds, but $ne and $nin
+        // have to hold for all of them
+        for (let set of constraints.sets) {
+            const involved = restrictValues(qc, [set], constraints.excluded, [], constraints.lower, missing);
+            if (involved !== null) {
+                return involved;
+            }
+        }
+        return null;
+    }
+
+    for (let lower of constraints.lower) {
+        for (let upper of constraints.upper) {
+            if (isEmptyRange(qc, lower, upper)) {
+                return [lower.condition, upper.condition];
+            }
+        }
+    }
+
+    if (constraints.sets.length == 0) {
+        return null;
+    }
+    return restrictValues(qc, constraints.sets, constraints.excluded, bounds, constraints.lower, missing);
+}
+
+/**
+ * Returns the conditions which together leave none of the values of the
+ * sets or null
+ */
+function restrictValues(qc, sets, excluded, bounds, lower, missing) {
+    let values = sets[0].values;
+    const involved = [sets[0].condition];
+    const restrict = (condition, predicate) => {
+        const remaining = values.filter(predicate);
+        if (remaining.length < values.length) {
+            values = remaining;
+            involved.push(condition);
+        }
+        return values.length == 0;
+    };
+
+    for (let set of sets.slice(1)) {
+        if (restrict(set.condition, (value) => set.values.some((other) => mayEqual(qc, value, other)))) {
+            return involved;
+        }
+    }
+    for (let entry of excluded) {
+        if (restrict(entry.condition, (value) => !isExcluded(qc, value, entry, true))) {
+            return involved;
+        }
+    }
+    for (let bound of bounds) {
+        const isLower = lower.indexOf(bound) !== -1;
+        if (restrict(bound.condition, (value) => !failsBound(qc, value, bound, isLower))) {
+            return involved;
+        }
+    }
+    if (missing !== undefined && restrict(missing.condition, (value) => value === null && qc.undefinedEqualsNull)) {
+        return involved;
+    }
+
+    return values.length == 0 ? involved : null;
+}
+
+/**
+ * Whether two values might both be equal to the same field value
+ */
+function mayEqual(qc, a, b) {
+    if (typeof(a) === 'string' && typeof(b) === 'string') {
+        return qc._compareStrings(a, b) === 0;
+    }
+
+    const types = [qc._typeOf(a), qc._typeOf(b)];
+    if (types[0] === 'date' && types[1] === 'date') {
+        return a.getTime() === b.getTime();
+    }
+    if (types[0] === types[1]) {
+        return a == b;
+    }
+    if (types.indexOf('string') !== -1 && types.indexOf('number') !== -1) {
+        // {a: 5} matches "5" outside of strict mode
+        return String(a) === String(b);
+    }
+    return false;
+}
+
+/**
+ * Whether a field equal to a (as of $eq) is equal to b as of $ne and $nin
+ */
+function isSame(qc, a, b) {
+    if (typeof(a) !== typeof(b)) {
+        return false;
+    }
+    if (typeof(a) === 'string') {
+        // collations make other strings equal to a as well
+        return qc._collator === null && a === b;
+    }
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    return a === b;
+}
+
+/**
+ * Whether strings equal numbers or vice versa as of $in, e.g. "5" and 5
+ */
+function hasCoercedEqual(value) {
+    if (typeof(value) === 'string') {
+        return String(Number(value)) === value;
+    }
+    return typeof(value) === 'number' || typeof(value) === 'bigint';
+}
+
+/**
+ * Whether any field equal to value fails the $ne or $nin entry, with equality
+ * of strings and numbers (coercing) or without
+ */
+function isExcluded(qc, value, entry, coercing) {
+    return isSame(qc, value, entry.value) && (entry.coercing || !coercing || !hasCoercedEqual(value));
+}
+
+/**
+ * Compares values of the same type, NaN if not comparable
+ */
+function compare(qc, a, b) {
+    const type = qc._typeOf(a);
+    if (type !== qc._typeOf(b)) {
+        return NaN;
+    }
+
+    switch (type) {
+    case 'number':
+        return a < b ? -1 : (a > b ? 1 : (a == b ? 0 : NaN));
+    case 'date':
+        return compare(qc, a.getTime(), b.getTime());
+    case 'string':
+        return Math.sign(qc._compareStrings(a, b));
+    }
+    return NaN;
+}
+
+/**
+ * Whether a value compared (see compare()) to a bound satisfies it
+ */
+function satisfies(comparison, bound, isLower) {
+    if (comparison === 0) {
+        return bound.inclusive;
+    }
+    return isLower ? comparison > 0 : comparison < 0;
+}
+
+/**
+ * Whether any field equal to value as of $eq fails the bound
+ */
+function failsBound(qc, value, bound, isLower) {
+    const comparison = compare(qc, value, bound.value);
+    if (isNaN(comparison) || satisfies(comparison, bound, isLower)) {
+        return false;
+    }
+
+    if (typeof(value) === 'string' && isNumeric(value) && !qc.strictMode) {
+        // {a: "5"} matches 5 as well, which compares as number to strings
+        return !satisfies(compare(qc, Number(value), Number(bound.value)), bound, isLower);
+    }
+    return true;
+}
+
+/**
+ * Whether no field value can satisfy both bounds
+ */
+function isEmptyRange(qc, lower, upper) {
+    const comparison = compare(qc, lower.value, upper.value);
+    const isEmpty = (comparison) => comparison > 0 || (comparison === 0 && !(lower.inclusive && upper.inclusive));
+    if (!isEmpty(comparison)) {
+        return false;
+    }
+
+    if (typeof(lower.value) === 'string') {
+        // numbers (and null) compare as numbers to strings
+        const numeric = compare(qc, Number(lower.value), Number(upper.value));
+        return isNaN(numeric) || isEmpty(numeric);
+    }
+    return true;
+}
+
+/**
+ * Whether any field value satisfying one bound satisfies the other one of
+ * the same direction
+ */
+function impliesBound(qc, bound, other, isLower) {
+    const comparison = compare(qc, bound.value, other.value);
+    if (isNaN(comparison)) {
+        return false;
+    }
+    if (comparison === 0 ? bound.inclusive && !other.inclusive : isLower !== comparison > 0) {
+        return false;
+    }
+
+    if (typeof(bound.value) === 'string' && !isNaN(Number(bound.value))) {
+        // numbers (and null) compare as numbers to strings
+        return impliesBound(qc, {value: Number(bound.value), inclusive: bound.inclusive},
+            {value: Number(other.value), inclusive: other.inclusive}, isLower);
+    }
+    return true;
+}
+
+/**
+ * Returns all field values possibly matching the constraints' $eq and $in or
+ * null if not restricted to a known set of values
+ */
+function possibleValues(qc, constraints) {
+    if (constraints.sets.length == 0) {
+        return null;
+    }
+
+    let values = constraints.sets[0].values;
+    for (let set of constraints.sets.slice(1)) {
+        values = values.filter((value) => set.values.some((other) => mayEqual(qc, value, other)));
+    }
+
+    const variants = [];
+    for (let value of values) {
+        if (typeof(value) === 'string' && qc._collator !== null) {
+            return null;
+        }
+
+        variants.push(value);
+        if (typeof(value) === 'number' && Number.isInteger(value)) {
+            variants.push(BigInt(value));
+        } else if (typeof(value) === 'bigint' && Number(value) == value) {
+            variants.push(Number(value));
+        }
+        // $in compares strings to numbers even in strict mode
+        if (typeof(value) === 'number') {
+            variants.push(String(value));
+        } else if (typeof(value) === 'string' && String(Number(value)) === value) {
+            variants.push(Number(value));
+        }
+        if (value === null && qc.undefinedEqualsNull) {
+            variants.push(undefined);
+        }
+    }
+    return variants;
+}
+
+/**
+ * Tells whether every document matching the instance's query matches the
+ * other query as well; false if that can't be proven
+ *
+ * @param {QueryCheck} qc
+ * @param {object} other
+ * @returns {boolean}
+ */
+function implies(qc, other) {
+    const context = createContext(qc, null);
+    const query = normalizeQuery(qc, qc.query);
+    other = normalizeQuery(qc, other);
+
+    if (analyzeQuery(context, query, '').never || analyzeQuery(context, other, '').always) {
+        return true;
+    }
+    return impliesQuery(context, query, other);
+}
+
+function impliesQuery(context, query, other) {
+    if (!Array.isArray(query['$or'])) {
+        return impliesConjunction(context, query, other);
+    }
+
+    // a and (b or c) implies d if a implies d or both a and b and a and c do
+    const rest = Object.assign({}, query);
+    delete rest['$or'];
+    return impliesConjunction(context, rest, other) || query['$or'].every((item) => {
+        return impliesQuery(context, normalizeQuery(context.qc, {'$and': [rest, item]}), other);
+    });
+}
+
+function impliesConjunction(context, query, other) {
+    const conjunction = createConjunction();
+    collect(context, conjunction, query, '');
+    if (finish(context, conjunction).never) {
+        return true;
+    }
+
+    const clauses = new Set(normalize.splitClauses(query).map(normalize.stringify));
+    return normalize.splitClauses(other).every((clause) => {
+        return clauses.has(normalize.stringify(clause)) || impliesClause(context, query, conjunction, clause);
+    });
+}
+
+function impliesClause(context, query, conjunction, clause) {
+    const key = Object.keys(clause)[0];
+
+    if (key === '$or') {
+        return clause['$or'].some((item) => impliesConjunction(context, query, item));
+    }
+    if (key === '$not') {
+        return analyzeQuery(context, {'$and': [query, clause['$not']]}, '').never;
+    }
+    if (key[0] === '$' || !conjunction.fields.has(key) || !context.isScalarField(key)) {
+        // elements of an array may match the conditions of the query while
+        // none matches the clause
+        return false;
+    }
+
+    return impliesCondition(context.qc, conjunction.fields.get(key), key, clause[key]);
+}
+
+function impliesCondition(qc, constraints, path, operators) {
+    let invalid = false;
+    const ops = Object.keys(operators);
+    const operands = ops.map((op) => ejson.deserialize(operators[op], () => {
+        invalid = true;
+    }));
+    if (invalid || !operands.every((operand) => qc._isStaticOperand(operand))) {
+        return false;
+    }
+
+    const values = possibleValues(qc, constraints);
+    if (values !== null) {
+        let fn;
+        try {
+            fn = qc._compileExpression(path, operators, '');
+        } catch (e) {
+            return false;
+        }
+
+        return values.every((value) => {
+            try {
+                return Boolean(fn(value, {}));
+            } catch (e) {
+                // type errors in strict mode
+                return true;
+            }
+        });
+    }
+
+    if (ops.length != 1) {
+        return false;
+    }
+
+    const [op, operand] = [ops[0], operands[0]];
+    const bound = {value: operand, inclusive: op === '$gte' || op === '$lte'};
+    const coercing = op === '$nin' || !qc.strictMode;
+    const excludes = (value) => isScalar(value) && (constraints.excluded.some((entry) => isExcluded(qc, value, entry, coercing))
+        || constraints.lower.some((lower) => failsBound(qc, value, lower, true))
+        || constraints.upper.some((upper) => failsBound(qc, value, upper, false)));
+
+    switch (op) {
+    case '$gt':
+    case '$gte':
+        return constraints.lower.some((lower) => impliesBound(qc, lower, bound, true));
+    case '$lt':
+    case '$lte':
+        return constraints.upper.some((upper) => impliesBound(qc, upper, bound, false));
+    case '$ne':
+        return excludes(operand);
+    case '$nin':
+        return Array.isArray(operand) && operand.every(excludes);
+    case '$exists':
+        if (operand) {
+            // missing values aren't comparable
+            return constraints.exists.some((entry) => entry.value)
+                || (!qc.undefinedEqualsNull && constraints.lower.length + constraints.upper.length > 0);
+        }
+        return constraints.exists.some((entry) => !entry.value);
+    }
+    return false;
+}
+
+module.exports = {
+    analyze,
+    implies,
+};
@@ -0,0 +1,339 @@
+'use strict';
+
+/**
+ * Fluent query builder
+ *
+ * Builds plain query objects for the QueryCheck constructor:
+ *
+ *   where('now.isoTime').gt('10:00').lt('18:00').and(where('myInt').in([1, 2])).build()
+ *   → {"now.isoTime": {"$gt": "10:00", "$lt": "18:00"}, "myInt": {"$in": [1, 2]}}
+ *
+ * A builder is a list of clauses which all have to match; build() merges them
+ * into a single query object as long as they don't conflict (e.g. two $gt on
+ * the same field) and puts the remaining clauses into $and. Builders are
+ * immutable: every method returns a new builder, so partial queries can be
+ * reused and extended conditionally.
+ *
+ * Existing queries can be loaded using QueryBuilder.from(query) (each top
+ * level key becomes a clause) to add or remove() clauses; building a loaded
+ * query without changes returns an equal query.
+ */
+
+const utils = require('./utils.js');
+
+class QueryBuilder {
+
+    constructor(clauses, field, negate) {
+        this._clauses = clauses || [];
+        this._field = field === undefined ? null : field;
+        this._negate = Boolean(negate);
+    }
+
+    /**
+     * Loads a query (or copies a builder)
+     *
+     * @param {object|QueryBuilder} query
+     * @returns {QueryBuilder}
+     */
+    static from(query) {
+        if (query instanceof QueryBuilder) {
+            return new QueryBuilder(query._clauses.slice());
+        }
+        return new QueryBuilder(toClauses(query));
+    }
+
+    /**
+     * Selects the field (dotted path) the following operators apply to
+     *
+     * @param {string} path
+     * @returns {QueryBuilder}
+     */
+    where(path) {
+        if (typeof(path) !== 'string' || path === '') {
+            throw new TypeError('Field path must be a non-empty string');
+        }
+        if (path[0] == '$') {
+            throw new TypeError(`Field path must not start with $: ${path}`);
+        }
+        return new QueryBuilder(this._clauses, path);
+    }
+
+    /**
+     * Negates the next operator, e.g. not().in([...]) → {"$not": {"$in": [...]}}
+     *
+     * @returns {QueryBuilder}
+     */
+    not() {
+        this._requireField('not');
+        return new QueryBuilder(this._clauses, this._field, !this._negate);
+    }
+
+    eq(value) {
+        return this._addOperator('$eq', value);
+    }
+
+    ne(value) {
+        return this._addOperator('$ne', value);
+    }
+
+    gt(value) {
+        return this._addOperator('$gt', value);
+    }
+
+    gte(value) {
+        return this._addOperator('$gte', value);
+    }
+
+    lt(value) {
+        return this._addOperator('$lt', value);
+    }
+
+    lte(value) {
+        return this._addOperator('$lte', value);
+    }
+
+    in(values) {
+        return this._addOperator('$in', requireArray('in', values));
+    }
+
+    nin(values) {
+        return this._addOperator('$nin', requireArray('nin', values));
+    }
+
+    all(values) {
+        return this._addOperator('$all', requireArray('all', values));
+    }
+
+    size(size) {
+        return this._addOperator('$size', size);
+    }
+
+    mod(divisor, remainder) {
+        return this._addOperator('$mod', [divisor, remainder]);
+    }
+
+    type(type) {
+        return this._addOperator('$type', type);
+    }
+
+    exists(exists) {
+        return this._addOperator('$exists', exists === undefined ? true : exists);
+    }
+
+    /**
+     * @param {string|RegExp} pattern
+     * @param {string} [options] $options
+     * @returns {QueryBuilder}
+     */
+    regex(pattern, options) {
+        const condition = {'$regex': pattern};
+        if (options !== undefined) {
+            condition['$options'] = options;
+        }
+        return this._addCondition(condition);
+    }
+
+    /**
+     * @param {object|QueryBuilder} query sub query (or expression for arrays of values)
+     * @returns {QueryBuilder}
+     */
+    elemMatch(query) {
+        return this._addOperator('$elemMatch', toQuery(query));
+    }
+
+    /**
+     * Adds an operator not known to the builder (e.g. a custom operator)
+     *
+     * @param {string} operator
+     * @param {*} operand
+     * @returns {QueryBuilder}
+     */
+    op(operator, operand) {
+        if (typeof(operator) !== 'string' || operator[0] != '$') {
+            throw new TypeError(`Operator must be a string starting with $: ${operator}`);
+        }
+        return this._addOperator(operator, operand);
+    }
+
+    /**
+     * Adds queries (or builders) which have to match as well
+     *
+     * @param {...(object|QueryBuilder)} queries
+     * @returns {QueryBuilder}
+     */
+    and(...queries) {
+        let clauses = this._clauses;
+        for (let query of queries) {
+            clauses = clauses.concat(query instanceof QueryBuilder ? query._clauses : toClauses(query));
+        }
+        return new QueryBuilder(clauses);
+    }
+
+    /**
+     * Returns a builder matching this query or any of the given ones
+     *
+     * @param {...(object|QueryBuilder)} queries
+     * @returns {QueryBuilder}
+     */
+    or(...queries) {
+        return this._combine('$or', queries);
+    }
+
+    /**
+     * Returns a builder matching if neither this query nor any of the given ones match
+     *
+     * @param {...(object|QueryBuilder)} queries
+     * @returns {QueryBuilder}
+     */
+    nor(...queries) {
+        return this._combine('$nor', queries);
+    }
+
+    /**
+     * Adds an aggregation expression ($expr) which has to be truthy
+     *
+     * @param {*} expression
+     * @returns {QueryBuilder}
+     */
+    expr(expression) {
+        return new QueryBuilder(this._clauses.concat({'$expr': expression}));
+    }
+
+    /**
+     * Removes all top level clauses of a field (or boolean operator like "$or")
+     *
+     * @param {string} key
+     * @returns {QueryBuilder}
+     */
+    remove(key) {
+        return new QueryBuilder(this._clauses.filter((clause) => !Object.prototype.hasOwnProperty.call(clause, key)));
+    }
+
+    /**
+     * Returns the query object
+     *
+     * @returns {object}
+     */
+    build() {
+        const query = {};
+        const rest = [];
+
+        for (let clause of this._clauses) {
+            const key = Object.keys(clause)[0];
+            const value = clause[key];
+
+            if (!Object.prototype.hasOwnProperty.call(query, key)) {
+                query[key] = utils.isOperatorObject(value) ? Object.assign({}, value) : value;
+            } else if (key == '$and' && Array.isArray(query[key]) && Array.isArray(value)) {
+                query[key] = query[key].concat(value);
+            } else if (key[0] != '$' && canMerge(query[key], value)) {
+                query[key] = Object.assign(toOperatorObject(query[key]), toOperatorObject(value));
+            } else {
+                rest.push(clause);
+            }
+        }
+
+        if (rest.length > 0) {
+            query['$and'] = (query['$and'] || []).concat(rest);
+        }
+
+        return query;
+    }
+
+    toJSON() {
+        return this.build();
+    }
+
+    _combine(operator, queries) {
+        const query = this.build();
+        const isSame = (q) => Object.keys(q).length == 1 && Array.isArray(q[operator]);
+
+        // a.or(b).or(c) → {"$or": [a, b, c]}
+        const items = operator == '$or' && isSame(query) ? query[operator].slice() : [query];
+        for (let other of queries) {
+            items.push(toQuery(other));
+        }
+
+        return new QueryBuilder([{[operator]: items}]);
+    }
+
+    _requireField(method) {
+        if (this._field === null) {
+            throw new Error(`${method}(): no field selected; call where() first`);
+        }
+    }
+
+    _addOperator(operator, operand) {
+        return this._addCondition({[operator]: operand});
+    }
+
+    _addCondition(condition) {
+        this._requireField(Object.keys(condition)[0].substr(1));
+
+        let value = condition;
+        if (this._negate) {
+            value = {'$not': condition};
+        } else if (condition['$eq'] !== undefined && !utils.isOperatorObject(condition['$eq']) && !(condition['$eq'] instanceof RegExp)) {
+            // plain values are implicit equality checks
+            value = condition['$eq'];
+        }
+
+        return new QueryBuilder(this._clauses.concat({[this._field]: value}), this._field);
+    }
+}
+
+function requireArray(method, values) {
+    if (!Array.isArray(values)) {
+        throw new TypeError(`${method}() requires an array`);
+    }
+    return values;
+}
+
+function toOperatorObject(value) {
+    if (utils.isOperatorObject(value)) {
+        return Object.assign({}, value);
+    }
+    return value instanceof RegExp ? {'$regex': value} : {'$eq': value};
+}
+
+/**
+ * Two conditions on the same field can be merged unless they share an
+ * operator; $regex and $options stay together
+ */
+function canMerge(a, b) {
+    const keysA = Object.keys(toOperatorObject(a));
+    const keysB = Object.keys(toOperatorObject(b));
+
+    for (let key of keysB) {
+        if (keysA.indexOf(key) !== -1 || (key == '$options' || key == '$regex') && (keysA.indexOf('$regex') !== -1 || keysA.indexOf('$options') !== -1)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function toQuery(query) {
+    return query instanceof QueryBuilder ? query.build() : query;
+}
+
+function toClauses(query) {
+    if (!utils.isPlainObject(query)) {
+        throw new TypeError('Query must be an object');
+    }
+    return Object.keys(query).map((key) => ({[key]: query[key]}));
+}
+
+/**
+ * Starts a builder for a field
+ *
+ * @param {string} path
+ * @returns {QueryBuilder}
+ */
+function where(path) {
+    return new QueryBuilder().where(path);
+}
+
+module.exports = {
+    QueryBuilder,
+    where,
+};
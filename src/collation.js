@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Collations
+ *
+ * A collation like MongoDB's describes how strings are compared:
+ *
+ *   {
+ *       locale: 'de',               // BCP 47 language tag; "simple" compares code units
+ *       strength: 1,                // 1: base letters, 2: + accents, 3: + case (default)
+ *       caseLevel: false,           // also compare case at strength 1 and 2
+ *       caseFirst: 'off',           // "upper" or "lower" to sort upper/lower case first
+ *       numericOrdering: false,     // compare digits numerically ("10" > "9")
+ *       alternate: 'non-ignorable', // "shifted" ignores whitespace and punctuation
+ *       caseInsensitive: false,     // shortcut for strength 2 (unless a lower strength is given)
+ *   }
+ */
+
+const caseFirstValues = ['upper', 'lower', 'off'];
+const alternateValues = ['non-ignorable', 'shifted'];
+
+/**
+ * Creates an Intl.Collator for a collation; null for the "simple" collation
+ *
+ * @param {object|null} collation
+ * @returns {Intl.Collator|null}
+ */
+function createCollator(collation) {
+    if (collation === null || collation === undefined) {
+        return null;
+    }
+
+    if (typeof(collation) !== 'object' || Array.isArray(collation)) {
+        throw new TypeError('Collation must be an object');
+    }
+
+    if (collation.locale !== undefined && typeof(collation.locale) !== 'string') {
+        throw new TypeError('Collation locale must be a string');
+    }
+
+    if (collation.locale === 'simple') {
+        return null;
+    }
+
+    let strength = collation.strength !== undefined ? collation.strength : 3;
+    if (!Number.isInteger(strength) || strength < 1 || strength > 5) {
+        throw new RangeError('Collation strength must be an integer from 1 to 5');
+    }
+
+    for (let option of ['caseLevel', 'numericOrdering', 'caseInsensitive']) {
+        if (collation[option] !== undefined && typeof(collation[option]) !== 'boolean') {
+            throw new TypeError(`Collation ${option} must be a boolean`);
+        }
+    }
+
+    if (collation.caseFirst !== undefined && caseFirstValues.indexOf(collation.caseFirst) === -1) {
+        throw new RangeError(`Collation caseFirst must be one of ${caseFirstValues.join(', ')}`);
+    }
+
+    if (collation.alternate !== undefined && alternateValues.indexOf(collation.alternate) === -1) {
+        throw new RangeError(`Collation alternate must be one of ${alternateValues.join(', ')}`);
+    }
+
+    if (collation.caseInsensitive) {
+        strength = Math.min(strength, 2);
+    }
+
+    let sensitivity = 'variant';
+    if (strength == 1) {
+        sensitivity = collation.caseLevel ? 'case' : 'base';
+    } else if (strength == 2 && !collation.caseLevel) {
+        sensitivity = 'accent';
+    }
+
+    return new Intl.Collator(collation.locale, {
+        usage: 'sort',
+        sensitivity,
+        numeric: Boolean(collation.numericOrdering),
+        caseFirst: collation.caseFirst === 'upper' || collation.caseFirst === 'lower' ? collation.caseFirst : 'false',
+        ignorePunctuation: collation.alternate === 'shifted',
+    });
+}
+
+module.exports = {
+    createCollator,
+};
@@ -0,0 +1,392 @@
+'use strict';
+
+/**
+ * Collection helpers
+ *
+ * Selects the items of an array matching a query and applies MongoDB-style
+ * sorting, paging and projection to the result. Sort keys and projected
+ * fields are resolved with the same dotted path rules as the query itself.
+ */
+
+// MongoDB sort order of the different types
+const typeOrder = ['null', 'number', 'string', 'object', 'array', 'boolean', 'date', 'regex'];
+
+/**
+ * Returns the items matching the query, sorted, paged and projected
+ *
+ * Supported options are `sort` ({path: 1 | -1, ...}), `skip`, `limit` (0 is
+ * no limit) and `projection` ({path: 1, ...} or {path: 0, ...}).
+ *
+ * @param {QueryCheck} qc
+ * @param {Array} items
+ * @param {object} [options]
+ * @returns {Array}
+ */
+function select(qc, items, options) {
+    options = options || {};
+    checkItems(items);
+
+    const skip = checkCount('skip', options.skip);
+    const limit = checkCount('limit', options.limit);
+    const predicate = qc.compile();
+
+    let results = [];
+    if (options.sort) {
+        const sort = compileSort(qc, options.sort);
+        results = sort(items.filter((item) => predicate(item))).slice(skip, limit > 0 ? skip + limit : undefined);
+    } else {
+        // without sorting, we can stop as soon as there are enough results
+        let matches = 0;
+        for (let i = 0; i < items.length && (limit == 0 || results.length < limit); ++i) {
+            if (predicate(items[i]) && ++matches > skip) {
+                results.push(items[i]);
+            }
+        }
+    }
+
+    if (options.projection) {
+        const project = compileProjection(qc, options.projection);
+        results = results.map(project);
+    }
+
+    return results;
+}
+
+/**
+ * Returns the index of the first item matching the query or -1
+ *
+ * @param {QueryCheck} qc
+ * @param {Array} items
+ * @returns {number}
+ */
+function findIndex(qc, items) {
+    checkItems(items);
+
+    const predicate = qc.compile();
+    for (let i = 0; i < items.length; ++i) {
+        if (predicate(items[i])) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Checks whether all items match the query (true for an empty array)
+ *
+ * @param {QueryCheck} qc
+ * @param {Array} items
+ * @returns {boolean}
+ */
+function every(qc, items) {
+    checkItems(items);
+
+    const predicate = qc.compile();
+    for (let i = 0; i < items.length; ++i) {
+        if (!predicate(items[i])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Splits the items into those matching the query and the others
+ *
+ * @param {QueryCheck} qc
+ * @param {Array} items
+ * @returns {Array<Array>}
+ */
+function partition(qc, items) {
+    checkItems(items);
+
+    const predicate = qc.compile();
+    const matching = [];
+    const nonMatching = [];
+    for (let i = 0; i < items.length; ++i) {
+        (predicate(items[i]) ? matching : nonMatching).push(items[i]);
+    }
+    return [matching, nonMatching];
+}
+
+function checkItems(items) {
+    if (!Array.isArray(items)) {
+        throw new TypeError(`Items must be an array but are of type ${typeof(items)}`);
+    }
+}
+
+function checkCount(name, value) {
+    if (value === undefined || value === null) {
+        return 0;
+    }
+
+    if (typeof(value) !== 'number' || !Number.isInteger(value) || value < 0) {
+        throw new TypeError(`${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+/**
+ * Compiles a sort spec like {"name.last": 1, "age": -1} into a function
+ * returning the items sorted (stable)
+ */
+function compileSort(qc, sort) {
+    if (sort === null || typeof(sort) !== 'object' || Array.isArray(sort)) {
+        throw new TypeError('Sort must be an object of {path: 1 | -1}');
+    }
+
+    const keys = Object.keys(sort).map((path) => {
+        if (sort[path] !== 1 && sort[path] !== -1) {
+            throw new TypeError(`Sort order of ${path} must be either 1 or -1`);
+        }
+        return {path, direction: sort[path]};
+    });
+
+    // strings are sorted using the collation of the query (if any)
+    const compareStrings = (a, b) => qc._compareStrings(a, b);
+
+    const compare = (a, b) => {
+        for (let i = 0; i < keys.length; ++i) {
+            const result = compareValues(a.values[i], b.values[i], compareStrings) * keys[i].direction;
+            if (result != 0) {
+                return result;
+            }
+        }
+        return a.index - b.index;
+    };
+
+    // the sort values are resolved once per item, not on every comparison
+    return (items) => items
+        .map((item, index) => ({
+            item,
+            index,
+            values: keys.map((key) => sortValue(qc.getVariableValue(key.path, item), key.direction, compareStrings)),
+        }))
+        .sort(compare)
+        .map((entry) => entry.item);
+}
+
+function sortValue(value, direction, compareStrings) {
+    if (!Array.isArray(value)) {
+        return value;
+    }
+
+    // like MongoDB, arrays sort by their smallest element in ascending and
+    // by their largest element in descending order
+    let result;
+    for (let i = 0; i < value.length; ++i) {
+        if (i == 0 || compareValues(value[i], result, compareStrings) * direction < 0) {
+            result = value[i];
+        }
+    }
+    return result;
+}
+
+function typeRank(value) {
+    if (value === undefined || value === null) {
+        return typeOrder.indexOf('null');
+    }
+    if (Array.isArray(value)) {
+        return typeOrder.indexOf('array');
+    }
+    if (value instanceof Date) {
+        return typeOrder.indexOf('date');
+    }
+    if (value instanceof RegExp) {
+        return typeOrder.indexOf('regex');
+    }
+
+    const rank = typeOrder.indexOf(typeof(value) === 'bigint' ? 'number' : typeof(value));
+    return rank !== -1 ? rank : typeOrder.indexOf('object');
+}
+
+/**
+ * Returns the name of the type of a value in MongoDB's sort order, i.e.
+ * "null", "number", "string", "object", "array", "boolean", "date" or "regex"
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function typeName(value) {
+    return typeOrder[typeRank(value)];
+}
+
+/**
+ * Compares two values using MongoDB's sort order of types
+ *
+ * @param {*} a
+ * @param {*} b
+ * @param {function(string, string): number} [compareStrings] e.g. the compare function of an Intl.Collator
+ * @returns {number} negative, zero or positive
+ */
+function compareValues(a, b, compareStrings) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA != rankB) {
+        return rankA - rankB;
+    }
+
+    switch (typeOrder[rankA]) {
+        case 'null':
+            return 0;
+        case 'number':
+        case 'boolean':
+            return a < b ? -1 : (a > b ? 1 : 0);
+        case 'date':
+            return a.getTime() - b.getTime();
+        case 'array':
+            for (let i = 0; i < a.length && i < b.length; ++i) {
+                const result = compareValues(a[i], b[i], compareStrings);
+                if (result != 0) {
+                    return result;
+                }
+            }
+            return a.length - b.length;
+        case 'string':
+            if (compareStrings !== undefined) {
+                return compareStrings(a, b);
+            }
+            return a < b ? -1 : (a > b ? 1 : 0);
+        default:
+            a = JSON.stringify(a);
+            b = JSON.stringify(b);
+            return a < b ? -1 : (a > b ? 1 : 0);
+    }
+}
+
+/**
+ * Compiles a projection like {"name": 1, "address.city": 1} (inclusion) or
+ * {"password": 0} (exclusion) into a function projecting an item
+ */
+function compileProjection(qc, projection) {
+    if (projection === null || typeof(projection) !== 'object' || Array.isArray(projection)) {
+        throw new TypeError('Projection must be an object of {path: 1 | 0}');
+    }
+
+    const paths = Object.keys(projection);
+    const inclusion = paths.length > 0 && Boolean(projection[paths[0]]);
+    const tree = {};
+
+    for (let path of paths) {
+        if (Boolean(projection[path]) !== inclusion) {
+            throw new TypeError('Projection cannot mix inclusion and exclusion');
+        }
+
+        // build a tree of the projected paths, e.g. {address: {city: true}};
+        // numeric parts (array indexes) become keys like any other part
+        const parts = qc._parsePath(path);
+        let node = tree;
+        for (let i = 0; i < parts.length - 1; ++i) {
+            if (node[parts[i]] === true) {
+                break;
+            }
+            node = node[parts[i]] = node[parts[i]] || {};
+        }
+        node[parts[parts.length - 1]] = true;
+    }
+
+    return (item) => inclusion ? include(item, tree) : exclude(item, tree);
+}
+
+function isDocument(value) {
+    return value !== null && typeof(value) === 'object' && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp);
+}
+
+/**
+ * Returns the projection tree of the element of an array at an index: the
+ * paths of its index (e.g. "items.0.qty") merged with the paths applying to
+ * all documents of the array (e.g. "items.sku"); true for the whole element,
+ * null if no path applies
+ */
+function elementTree(tree, index, element) {
+    let result = null;
+    if (isDocument(element)) {
+        for (let key of Object.keys(tree)) {
+            if (!/^\d+$/.test(key)) {
+                result = mergeTrees(result, {[key]: tree[key]});
+            }
+        }
+    }
+
+    const indexed = Object.prototype.hasOwnProperty.call(tree, index) ? tree[index] : undefined;
+    if (indexed === true || (indexed !== undefined && (isDocument(element) || Array.isArray(element)))) {
+        result = mergeTrees(result, indexed);
+    }
+    return result;
+}
+
+function mergeTrees(a, b) {
+    if (a === true || b === true) {
+        return true;
+    }
+    if (a === null) {
+        return b;
+    }
+
+    const result = Object.assign({}, a);
+    for (let key of Object.keys(b)) {
+        result[key] = Object.prototype.hasOwnProperty.call(result, key) ? mergeTrees(result[key], b[key]) : b[key];
+    }
+    return result;
+}
+
+function include(value, tree) {
+    if (Array.isArray(value)) {
+        // projections apply to all documents of an array, numeric parts only
+        // to the element at that index
+        const result = [];
+        value.forEach((element, i) => {
+            const node = elementTree(tree, i, element);
+            if (node !== null) {
+                result.push(node === true ? element : include(element, node));
+            }
+        });
+        return result;
+    }
+
+    const result = {};
+    for (let key of Object.keys(tree)) {
+        if (value[key] === undefined) {
+            continue;
+        }
+
+        if (tree[key] === true) {
+            result[key] = value[key];
+        } else if (isDocument(value[key]) || Array.isArray(value[key])) {
+            result[key] = include(value[key], tree[key]);
+        }
+    }
+    return result;
+}
+
+function exclude(value, tree) {
+    if (Array.isArray(value)) {
+        const result = [];
+        value.forEach((element, i) => {
+            const node = elementTree(tree, i, element);
+            if (node !== true) {
+                result.push(node !== null ? exclude(element, node) : element);
+            }
+        });
+        return result;
+    }
+
+    const result = Object.assign({}, value);
+    for (let key of Object.keys(tree)) {
+        if (tree[key] === true) {
+            delete result[key];
+        } else if (isDocument(result[key]) || Array.isArray(result[key])) {
+            result[key] = exclude(result[key], tree[key]);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    select,
+    findIndex,
+    every,
+    partition,
+    compareValues,
+    typeName,
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * Variable paths a query depends on
+ *
+ * Walks a query and collects every dotted path it reads from the data:
+ * fields ({"myInt": {"$gt": 100}} reads myInt), variables of operand functions
+ * ({"$gt": {"$var": "limit"}} reads limit) and field references in $expr
+ * ({"$expr": {"$lt": ["$a", "$b"]}} reads a and b). Each path is listed once
+ * with the operators using it and the JSON pointers of where it is used.
+ *
+ * Paths in $elemMatch queries are prefixed with the path of the array
+ * ({"items": {"$elemMatch": {"qty": 2}}} reads items and items.qty). Sub
+ * queries of custom boolean operators are assumed to test the data, those of
+ * custom expression operators the documents in the value, like $elemMatch.
+ * Paths computed at runtime, like {"$var": {"$concat": ["a.", "b"]}}, and the
+ * data read by custom boolean operators without sub query can't be known.
+ */
+
+const ejson = require('./ejson.js');
+const utils = require('./utils.js');
+
+/**
+ * Returns the paths the query of a QueryCheck instance reads, sorted by path
+ *
+ * @param {QueryCheck} qc
+ * @returns {Array<{path: string, operators: Array<string>, pointers: Array<string>}>}
+ */
+function dependencies(qc) {
+    const found = new Map();
+    const context = {
+        qc,
+        add: (path, operator, pointer) => {
+            if (!found.has(path)) {
+                found.set(path, {path, operators: [], pointers: []});
+            }
+            const entry = found.get(path);
+            if (entry.operators.indexOf(operator) === -1) {
+                entry.operators.push(operator);
+            }
+            if (entry.pointers.indexOf(pointer) === -1) {
+                entry.pointers.push(pointer);
+            }
+        },
+    };
+
+    walkQuery(context, qc.query, '', '');
+
+    return Array.from(found.keys()).sort().map((path) => {
+        const entry = found.get(path);
+        return {path, operators: entry.operators.sort(), pointers: entry.pointers};
+    });
+}
+
+/**
+ * @param {object} context
+ * @param {*} query
+ * @param {string} pointer
+ * @param {string} prefix path of the array elements tested by the query ("" for the data)
+ */
+function walkQuery(context, query, pointer, prefix) {
+    if (!utils.isPlainObject(query)) {
+        return;
+    }
+
+    for (let key of Object.keys(query)) {
+        const operand = query[key];
+        const keyPointer = utils.childPointer(pointer, key);
+
+        if (key === '$and' || key === '$or' || key === '$nor') {
+            walkQueries(context, operand, keyPointer, prefix);
+        } else if (key === '$not') {
+            walkQuery(context, operand, keyPointer, prefix);
+        } else if (key === '$expr') {
+            walkExpression(context, operand, keyPointer, prefix);
+        } else if (key[0] === '$') {
+            walkOperator(context, null, key, operand, keyPointer, prefix);
+        } else {
+            walkCondition(context, prefix + key, query[key], keyPointer, prefix);
+        }
+    }
+}
+
+function walkQueries(context, queries, pointer, prefix) {
+    if (Array.isArray(queries)) {
+        queries.forEach((query, i) => walkQuery(context, query, utils.childPointer(pointer, i), prefix));
+    }
+}
+
+function walkCondition(context, path, condition, pointer, prefix) {
+    const qc = context.qc;
+
+    condition = ejson.deserialize(condition, () => {});
+    if (condition instanceof RegExp) {
+        context.add(path, '$regex', pointer);
+        return;
+    }
+
+    if (!utils.isOperatorObject(condition, (key) => qc._isExpressionOperator(key))) {
+        context.add(path, '$eq', pointer);
+        walkOperand(context, '$eq', condition, pointer, prefix);
+        return;
+    }
+
+    for (let op of Object.keys(condition)) {
+        const operand = condition[op];
+        const opPointer = utils.childPointer(pointer, op);
+
+        if (op === '$options') {
+            // belongs to $regex
+            walkOperand(context, '$regex', operand, opPointer, prefix);
+            continue;
+        }
+
+        context.add(path, op, opPointer);
+        if (op === '$not') {
+            if (!(operand instanceof RegExp)) {
+                walkCondition(context, path, operand, opPointer, prefix);
+            }
+        } else if (op === '$elemMatch' && utils.isPlainObject(operand)) {
+            const keys = Object.keys(operand);
+            if (keys.length > 0 && keys.every((key) => qc._isExpressionOperator(key))) {
+                walkCondition(context, path, operand, opPointer, prefix);
+            } else {
+                walkQuery(context, operand, opPointer, path + '.');
+            }
+        } else {
+            walkOperator(context, path, op, operand, opPointer, prefix);
+        }
+    }
+}
+
+/**
+ * Walks the operand of an operator, which may be a sub query for custom
+ * operators
+ *
+ * @param {object} context
+ * @param {string|null} path the field for expression operators, null for boolean operators
+ * @param {string} operator
+ * @param {*} operand
+ * @param {string} pointer
+ * @param {string} prefix
+ */
+function walkOperator(context, path, operator, operand, pointer, prefix) {
+    const definition = context.qc._customOperators[operator];
+    const subQuery = definition !== undefined ? definition.subQuery : false;
+
+    const subPrefix = path !== null ? path + '.' : prefix;
+
+    if (subQuery === 'query') {
+        walkQuery(context, operand, pointer, subPrefix);
+    } else if (subQuery === 'queries') {
+        walkQueries(context, operand, pointer, subPrefix);
+    } else if (subQuery === 'expression') {
+        walkCondition(context, path, operand, pointer, prefix);
+    } else {
+        walkOperand(context, operator, operand, pointer, prefix);
+    }
+}
+
+/**
+ * Finds the variables of operand functions like {"$var": "name"}
+ */
+function walkOperand(context, operator, operand, pointer, prefix) {
+    if (Array.isArray(operand)) {
+        operand.forEach((item, i) => walkOperand(context, operator, item, utils.childPointer(pointer, i), prefix));
+        return;
+    }
+
+    if (!utils.isPlainObject(operand)) {
+        return;
+    }
+
+    for (let key of Object.keys(operand)) {
+        const keyPointer = utils.childPointer(pointer, key);
+        const value = operand[key];
+
+        if (key === '$var') {
+            // {"$var": "name"} or {"$var": {"name": "name", "default": value}}
+            const name = utils.isPlainObject(value) ? value.name : value;
+            if (typeof(name) === 'string') {
+                context.add(prefix + name, operator, keyPointer);
+            }
+        }
+        walkOperand(context, operator, value, keyPointer, prefix);
+    }
+}
+
+/**
+ * Finds the field references like "$address.city" of an aggregation
+ * expression
+ */
+function walkExpression(context, expression, pointer, prefix) {
+    if (typeof(expression) === 'string') {
+        if (expression.length > 1 && expression[0] === '$' && expression[1] !== '$') {
+            context.add(prefix + expression.substr(1), '$expr', pointer);
+        }
+        return;
+    }
+
+    if (Array.isArray(expression)) {
+        expression.forEach((item, i) => walkExpression(context, item, utils.childPointer(pointer, i), prefix));
+        return;
+    }
+
+    if (!utils.isPlainObject(expression) || ejson.isExtendedJson(expression)) {
+        return;
+    }
+
+    for (let key of Object.keys(expression)) {
+        if (key !== '$literal') {
+            walkExpression(context, expression[key], utils.childPointer(pointer, key), prefix);
+        }
+    }
+}
+
+module.exports = {
+    dependencies,
+};
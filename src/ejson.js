@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * MongoDB Extended JSON
+ *
+ * Queries are JSON, so values without a JSON representation are given in
+ * Extended JSON (canonical or relaxed) and converted when the query gets
+ * compiled:
+ *
+ *   {"$date": "2020-05-21T13:59:48Z"}       → Date (also milliseconds or {"$numberLong": "..."})
+ *   {"$numberLong": "1590069588000"}        → number (BigInt if it is no safe integer)
+ *   {"$numberInt": "5"}                     → number
+ *   {"$numberDouble": "1.5"}                → number (also "Infinity", "-Infinity" and "NaN")
+ *   {"$numberDecimal": "1.5"}               → number (JS has no decimal type; precision may get lost)
+ *   {"$regularExpression": {"pattern": "^a", "options": "i"}} → RegExp
+ */
+
+const regex = require('./regex.js');
+const utils = require('./utils.js');
+
+const numberPattern = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+const converters = {
+
+    '$date': (value) => {
+        if (value !== null && typeof(value) === 'object' && Object.keys(value).length == 1 && '$numberLong' in value) {
+            value = converters['$numberLong'](value['$numberLong']);
+        }
+
+        if (typeof(value) === 'bigint') {
+            value = Number(value);
+        }
+
+        if (typeof(value) !== 'string' && typeof(value) !== 'number') {
+            throw new TypeError('$date must be an ISO-8601 string or milliseconds since epoch');
+        }
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new TypeError(`$date: invalid date ${JSON.stringify(value)}`);
+        }
+        return date;
+    },
+
+    '$numberLong': (value) => {
+        if (typeof(value) !== 'string' || !/^[+-]?\d+$/.test(value)) {
+            throw new TypeError(`$numberLong must be a string of digits but is ${JSON.stringify(value)}`);
+        }
+
+        const number = Number(value);
+        if (!Number.isSafeInteger(number) && typeof(BigInt) === 'function') {
+            return BigInt(value);
+        }
+        return number;
+    },
+
+    '$numberInt': (value) => {
+        if (typeof(value) !== 'string' || !/^[+-]?\d+$/.test(value)) {
+            throw new TypeError(`$numberInt must be a string of digits but is ${JSON.stringify(value)}`);
+        }
+        return Number(value);
+    },
+
+    '$numberDouble': (value) => parseNumber('$numberDouble', value),
+
+    '$numberDecimal': (value) => parseNumber('$numberDecimal', value),
+
+    '$regularExpression': (value) => {
+        if (value === null || typeof(value) !== 'object' || typeof(value.pattern) !== 'string') {
+            throw new TypeError('$regularExpression must be an object of {pattern, options}');
+        }
+
+        // supports the same options as $regex (including "x")
+        const parsed = regex.parse(value.pattern.replace(/^\//, '\\/'), value.options);
+        return new RegExp(parsed.source, parsed.flags);
+    },
+};
+
+function parseNumber(name, value) {
+    if (value === 'Infinity' || value === '-Infinity' || value === 'NaN') {
+        return Number(value);
+    }
+
+    if (typeof(value) !== 'string' || !numberPattern.test(value)) {
+        throw new TypeError(`${name} must be a numeric string but is ${JSON.stringify(value)}`);
+    }
+    return Number(value);
+}
+
+/**
+ * Checks whether a value is an Extended JSON object like {"$date": ...}
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isExtendedJson(value) {
+    if (!utils.isPlainObject(value)) {
+        return false;
+    }
+
+    const keys = Object.keys(value);
+    return keys.length == 1 && Object.prototype.hasOwnProperty.call(converters, keys[0]);
+}
+
+/**
+ * Converts all Extended JSON objects in a value; returns the value itself if
+ * there was nothing to convert (the value is never modified)
+ *
+ * @param {*} value
+ * @param {function(Array<string|number>, string)} onError called with the keys leading to an invalid object and the error message
+ * @param {Array<string|number>} [keys]
+ * @returns {*}
+ */
+function deserialize(value, onError, keys) {
+    keys = keys || [];
+
+    if (isExtendedJson(value)) {
+        const name = Object.keys(value)[0];
+        try {
+            return converters[name](value[name]);
+        } catch (e) {
+            onError(keys, e.message);
+            return value;
+        }
+    }
+
+    if (!Array.isArray(value) && !utils.isPlainObject(value)) {
+        return value;
+    }
+
+    const copy = Array.isArray(value) ? value.slice() : Object.assign({}, value);
+    let changed = false;
+    for (let key of Object.keys(value)) {
+        copy[key] = deserialize(value[key], onError, keys.concat(Array.isArray(value) ? Number(key) : key));
+        changed = changed || copy[key] !== value[key];
+    }
+
+    return changed ? copy : value;
+}
+
+/**
+ * Converts dates, regular expressions, BigInts and numbers without JSON
+ * representation in a value to Extended JSON; the inverse of deserialize()
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function serialize(value) {
+    if (value instanceof Date) {
+        return {'$date': value.toISOString()};
+    }
+    if (value instanceof RegExp) {
+        return {'$regularExpression': {pattern: value.source, options: value.flags}};
+    }
+    if (typeof(value) === 'bigint') {
+        return {'$numberLong': String(value)};
+    }
+    if (typeof(value) === 'number' && !isFinite(value)) {
+        return {'$numberDouble': String(value)};
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(serialize);
+    }
+    if (utils.isPlainObject(value)) {
+        const copy = {};
+        for (let key of Object.keys(value)) {
+            copy[key] = serialize(value[key]);
+        }
+        return copy;
+    }
+    return value;
+}
+
+module.exports = {
+    isExtendedJson,
+    deserialize,
+    serialize,
+};
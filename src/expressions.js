@@ -0,0 +1,348 @@
+'use strict';
+
+/**
+ * Aggregation expressions for $expr
+ *
+ * Expressions are evaluated against the document being tested, e.g.
+ *
+ *   {"$expr": {"$gt": [{"$multiply": ["$quantity", "$unitPrice"]}, 1000]}}
+ *
+ * Strings starting with "$" are field references resolved like variables in
+ * queries ("$address.city"), objects with a single "$operator" key are
+ * operator calls, arrays and other objects are evaluated element by element
+ * and everything else is a literal ({"$literal": value} keeps a value as is,
+ * Extended JSON like {"$date": "..."} is converted).
+ *
+ * Operator arguments are given as array or, for a single argument, as is.
+ * Missing fields evaluate to null. Operands of the wrong type make operators
+ * return null, or throw a TypeError in strict mode.
+ */
+
+const collection = require('./collection.js');
+const ejson = require('./ejson.js');
+const utils = require('./utils.js');
+
+/**
+ * Operators, each defined by the allowed number of arguments and a function
+ * evaluate(args, data, context) getting the compiled arguments (functions
+ * (data) => value, so evaluation can be lazy) and a context providing the
+ * operator's `name`, strictMode(), compareStrings(a, b) (using the collation
+ * of the query) and fail(message, ErrorClass) which throws in strict mode and
+ * returns null otherwise
+ */
+const expressionOperators = {
+
+    '$eq': comparison((result) => result == 0),
+    '$ne': comparison((result) => result != 0),
+    '$gt': comparison((result) => result > 0),
+    '$gte': comparison((result) => result >= 0),
+    '$lt': comparison((result) => result < 0),
+    '$lte': comparison((result) => result <= 0),
+    '$cmp': comparison((result) => Math.sign(result)),
+
+    '$and': {
+        minArgs: 0,
+        evaluate: (args, data) => args.every((arg) => isTruthy(arg(data))),
+    },
+
+    '$or': {
+        minArgs: 0,
+        evaluate: (args, data) => args.some((arg) => isTruthy(arg(data))),
+    },
+
+    '$not': {
+        minArgs: 1,
+        maxArgs: 1,
+        evaluate: (args, data) => !isTruthy(args[0](data)),
+    },
+
+    '$add': {
+        minArgs: 1,
+        evaluate: (args, data, context) => {
+            const values = evaluateArgs(args, data);
+            if (values.some(isNull)) {
+                return null;
+            }
+
+            // a single date can be moved by milliseconds
+            const dates = values.filter((value) => value instanceof Date);
+            const numbers = values.filter((value) => !(value instanceof Date));
+            if (dates.length > 1 || !numbers.every(isNumber)) {
+                return context.fail('arguments must be numbers and at most one date');
+            }
+
+            const sum = numbers.reduce((result, value) => result + value, 0);
+            return dates.length > 0 ? new Date(dates[0].getTime() + sum) : sum;
+        },
+    },
+
+    '$subtract': {
+        minArgs: 2,
+        maxArgs: 2,
+        evaluate: (args, data, context) => {
+            const values = evaluateArgs(args, data);
+            if (values.some(isNull)) {
+                return null;
+            }
+
+            const [a, b] = values;
+            if (a instanceof Date && b instanceof Date) {
+                return a.getTime() - b.getTime();
+            }
+            if (a instanceof Date && isNumber(b)) {
+                return new Date(a.getTime() - b);
+            }
+            if (isNumber(a) && isNumber(b)) {
+                return a - b;
+            }
+            return context.fail('arguments must be numbers or dates');
+        },
+    },
+
+    '$multiply': {
+        minArgs: 1,
+        evaluate: (args, data, context) => {
+            return numeric(evaluateArgs(args, data), context, (values) => values.reduce((result, value) => result * value, 1));
+        },
+    },
+
+    '$divide': {
+        minArgs: 2,
+        maxArgs: 2,
+        evaluate: (args, data, context) => {
+            return numeric(evaluateArgs(args, data), context, (values) => {
+                if (values[1] === 0) {
+                    return context.fail('division by zero', RangeError);
+                }
+                return values[0] / values[1];
+            });
+        },
+    },
+
+    '$abs': {
+        minArgs: 1,
+        maxArgs: 1,
+        evaluate: (args, data, context) => numeric(evaluateArgs(args, data), context, (values) => Math.abs(values[0])),
+    },
+
+    '$concat': {
+        minArgs: 0,
+        evaluate: (args, data, context) => {
+            const values = evaluateArgs(args, data);
+            if (values.some(isNull)) {
+                return null;
+            }
+            if (!values.every((value) => typeof(value) === 'string')) {
+                return context.fail('arguments must be strings');
+            }
+            return values.join('');
+        },
+    },
+
+    '$toLower': {
+        minArgs: 1,
+        maxArgs: 1,
+        evaluate: (args, data, context) => {
+            const value = args[0](data);
+            if (isNull(value)) {
+                return '';
+            }
+            if (typeof(value) !== 'string' && !isNumber(value)) {
+                return context.fail(`argument must be a string but is of type ${collection.typeName(value)}`);
+            }
+            return String(value).toLowerCase();
+        },
+    },
+
+    '$strLenCP': {
+        minArgs: 1,
+        maxArgs: 1,
+        evaluate: (args, data, context) => {
+            const value = args[0](data);
+            if (typeof(value) !== 'string') {
+                return context.fail(`argument must be a string but is of type ${collection.typeName(value)}`);
+            }
+            // count code points, not UTF-16 code units
+            return Array.from(value).length;
+        },
+    },
+
+    '$cond': {
+        minArgs: 3,
+        maxArgs: 3,
+        // {"$cond": {"if": ..., "then": ..., "else": ...}} is the same as {"$cond": [if, then, else]}
+        normalize: (operand) => utils.isPlainObject(operand) ? [operand['if'], operand['then'], operand['else']] : operand,
+        evaluate: (args, data) => isTruthy(args[0](data)) ? args[1](data) : args[2](data),
+    },
+
+    '$ifNull': {
+        minArgs: 2,
+        evaluate: (args, data) => {
+            for (let i = 0; i < args.length - 1; ++i) {
+                const value = args[i](data);
+                if (!isNull(value)) {
+                    return value;
+                }
+            }
+            return args[args.length - 1](data);
+        },
+    },
+};
+
+function comparison(test) {
+    return {
+        minArgs: 2,
+        maxArgs: 2,
+        evaluate: (args, data, context) => {
+            const a = toNull(args[0](data));
+            const b = toNull(args[1](data));
+
+            if (a !== null && b !== null && collection.typeName(a) !== collection.typeName(b) && context.strictMode()) {
+                return context.fail(`cannot compare ${collection.typeName(a)} with ${collection.typeName(b)}`);
+            }
+
+            // values of different types are compared using MongoDB's sort order
+            return test(collection.compareValues(a, b, context.compareStrings));
+        },
+    };
+}
+
+function numeric(values, context, fn) {
+    if (values.some(isNull)) {
+        return null;
+    }
+    if (!values.every(isNumber)) {
+        return context.fail('arguments must be numbers');
+    }
+    return fn(values);
+}
+
+function evaluateArgs(args, data) {
+    return args.map((arg) => arg(data));
+}
+
+function isNull(value) {
+    return value === undefined || value === null;
+}
+
+function toNull(value) {
+    return value === undefined ? null : value;
+}
+
+function isNumber(value) {
+    return typeof(value) === 'number';
+}
+
+/**
+ * Like MongoDB, only false, null, undefined and 0 are falsy
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+    return value !== false && value !== null && value !== undefined && value !== 0;
+}
+
+/**
+ * Compiles an expression into a function (data) => value
+ *
+ * @param {QueryCheck} qc
+ * @param {*} expression
+ * @param {string} pointer JSON pointer of the expression in the query
+ * @returns {function(object): *}
+ */
+function compile(qc, expression, pointer) {
+    if (typeof(expression) === 'string' && expression[0] === '$') {
+        const path = expression.substr(1);
+        if (path === '' || path[0] === '$') {
+            qc._report('INVALID_OPERAND', pointer, `$expr: unsupported field reference ${expression}`, SyntaxError);
+            return () => null;
+        }
+        return (data) => qc.getVariableValue(path, data);
+    }
+
+    if (Array.isArray(expression)) {
+        const itemFns = expression.map((item, i) => compile(qc, item, utils.childPointer(pointer, i)));
+        return (data) => itemFns.map((itemFn) => itemFn(data));
+    }
+
+    if (ejson.isExtendedJson(expression)) {
+        // Extended JSON values like {"$date": "..."} are literals
+        const value = ejson.deserialize(expression, (keys, message) => {
+            qc._report('INVALID_OPERAND', pointer, `$expr: ${message}`, TypeError);
+        });
+        return () => value;
+    }
+
+    if (!utils.isPlainObject(expression)) {
+        return () => expression;
+    }
+
+    const keys = Object.keys(expression);
+    if (keys.length == 1 && keys[0][0] === '$') {
+        return compileOperator(qc, keys[0], expression[keys[0]], pointer);
+    }
+
+    const valueFns = {};
+    for (let key of keys) {
+        if (key[0] === '$') {
+            qc._report('INVALID_OPERAND', pointer, `$expr: operator ${key} must be the only key of its object`, SyntaxError);
+            return () => null;
+        }
+        valueFns[key] = compile(qc, expression[key], utils.childPointer(pointer, key));
+    }
+
+    return (data) => {
+        const result = {};
+        for (let key of keys) {
+            result[key] = valueFns[key](data);
+        }
+        return result;
+    };
+}
+
+function compileOperator(qc, name, operand, pointer) {
+    const operatorPointer = utils.childPointer(pointer, name);
+
+    if (name === '$literal') {
+        return () => operand;
+    }
+
+    const definition = expressionOperators[name];
+    if (definition === undefined) {
+        qc._report('UNKNOWN_OPERATOR', operatorPointer, `Unsupported $expr operator: ${name}`, Error);
+        return () => null;
+    }
+
+    const normalized = definition.normalize !== undefined ? definition.normalize(operand) : operand;
+    const isList = Array.isArray(normalized);
+    const args = isList ? normalized : [normalized];
+
+    const maxArgs = definition.maxArgs !== undefined ? definition.maxArgs : Infinity;
+    if (args.length < definition.minArgs || args.length > maxArgs) {
+        const expected = definition.minArgs == maxArgs ? definition.minArgs : (maxArgs === Infinity ? `at least ${definition.minArgs}` : `${definition.minArgs} to ${maxArgs}`);
+        qc._report('INVALID_OPERAND', operatorPointer, `$expr: ${name} takes ${expected} argument(s) but got ${args.length}`, SyntaxError);
+        return () => null;
+    }
+
+    const argFns = args.map((arg, i) => compile(qc, arg, isList ? utils.childPointer(operatorPointer, i) : operatorPointer));
+    const context = {
+        name,
+        strictMode: () => qc.strictMode,
+        compareStrings: (a, b) => qc._compareStrings(a, b),
+        fail: (message, ErrorClass) => {
+            if (qc.strictMode) {
+                throw new (ErrorClass || TypeError)(`$expr: ${name}: ${message}`);
+            }
+            return null;
+        },
+    };
+
+    return (data) => definition.evaluate(argFns, data, context);
+}
+
+module.exports = {
+    expressionOperators,
+    compile,
+    isTruthy,
+};
@@ -0,0 +1,350 @@
+'use strict';
+
+/**
+ * Conversion between queries and JsonLogic rules (https://jsonlogic.com)
+ *
+ *   toJsonLogic({"now.hour": {"$gte": 10}, "tags": {"$in": ["open", "new"]}})
+ *   → {"and": [{">=": [{"var": "now.hour"}, 10]}, {"in": [{"var": "tags"}, ["open", "new"]]}]}
+ *
+ * The common subset converts both ways: $eq, $ne, $gt, $gte, $lt, $lte, $in,
+ * $nin, $and, $or, $nor and $not, with operands being JSON values or
+ * {"$var": "path"} (JsonLogic {"var": "path"}; queries using them have to be
+ * tested with operand functions enabled, see useOperandFunctions()). JsonLogic
+ * "==" and "===" both become $eq, "in" with a variable on the right becomes
+ * equality if the variable is listed in the option `arrayFields` (as it might
+ * be a string otherwise, which "in" searches for a substring), and "<"/"<="
+ * with three arguments become a range. Everything else, e.g. $regex, $elemMatch,
+ * dates or JsonLogic arithmetic, throws an error with `code` "UNTRANSLATABLE"
+ * and the JSON `pointer` of the construct.
+ *
+ * JsonLogic has no missing values (a missing variable is null), compares
+ * using JavaScript semantics and doesn't traverse arrays, so results only
+ * agree for data without missing values in compared fields and without
+ * arrays in fields compared with scalars.
+ */
+
+const builder = require('./builder.js');
+const ejson = require('./ejson.js');
+const utils = require('./utils.js');
+
+const comparisonOperators = {
+    '$eq': '===',
+    '$ne': '!==',
+    '$gt': '>',
+    '$gte': '>=',
+    '$lt': '<',
+    '$lte': '<=',
+};
+
+const queryOperators = {
+    '==': '$eq',
+    '===': '$eq',
+    '!=': '$ne',
+    '!==': '$ne',
+    '>': '$gt',
+    '>=': '$gte',
+    '<': '$lt',
+    '<=': '$lte',
+};
+
+// operators with swapped arguments, e.g. 5 < x is x > 5
+const swappedOperators = {
+    '$eq': '$eq',
+    '$ne': '$ne',
+    '$gt': '$lt',
+    '$gte': '$lte',
+    '$lt': '$gt',
+    '$lte': '$gte',
+};
+
+function untranslatable(message, pointer) {
+    const error = new Error(`${message} (at ${pointer || '/'})`);
+    error.code = 'UNTRANSLATABLE';
+    error.pointer = pointer;
+    return error;
+}
+
+function isJsonScalar(value) {
+    return value === null || typeof(value) === 'string' || typeof(value) === 'boolean' || (typeof(value) === 'number' && isFinite(value));
+}
+
+/**
+ * Converts a query into a JsonLogic rule
+ *
+ * @param {object} query
+ * @returns {*} JsonLogic rule
+ * @throws {Error} with `code` "UNTRANSLATABLE" and `pointer` for constructs without JsonLogic equivalent
+ */
+function toJsonLogic(query) {
+    return conjunction(queryToRules(query, ''));
+}
+
+function conjunction(rules) {
+    if (rules.length == 0) {
+        return true;
+    }
+    return rules.length == 1 ? rules[0] : {'and': rules};
+}
+
+function disjunction(rules) {
+    if (rules.length == 0) {
+        return false;
+    }
+    return rules.length == 1 ? rules[0] : {'or': rules};
+}
+
+/**
+ * Converts a query into a list of rules which all have to be true
+ */
+function queryToRules(query, pointer) {
+    if (!utils.isPlainObject(query)) {
+        throw new TypeError(`Query must be an object (at ${pointer || '/'})`);
+    }
+
+    const rules = [];
+
+    for (let key of Object.keys(query)) {
+        const operand = query[key];
+        const keyPointer = utils.childPointer(pointer, key);
+
+        if (key === '$and' || key === '$or' || key === '$nor') {
+            if (!Array.isArray(operand)) {
+                throw new TypeError(`${key} requires an array of queries (at ${keyPointer})`);
+            }
+            const items = operand.map((item, i) => queryToRules(item, utils.childPointer(keyPointer, i)));
+
+            if (key === '$and') {
+                items.forEach((item) => rules.push.apply(rules, item));
+            } else if (key === '$or') {
+                rules.push(disjunction(items.map(conjunction)));
+            } else if (items.length > 0) {
+                rules.push({'!': disjunction(items.map(conjunction))});
+            }
+        } else if (key === '$not') {
+            rules.push({'!': conjunction(queryToRules(operand, keyPointer))});
+        } else if (key[0] === '$') {
+            throw untranslatable(`Cannot convert ${key} to JsonLogic`, keyPointer);
+        } else if (key === '') {
+            throw new TypeError(`Field path must not be empty (at ${keyPointer})`);
+        } else {
+            rules.push.apply(rules, fieldToRules(key, operand, keyPointer));
+        }
+    }
+
+    return rules;
+}
+
+function fieldToRules(path, condition, pointer) {
+    if (!utils.isOperatorObject(condition)) {
+        return [{'===': [{'var': path}, operandToLogic(condition, pointer)]}];
+    }
+
+    const rules = [];
+
+    for (let op of Object.keys(condition)) {
+        const operand = condition[op];
+        const opPointer = utils.childPointer(pointer, op);
+
+        if (Object.prototype.hasOwnProperty.call(comparisonOperators, op)) {
+            rules.push({[comparisonOperators[op]]: [{'var': path}, operandToLogic(operand, opPointer)]});
+        } else if (op === '$in' || op === '$nin') {
+            if (!Array.isArray(operand)) {
+                throw new TypeError(`${op} requires an array (at ${opPointer})`);
+            }
+            const rule = {'in': [{'var': path}, operand.map((value, i) => operandToLogic(value, utils.childPointer(opPointer, i)))]};
+            rules.push(op === '$in' ? rule : {'!': rule});
+        } else if (op === '$not') {
+            if (!utils.isOperatorObject(operand)) {
+                throw untranslatable('Cannot convert $not without operators to JsonLogic', opPointer);
+            }
+            rules.push({'!': conjunction(fieldToRules(path, operand, opPointer))});
+        } else if (op[0] === '$') {
+            throw untranslatable(`Cannot convert ${op} to JsonLogic`, opPointer);
+        } else {
+            throw untranslatable(`Cannot convert operators mixed with fields ("${op}") to JsonLogic`, opPointer);
+        }
+    }
+
+    return rules;
+}
+
+function operandToLogic(value, pointer) {
+    if (isJsonScalar(value)) {
+        return value;
+    }
+
+    if (utils.isPlainObject(value) && Object.keys(value).length == 1 && typeof(value['$var']) === 'string') {
+        return {'var': value['$var']};
+    }
+
+    if (value instanceof RegExp) {
+        throw untranslatable('Cannot convert regular expressions to JsonLogic', pointer);
+    }
+    if (value instanceof Date || ejson.isExtendedJson(value)) {
+        throw untranslatable('Cannot convert dates and Extended JSON values to JsonLogic', pointer);
+    }
+    if (Array.isArray(value) || (utils.isPlainObject(value) && Object.keys(value).every((key) => key[0] !== '$'))) {
+        throw untranslatable('Cannot convert comparisons with arrays or documents to JsonLogic', pointer);
+    }
+    if (utils.isPlainObject(value)) {
+        throw untranslatable(`Cannot convert the operand function ${Object.keys(value)[0]} to JsonLogic`, pointer);
+    }
+    throw untranslatable(`Cannot convert ${typeof(value) === 'number' ? value : 'values of type ' + typeof(value)} to JsonLogic`, pointer);
+}
+
+/**
+ * Converts a JsonLogic rule into a query
+ *
+ * @param {*} rule
+ * @param {{arrayFields?: Array<string>}} [options] the paths of variables holding arrays
+ * @returns {object}
+ * @throws {Error} with `code` "UNTRANSLATABLE" and `pointer` for rules without query equivalent
+ */
+function fromJsonLogic(rule, options) {
+    return ruleToQuery(rule, '', (options || {}).arrayFields || []);
+}
+
+function ruleToQuery(rule, pointer, arrayFields) {
+    if (rule === true) {
+        return {};
+    }
+    if (rule === false) {
+        return {'$or': []};
+    }
+    if (!utils.isPlainObject(rule) || Object.keys(rule).length != 1) {
+        throw untranslatable('Cannot convert a JsonLogic value to a query; expected a rule like {"==": [...]}', pointer);
+    }
+
+    const op = Object.keys(rule)[0];
+    const opPointer = utils.childPointer(pointer, op);
+    const args = Array.isArray(rule[op]) ? rule[op] : [rule[op]];
+    const argPointer = (i) => Array.isArray(rule[op]) ? utils.childPointer(opPointer, i) : opPointer;
+
+    switch (op) {
+        case 'and': {
+            // like "or", an empty "and" is false
+            const items = args.map((arg, i) => ruleToQuery(arg, argPointer(i), arrayFields));
+            return items.length > 0 ? builder.QueryBuilder.from({}).and(...items).build() : {'$or': []};
+        }
+        case 'or': {
+            const items = args.map((arg, i) => ruleToQuery(arg, argPointer(i), arrayFields));
+            return items.length == 1 ? items[0] : {'$or': items};
+        }
+        case '!':
+            if (args.length != 1) {
+                throw untranslatable('Expected a single argument to "!"', opPointer);
+            }
+            return {'$not': ruleToQuery(args[0], argPointer(0), arrayFields)};
+        case 'in':
+            return inToQuery(args, opPointer, argPointer, arrayFields);
+    }
+
+    if (Object.prototype.hasOwnProperty.call(queryOperators, op)) {
+        if (args.length == 3 && (op === '<' || op === '<=')) {
+            return rangeToQuery(op, args, opPointer, argPointer);
+        }
+        if (args.length != 2) {
+            throw untranslatable(`Expected two arguments to "${op}"`, opPointer);
+        }
+        return comparisonToQuery(queryOperators[op], args, argPointer);
+    }
+
+    throw untranslatable(`Cannot convert the JsonLogic operation "${op}" to a query`, opPointer);
+}
+
+/**
+ * Returns the path of {"var": "path"} or null if the value isn't a variable
+ */
+function variablePath(value, pointer) {
+    if (!utils.isPlainObject(value) || Object.keys(value).length != 1 || !Object.prototype.hasOwnProperty.call(value, 'var')) {
+        return null;
+    }
+
+    let path = value['var'];
+    if (Array.isArray(path)) {
+        if (path.length > 1) {
+            throw untranslatable('Cannot convert variables with defaults to a query', utils.childPointer(pointer, 'var'));
+        }
+        path = path[0];
+    }
+    if ((typeof(path) !== 'string' && typeof(path) !== 'number') || path === '') {
+        throw untranslatable('Cannot convert variables other than paths to a query', utils.childPointer(pointer, 'var'));
+    }
+
+    return String(path);
+}
+
+function logicToOperand(value, pointer) {
+    const path = variablePath(value, pointer);
+    if (path !== null) {
+        return {'$var': path};
+    }
+    if (isJsonScalar(value)) {
+        return value;
+    }
+    if (utils.isPlainObject(value)) {
+        throw untranslatable(`Cannot convert the JsonLogic operation "${Object.keys(value)[0]}" to an operand`, utils.childPointer(pointer, Object.keys(value)[0]));
+    }
+    throw untranslatable('Cannot convert comparisons with arrays or objects to a query', pointer);
+}
+
+function comparisonToQuery(op, args, argPointer) {
+    let path = variablePath(args[0], argPointer(0));
+    let operand = args[1];
+    let operandPointer = argPointer(1);
+
+    if (path === null) {
+        path = variablePath(args[1], argPointer(1));
+        if (path === null) {
+            throw untranslatable('Cannot convert comparisons without a variable to a query', argPointer(0));
+        }
+        op = swappedOperators[op];
+        operand = args[0];
+        operandPointer = argPointer(0);
+    }
+
+    operand = logicToOperand(operand, operandPointer);
+    if (op === '$eq' && !utils.isPlainObject(operand)) {
+        return {[path]: operand};
+    }
+    return {[path]: {[op]: operand}};
+}
+
+function rangeToQuery(op, args, opPointer, argPointer) {
+    const path = variablePath(args[1], argPointer(1));
+    if (path === null || variablePath(args[0], argPointer(0)) !== null || variablePath(args[2], argPointer(2)) !== null) {
+        throw untranslatable(`Cannot convert "${op}" with three arguments to a query unless the middle one is the only variable`, opPointer);
+    }
+
+    const lower = logicToOperand(args[0], argPointer(0));
+    const upper = logicToOperand(args[2], argPointer(2));
+    return {[path]: op === '<' ? {'$gt': lower, '$lt': upper} : {'$gte': lower, '$lte': upper}};
+}
+
+function inToQuery(args, opPointer, argPointer, arrayFields) {
+    if (args.length != 2) {
+        throw untranslatable('Expected two arguments to "in"', opPointer);
+    }
+
+    const path = variablePath(args[0], argPointer(0));
+    if (path !== null && Array.isArray(args[1])) {
+        return {[path]: {'$in': args[1].map((value, i) => logicToOperand(value, utils.childPointer(argPointer(1), i)))}};
+    }
+
+    // a value in an array variable; "in" finds substrings of strings instead
+    const arrayPath = variablePath(args[1], argPointer(1));
+    if (arrayPath !== null && path === null) {
+        if (arrayFields.indexOf(arrayPath) === -1) {
+            throw untranslatable(`Cannot convert "in" with the variable ${arrayPath} on the right to a query unless it is listed in arrayFields`, opPointer);
+        }
+        const operand = logicToOperand(args[0], argPointer(0));
+        return {[arrayPath]: utils.isPlainObject(operand) ? {'$eq': operand} : operand};
+    }
+
+    throw untranslatable('Cannot convert "in" to a query unless it tests a variable against an array or a value against an array variable', opPointer);
+}
+
+module.exports = {
+    toJsonLogic,
+    fromJsonLogic,
+};
@@ -0,0 +1,423 @@
+'use strict';
+
+/**
+ * Query normalisation and hashing
+ *
+ * normalize() rewrites a query into a canonical form, so that queries which
+ * are written differently but mean the same become equal (and get equal
+ * hashes):
+ *
+ *   {"$and": [{"b": {"$in": [2, 1, 2]}}, {"a": 5}], "c": /x/i}
+ *   → {"a": {"$eq": 5}, "b": {"$in": [1, 2]}, "c": {"$options": "i", "$regex": "x"}}
+ *
+ *   - fields use explicit operators ({a: 5} is {a: {$eq: 5}}, {a: /x/} is
+ *     {a: {$regex: "x"}}) and values without JSON representation (dates,
+ *     regular expressions, bigints, NaN and Infinity) are Extended JSON
+ *   - $and is flattened into the query, nested $or into $or, $nor becomes
+ *     $not of $or and several $not are combined into a single $not of $or
+ *   - the values of $in, $nin and $all as well as $or items are sorted and
+ *     deduplicated ($in and $nin with a single value are not rewritten to $eq
+ *     and $ne)
+ *   - trivial cases are simplified: empty $and and $nor, $or with a single
+ *     item or an empty query, $not of $not
+ *   - keys are sorted (also within values, as objects are compared
+ *     regardless of their key order)
+ *
+ * Conditions which can't be merged into a single query object (e.g. two $gt
+ * for the same field) are put into $and, sorted as well. A query which never
+ * matches becomes {"$or": []}. Operands of $expr and custom boolean
+ * operators are left as they are.
+ *
+ * hash() is the 64 bit FNV-1a hash (as 16 hex digits) of the normalized
+ * query serialized as JSON.
+ */
+
+const ejson = require('./ejson.js');
+const regex = require('./regex.js');
+const utils = require('./utils.js');
+
+const FALSE = {'$or': []};
+
+function isFalse(query) {
+    const keys = Object.keys(query);
+    return keys.length == 1 && Array.isArray(query['$or']) && query['$or'].length == 0;
+}
+
+/**
+ * Returns a value with sorted keys and values without JSON representation
+ * converted to Extended JSON
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function canonicalValue(value) {
+    if (value instanceof Date) {
+        return {'$date': value.toISOString()};
+    }
+    if (value instanceof RegExp) {
+        return {'$regularExpression': {options: value.flags, pattern: value.source}};
+    }
+    if (typeof(value) === 'bigint') {
+        return {'$numberLong': String(value)};
+    }
+    if (typeof(value) === 'number') {
+        return isFinite(value) ? value + 0 : {'$numberDouble': String(value)};
+    }
+    if (Array.isArray(value)) {
+        return value.map(canonicalValue);
+    }
+    if (utils.isPlainObject(value)) {
+        const sorted = {};
+        for (let key of Object.keys(value).sort()) {
+            if (value[key] !== undefined) {
+                sorted[key] = canonicalValue(value[key]);
+            }
+        }
+        return sorted;
+    }
+    return value;
+}
+
+function stringify(value) {
+    return JSON.stringify(canonicalValue(value));
+}
+
+/**
+ * Sorts values by their serialization and removes duplicates
+ */
+function sortUnique(values) {
+    const byString = new Map();
+    for (let value of values) {
+        byString.set(stringify(value), value);
+    }
+    return Array.from(byString.keys()).sort().map((str) => byString.get(str));
+}
+
+/**
+ * Normalizes a query
+ *
+ * @param {object} query
+ * @param {function(string): boolean} isExpressionOperator tells the operators of field conditions
+ * @returns {object}
+ */
+function normalize(query, isExpressionOperator) {
+    return normalizeQuery(query, {isExpressionOperator});
+}
+
+function normalizeQuery(query, context) {
+    if (!utils.isPlainObject(query)) {
+        throw new TypeError(`Query must be an object: ${JSON.stringify(query)}`);
+    }
+
+    const clauses = [];
+    for (let key of Object.keys(query)) {
+        clauses.push.apply(clauses, queryClauses(key, query[key], context));
+    }
+    return combine(clauses, context);
+}
+
+/**
+ * Returns the clauses of a normalized query, i.e. single key queries
+ * (single operator for fields, except $regex with $options) which all have to
+ * match
+ */
+function splitClauses(query) {
+    const clauses = [];
+    for (let key of Object.keys(query)) {
+        if (key === '$and') {
+            query[key].forEach((item) => clauses.push.apply(clauses, splitClauses(item)));
+        } else if (key[0] === '$') {
+            clauses.push({[key]: query[key]});
+        } else {
+            splitOperators(query[key]).forEach((operators) => clauses.push({[key]: operators}));
+        }
+    }
+    return clauses;
+}
+
+function splitOperators(operators) {
+    const units = [];
+    for (let op of Object.keys(operators)) {
+        if (op === '$regex' && operators['$options'] !== undefined) {
+            units.push({'$options': operators['$options'], '$regex': operators['$regex']});
+        } else if (op !== '$options' || operators['$regex'] === undefined) {
+            units.push({[op]: operators[op]});
+        }
+    }
+    return units;
+}
+
+function queryClauses(key, operand, context) {
+    if (key === '$and' || key === '$or' || key === '$nor') {
+        if (!Array.isArray(operand)) {
+            throw new TypeError(`${key} requires an array of queries`);
+        }
+    }
+
+    if (key === '$and') {
+        const clauses = [];
+        operand.forEach((item) => clauses.push.apply(clauses, splitClauses(normalizeQuery(item, context))));
+        return clauses;
+    }
+
+    if (key === '$or') {
+        let items = [];
+        for (let item of operand.map((item) => normalizeQuery(item, context))) {
+            const keys = Object.keys(item);
+            if (keys.length == 0) {
+                // an item always matching
+                return [];
+            }
+            if (keys.length == 1 && keys[0] === '$or') {
+                items = items.concat(item['$or']);
+            } else {
+                items.push(item);
+            }
+        }
+
+        items = sortUnique(items);
+        if (items.length == 1) {
+            return splitClauses(items[0]);
+        }
+        return [{'$or': items}];
+    }
+
+    if (key === '$nor') {
+        return queryClauses('$not', {'$or': operand}, context);
+    }
+
+    if (key === '$not') {
+        return negate(normalizeQuery(operand, context));
+    }
+
+    if (key[0] === '$') {
+        // $expr and custom boolean operators
+        return [{[key]: operand}];
+    }
+
+    return conditionUnits(operand, context, true).map((operators) => ({[key]: operators}));
+}
+
+function negate(query) {
+    const keys = Object.keys(query);
+    if (keys.length == 0) {
+        return [FALSE];
+    }
+    if (isFalse(query)) {
+        return [];
+    }
+    if (keys.length == 1 && keys[0] === '$not') {
+        return splitClauses(query['$not']);
+    }
+    return [{'$not': query}];
+}
+
+/**
+ * Combines clauses into a single query
+ */
+function combine(clauses, context) {
+    clauses = sortUnique(clauses);
+
+    const negations = clauses.filter((clause) => Object.keys(clause)[0] === '$not');
+    if (negations.length > 1) {
+        // not a and not b = not (a or b)
+        clauses = sortUnique(clauses.filter((clause) => negations.indexOf(clause) === -1)
+            .concat(queryClauses('$not', {'$or': negations.map((clause) => clause['$not'])}, context)));
+    }
+
+    if (clauses.some(isFalse)) {
+        return FALSE;
+    }
+
+    const query = {};
+    const conflicting = [];
+    for (let clause of clauses) {
+        const key = Object.keys(clause)[0];
+
+        if (key[0] === '$') {
+            if (query[key] === undefined) {
+                query[key] = clause[key];
+            } else {
+                conflicting.push(clause);
+            }
+        } else if (query[key] === undefined) {
+            query[key] = Object.assign({}, clause[key]);
+        } else if (Object.keys(clause[key]).some((op) => query[key][op] !== undefined)) {
+            conflicting.push(clause);
+        } else {
+            Object.assign(query[key], clause[key]);
+        }
+    }
+
+    if (conflicting.length > 0) {
+        query['$and'] = conflicting;
+    }
+
+    return sortKeys(query);
+}
+
+function sortKeys(object) {
+    const sorted = {};
+    for (let key of Object.keys(object).sort()) {
+        sorted[key] = utils.isPlainObject(object[key]) && key[0] !== '$' ? sortKeys(object[key]) : object[key];
+    }
+    return sorted;
+}
+
+/**
+ * Returns the operators of a field condition as list of units which all
+ * have to match, each a single operator (or $regex with $options)
+ *
+ * @param {*} condition
+ * @param {object} context
+ * @param {boolean} simplify whether to simplify $not of $not (which may cause conflicts)
+ * @returns {Array<object>}
+ */
+function conditionUnits(condition, context, simplify) {
+    condition = ejson.deserialize(condition, (keys, message) => {
+        throw new TypeError(message);
+    });
+
+    if (condition instanceof RegExp) {
+        return [regexUnit(condition, undefined)];
+    }
+    if (!utils.isOperatorObject(condition, context.isExpressionOperator)) {
+        return [{'$eq': canonicalValue(condition)}];
+    }
+
+    const units = [];
+    for (let op of Object.keys(condition)) {
+        const operand = condition[op];
+
+        if (op === '$regex') {
+            units.push(regexUnit(operand, condition['$options']));
+        } else if (op === '$options') {
+            if (condition['$regex'] === undefined) {
+                units.push({'$options': canonicalValue(operand)});
+            }
+        } else if ((op === '$in' || op === '$nin' || op === '$all') && Array.isArray(operand)) {
+            units.push({[op]: sortUnique(operand.map(canonicalValue))});
+        } else if (op === '$not' && (operand instanceof RegExp || utils.isOperatorObject(operand, context.isExpressionOperator))) {
+            units.push.apply(units, negateUnits(operand, context, simplify));
+        } else if (op === '$elemMatch' && utils.isPlainObject(operand)) {
+            const keys = Object.keys(operand);
+            if (keys.length > 0 && keys.every((key) => context.isExpressionOperator(key))) {
+                units.push({[op]: mergeUnits(operand, context)});
+            } else {
+                units.push({[op]: normalizeQuery(operand, context)});
+            }
+        } else {
+            units.push({[op]: canonicalValue(operand)});
+        }
+    }
+    return units;
+}
+
+function negateUnits(operand, context, simplify) {
+    const inner = mergeUnits(operand, context);
+    const keys = Object.keys(inner);
+
+    if (simplify && keys.length == 1 && keys[0] === '$not') {
+        return splitOperators(inner['$not']);
+    }
+    return [{'$not': inner}];
+}
+
+/**
+ * Normalizes a field condition into a single object of operators
+ */
+function mergeUnits(condition, context) {
+    for (let simplify of [true, false]) {
+        const merged = {};
+        const units = conditionUnits(condition, context, simplify);
+        for (let unit of units) {
+            Object.assign(merged, unit);
+        }
+        if (units.reduce((count, unit) => count + Object.keys(unit).length, 0) == Object.keys(merged).length) {
+            return sortKeys(merged);
+        }
+    }
+    throw new Error('Conflicting operators');
+}
+
+function regexUnit(pattern, options) {
+    let parsed = null;
+    try {
+        parsed = regex.parse(pattern, options);
+    } catch (e) {
+        // invalid $options; kept as they are
+    }
+
+    if (parsed === null) {
+        const unit = {'$regex': canonicalValue(pattern)};
+        if (options !== undefined) {
+            unit['$options'] = canonicalValue(options);
+        }
+        return unit;
+    }
+
+    return parsed.flags !== '' ? {'$options': parsed.flags, '$regex': parsed.source} : {'$regex': parsed.source};
+}
+
+/**
+ * Returns the 64 bit FNV-1a hash of a string's UTF-8 encoding as 16 hex digits
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+function fnv1a64(str) {
+    // the 64 bit state and prime (2^40 + 0x1b3) as two 32 bit halves
+    let hi = 0xcbf29ce4;
+    let lo = 0x84222325;
+
+    const update = (byte) => {
+        lo = (lo ^ byte) >>> 0;
+        const low = lo * 0x1b3;
+        hi = (hi * 0x1b3 + lo * 0x100 + Math.floor(low / 0x100000000)) % 0x100000000;
+        lo = low % 0x100000000;
+    };
+
+    for (let i = 0; i < str.length; ++i) {
+        let code = str.codePointAt(i);
+        if (code > 0xffff) {
+            ++i;
+        }
+
+        if (code < 0x80) {
+            update(code);
+        } else if (code < 0x800) {
+            update(0xc0 | (code >> 6));
+            update(0x80 | (code & 0x3f));
+        } else if (code < 0x10000) {
+            update(0xe0 | (code >> 12));
+            update(0x80 | ((code >> 6) & 0x3f));
+            update(0x80 | (code & 0x3f));
+        } else {
+            update(0xf0 | (code >> 18));
+            update(0x80 | ((code >> 12) & 0x3f));
+            update(0x80 | ((code >> 6) & 0x3f));
+            update(0x80 | (code & 0x3f));
+        }
+    }
+
+    return hi.toString(16).padStart(8, '0') + lo.toString(16).padStart(8, '0');
+}
+
+/**
+ * Returns a stable hash of a query, equal for queries with equal normal form
+ *
+ * @param {object} query
+ * @param {function(string): boolean} isExpressionOperator
+ * @returns {string}
+ */
+function hash(query, isExpressionOperator) {
+    return fnv1a64(stringify(normalize(query, isExpressionOperator)));
+}
+
+module.exports = {
+    normalize,
+    hash,
+    fnv1a64,
+    splitClauses,
+    stringify,
+};
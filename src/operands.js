@@ -0,0 +1,451 @@
+'use strict';
+
+/**
+ * Built-in operand functions
+ *
+ * Operand functions are objects with a single key naming the function, e.g.
+ * {"$var": "now.isoDate"}, used as operands in queries. They are evaluated
+ * right before the operator is applied; arguments may contain further
+ * function calls and are evaluated recursively. Functions never modify the
+ * query they are part of.
+ *
+ * Every function is called as fn(params, context) where context provides
+ *   - data: the data passed to test()
+ *   - evaluate(value): evaluates nested function calls in value
+ *   - getVariableValue(name): resolves a variable from data
+ *   - now(): the current date (see the "now" option of createOperandEvaluator)
+ */
+
+// default output format of $time (ISO 8601 without time zone)
+const defaultTimeFormat = 'yyyy-MM-dd\'T\'HH:mm:ss';
+
+const dateTokens = /'(?:[^']|'')*'|yyyy|yy|MM|M|dd|d|HH|H|mm|m|ss|s|SSS/g;
+
+const isoDateRegExp = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+const operandFunctions = {
+
+    /**
+     * Resolves a variable: {"$var": "name"} or {"$var": {"name": "name", "default": value}}
+     */
+    '$var': function (params, context) {
+        if (typeof(params) === 'string') {
+            // shortcut syntax {"$var": "varName"}
+            params = {name: params};
+        } else if (params === null || typeof(params) !== 'object') {
+            return undefined;
+        }
+
+        const name = context.evaluate(params.name);
+        if (typeof(name) !== 'string') {
+            return undefined;
+        }
+
+        const value = context.getVariableValue(name);
+        if ((value === undefined || value === null) && params.default !== undefined) {
+            return context.evaluate(params.default);
+        }
+
+        return value;
+    },
+
+    /**
+     * Concatenates all items as strings: {"$concat": ["prime ", {"$var": "myInt"}]}
+     */
+    '$concat': function (params, context) {
+        if (!Array.isArray(params)) {
+            return '';
+        }
+
+        let str = '';
+        for (let i = 0; i < params.length; ++i) {
+            str += String(context.evaluate(params[i]));
+        }
+        return str;
+    },
+
+    /**
+     * Looks up a key in a map: {"$lookup": {"map": {...}, "key": "user", "default": null}}
+     *
+     * Returns the default (or null) if the map has no such key.
+     */
+    '$lookup': function (params, context) {
+        if (params === null || typeof(params) !== 'object') {
+            return null;
+        }
+
+        const defaultValue = params.default !== undefined ? context.evaluate(params.default) : null;
+        const map = context.evaluate(params.map);
+        const key = context.evaluate(params.key);
+
+        if (map === null || typeof(map) !== 'object' || key === undefined || key === null) {
+            return defaultValue;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(map, key) || map[key] === undefined) {
+            return defaultValue;
+        }
+
+        return map[key];
+    },
+
+    /**
+     * Date arithmetic and formatting:
+     * {"$time": {"date": "2020-05-21", "inputFormat": "yyyy-MM-dd", "add": {"days": 1}, "format": "dd.MM.yyyy"}}
+     *
+     * "date" may be a string (ISO 8601 or in the given "inputFormat"), a
+     * timestamp in milliseconds or a Date and defaults to now. "add" and "sub"
+     * take durations in years, months, weeks, days, hours, minutes and
+     * seconds; if both are given, "add" is applied first. The result is formatted as yyyy-MM-dd'T'HH:mm:ss (local time)
+     * unless another "format" is given; with "format": false the Date itself
+     * is returned. Unparsable dates result in null.
+     */
+    '$time': function (params, context) {
+        params = context.evaluate(params) || {};
+
+        let date;
+        if (params.date === undefined || params.date === null) {
+            date = context.now();
+        } else if (typeof(params.date) === 'string') {
+            if (typeof(params.inputFormat) === 'string' && params.inputFormat != '') {
+                date = parseDate(params.date, params.inputFormat);
+            } else {
+                date = parseISODate(params.date);
+            }
+        } else if (typeof(params.date) === 'number' || params.date instanceof Date) {
+            date = new Date(params.date instanceof Date ? params.date.getTime() : params.date);
+        } else {
+            date = null;
+        }
+
+        if (date === null || isNaN(date.getTime())) {
+            return null;
+        }
+
+        if (params.add) {
+            date = addDuration(date, params.add, 1);
+        }
+        if (params.sub) {
+            date = addDuration(date, params.sub, -1);
+        }
+
+        if (params.format === false) {
+            return date;
+        }
+
+        return formatDate(date, typeof(params.format) === 'string' ? params.format : defaultTimeFormat);
+    },
+
+    '$add': function (params, context) {
+        return reduceNumbers(params, context, (a, b) => a + b);
+    },
+
+    '$subtract': function (params, context) {
+        return reduceNumbers(params, context, (a, b) => a - b, 2);
+    },
+
+    '$multiply': function (params, context) {
+        return reduceNumbers(params, context, (a, b) => a * b);
+    },
+
+    /**
+     * Division; returns null on division by zero
+     */
+    '$divide': function (params, context) {
+        return reduceNumbers(params, context, (a, b) => b === 0 ? null : a / b, 2);
+    },
+
+    '$abs': function (params, context) {
+        const value = context.evaluate(params);
+        return typeof(value) === 'number' ? Math.abs(value) : null;
+    },
+
+    '$floor': function (params, context) {
+        const value = context.evaluate(params);
+        return typeof(value) === 'number' ? Math.floor(value) : null;
+    },
+
+    '$ceil': function (params, context) {
+        const value = context.evaluate(params);
+        return typeof(value) === 'number' ? Math.ceil(value) : null;
+    },
+
+    /**
+     * Rounds to the given number of decimal places: {"$round": [3.14159, 2]}
+     */
+    '$round': function (params, context) {
+        const args = Array.isArray(params) ? params.map((param) => context.evaluate(param)) : [context.evaluate(params), 0];
+        if (typeof(args[0]) !== 'number' || typeof(args[1] || 0) !== 'number') {
+            return null;
+        }
+
+        const factor = Math.pow(10, args[1] || 0);
+        return Math.round(args[0] * factor) / factor;
+    },
+
+    '$toLower': function (params, context) {
+        const value = context.evaluate(params);
+        return typeof(value) === 'string' ? value.toLowerCase() : null;
+    },
+
+    '$toUpper': function (params, context) {
+        const value = context.evaluate(params);
+        return typeof(value) === 'string' ? value.toUpperCase() : null;
+    },
+
+    '$trim': function (params, context) {
+        const value = context.evaluate(params);
+        return typeof(value) === 'string' ? value.trim() : null;
+    },
+
+    /**
+     * Substring by start index and length: {"$substr": ["2020-05-21", 0, 4]}
+     */
+    '$substr': function (params, context) {
+        if (!Array.isArray(params)) {
+            return null;
+        }
+
+        const args = params.map((param) => context.evaluate(param));
+        if (typeof(args[0]) !== 'string' || typeof(args[1]) !== 'number') {
+            return null;
+        }
+
+        return typeof(args[2]) === 'number' ? args[0].substr(args[1], args[2]) : args[0].substr(args[1]);
+    },
+};
+
+/**
+ * Creates an operand evaluator for QueryCheck.setOperandEvaluator()
+ *
+ * Supported options are `now` (a function returning the current Date, used
+ * by $time) and `functions` (additional operand functions; these override
+ * built-in functions of the same name).
+ *
+ * @param {object} [options]
+ * @returns {function(*, object): *}
+ */
+function createOperandEvaluator(options) {
+    options = options || {};
+
+    const functions = Object.assign({}, operandFunctions, options.functions || {});
+    const now = typeof(options.now) === 'function' ? options.now : () => new Date();
+
+    return function (operand, data) {
+        const qc = this;
+        const context = {
+            data,
+            evaluate: (value) => evaluate(value, functions, context),
+            getVariableValue: (name) => qc.getVariableValue(name, data),
+            now,
+        };
+
+        return evaluate(operand, functions, context);
+    };
+}
+
+function evaluate(value, functions, context) {
+    if (value === null || typeof(value) !== 'object') {
+        return value;
+    }
+
+    if (Array.isArray(value)) {
+        return evaluateItems(value, value.slice(), functions, context);
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+        // Date, RegExp, ...
+        return value;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length == 1 && Object.prototype.hasOwnProperty.call(functions, keys[0])) {
+        return functions[keys[0]](value[keys[0]], context);
+    }
+
+    return evaluateItems(value, Object.assign({}, value), functions, context);
+}
+
+function evaluateItems(value, copy, functions, context) {
+    // only return the copy if something got evaluated; literal operands stay as they are
+    let changed = false;
+    const keys = Object.keys(value);
+    for (let i = 0; i < keys.length; ++i) {
+        copy[keys[i]] = evaluate(value[keys[i]], functions, context);
+        changed = changed || copy[keys[i]] !== value[keys[i]];
+    }
+
+    return changed ? copy : value;
+}
+
+function reduceNumbers(params, context, fn, arity) {
+    if (!Array.isArray(params) || params.length == 0 || (arity !== undefined && params.length != arity)) {
+        return null;
+    }
+
+    let result = null;
+    for (let i = 0; i < params.length; ++i) {
+        const value = context.evaluate(params[i]);
+        if (typeof(value) !== 'number') {
+            return null;
+        }
+
+        result = i == 0 ? value : fn(result, value);
+        if (result === null) {
+            return null;
+        }
+    }
+    return result;
+}
+
+function pad(number, length) {
+    let str = String(number);
+    while (str.length < length) {
+        str = '0' + str;
+    }
+    return str;
+}
+
+function formatDate(date, format) {
+    return format.replace(dateTokens, (token) => {
+        switch (token) {
+            case 'yyyy': return pad(date.getFullYear(), 4);
+            case 'yy': return pad(date.getFullYear() % 100, 2);
+            case 'MM': return pad(date.getMonth() + 1, 2);
+            case 'M': return String(date.getMonth() + 1);
+            case 'dd': return pad(date.getDate(), 2);
+            case 'd': return String(date.getDate());
+            case 'HH': return pad(date.getHours(), 2);
+            case 'H': return String(date.getHours());
+            case 'mm': return pad(date.getMinutes(), 2);
+            case 'm': return String(date.getMinutes());
+            case 'ss': return pad(date.getSeconds(), 2);
+            case 's': return String(date.getSeconds());
+            case 'SSS': return pad(date.getMilliseconds(), 3);
+        }
+
+        // quoted literal; '' is an escaped single quote
+        return token == "''" ? "'" : token.slice(1, -1).replace(/''/g, "'");
+    });
+}
+
+function parseDate(str, format) {
+    const fields = [];
+    let pattern = '';
+    let lastIndex = 0;
+
+    format.replace(dateTokens, (token, offset) => {
+        pattern += escapeRegExp(format.slice(lastIndex, offset));
+        lastIndex = offset + token.length;
+
+        if (token[0] == "'") {
+            pattern += escapeRegExp(token == "''" ? "'" : token.slice(1, -1).replace(/''/g, "'"));
+        } else {
+            pattern += token.length == 1 ? '(\\d{1,2})' : `(\\d{${token.length}})`;
+            fields.push(token);
+        }
+        return token;
+    });
+    pattern += escapeRegExp(format.slice(lastIndex));
+
+    const matches = new RegExp(`^${pattern}$`).exec(str);
+    if (!matches) {
+        return null;
+    }
+
+    const parts = {y: 1970, M: 1, d: 1, H: 0, m: 0, s: 0, S: 0};
+    for (let i = 0; i < fields.length; ++i) {
+        let value = parseInt(matches[i + 1], 10);
+        if (fields[i] == 'yy') {
+            value += 2000;
+        }
+        parts[fields[i][0]] = value;
+    }
+
+    return createLocalDate(parts.y, parts.M, parts.d, parts.H, parts.m, parts.s, parts.S);
+}
+
+function parseISODate(str) {
+    const matches = isoDateRegExp.exec(str);
+    if (!matches) {
+        return null;
+    }
+
+    const numbers = matches.slice(1, 8).map((match) => match === undefined ? 0 : parseInt(match, 10));
+    if (matches[7] !== undefined) {
+        numbers[6] = parseInt((matches[7] + '00').substr(0, 3), 10);
+    }
+
+    if (matches[8] === undefined) {
+        // like date-fns, dates without a time zone are local dates
+        return createLocalDate.apply(null, numbers);
+    }
+
+    if (!isValidDate.apply(null, numbers)) {
+        return null;
+    }
+
+    let offset = 0;
+    if (matches[8] != 'Z') {
+        const tz = matches[8].replace(':', '');
+        offset = (tz[0] == '-' ? -1 : 1) * (parseInt(tz.substr(1, 2), 10) * 60 + parseInt(tz.substr(3, 2), 10));
+    }
+
+    const date = new Date(Date.UTC(numbers[0], numbers[1] - 1, numbers[2], numbers[3], numbers[4], numbers[5], numbers[6]) - offset * 60000);
+    if (numbers[0] < 100) {
+        date.setUTCFullYear(date.getUTCFullYear() - 1900);
+    }
+    return date;
+}
+
+function createLocalDate(year, month, day, hours, minutes, seconds, milliseconds) {
+    if (!isValidDate(year, month, day, hours, minutes, seconds)) {
+        return null;
+    }
+
+    const date = new Date(year, month - 1, day, hours, minutes, seconds, milliseconds);
+    // the Date constructor maps years below 100 to 19xx
+    date.setFullYear(year, month - 1, day);
+    return date;
+}
+
+function isValidDate(year, month, day, hours, minutes, seconds) {
+    // reject overflowing values like 2020-02-31 or 25:00
+    const daysInMonth = new Date(Date.UTC(2000, month, 0)).getUTCDate();
+    const isLeapYear = (year % 4 == 0 && year % 100 != 0) || year % 400 == 0;
+
+    return month >= 1 && month <= 12 && day >= 1 && day <= (month == 2 && !isLeapYear ? 28 : daysInMonth) &&
+        hours <= 23 && minutes <= 59 && seconds <= 59;
+}
+
+function addDuration(date, duration, sign) {
+    const result = new Date(date.getTime());
+
+    const months = sign * ((duration.years || 0) * 12 + (duration.months || 0));
+    if (months) {
+        // like date-fns, clamp the day to the end of the target month
+        const day = result.getDate();
+        result.setDate(1);
+        result.setMonth(result.getMonth() + months);
+        const daysInMonth = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+        result.setDate(Math.min(day, daysInMonth));
+    }
+
+    const days = sign * ((duration.weeks || 0) * 7 + (duration.days || 0));
+    if (days) {
+        result.setDate(result.getDate() + days);
+    }
+
+    const seconds = sign * (((duration.hours || 0) * 60 + (duration.minutes || 0)) * 60 + (duration.seconds || 0));
+    return new Date(result.getTime() + seconds * 1000);
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    operandFunctions,
+    createOperandEvaluator,
+};
@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * Custom operators and plugins
+ *
+ * Custom operators are described by a definition like
+ *
+ *   {
+ *       name: '$startsWith',
+ *       type: 'expression',    // or 'boolean' (defaults to 'expression')
+ *       operand: 'string',     // operand shape (see shapeChecks) or a function(operand) returning a boolean
+ *       subQuery: false,       // 'query', 'queries' or 'expression' to get the operand as compiled predicate(s)
+ *       noneMatch: false,      // values of traversed arrays have to match all instead of any
+ *       cost: 3,               // estimated cost used when reordering clauses (see setReorderClauses())
+ *       evaluate: function (value, operand, context) { return String(value).startsWith(operand); }
+ *   }
+ *
+ * Expression operators get the variable value, the operand (after the
+ * operand evaluator ran) and a context {variableName, data, strictMode}.
+ * Boolean operators get the data instead of the variable value and a context
+ * {data, strictMode}. In both cases `this` is the QueryCheck instance.
+ *
+ * Operators with a sub query get predicates instead of the operand: for
+ * "query" and "queries" functions testing a document (the current data if
+ * called without argument), for "expression" a function testing a value.
+ *
+ * A plugin bundles operators and operand functions:
+ *
+ *   {
+ *       operators: [definition, ...],
+ *       operandFunctions: {'$name': function (params, context) { ... }, ...}
+ *   }
+ */
+
+const shapeChecks = {
+    'any': () => true,
+    'array': (operand) => Array.isArray(operand),
+    'boolean': (operand) => typeof(operand) === 'boolean',
+    'divisor/remainder': (operand) => Array.isArray(operand) && operand.length == 2 && typeof(operand[0]) === 'number' && typeof(operand[1]) === 'number' && Math.trunc(operand[0]) !== 0,
+    'integer': (operand) => typeof(operand) === 'number' && Number.isInteger(operand),
+    'number': (operand) => typeof(operand) === 'number',
+    'object': (operand) => operand !== null && typeof(operand) === 'object' && !Array.isArray(operand),
+    'size': (operand) => typeof(operand) === 'number' && Number.isInteger(operand) && operand >= 0,
+    'string': (operand) => typeof(operand) === 'string',
+};
+
+const shapeDescriptions = {
+    'array': 'an array',
+    'boolean': 'a boolean',
+    'divisor/remainder': 'an array of [divisor, remainder] with a non-zero divisor',
+    'integer': 'an integer',
+    'number': 'a number',
+    'object': 'an object',
+    'size': 'a non-negative integer',
+    'string': 'a string',
+};
+
+const subQueryTypes = {
+    'expression': ['query', 'queries', 'expression'],
+    'boolean': ['query', 'queries'],
+};
+
+/**
+ * Checks an operator definition and returns it with defaults applied
+ *
+ * @param {object} definition
+ * @returns {object}
+ */
+function normalizeDefinition(definition) {
+    if (definition === null || typeof(definition) !== 'object') {
+        throw new TypeError('Operator definition must be an object');
+    }
+
+    if (typeof(definition.name) !== 'string' || definition.name.length < 2 || definition.name[0] != '$') {
+        throw new TypeError(`Operator name must be a string starting with $: ${definition.name}`);
+    }
+
+    const type = definition.type || 'expression';
+    if (!(type in subQueryTypes)) {
+        throw new TypeError(`${definition.name}: operator type must be either "expression" or "boolean"`);
+    }
+
+    const operand = definition.operand || 'any';
+    if (typeof(operand) !== 'function' && !(operand in shapeChecks)) {
+        throw new TypeError(`${definition.name}: unsupported operand shape ${operand}`);
+    }
+
+    const subQuery = definition.subQuery || false;
+    if (subQuery !== false && subQueryTypes[type].indexOf(subQuery) === -1) {
+        throw new TypeError(`${definition.name}: unsupported sub query type ${subQuery}`);
+    }
+
+    const cost = definition.cost === undefined ? 3 : definition.cost;
+    if (typeof(cost) !== 'number' || !(cost >= 0)) {
+        throw new TypeError(`${definition.name}: cost must be a non-negative number`);
+    }
+
+    if (typeof(definition.evaluate) !== 'function') {
+        throw new TypeError(`${definition.name}: evaluate must be a function`);
+    }
+
+    return Object.assign({}, definition, {type, operand, subQuery, noneMatch: Boolean(definition.noneMatch), cost});
+}
+
+/**
+ * Checks a plugin and returns its operator definitions and operand functions
+ *
+ * @param {object} plugin
+ * @returns {{operators: Array<object>, operandFunctions: object}}
+ */
+function normalizePlugin(plugin) {
+    if (plugin === null || typeof(plugin) !== 'object') {
+        throw new TypeError('Plugin must be an object');
+    }
+
+    const operators = (plugin.operators || []).map(normalizeDefinition);
+    const operandFunctions = plugin.operandFunctions || {};
+
+    for (let name of Object.keys(operandFunctions)) {
+        if (typeof(operandFunctions[name]) !== 'function') {
+            throw new TypeError(`Operand function ${name} must be a function`);
+        }
+    }
+
+    return {operators, operandFunctions};
+}
+
+function checkShape(shape, operand) {
+    return typeof(shape) === 'function' ? Boolean(shape(operand)) : shapeChecks[shape](operand);
+}
+
+function describeShape(shape) {
+    return shapeDescriptions[shape] || 'valid';
+}
+
+/**
+ * Creates a compiler for QueryCheck.expressionCompilers from a definition
+ *
+ * @param {object} definition normalized definition
+ * @returns {function}
+ */
+function createExpressionCompiler(definition) {
+    const name = definition.name;
+
+    return function (variableName, operand, expression, pointer) {
+        const evaluate = (value, operandValue, data) => {
+            return definition.evaluate.apply(this, [value, operandValue, {variableName, data, strictMode: this.strictMode}]);
+        };
+
+        if (definition.subQuery !== false) {
+            const predicateFn = compileSubQuery.apply(this, [definition, variableName, operand, pointer]);
+
+            return (variableValue, data) => {
+                const predicate = predicateFn(data);
+                return this._matchCandidates(variableValue, (value) => {
+                    return evaluate(this._undefinedToNull(value), predicate, data);
+                }, definition.noneMatch);
+            };
+        }
+
+        if (this._issues !== null && this.strictMode && this._isStaticOperand(operand) && !checkShape(definition.operand, operand)) {
+            this._report('INVALID_OPERAND', pointer, `${name}: operand must be ${describeShape(definition.operand)}`, TypeError);
+        }
+
+        const operandFn = this._compileOperand(operand);
+
+        return (variableValue, data, trace) => {
+            const operandValue = operandFn(data);
+            if (trace !== undefined) {
+                trace.operand = operandValue;
+            }
+
+            if (!checkShape(definition.operand, operandValue)) {
+                if (this.strictMode) {
+                    throw new TypeError(`${name}: variable ${variableName}: operand must be ${describeShape(definition.operand)}`);
+                }
+                return false;
+            }
+
+            return this._matchCandidates(variableValue, (value) => {
+                return evaluate(this._undefinedToNull(value), operandValue, data);
+            }, definition.noneMatch);
+        };
+    };
+}
+
+/**
+ * Creates a compiler for QueryCheck.booleanOperators from a definition
+ *
+ * @param {object} definition normalized definition
+ * @returns {function}
+ */
+function createBooleanCompiler(definition) {
+    const name = definition.name;
+
+    return function (operand, pointer) {
+        let predicateFn = null;
+
+        if (definition.subQuery !== false) {
+            predicateFn = compileSubQuery.apply(this, [definition, null, operand, pointer]);
+        } else if (!checkShape(definition.operand, operand)) {
+            this._report('INVALID_OPERAND', pointer, `${name}: operand must be ${describeShape(definition.operand)}`, Error);
+            return () => false;
+        }
+
+        return (data, trace) => {
+            const operandValue = predicateFn !== null ? predicateFn(data, trace) : operand;
+            return Boolean(definition.evaluate.apply(this, [data, operandValue, {data, strictMode: this.strictMode}]));
+        };
+    };
+}
+
+/**
+ * Compiles the operand of an operator with sub query; returns a function
+ * creating the predicate(s) for the current data
+ */
+function compileSubQuery(definition, variableName, operand, pointer) {
+    const isDocument = (doc) => doc !== null && typeof(doc) === 'object' && !Array.isArray(doc);
+
+    switch (definition.subQuery) {
+        case 'queries': {
+            const queryFns = this._compileSubQueries(definition.name, operand, pointer);
+            return (data, trace) => queryFns.map((queryFn) => {
+                return (doc) => doc === undefined ? queryFn(data, trace) : isDocument(doc) && queryFn(doc);
+            });
+        }
+
+        case 'query': {
+            if (!isDocument(operand)) {
+                this._report('INVALID_OPERAND', pointer, `${definition.name} can only operate on a query`, Error);
+                return () => () => false;
+            }
+
+            const queryFn = this._compileQuery(operand, pointer);
+            return (data, trace) => {
+                return (doc) => doc === undefined ? queryFn(data, trace) : isDocument(doc) && queryFn(doc);
+            };
+        }
+
+        case 'expression': {
+            const expressionFn = this._compileExpression(variableName, operand, pointer);
+            return (data) => {
+                return (value) => expressionFn(value, data);
+            };
+        }
+    }
+}
+
+module.exports = {
+    shapeChecks,
+    shapeDescriptions,
+    normalizeDefinition,
+    normalizePlugin,
+    createExpressionCompiler,
+    createBooleanCompiler,
+};
@@ -0,0 +1,575 @@
+/**
+ * Type declarations for QueryCheck
+ *
+ * `Query` (and `QueryCheck`) accept any query by default. Given a document
+ * type, `Query<T>` checks field paths and operands at compile time:
+ *
+ *   interface Vars { now: { isoDate: string; hour: number }; tags: string[] }
+ *
+ *   const query: Query<Vars> = {
+ *       "now.isoDate": { "$in": ["2020-05-21"] },   // string[]
+ *       "now.hour": { "$gte": 10 },                 // range operators on comparable types only
+ *       "tags": "open",                             // arrays match by element
+ *   };
+ *
+ * Custom operators registered at runtime are unknown to `Query<T>`; use the
+ * untyped `Query` for queries using them.
+ */
+
+declare namespace QueryCheck {
+
+    /** Values ordered by $gt, $gte, $lt and $lte */
+    type Comparable = string | number | bigint | Date;
+
+    type Primitive = string | number | bigint | boolean | symbol | null | undefined | Date | RegExp | Function;
+
+    /** Decrements the recursion depth of path types */
+    type PrevDepth = [never, 0, 1, 2, 3, 4, 5, 6, 7];
+
+    /** All dotted paths into T like "now.isoDate", "items.sku", "items.0.sku" or "items[0].sku" (up to a depth of 6) */
+    type Path<T, Depth extends number = 6> =
+        [Depth] extends [never] ? never :
+        T extends Primitive ? never :
+        T extends ReadonlyArray<infer E> ?
+            `${number}` | `[${number}]` | SubPath<`${number}`, E, PrevDepth[Depth]> | SubPath<`[${number}]`, E, PrevDepth[Depth]> | Path<E, Depth> :
+        { [K in keyof T & string]-?: K | SubPath<K, NonNullable<T[K]>, PrevDepth[Depth]> }[keyof T & string];
+
+    /** Appends the paths into V to K, with a dot unless they start with an index like "[0]" */
+    type SubPath<K extends string, V, Depth extends number> =
+        Path<V, Depth> extends infer P ? P extends `[${string}` ? `${K}${P}` : P extends string ? `${K}.${P}` : never : never;
+
+    /** Type of the value at a dotted path; arrays are traversed like at runtime */
+    type PathValue<T, P extends string> =
+        T extends ReadonlyArray<infer E> ?
+            P extends `${number}` | `[${number}]` ? E :
+            P extends `${number}.${infer Rest}` ? PathValue<NonNullable<E>, Rest> :
+            P extends `[${number}].${infer Rest}` ? PathValue<NonNullable<E>, Rest> :
+            P extends `[${number}][${infer Rest}` ? PathValue<NonNullable<E>, `[${Rest}`> :
+            PathValue<NonNullable<E>, P> :
+        P extends keyof T ? T[P] :
+        P extends `${infer K}.${infer Rest}` ? K extends keyof T ? PathValue<NonNullable<T[K]>, Rest> : IndexedPathValue<T, P> :
+        IndexedPathValue<T, P>;
+
+    /** Type of the value at a path starting with an indexed key like "items[0].sku" */
+    type IndexedPathValue<T, P extends string> =
+        P extends `${infer K}[${infer Rest}` ? K extends keyof T ? PathValue<NonNullable<T[K]>, `[${Rest}`> : never : never;
+
+    /** Element type of arrays; other types as is */
+    type ElementOf<V> = V extends ReadonlyArray<infer E> ? E : V;
+
+    /** Extended JSON representations of a value type (see ejson.js) */
+    type ExtendedJson<V> =
+        (V extends Date ? { $date: string | number | { $numberLong: string } } : never) |
+        (V extends number | bigint ? { $numberInt: string } | { $numberLong: string } | { $numberDouble: string } | { $numberDecimal: string } : never);
+
+    /** Calls of the built-in operand functions (see useOperandFunctions()) */
+    type OperandFunctionCall =
+        { $var: string | { name: unknown; default?: unknown } } |
+        { $concat: ReadonlyArray<unknown> } |
+        { $lookup: unknown } |
+        { $time: unknown } |
+        { $add: ReadonlyArray<unknown> } |
+        { $subtract: ReadonlyArray<unknown> } |
+        { $multiply: ReadonlyArray<unknown> } |
+        { $divide: ReadonlyArray<unknown> } |
+        { $abs: unknown } |
+        { $floor: unknown } |
+        { $ceil: unknown } |
+        { $round: unknown } |
+        { $toLower: unknown } |
+        { $toUpper: unknown } |
+        { $trim: unknown } |
+        { $substr: ReadonlyArray<unknown> };
+
+    /** An operand for a value of type V */
+    type Operand<V> = V | ExtendedJson<V> | OperandFunctionCall;
+
+    /** Type names and codes accepted by $type */
+    type TypeAlias = 'double' | 'string' | 'object' | 'array' | 'bool' | 'date' | 'null' | 'regex' | 'javascript' | 'int' | 'long' | 'number';
+    type TypeCode = 1 | 2 | 3 | 4 | 8 | 9 | 10 | 11 | 13 | 16 | 18;
+
+    /** Range operators; only available if the (element) type is comparable */
+    type RangeOperators<E> = [NonNullable<E>] extends [never] ? {} : [NonNullable<E>] extends [Comparable] ? {
+        $gt?: Operand<NonNullable<E>>;
+        $gte?: Operand<NonNullable<E>>;
+        $lt?: Operand<NonNullable<E>>;
+        $lte?: Operand<NonNullable<E>>;
+    } : {
+        $gt?: never;
+        $gte?: never;
+        $lt?: never;
+        $lte?: never;
+    };
+
+    /** $regex; only available if the (element) type includes strings */
+    type RegExpOperators<E> = [Extract<E, string>] extends [never] ? { $regex?: never; $options?: never } : {
+        $regex?: string | RegExp | { $regularExpression: { pattern: string; options: string } };
+        $options?: string;
+    };
+
+    /** $mod; only available if the (element) type includes numbers */
+    type NumberOperators<E> = [Extract<E, number | bigint>] extends [never] ? { $mod?: never } : {
+        $mod?: [number, number];
+    };
+
+    /** Array operators; only available on arrays */
+    type ArrayOperators<V> = [Extract<V, ReadonlyArray<unknown>>] extends [never] ? { $all?: never; $size?: never; $elemMatch?: never } : {
+        $all?: ReadonlyArray<Operand<ElementOf<V>>> | OperandFunctionCall;
+        $size?: number | OperandFunctionCall;
+        $elemMatch?: ElementOf<V> extends Primitive ? Condition<ElementOf<V>> : Query<ElementOf<V>>;
+    };
+
+    /** Operators applicable to a field of type V */
+    type Condition<V> = {
+        $eq?: Operand<V | ElementOf<V>> | null;
+        $ne?: Operand<V | ElementOf<V>> | null;
+        $in?: ReadonlyArray<Operand<V | ElementOf<V>> | RegExp | null> | OperandFunctionCall;
+        $nin?: ReadonlyArray<Operand<V | ElementOf<V>> | RegExp | null> | OperandFunctionCall;
+        $exists?: boolean;
+        $type?: TypeAlias | TypeCode | ReadonlyArray<TypeAlias | TypeCode>;
+        $not?: Condition<V> | RegExp;
+    } & RangeOperators<ElementOf<V>> & RegExpOperators<ElementOf<V>> & NumberOperators<ElementOf<V>> & ArrayOperators<V>;
+
+    /** A value to match (the field or one of its elements), a regular expression or operators */
+    type FieldCondition<V> =
+        Operand<V | ElementOf<V>> |
+        null |
+        ([Extract<ElementOf<V>, string>] extends [never] ? never : RegExp) |
+        Condition<V>;
+
+    /** An aggregation expression for $expr (see expressions.js) */
+    type Expression = string | number | bigint | boolean | null | Date | ReadonlyArray<Expression> | { [operator: string]: Expression };
+
+    interface LogicalOperators<T> {
+        $and?: ReadonlyArray<Query<T>>;
+        $or?: ReadonlyArray<Query<T>>;
+        $nor?: ReadonlyArray<Query<T>>;
+        $not?: Query<T>;
+        $expr?: Expression;
+    }
+
+    /** A query for documents of type T (any query if T is not given) */
+    type Query<T = any> = unknown extends T ? UntypedQuery : TypedQuery<T>;
+
+    type TypedQuery<T> = { [P in Path<T>]?: FieldCondition<PathValue<T, P>> } & LogicalOperators<T>;
+
+    interface UntypedQuery {
+        [key: string]: any;
+    }
+
+    /** Collation like MongoDB's (see collation.js) */
+    interface Collation {
+        locale?: string;
+        strength?: 1 | 2 | 3 | 4 | 5;
+        caseLevel?: boolean;
+        caseFirst?: 'upper' | 'lower' | 'off';
+        numericOrdering?: boolean;
+        alternate?: 'non-ignorable' | 'shifted';
+        caseInsensitive?: boolean;
+    }
+
+    /** Checks a $regex pattern; may reject it or return a replacement matcher */
+    type RegExpPolicy = (source: string, flags: string) => boolean | { test(input: string): boolean };
+
+    interface SafeRegExpPolicyOptions {
+        maxLength?: number;
+        maxInputLength?: number;
+        allowBackreferences?: boolean;
+        allowNestedQuantifiers?: boolean;
+    }
+
+    type OperandEvaluator = (this: QueryCheck<any>, operand: unknown, data: object) => unknown;
+
+    interface OperandFunctionContext {
+        data: object;
+        evaluate(value: unknown): unknown;
+        getVariableValue(name: string): unknown;
+        now(): Date;
+    }
+
+    type OperandFunction = (params: any, context: OperandFunctionContext) => unknown;
+
+    interface OperandFunctionOptions {
+        now?: () => Date;
+        functions?: { [name: string]: OperandFunction };
+    }
+
+    type OperandShape = 'any' | 'array' | 'boolean' | 'divisor/remainder' | 'integer' | 'number' | 'object' | 'size' | 'string';
+
+    interface ExpressionOperatorContext {
+        variableName: string;
+        data: object;
+        strictMode: boolean;
+    }
+
+    interface BooleanOperatorContext {
+        data: object;
+        strictMode: boolean;
+    }
+
+    /** Custom operator definition (see plugins.js) */
+    interface ExpressionOperatorDefinition {
+        name: string;
+        type?: 'expression';
+        operand?: OperandShape | ((operand: any) => boolean);
+        subQuery?: false | 'query' | 'queries' | 'expression';
+        noneMatch?: boolean;
+        cost?: number;
+        evaluate(this: QueryCheck<any>, value: any, operand: any, context: ExpressionOperatorContext): boolean;
+    }
+
+    interface BooleanOperatorDefinition {
+        name: string;
+        type: 'boolean';
+        operand?: OperandShape | ((operand: any) => boolean);
+        subQuery?: false | 'query' | 'queries';
+        cost?: number;
+        evaluate(this: QueryCheck<any>, data: object, operand: any, context: BooleanOperatorContext): boolean;
+    }
+
+    type OperatorDefinition = ExpressionOperatorDefinition | BooleanOperatorDefinition;
+
+    interface Plugin {
+        operators?: ReadonlyArray<OperatorDefinition>;
+        operandFunctions?: { [name: string]: OperandFunction };
+    }
+
+    interface ValidateOptions {
+        strictMode?: boolean;
+        operandEvaluator?: OperandEvaluator;
+    }
+
+    interface AnalysisOptions {
+        /** paths of the fields holding single values (not arrays), true for all fields */
+        scalarFields?: string[] | boolean | null;
+    }
+
+    interface ValidationIssue {
+        pointer: string;
+        code: 'EMPTY_KEY' | 'INVALID_OPERAND' | 'INVALID_QUERY' | 'INVALID_REGEX' | 'UNKNOWN_OPERATOR';
+        message: string;
+    }
+
+    /** A clause found by analyze() which never or always matches */
+    interface AnalysisIssue {
+        pointer: string;
+        code: 'UNSATISFIABLE' | 'ALWAYS_TRUE';
+        message: string;
+    }
+
+    interface AnalysisResult {
+        /** true if the query provably never matches */
+        unsatisfiable: boolean;
+        /** true if the query provably matches any document */
+        alwaysTrue: boolean;
+        issues: AnalysisIssue[];
+    }
+
+    /** A path read by a query, see dependencies() */
+    interface Dependency {
+        path: string;
+        operators: string[];
+        pointers: string[];
+    }
+
+    /** A node of the trace tree returned by explain() */
+    interface TraceNode {
+        type: 'query' | 'boolean' | 'field' | 'operator';
+        pointer: string;
+        result: boolean | undefined;
+        children: TraceNode[];
+        operator?: string;
+        implicit?: boolean;
+        variable?: string;
+        value?: unknown;
+        operand?: unknown;
+        error?: unknown;
+    }
+
+    type SortSpec<T> = { [P in (unknown extends T ? string : Path<T>)]?: 1 | -1 };
+
+    type Projection<T> = { [P in (unknown extends T ? string : Path<T>)]?: 0 | 1 | boolean };
+
+    /** Documents with (possibly) some fields removed by a projection */
+    type Projected<T> = T extends Primitive ? T : T extends ReadonlyArray<infer E> ? Array<Projected<E>> : { [K in keyof T]?: Projected<T[K]> };
+
+    interface PrintTextOptions {
+        /** put `or` and `and` clauses on separate, indented lines */
+        pretty?: boolean;
+        indent?: string;
+    }
+
+    /** Thrown by parseText() */
+    interface TextSyntaxError extends SyntaxError {
+        line: number;
+        column: number;
+    }
+
+    /** Type of the value a field is compared with */
+    type SqlValueType = 'string' | 'number' | 'boolean' | 'date';
+
+    type SqlColumnMapping = string | { json: string; path?: string } | { sql: string };
+
+    interface SqlOperatorContext {
+        /** SQL expression of the field */
+        field(type: SqlValueType): string;
+        /** binds a value and returns its placeholder */
+        bind(value: unknown): string;
+        dialect: SqlDialect;
+    }
+
+    interface SqlDialect {
+        /** name of a registered dialect providing the missing functions */
+        extends?: string;
+        placeholder?(index: number): string;
+        quoteIdentifier?(name: string): string;
+        jsonValue?(column: string, path: Array<string | number>, type: SqlValueType): string;
+        /** "null" for JSON null, NULL if there is no value */
+        jsonType?(column: string, path: Array<string | number>): string;
+        /** null if the flags are not supported */
+        regex?(expression: string, source: string, flags: string, bind: (value: unknown) => string): string | null;
+        bindValue?(value: unknown): unknown;
+        operators?: { [operator: string]: (operand: any, context: SqlOperatorContext) => string };
+    }
+
+    interface SqlOptions {
+        /** defaults to "postgres" */
+        dialect?: 'postgres' | 'sqlite' | (string & {}) | SqlDialect;
+        columns?: { [path: string]: SqlColumnMapping } | ((path: string) => SqlColumnMapping | null | undefined);
+        /** JSON column holding the fields not mapped by `columns` */
+        json?: string;
+        /** whether null matches missing values in JSON columns */
+        undefinedEqualsNull?: boolean;
+    }
+
+    interface SqlFragment {
+        sql: string;
+        params: unknown[];
+    }
+
+    /** Thrown by toSql() for constructs without SQL equivalent */
+    interface SqlTranslationError extends Error {
+        code: 'UNTRANSLATABLE';
+        pointer: string;
+    }
+
+    /** A JsonLogic rule, e.g. {"<": [{"var": "a"}, 5]} */
+    type JsonLogicRule = boolean | { [operation: string]: unknown };
+
+    interface FromJsonLogicOptions {
+        /** paths of the variables holding arrays, for "in" with a variable on the right */
+        arrayFields?: string[];
+    }
+
+    interface PageOptions {
+        skip?: number;
+        limit?: number;
+    }
+
+    interface FilterOptions<T> extends PageOptions {
+        sort?: SortSpec<T>;
+        projection?: Projection<T>;
+    }
+
+    type BuilderInput<T> = Query<T> | QueryBuilder<T, any>;
+
+    /** Operand of range operators; never if the field type isn't comparable */
+    type RangeOperand<V> = NonNullable<ElementOf<V>> extends Comparable ? Operand<NonNullable<ElementOf<V>>> : never;
+
+    /** Immutable fluent query builder (see builder.js); V is the type of the selected field */
+    class QueryBuilder<T = any, V = any> {
+        static from<T = any>(query: BuilderInput<T>): QueryBuilder<T>;
+
+        where<P extends (unknown extends T ? string : Path<T>)>(path: P): QueryBuilder<T, unknown extends T ? any : PathValue<T, P & string>>;
+        not(): QueryBuilder<T, V>;
+
+        eq(value: Operand<V | ElementOf<V>> | null): QueryBuilder<T, V>;
+        ne(value: Operand<V | ElementOf<V>> | null): QueryBuilder<T, V>;
+        gt(value: RangeOperand<V>): QueryBuilder<T, V>;
+        gte(value: RangeOperand<V>): QueryBuilder<T, V>;
+        lt(value: RangeOperand<V>): QueryBuilder<T, V>;
+        lte(value: RangeOperand<V>): QueryBuilder<T, V>;
+        in(values: ReadonlyArray<Operand<V | ElementOf<V>> | RegExp | null>): QueryBuilder<T, V>;
+        nin(values: ReadonlyArray<Operand<V | ElementOf<V>> | RegExp | null>): QueryBuilder<T, V>;
+        all(values: ReadonlyArray<Operand<ElementOf<V>>>): QueryBuilder<T, V>;
+        size(size: number): QueryBuilder<T, V>;
+        mod(divisor: number, remainder: number): QueryBuilder<T, V>;
+        type(type: TypeAlias | TypeCode | ReadonlyArray<TypeAlias | TypeCode>): QueryBuilder<T, V>;
+        exists(exists?: boolean): QueryBuilder<T, V>;
+        regex(pattern: string | RegExp, options?: string): QueryBuilder<T, V>;
+        elemMatch(query: ElementOf<V> extends Primitive ? Condition<ElementOf<V>> : BuilderInput<ElementOf<V>>): QueryBuilder<T, V>;
+        op(operator: string, operand: unknown): QueryBuilder<T, V>;
+
+        and(...queries: Array<BuilderInput<T>>): QueryBuilder<T>;
+        or(...queries: Array<BuilderInput<T>>): QueryBuilder<T>;
+        nor(...queries: Array<BuilderInput<T>>): QueryBuilder<T>;
+        expr(expression: Expression): QueryBuilder<T>;
+        remove(key: string): QueryBuilder<T>;
+
+        build(): Query<T>;
+        toJSON(): Query<T>;
+    }
+
+    type RuleStrategy = 'first-match' | 'highest-priority' | 'all-matches';
+
+    /** A rule of a rule set (see rules.js); P is the type of the payload */
+    interface Rule<T = any, P = any> {
+        id: string;
+        description?: string;
+        query: Query<T>;
+        /** default 0 */
+        priority?: number;
+        /** default true */
+        enabled?: boolean;
+        /** inclusive; a Date or an ISO-8601 string */
+        validFrom?: Date | string | null;
+        /** exclusive; a Date or an ISO-8601 string */
+        validUntil?: Date | string | null;
+        payload?: P;
+        /** name of a function of the option actions */
+        action?: string;
+    }
+
+    interface RuleSetOptions<T = any, P = any> {
+        /** default 'first-match' */
+        strategy?: RuleStrategy;
+        actions?: { [name: string]: (data: T, rule: Rule<T, P>) => unknown };
+        /** called with the QueryCheck instance of every rule, e.g. to set strict mode */
+        configure?: (qc: QueryCheck<T>) => void;
+    }
+
+    interface RuleEvaluationOptions {
+        strategy?: RuleStrategy;
+        /** checked against validFrom/validUntil; default is the current time */
+        now?: Date;
+        /** add the trace of explain() to the outcomes of evaluated rules */
+        explain?: boolean;
+    }
+
+    interface FiredRule<P = any> {
+        id: string;
+        priority: number;
+        payload?: P;
+        action?: string;
+        /** return value of the action */
+        result?: unknown;
+    }
+
+    interface RuleOutcome {
+        id: string;
+        status: 'fired' | 'no-match' | 'skipped' | 'disabled' | 'not-yet-valid' | 'expired' | 'error';
+        reason: string;
+        trace?: TraceNode;
+        error?: unknown;
+    }
+
+    interface RuleEvaluation<P = any> {
+        strategy: RuleStrategy;
+        fired: Array<FiredRule<P>>;
+        /** in the order of evaluation */
+        outcomes: RuleOutcome[];
+    }
+
+    interface SavedRuleSet<P = any> {
+        strategy: RuleStrategy;
+        rules: Array<Rule<any, P>>;
+    }
+
+    /** Rules with queries as conditions (see rules.js) */
+    class RuleSet<T = any, P = any> {
+        strategy: RuleStrategy;
+
+        add(rule: Rule<T, P>): this;
+        remove(id: string): boolean;
+        get(id: string): Rule<T, P> | undefined;
+        ids(): string[];
+        evaluate(data: T, options?: RuleEvaluationOptions): RuleEvaluation<P>;
+        toJSON(): SavedRuleSet<P>;
+    }
+
+    /** Matches documents against many queries at once (see queryindex.js); K is the type of the ids */
+    class QueryIndex<T = any, K = string> {
+        add(id: K, query: Query<T> | QueryCheck<T>): this;
+        remove(id: K): boolean;
+        has(id: K): boolean;
+        get(id: K): QueryCheck<T> | undefined;
+        ids(): K[];
+        size(): number;
+        clear(): void;
+        match(data: T): K[];
+    }
+}
+
+declare class QueryCheck<T = any> {
+
+    constructor(query: QueryCheck.Query<T>);
+
+    query: QueryCheck.Query<T>;
+    undefinedEqualsNull: boolean;
+    strictMode: boolean;
+    operandEvaluator: QueryCheck.OperandEvaluator | null;
+    evaluateAll: boolean;
+    reorderClauses: boolean;
+    regExpPolicy: QueryCheck.RegExpPolicy | null;
+    collation: QueryCheck.Collation | null;
+    operatorCosts: { [operator: string]: number };
+    operandFunctions: { [name: string]: QueryCheck.OperandFunction };
+
+    static validate(query: QueryCheck.Query, options?: QueryCheck.ValidateOptions): QueryCheck.ValidationIssue[];
+    static setDefaultCollation(spec: QueryCheck.Collation | null): void;
+    static safeRegExpPolicy(options?: QueryCheck.SafeRegExpPolicyOptions): QueryCheck.RegExpPolicy;
+    static registerOperator(definition: QueryCheck.OperatorDefinition): void;
+    static use(plugin: QueryCheck.Plugin): void;
+    static formatTrace(trace: QueryCheck.TraceNode): string;
+    static where<T = any, P extends (unknown extends T ? string : QueryCheck.Path<T>) = any>(path: P): QueryCheck.QueryBuilder<T, unknown extends T ? any : QueryCheck.PathValue<T, P & string>>;
+    static parseText<T = any>(text: string): QueryCheck.Query<T>;
+    static printText(query: QueryCheck.Query<any>, options?: QueryCheck.PrintTextOptions): string;
+    static builder<T = any>(query?: QueryCheck.BuilderInput<T>): QueryCheck.QueryBuilder<T>;
+    static createIndex<T = any, K = string>(): QueryCheck.QueryIndex<T, K>;
+    static createRuleSet<T = any, P = any>(ruleSet?: Array<QueryCheck.Rule<T, P>> | QueryCheck.SavedRuleSet<P> | string, options?: QueryCheck.RuleSetOptions<T, P>): QueryCheck.RuleSet<T, P>;
+    static toSql(query: QueryCheck.Query<any>, options?: QueryCheck.SqlOptions): QueryCheck.SqlFragment;
+    static registerSqlDialect(name: string, dialect: QueryCheck.SqlDialect): void;
+    static toJsonLogic(query: QueryCheck.Query<any>): QueryCheck.JsonLogicRule;
+    static fromJsonLogic<T = any>(rule: QueryCheck.JsonLogicRule, options?: QueryCheck.FromJsonLogicOptions): QueryCheck.Query<T>;
+    static normalize<T = any>(query: QueryCheck.Query<T>): QueryCheck.Query<T>;
+    static hash(query: QueryCheck.Query<any>): string;
+    static analyze(query: QueryCheck.Query<any>, options?: QueryCheck.AnalysisOptions): QueryCheck.AnalysisResult;
+    static implies(query: QueryCheck.Query<any>, other: QueryCheck.Query<any>, options?: QueryCheck.AnalysisOptions): boolean;
+    static dependencies(query: QueryCheck.Query<any>): QueryCheck.Dependency[];
+
+    validate(): QueryCheck.ValidationIssue[];
+    normalize(): QueryCheck.Query<T>;
+    hash(): string;
+    analyze(): QueryCheck.AnalysisResult;
+    implies(other: QueryCheck.Query<T>): boolean;
+    dependencies(): QueryCheck.Dependency[];
+
+    setUndefinedEqualsNull(equalsNull: boolean): void;
+    setStrictMode(strictMode: boolean): void;
+    setOperandEvaluator(fn: QueryCheck.OperandEvaluator | null): void;
+    setEvaluateAll(evaluateAll: boolean): void;
+    setReorderClauses(reorderClauses: boolean): void;
+    setCollation(spec: QueryCheck.Collation | null): void;
+    setScalarFields(paths: string[] | boolean | null): void;
+    setRegExpPolicy(fn: QueryCheck.RegExpPolicy | null): void;
+    useOperandFunctions(options?: QueryCheck.OperandFunctionOptions): void;
+    registerOperator(definition: QueryCheck.OperatorDefinition): void;
+    use(plugin: QueryCheck.Plugin): void;
+
+    compile(): (data: T) => boolean;
+    test(data: T): boolean;
+    explain(data: T): QueryCheck.TraceNode;
+    getVariableValue(variableName: string, data: object): unknown;
+
+    filter(items: ReadonlyArray<T>, options: QueryCheck.FilterOptions<T> & { projection: QueryCheck.Projection<T> }): Array<QueryCheck.Projected<T>>;
+    filter(items: ReadonlyArray<T>, options?: QueryCheck.FilterOptions<T>): T[];
+    find(items: ReadonlyArray<T>, options: QueryCheck.FilterOptions<T> & { projection: QueryCheck.Projection<T> }): QueryCheck.Projected<T> | undefined;
+    find(items: ReadonlyArray<T>, options?: QueryCheck.FilterOptions<T>): T | undefined;
+    findIndex(items: ReadonlyArray<T>): number;
+    count(items: ReadonlyArray<T>, options?: QueryCheck.PageOptions): number;
+    some(items: ReadonlyArray<T>): boolean;
+    every(items: ReadonlyArray<T>): boolean;
+    partition(items: ReadonlyArray<T>): [T[], T[]];
+}
+
+export = QueryCheck;
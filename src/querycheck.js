@@ -1,5 +1,98 @@
 'use strict';
 
+const analysis = require('./analysis.js');
+const builder = require('./builder.js');
+const collation = require('./collation.js');
+const collection = require('./collection.js');
+const dependencies = require('./dependencies.js');
+const ejson = require('./ejson.js');
+const expressions = require('./expressions.js');
+const jsonlogic = require('./jsonlogic.js');
+const normalize = require('./normalize.js');
+const operands = require('./operands.js');
+const plugins = require('./plugins.js');
+const queryindex = require('./queryindex.js');
+const regex = require('./regex.js');
+const rules = require('./rules.js');
+const sql = require('./sql.js');
+const text = require('./text.js');
+const utils = require('./utils.js');
+
+// MongoDB type aliases supported by $type
+const typeAliases = ['double', 'string', 'object', 'array', 'bool', 'date', 'null', 'regex', 'javascript', 'int', 'long', 'number'];
+
+// MongoDB numeric type codes mapped to their aliases
+const typeCodes = {
+    1: 'double',
+    2: 'string',
+    3: 'object',
+    4: 'array',
+    8: 'bool',
+    9: 'date',
+    10: 'null',
+    11: 'regex',
+    13: 'javascript',
+    16: 'int',
+    18: 'long',
+};
+
+// expression operators that match a set of candidate values only if none of
+// them fails (instead of any of them matching)
+const noneMatchOperators = ['$ne', '$nin'];
+
+// expression operators that also test the elements of array values, like
+// MongoDB; true if the array itself is tested as well ($eq tests the elements
+// itself, $size, $all and $elemMatch test the whole array)
+const elementOperators = {
+    '$gt': false,
+    '$gte': false,
+    '$lt': false,
+    '$lte': false,
+    '$ne': true,
+    '$in': true,
+    '$nin': true,
+};
+
+// operand shapes of expression operators as checked by validate() in strict mode
+const operandShapes = {
+    '$in': 'array',
+    '$nin': 'array',
+    '$all': 'array',
+    '$mod': 'divisor/remainder',
+    '$size': 'size',
+};
+
+// estimated relative evaluation costs used to reorder sibling clauses;
+// expression operators not listed cost 1, boolean operators 0 (plus the costs
+// of their sub queries)
+const operatorCosts = {
+    '$in': 2,
+    '$nin': 2,
+    '$all': 2,
+    '$type': 2,
+    '$regex': 5,
+    '$elemMatch': 5,
+    '$expr': 5,
+};
+const dynamicOperandCost = 10;
+
+// custom operators and operand functions registered for all instances
+const globalOperators = [];
+const globalOperandFunctions = {};
+
+// collation of all instances created afterwards; see setDefaultCollation()
+let defaultCollation = null;
+
+/**
+ * Values collected by traversing arrays in a dotted path like "items.sku"
+ */
+class Candidates {
+
+    constructor(values) {
+        this.values = values;
+    }
+}
+
 /**
  * Query check
  *
@@ -11,8 +104,11 @@ class QueryCheck {
         this.query = query;
 
         this.booleanOperators = {
-            '$or': this._evalOr,
-            '$and': this._evalAnd,
+            '$or': this._compileOr,
+            '$and': this._compileAnd,
+            '$nor': this._compileNor,
+            '$not': this._compileNotQuery,
+            '$expr': this._compileExpr,
         }
 
         this.expressionOperators = {
@@ -23,14 +119,219 @@ class QueryCheck {
             '$lt': this._evalLt,
             '$lte': this._evalLte,
             '$in': this._evalIn,
-            '$regex': this._evalRegExp,
+            '$nin': this._evalNin,
+            '$type': this._evalType,
+            '$mod': this._evalMod,
+            '$all': this._evalAll,
+            '$size': this._evalSize,
             '$options': this._evalTrue,
-            '$not': this._evalNot
+        }
+
+        // expression operators that need to see their operand at compile time
+        // (sub expressions, regular expressions, ...); these get the variable
+        // value as is, i.e. undefined is not converted to null
+        this.expressionCompilers = {
+            '$regex': this._compileRegExp,
+            '$not': this._compileNot,
+            '$exists': this._compileExists,
+            '$elemMatch': this._compileElemMatch,
         }
 
         this.undefinedEqualsNull = false;
         this.strictMode = false;
         this.operandEvaluator = null;
+        this.evaluateAll = false;
+        this.reorderClauses = false;
+        this.regExpPolicy = null;
+        this.collation = null;
+        this._collator = null;
+        this.scalarFields = null;
+        this.operatorCosts = Object.assign({}, operatorCosts);
+
+        // definitions of the custom operators by name
+        this._customOperators = {};
+
+        // operand functions of plugins and the options given to useOperandFunctions()
+        this.operandFunctions = Object.assign({}, globalOperandFunctions);
+        this._operandFunctionOptions = null;
+
+        this._compiled = null;
+
+        for (let i = 0; i < globalOperators.length; ++i) {
+            this._addOperator(globalOperators[i]);
+        }
+
+        if (defaultCollation !== null) {
+            this.setCollation(defaultCollation);
+        }
+
+        // list of issues collected by validate(); null if not validating
+        this._issues = null;
+    }
+
+    /**
+     * Statically validates a query without any data and returns the list of
+     * problems found, each with a JSON pointer to its location in the query.
+     *
+     * Supported options are `strictMode` (also report operands that would
+     * throw a TypeError in strict mode) and `operandEvaluator` (skip operand
+     * checks for operands that might get evaluated).
+     *
+     * @param {object} query
+     * @param {object} [options]
+     * @returns {Array<{pointer: string, code: string, message: string}>}
+     */
+    static validate(query, options) {
+        options = options || {};
+
+        const qc = new QueryCheck(query);
+        qc.setStrictMode(Boolean(options.strictMode));
+        if (typeof(options.operandEvaluator) === 'function') {
+            qc.setOperandEvaluator(options.operandEvaluator);
+        }
+
+        return qc.validate();
+    }
+
+    /**
+     * Validates the query using this instance's settings and operators; see
+     * QueryCheck.validate()
+     *
+     * @returns {Array<{pointer: string, code: string, message: string}>}
+     */
+    validate() {
+        this._issues = [];
+        try {
+            this._compileQuery(this.query, '');
+            return this._issues;
+        } finally {
+            this._issues = null;
+        }
+    }
+
+    /**
+     * Returns the canonical form of a query, equal for queries which differ
+     * only in how they are written (implicit $and, {a: 5} instead of
+     * {a: {$eq: 5}}, key order, ...); see normalize.js for the rules
+     *
+     * @param {object} query
+     * @returns {object}
+     */
+    static normalize(query) {
+        return new QueryCheck(query).normalize();
+    }
+
+    /**
+     * Normalizes the query, knowing about this instance's custom operators;
+     * see QueryCheck.normalize()
+     *
+     * @returns {object}
+     */
+    normalize() {
+        return normalize.normalize(this.query, (operator) => this._isExpressionOperator(operator));
+    }
+
+    /**
+     * Returns a stable hash (16 hex digits) of a query's canonical form, e.g.
+     * as key to deduplicate or cache queries
+     *
+     * @param {object} query
+     * @returns {string}
+     */
+    static hash(query) {
+        return new QueryCheck(query).hash();
+    }
+
+    /**
+     * Hashes the query, knowing about this instance's custom operators; see
+     * QueryCheck.hash()
+     *
+     * @returns {string}
+     */
+    hash() {
+        return normalize.hash(this.query, (operator) => this._isExpressionOperator(operator));
+    }
+
+    /**
+     * Finds clauses which never match (UNSATISFIABLE, e.g. {a: {$gt: 40,
+     * $lt: 30}}) or match any document (ALWAYS_TRUE, e.g. {a: {$nin: []}});
+     * see analysis.js for what is considered
+     *
+     * `unsatisfiable` and `alwaysTrue` tell whether the whole query never or
+     * always matches. Both are conservative, i.e. false if not provable.
+     *
+     * Supported options are `scalarFields` (see setScalarFields()).
+     *
+     * @param {object} query
+     * @param {object} [options]
+     * @returns {{unsatisfiable: boolean, alwaysTrue: boolean, issues: Array<{pointer: string, code: string, message: string}>}}
+     */
+    static analyze(query, options) {
+        const qc = new QueryCheck(query);
+        qc.setScalarFields((options || {}).scalarFields || null);
+        return qc.analyze();
+    }
+
+    /**
+     * Analyzes the query using this instance's settings and operators; see
+     * QueryCheck.analyze()
+     *
+     * @returns {{unsatisfiable: boolean, alwaysTrue: boolean, issues: Array<{pointer: string, code: string, message: string}>}}
+     */
+    analyze() {
+        return analysis.analyze(this);
+    }
+
+    /**
+     * Tells whether every document matching the query matches the other
+     * query as well, e.g. {a: {$gt: 5}} implies {a: {$gte: 0}}; false if
+     * that can't be proven
+     *
+     * Supported options are `scalarFields` (see setScalarFields()).
+     *
+     * @param {object} query
+     * @param {object} other
+     * @param {object} [options]
+     * @returns {boolean}
+     */
+    static implies(query, other, options) {
+        const qc = new QueryCheck(query);
+        qc.setScalarFields((options || {}).scalarFields || null);
+        return qc.implies(other);
+    }
+
+    /**
+     * Tells whether the query implies the other query using this instance's
+     * settings and operators; see QueryCheck.implies()
+     *
+     * @param {object} other
+     * @returns {boolean}
+     */
+    implies(other) {
+        return analysis.implies(this, other);
+    }
+
+    /**
+     * Returns the dotted paths a query reads from the data, sorted by path,
+     * each with the operators using it and the JSON pointers of where it is
+     * used; includes variables of operand functions like {"$var": "path"} and
+     * field references in $expr
+     *
+     * @param {object} query
+     * @returns {Array<{path: string, operators: Array<string>, pointers: Array<string>}>}
+     */
+    static dependencies(query) {
+        return new QueryCheck(query).dependencies();
+    }
+
+    /**
+     * Returns the paths the query reads, knowing about this instance's
+     * custom operators; see QueryCheck.dependencies()
+     *
+     * @returns {Array<{path: string, operators: Array<string>, pointers: Array<string>}>}
+     */
+    dependencies() {
+        return dependencies.dependencies(this);
     }
 
     setUndefinedEqualsNull(equalsNull) {
@@ -43,40 +344,533 @@ class QueryCheck {
 
     setOperandEvaluator(fn) {
         this.operandEvaluator = fn;
+        this._compiled = null;
+    }
+
+    /**
+     * By default, $and, $or, $nor and the operators of an expression stop
+     * evaluating as soon as the result is known, so later clauses and their
+     * operands are not evaluated at all. Evaluating all clauses surfaces every
+     * error (e.g. type errors in strict mode) at the cost of performance.
+     *
+     * @param {boolean} evaluateAll
+     */
+    setEvaluateAll(evaluateAll) {
+        this.evaluateAll = evaluateAll;
+    }
+
+    /**
+     * Evaluates sibling clauses ordered by their estimated cost (cheap
+     * comparisons before regular expressions, sub queries and operands that
+     * need to be evaluated). Results stay the same; only which clauses get
+     * evaluated (and thus which errors get thrown) might change.
+     *
+     * @param {boolean} reorderClauses
+     */
+    setReorderClauses(reorderClauses) {
+        this.reorderClauses = reorderClauses;
+        this._compiled = null;
+    }
+
+    /**
+     * Tells analyze() and implies() which fields hold single values, i.e. are
+     * neither arrays nor paths through arrays; only the conditions of these
+     * fields are checked against each other, as the elements of an array can
+     * match different conditions.
+     *
+     * @param {Array<string>|boolean|null} paths the dotted paths, true for all fields
+     */
+    setScalarFields(paths) {
+        this.scalarFields = paths;
+    }
+
+    /**
+     * Sets the collation used to compare strings by all equality, range and
+     * $in operators (as well as $expr comparisons and sorting); see
+     * collation.js for the options. null (or locale "simple") compares
+     * strings by their UTF-16 code units.
+     *
+     * @param {object|null} spec e.g. {locale: 'de', strength: 2}
+     */
+    setCollation(spec) {
+        this._collator = collation.createCollator(spec);
+        this.collation = this._collator !== null ? Object.assign({}, spec) : null;
+    }
+
+    /**
+     * Sets the collation of all instances created afterwards
+     *
+     * @param {object|null} spec
+     */
+    static setDefaultCollation(spec) {
+        collation.createCollator(spec);
+        defaultCollation = spec !== undefined ? spec : null;
+    }
+
+    /**
+     * Sets a policy checking every $regex pattern before it gets compiled.
+     * The function gets the pattern source and flags and may reject the
+     * pattern (by returning false or throwing an error) or return any object
+     * with a test(string) method to be used instead of a RegExp.
+     *
+     * @param {function(string, string): (boolean|object)|null} fn
+     */
+    setRegExpPolicy(fn) {
+        this.regExpPolicy = fn;
+        this._compiled = null;
+    }
+
+    /**
+     * Returns a policy for setRegExpPolicy() rejecting patterns prone to
+     * catastrophic backtracking; see regex.js for the options.
+     *
+     * @param {object} [options]
+     * @returns {function}
+     */
+    static safeRegExpPolicy(options) {
+        return regex.createSafePolicy(options);
+    }
+
+    /**
+     * Enables the built-in operand functions ($var, $concat, $lookup, $time,
+     * arithmetic and string functions); see operands.js for the options.
+     *
+     * @param {object} [options]
+     */
+    useOperandFunctions(options) {
+        this._operandFunctionOptions = options || {};
+
+        const functions = Object.assign({}, this.operandFunctions, this._operandFunctionOptions.functions);
+        this.setOperandEvaluator(operands.createOperandEvaluator(Object.assign({}, this._operandFunctionOptions, {functions})));
+    }
+
+    /**
+     * Registers a custom operator for all instances created afterwards; see
+     * plugins.js for the definition format.
+     *
+     * @param {object} definition
+     */
+    static registerOperator(definition) {
+        globalOperators.push(plugins.normalizeDefinition(definition));
+    }
+
+    /**
+     * Registers the operators and operand functions of a plugin for all
+     * instances created afterwards.
+     *
+     * @param {object} plugin
+     */
+    static use(plugin) {
+        const normalized = plugins.normalizePlugin(plugin);
+
+        globalOperators.push.apply(globalOperators, normalized.operators);
+        Object.assign(globalOperandFunctions, normalized.operandFunctions);
+    }
+
+    /**
+     * Registers a custom operator for this instance only.
+     *
+     * @param {object} definition
+     */
+    registerOperator(definition) {
+        this._addOperator(plugins.normalizeDefinition(definition));
+    }
+
+    /**
+     * Registers the operators and operand functions of a plugin for this
+     * instance only. Operand functions are available as soon as operand
+     * functions are enabled using useOperandFunctions().
+     *
+     * @param {object} plugin
+     */
+    use(plugin) {
+        const normalized = plugins.normalizePlugin(plugin);
+
+        for (let i = 0; i < normalized.operators.length; ++i) {
+            this._addOperator(normalized.operators[i]);
+        }
+
+        Object.assign(this.operandFunctions, normalized.operandFunctions);
+        if (this._operandFunctionOptions !== null) {
+            this.useOperandFunctions(this._operandFunctionOptions);
+        }
+    }
+
+    _addOperator(definition) {
+        if (definition.type === 'boolean') {
+            this.booleanOperators[definition.name] = plugins.createBooleanCompiler(definition);
+        } else {
+            this.expressionCompilers[definition.name] = plugins.createExpressionCompiler(definition);
+        }
+
+        this.operatorCosts[definition.name] = definition.cost;
+        this._customOperators[definition.name] = definition;
+        this._compiled = null;
+    }
+
+    /**
+     * Compiles the query into a predicate function which can be called
+     * repeatedly with different data and returns the same results as test().
+     *
+     * The query is compiled only once and the predicate is cached until the
+     * query, the operators, the operand evaluator or the clause order change;
+     * direct changes to the operator tables after the first call to compile()
+     * or test() have no effect.
+     *
+     * @returns {function(object): boolean}
+     */
+    compile() {
+        if (this._compiled === null) {
+            const queryFn = this._compileQuery(this.query, '');
+
+            this._compiled = (data, trace) => {
+                if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+                    if (this.strictMode) {
+                        throw new TypeError('Input data must be a hash/object');
+                    }
+                    return false;
+                }
+
+                return queryFn(data, trace);
+            };
+        }
+
+        return this._compiled;
     }
 
     test(data) {
-        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
-            if (this.strictMode) {
-                throw new TypeError('Input data must be a hash/object');
+        return this.compile()(data);
+    }
+
+    get query() {
+        return this._query;
+    }
+
+    /**
+     * Replacing the query discards the compiled predicate
+     */
+    set query(query) {
+        this._query = query;
+        this._compiled = null;
+    }
+
+    /**
+     * Returns the items matching the query
+     *
+     * Options: `sort` ({path: 1 | -1, ...}), `skip`, `limit` and `projection`
+     * ({path: 1, ...} to include or {path: 0, ...} to exclude fields). Items
+     * are filtered first, then sorted, paged and projected.
+     *
+     * @param {Array<object>} items
+     * @param {object} [options]
+     * @returns {Array<object>}
+     */
+    filter(items, options) {
+        return collection.select(this, items, options);
+    }
+
+    /**
+     * Returns the first item matching the query (after sorting and skipping)
+     * or undefined
+     *
+     * @param {Array<object>} items
+     * @param {object} [options] sort, skip and projection like filter()
+     * @returns {object|undefined}
+     */
+    find(items, options) {
+        return collection.select(this, items, Object.assign({}, options, {limit: 1}))[0];
+    }
+
+    findIndex(items) {
+        return collection.findIndex(this, items);
+    }
+
+    /**
+     * Returns the number of items matching the query
+     *
+     * @param {Array<object>} items
+     * @param {object} [options] skip and limit like filter()
+     * @returns {number}
+     */
+    count(items, options) {
+        options = options || {};
+        return collection.select(this, items, {skip: options.skip, limit: options.limit}).length;
+    }
+
+    some(items) {
+        return collection.findIndex(this, items) !== -1;
+    }
+
+    every(items) {
+        return collection.every(this, items);
+    }
+
+    /**
+     * Splits the items into [matching, nonMatching], keeping their order
+     *
+     * @param {Array<object>} items
+     * @returns {Array<Array<object>>}
+     */
+    partition(items) {
+        return collection.partition(this, items);
+    }
+
+    /**
+     * Evaluates the query like test() but returns a trace tree mirroring the
+     * query instead of a boolean.
+     *
+     * Every node has a `type` ("query", "boolean", "field" or "operator"), the
+     * JSON `pointer` into the query, its `result` and `children`. Field and
+     * operator nodes additionally record the `variable` and its resolved
+     * `value`; operator nodes the `operator` and its `operand` (after the
+     * operand evaluator ran). Errors thrown while evaluating are recorded as
+     * `error` on the node they originated from and on the root node (with
+     * `result` being undefined).
+     *
+     * @param {object} data
+     * @returns {object}
+     */
+    explain(data) {
+        const queryFn = this.compile();
+        const root = {type: 'query', pointer: '', result: undefined, children: []};
+
+        try {
+            root.result = queryFn(data, root);
+        } catch (e) {
+            root.error = e;
+        }
+
+        return root;
+    }
+
+    /**
+     * Starts a fluent query builder for a field, e.g.
+     * QueryCheck.where('myInt').gt(1).lt(10).build(); see builder.js
+     *
+     * @param {string} path
+     * @returns {QueryBuilder}
+     */
+    static where(path) {
+        return builder.where(path);
+    }
+
+    /**
+     * Returns a query builder, loaded with the given query (or empty)
+     *
+     * @param {object} [query]
+     * @returns {QueryBuilder}
+     */
+    static builder(query) {
+        return builder.QueryBuilder.from(query === undefined ? {} : query);
+    }
+
+    /**
+     * Creates an index matching a document against many queries at once;
+     * see queryindex.js
+     *
+     * @returns {QueryIndex}
+     */
+    static createIndex() {
+        return new queryindex.QueryIndex(QueryCheck);
+    }
+
+    /**
+     * Creates a rule set from a list of rules, a rule set saved by toJSON()
+     * or its JSON string; see rules.js for the rules, strategies and options
+     * (`strategy`, `actions` and `configure`, a function called with the
+     * QueryCheck instance of every rule)
+     *
+     * @param {Array|object|string} [ruleSet]
+     * @param {object} [options]
+     * @returns {RuleSet}
+     */
+    static createRuleSet(ruleSet, options) {
+        return rules.RuleSet.load(QueryCheck, ruleSet, options);
+    }
+
+    /**
+     * Parses a query written in the text language, e.g.
+     * `now.isoTime > "10:00" and myInt in [1, 2]`; see text.js
+     *
+     * @param {string} str
+     * @returns {object}
+     * @throws {SyntaxError} with `line` and `column` of the error
+     */
+    static parseText(str) {
+        return text.parse(str);
+    }
+
+    /**
+     * Prints a query in the text language; see text.js for the options
+     *
+     * @param {object} query
+     * @param {object} [options]
+     * @returns {string}
+     */
+    static printText(query, options) {
+        return text.print(query, options);
+    }
+
+    /**
+     * Translates a query into a parameterised SQL WHERE fragment, e.g.
+     * {sql: '"myInt" > $1', params: [1]}; see sql.js for the options
+     *
+     * @param {object} query
+     * @param {object} [options]
+     * @returns {{sql: string, params: Array}}
+     * @throws {Error} with `code` "UNTRANSLATABLE" and `pointer` for constructs without SQL equivalent
+     */
+    static toSql(query, options) {
+        return sql.toSql(query, options);
+    }
+
+    /**
+     * Registers an SQL dialect for toSql(); see sql.js for the definition
+     *
+     * @param {string} name
+     * @param {object} dialect
+     */
+    static registerSqlDialect(name, dialect) {
+        sql.registerDialect(name, dialect);
+    }
+
+    /**
+     * Converts a query into a JsonLogic rule; see jsonlogic.js for the
+     * supported subset
+     *
+     * @param {object} query
+     * @returns {*}
+     * @throws {Error} with `code` "UNTRANSLATABLE" and `pointer` for constructs without JsonLogic equivalent
+     */
+    static toJsonLogic(query) {
+        return jsonlogic.toJsonLogic(query);
+    }
+
+    /**
+     * Converts a JsonLogic rule into a query; see jsonlogic.js for the
+     * supported subset
+     *
+     * Supported options are `arrayFields`, the paths of the variables holding
+     * arrays (needed to convert "in" with a variable on the right).
+     *
+     * @param {*} rule
+     * @param {object} [options]
+     * @returns {object}
+     * @throws {Error} with `code` "UNTRANSLATABLE" and `pointer` for rules without query equivalent
+     */
+    static fromJsonLogic(rule, options) {
+        return jsonlogic.fromJsonLogic(rule, options);
+    }
+
+    /**
+     * Renders a trace tree as returned by explain() as human readable text,
+     * e.g. "myInt: 137 $gt 200 → false"
+     *
+     * @param {object} trace
+     * @returns {string}
+     */
+    static formatTrace(trace) {
+        const lines = [];
+        const format = (value) => value === undefined ? 'undefined' : JSON.stringify(value);
+
+        const formatNode = (node, indent) => {
+            let line;
+            switch (node.type) {
+                case 'boolean':
+                    line = node.operator + (node.implicit ? ' (implicit)' : '');
+                    break;
+                case 'field':
+                    // the operator lines already show variable and value
+                    for (let i = 0; i < node.children.length; ++i) {
+                        formatNode(node.children[i], indent);
+                    }
+                    return;
+                case 'operator':
+                    line = `${node.variable}: ${format(node.value)} ${node.operator}`;
+                    if (node.children.length == 0) {
+                        line += ` ${format(node.operand)}`;
+                    }
+                    break;
+                default:
+                    line = node.type;
             }
-            return false;
+
+            if (node.error !== undefined) {
+                line += ` → error: ${node.error instanceof Error ? node.error.message : node.error}`;
+            } else {
+                line += ` → ${node.result}`;
+            }
+
+            lines.push(indent + line);
+            for (let i = 0; i < node.children.length; ++i) {
+                formatNode(node.children[i], indent + '  ');
+            }
+        };
+
+        formatNode(trace, '');
+        return lines.join('\n');
+    }
+
+    _trace(parent, node, fn) {
+        node.result = undefined;
+        node.children = [];
+        parent.children.push(node);
+
+        try {
+            node.result = fn(node);
+        } catch (e) {
+            // only record the error on the node it originated from; as errors
+            // abort the evaluation, that's always the last child evaluated
+            let child = node.children[node.children.length - 1];
+            while (child !== undefined && child.error === undefined) {
+                child = child.children[child.children.length - 1];
+            }
+            if (child === undefined) {
+                node.error = e;
+            }
+            throw e;
+        }
+
+        return node.result;
+    }
+
+    _traceValue(value) {
+        return value instanceof Candidates ? value.values : value;
+    }
+
+    _report(code, pointer, message, ErrorClass) {
+        if (this._issues === null) {
+            throw new ErrorClass(message);
         }
 
-        return this._evalQuery(this.query, data);
+        this._issues.push({pointer, code, message});
     }
 
-    _evalQuery(query, data) {
-        if (!typeof(query) == 'object') {
-            throw new SyntaxError(`Query must be an object: ${query}`);
+    _compileQuery(query, pointer) {
+        if (query === null || typeof(query) !== 'object' || Array.isArray(query)) {
+            this._report('INVALID_QUERY', pointer, `Query must be an object: ${JSON.stringify(query)}`, SyntaxError);
+            return () => false;
         }
 
         const keys = Object.keys(query);
         if (keys.length > 1) {
             // implicit $and structure; re-format
-            let andQuery = [];
-            for (let k = 0; k < keys.length; ++k) {
-                let partial = {};
-                partial[keys[k]] = query[keys[k]];
-                andQuery.push(partial);
-            }
-
-            return this._evalAnd(andQuery, data);
+            const partials = keys.map((key) => ({[key]: query[key]}));
+            const queryFns = this._orderByCost(partials, (partial) => this._estimateCost(partial))
+                .map((partial) => this._compileQuery(partial, pointer));
+
+            const andFn = this._combineAnd(queryFns);
+            return (data, trace) => {
+                if (trace === undefined) {
+                    return andFn(data);
+                }
+                return this._trace(trace, {type: 'boolean', pointer, operator: '$and', implicit: true}, (node) => andFn(data, node));
+            };
         }
 
         if (keys.length == 0) {
             // empty query is always valid
-            return true;
+            return () => true;
         }
 
         // we have exactly one key
@@ -84,23 +878,33 @@ class QueryCheck {
         let value = query[key];
 
         if (key == '') {
-            throw new SyntaxError(`Empty keys are not supported!`);
+            this._report('EMPTY_KEY', utils.childPointer(pointer, key), `Empty keys are not supported!`, SyntaxError);
+            return () => false;
         }
 
         if (key[0] == '$') {
             // "key" must be a boolean operator like $and/$or, "value" the
-            // sub queries to parse and evaluate
-            const booleanParser = this.booleanOperators[key] || null;
+            // sub queries to parse and compile
+            const booleanCompiler = this.booleanOperators[key] || null;
 
-            if (typeof(booleanParser) !== "function") {
-                throw new Error(`Unsupported boolean operator: ${key}`);
+            if (typeof(booleanCompiler) !== "function") {
+                this._report('UNKNOWN_OPERATOR', utils.childPointer(pointer, key), `Unsupported boolean operator: ${key}`, Error);
+                return () => false;
             }
 
-            return booleanParser.apply(this, [value, data]);
+            const booleanPointer = utils.childPointer(pointer, key);
+            const booleanFn = booleanCompiler.apply(this, [value, booleanPointer]);
+
+            return (data, trace) => {
+                if (trace === undefined) {
+                    return booleanFn(data);
+                }
+                return this._trace(trace, {type: 'boolean', pointer: booleanPointer, operator: key}, (node) => booleanFn(data, node));
+            };
 
         } else {
             // "key" is a variable name; "value" the expression (or a set of
-            // expressions) to parse and evaluate.
+            // expressions) to parse and compile.
 
             // the default style of an expression is as follows:
             // {age: {$eq: 37}}
@@ -111,108 +915,404 @@ class QueryCheck {
             // {age: {$gt: 30, $lt: 40}}
             //                == {$and: [{age: {$gt: 30}}, {age: {$lt: 40}}]}
 
+            const path = this._parsePath(key);
+            const fieldPointer = utils.childPointer(pointer, key);
+            const expressionFn = this._compileExpression(key, value, fieldPointer);
 
-            const variableValue = this.getVariableValue(key, data);
-            return this._evalExpression(key, variableValue, value, data);
+            return (data, trace) => {
+                const variableValue = this._resolvePath(path, data);
+                if (trace === undefined) {
+                    return expressionFn(variableValue, data);
+                }
+
+                const node = {type: 'field', pointer: fieldPointer, variable: key, value: this._traceValue(variableValue)};
+                return this._trace(trace, node, (node) => expressionFn(variableValue, data, node));
+            };
         }
     }
 
-    _evalExpression(variableName, variableValue, expression, data) {
+    _compileExpression(variableName, expression, pointer) {
+        let wrapped = false;
+
+        // convert Extended JSON values like {"$date": "..."} in operands
+        expression = ejson.deserialize(expression, (keys, message) => {
+            this._report('INVALID_OPERAND', keys.reduce(utils.childPointer, pointer), message, TypeError);
+        });
 
         if (Array.isArray(expression) || expression === null || typeof(expression) !== 'object') {
             // expression is of type array, null, number, string, bool; wrap it
             expression = {'$eq': expression};
+            wrapped = true;
+        } else if (expression instanceof RegExp) {
+            // {name: /pattern/} is a shortcut for {name: {$regex: /pattern/}}
+            expression = {'$regex': expression};
+            wrapped = true;
         } else if (typeof(expression) === 'object') {
             // expression is an object, let's check if it's some kind of supported {$operator: operand} object
             // and wrap it otherwise
             const keys = Object.keys(expression)
-            if (keys.length == 0 || !(keys[0] in this.expressionOperators)) {
+            if (!keys.some((key) => this._isExpressionOperator(key))) {
+                if (this._issues !== null && this._isStaticOperand(expression) && !ejson.isExtendedJson(expression)) {
+                    // compared as an object, but {b: {$gtt: 5}} most likely is a typo (invalid
+                    // Extended JSON is reported above)
+                    for (let key of keys.filter((key) => key[0] === '$')) {
+                        this._report('UNKNOWN_OPERATOR', utils.childPointer(pointer, key), `Unsupported expression operator: ${key}`, Error);
+                    }
+                }
                 expression = {'$eq': expression};
+                wrapped = true;
             }
         } else {
             throw new Error(`Unsupported expression: ` + JSON.stringify(expression));
         }
 
-        let result = true;
-        const operators = Object.keys(expression);
+        const operatorFns = [];
+        const operatorNodes = [];
+        const operators = this._orderByCost(Object.keys(expression), (operator) => {
+            return this._estimateOperatorCost(operator, expression[operator]);
+        });
         for (let i = 0; i < operators.length; ++i) {
             const operator = operators[i];
-            let operand = expression[operator];
-            if (this.operandEvaluator !== null) {
-                operand = this.operandEvaluator.apply(this, [operand, data]);
+            const operand = expression[operator];
+            const operatorPointer = wrapped ? pointer : utils.childPointer(pointer, operator);
+
+            const expressionCompiler = this.expressionCompilers[operator] || null;
+            if (typeof(expressionCompiler) === "function") {
+                operatorFns.push(expressionCompiler.apply(this, [variableName, operand, expression, operatorPointer]));
+                operatorNodes.push({type: 'operator', pointer: operatorPointer, variable: variableName, operator, operand});
+                continue;
             }
 
             const expressionParser = this.expressionOperators[operator] || null;
 
             if (typeof(expressionParser) !== "function") {
-                throw new Error(`Unsupported expression operator: ${operator}`);
+                this._report('UNKNOWN_OPERATOR', operatorPointer, `Unsupported expression operator: ${operator}`, Error);
+                continue;
+            }
+
+            if (this._issues !== null) {
+                this._validateOperand(operator, operand, operatorPointer);
+            }
+
+            const operandFn = this._compileOperand(operand);
+            const noneMatch = noneMatchOperators.indexOf(operator) !== -1;
+            const elementwise = Object.prototype.hasOwnProperty.call(elementOperators, operator);
+
+            operatorNodes.push({type: 'operator', pointer: operatorPointer, variable: variableName, operator, operand});
+            operatorFns.push((variableValue, data, trace) => {
+                const operandValue = operandFn(data);
+                if (trace !== undefined) {
+                    trace.operand = operandValue;
+                }
+
+                const candidates = elementwise ? this._expandArrays(variableValue, elementOperators[operator]) : variableValue;
+                return this._matchCandidates(candidates, (value) => {
+                    return expressionParser.apply(this, [variableName, this._undefinedToNull(value), operandValue, expression]);
+                }, noneMatch);
+            });
+        }
+
+        return (variableValue, data, trace) => {
+            let result = true;
+            for (let i = 0; i < operatorFns.length && (result || this.evaluateAll); ++i) {
+                if (trace === undefined) {
+                    result = operatorFns[i](variableValue, data) && result;
+                    continue;
+                }
+
+                const node = Object.assign({value: this._traceValue(variableValue)}, operatorNodes[i]);
+                result = this._trace(trace, node, (node) => operatorFns[i](variableValue, data, node)) && result;
+            }
+            return result;
+        };
+    }
+
+    _compileOperand(operand) {
+        return (data) => {
+            if (this.operandEvaluator !== null) {
+                return this.operandEvaluator.apply(this, [operand, data]);
+            }
+            return operand;
+        };
+    }
+
+    _isStaticOperand(operand) {
+        // without an operand evaluator all operands are literals; with one,
+        // objects might be function calls evaluated at runtime
+        return this.operandEvaluator === null || operand === null || typeof(operand) !== 'object' || Array.isArray(operand) || operand instanceof RegExp || operand instanceof Date;
+    }
+
+    _validateOperand(operator, operand, pointer) {
+        if (!this._isStaticOperand(operand)) {
+            return;
+        }
+
+        if (operator === '$type') {
+            const aliases = Array.isArray(operand) ? operand : [operand];
+            for (let i = 0; i < aliases.length; ++i) {
+                const alias = typeof(aliases[i]) === 'number' ? typeCodes[aliases[i]] : aliases[i];
+                if (typeAliases.indexOf(alias) === -1) {
+                    this._report('INVALID_OPERAND', pointer, `$type: unsupported type ${aliases[i]}`, Error);
+                }
             }
+            return;
+        }
 
-            result = expressionParser.apply(this, [variableName, variableValue, operand, expression]) && result;
+        const shape = operandShapes[operator];
+        if (this.strictMode && shape !== undefined && !plugins.shapeChecks[shape](operand)) {
+            this._report('INVALID_OPERAND', pointer, `${operator}: operand must be ${plugins.shapeDescriptions[shape]}`, TypeError);
         }
-        return result;
+    }
 
+    _isExpressionOperator(operator) {
+        return operator in this.expressionOperators || operator in this.expressionCompilers;
     }
 
     getVariableValue(variableName, data) {
+        const value = this._resolvePath(this._parsePath(variableName), data);
+
+        if (value instanceof Candidates) {
+            return value.values.map((candidate) => this._undefinedToNull(candidate));
+        }
+
+        return this._undefinedToNull(value);
+    }
+
+    _matchCandidates(variableValue, fn, noneMatch) {
+        if (variableValue instanceof Candidates) {
+            return noneMatch ? variableValue.values.every(fn) : variableValue.values.some(fn);
+        }
+
+        return fn(variableValue);
+    }
+
+    /**
+     * Adds the elements of array values as candidates (keeping the arrays
+     * themselves if keepArrays is set)
+     */
+    _expandArrays(variableValue, keepArrays) {
+        const values = variableValue instanceof Candidates ? variableValue.values : [variableValue];
+        if (!values.some((value) => Array.isArray(value))) {
+            return variableValue;
+        }
+
+        const expanded = [];
+        for (let value of values) {
+            if (!Array.isArray(value)) {
+                expanded.push(value);
+                continue;
+            }
+            if (keepArrays) {
+                expanded.push(value);
+            }
+            expanded.push.apply(expanded, value);
+        }
+        return new Candidates(expanded);
+    }
+
+    _parsePath(variableName) {
         let str = variableName.replace(/\[/g, '.[');
         let parts = str.match(/(\\\.|[^.]+?)+/g);
-        const re = /\[(\d+)\]$/;
+        const re = /^(?:\[(\d+)\]|(\d+))$/;
 
         for (let i = 0; i < parts.length; ++i) {
+            // numeric parts (both "items[1]" and "items.1") are array indexes
             const matches = re.exec(parts[i]);
             if (matches) {
-                let idx = parseFloat(matches[1]);
-                data = data[idx];
-            } else {
-                data = data[parts[i]];
+                parts[i] = parseFloat(matches[1] || matches[2]);
             }
+        }
 
+        return parts;
+    }
+
+    _resolvePath(parts, data, start) {
+        for (let i = start || 0; i < parts.length; ++i) {
             if (data === undefined || data === null) {
-                break;
+                // a sub-variable of null/undefined does not exist
+                return undefined;
+            }
+
+            if (Array.isArray(data) && typeof(parts[i]) !== 'number') {
+                // like MongoDB, traverse the array and collect the remaining
+                // path of every element as candidate values ("items.sku")
+                const values = [];
+                for (let k = 0; k < data.length; ++k) {
+                    const value = this._resolvePath(parts, data[k], i);
+                    if (value instanceof Candidates) {
+                        values.push.apply(values, value.values);
+                    } else {
+                        values.push(value);
+                    }
+                }
+                return new Candidates(values);
             }
+
+            data = data[parts[i]];
         }
 
-        if (data === undefined && this.undefinedEqualsNull) {
+        return data;
+    }
+
+    _undefinedToNull(value) {
+        if (value === undefined && this.undefinedEqualsNull) {
             return null;
         }
 
-        return data;
+        return value;
     }
 
-    _evalOr(query, data) {
+    _compileSubQueries(operator, query, pointer) {
         if (!Array.isArray(query)) {
-            throw new Error('$or can only operate on arrays of queries');
+            this._report('INVALID_OPERAND', pointer, `${operator} can only operate on arrays of queries`, Error);
+            return [];
         }
 
-        let result = false;
-        for (let i = 0; i < query.length; ++i) {
-            result = this._evalQuery(query[i], data) || result;
+        const indexes = this._orderByCost(query.map((subQuery, i) => i), (i) => this._estimateCost(query[i]));
+        return indexes.map((i) => this._compileQuery(query[i], utils.childPointer(pointer, i)));
+    }
+
+    /**
+     * Returns the items ordered by their estimated cost if reordering of
+     * clauses is enabled (keeping the order of items with the same cost)
+     */
+    _orderByCost(items, estimate) {
+        if (!this.reorderClauses || items.length < 2) {
+            return items;
         }
 
-        return result;
+        return items
+            .map((item, index) => ({item, index, cost: estimate(item)}))
+            .sort((a, b) => a.cost - b.cost || a.index - b.index)
+            .map((entry) => entry.item);
     }
 
-    _evalAnd(query, data) {
-        if (!Array.isArray(query)) {
-            throw new Error('$and can only operate on arrays of queries');
+    /**
+     * Estimates the relative cost of evaluating a query
+     */
+    _estimateCost(query) {
+        if (query === null || typeof(query) !== 'object' || Array.isArray(query)) {
+            return 0;
+        }
+
+        let cost = 0;
+        for (let key of Object.keys(query)) {
+            const value = query[key];
+
+            if (key[0] == '$') {
+                const subQueries = Array.isArray(value) ? value : [value];
+                cost += this.operatorCosts[key] !== undefined ? this.operatorCosts[key] : 0;
+                cost += subQueries.reduce((sum, subQuery) => sum + this._estimateCost(subQuery), 0);
+                continue;
+            }
+
+            cost += this._estimateExpressionCost(value);
+        }
+        return cost;
+    }
+
+    _estimateExpressionCost(expression) {
+        const isOperatorExpression = expression !== null && typeof(expression) === 'object' && !Array.isArray(expression) &&
+            Object.keys(expression).some((operator) => this._isExpressionOperator(operator));
+
+        if (!isOperatorExpression) {
+            return this._estimateOperatorCost('$eq', expression);
         }
 
-        let result = true;
-        for (let i = 0; i < query.length; ++i) {
-            // keep this sorting ('&& result' at the end)
-            result = this._evalQuery(query[i], data) && result;
+        let cost = 0;
+        for (let operator of Object.keys(expression)) {
+            cost += this._estimateOperatorCost(operator, expression[operator]);
+        }
+        return cost;
+    }
+
+    _estimateOperatorCost(operator, operand) {
+        let cost = this.operatorCosts[operator] !== undefined ? this.operatorCosts[operator] : 1;
+
+        if (operator === '$not') {
+            cost += this._estimateExpressionCost(operand);
+        } else if (operator === '$elemMatch' && operand !== null && typeof(operand) === 'object') {
+            const keys = Object.keys(operand);
+            const isExpression = keys.length > 0 && keys.every((key) => this._isExpressionOperator(key));
+            cost += isExpression ? this._estimateExpressionCost(operand) : this._estimateCost(operand);
+        } else if (!this._isStaticOperand(operand)) {
+            cost += dynamicOperandCost;
+        }
+        return cost;
+    }
+
+    _compileOr(query, pointer) {
+        const queryFns = this._compileSubQueries('$or', query, pointer);
+
+        return (data, trace) => {
+            let result = false;
+            for (let i = 0; i < queryFns.length && (!result || this.evaluateAll); ++i) {
+                result = queryFns[i](data, trace) || result;
+            }
+
+            return result;
+        };
+    }
+
+    _compileAnd(query, pointer) {
+        return this._combineAnd(this._compileSubQueries('$and', query, pointer));
+    }
+
+    _combineAnd(queryFns) {
+        return (data, trace) => {
+            let result = true;
+            for (let i = 0; i < queryFns.length && (result || this.evaluateAll); ++i) {
+                // keep this sorting ('&& result' at the end)
+                result = queryFns[i](data, trace) && result;
+            }
+
+            return result;
+        };
+    }
+
+    _compileNor(query, pointer) {
+        const queryFns = this._compileSubQueries('$nor', query, pointer);
+
+        return (data, trace) => {
+            let result = false;
+            for (let i = 0; i < queryFns.length && (!result || this.evaluateAll); ++i) {
+                result = queryFns[i](data, trace) || result;
+            }
+
+            return !result;
+        };
+    }
+
+    _compileNotQuery(query, pointer) {
+        if (query === null || typeof(query) !== 'object' || Array.isArray(query)) {
+            this._report('INVALID_OPERAND', pointer, '$not can only operate on a query', Error);
+            return () => false;
         }
 
-        return result;
+        const queryFn = this._compileQuery(query, pointer);
+        return (data, trace) => !queryFn(data, trace);
+    }
+
+    _compileExpr(operand, pointer) {
+        const expressionFn = expressions.compile(this, operand, pointer);
+        return (data) => expressions.isTruthy(expressionFn(data));
     }
 
     _evalEq(variableName, variableValue, operand) {
+        if (this._isCollated(variableValue, operand)) {
+            return this._collator.compare(variableValue, operand) === 0;
+        }
+
         if (typeof(variableValue) == typeof(operand) && typeof(variableValue) != 'object') {
             // boolean, number, string
             return variableValue === operand;
         }
 
+        if (this._typeOf(variableValue) === 'number' && this._typeOf(operand) === 'number') {
+            // number and BigInt
+            return variableValue == operand;
+        }
+
         if (variableValue === null || operand === null) {
             // either variableValue or operand are null or both are null
             return variableValue === operand;
@@ -234,7 +1334,7 @@ class QueryCheck {
         }
 
         if (this.strictMode) {
-            throw new TypeError(`$eq: variable ${variableName} is of type ${typeof(variableValue)} while operand is of type ${typeof(operand)}`);
+            throw new TypeError(`$eq: variable ${variableName} is of type ${this._typeOf(variableValue)} while operand is of type ${this._typeOf(operand)}`);
         }
 
         if (typeof(variableValue) === 'string' && typeof(operand) === 'number') {
@@ -255,7 +1355,7 @@ class QueryCheck {
             }
         }
 
-        if (typeof(variableValue) != typeof(operand)) {
+        if (this._typeOf(variableValue) != this._typeOf(operand)) {
             return true;
         }
 
@@ -263,34 +1363,97 @@ class QueryCheck {
     }
 
     _evalGt(variableName, variableValue, operand) {
-        if (this.strictMode && typeof(variableValue) != typeof(operand) && variableValue !== null) {
-            throw new TypeError(`$gt: variable ${variableName} is of type ${typeof(variableValue)} while operand is of type ${typeof(operand)}`);
+        if (!this._isComparable('$gt', variableName, variableValue, operand)) {
+            return false;
         }
 
+        if (this._isCollated(variableValue, operand)) {
+            return this._collator.compare(variableValue, operand) > 0;
+        }
         return variableValue > operand;
     }
 
     _evalGte(variableName, variableValue, operand) {
-        if (this.strictMode && typeof(variableValue) != typeof(operand) && variableValue !== null) {
-            throw new TypeError(`$gte: variable ${variableName} is of type ${typeof(variableValue)} while operand is of type ${typeof(operand)}`);
+        if (!this._isComparable('$gte', variableName, variableValue, operand)) {
+            return false;
+        }
+
+        if (this._isCollated(variableValue, operand)) {
+            return this._collator.compare(variableValue, operand) >= 0;
         }
         return variableValue >= operand;
     }
 
     _evalLt(variableName, variableValue, operand) {
-        if (this.strictMode && typeof(variableValue) != typeof(operand) && variableValue !== null) {
-            throw new TypeError(`$lt: variable ${variableName} is of type ${typeof(variableValue)} while operand is of type ${typeof(operand)}`);
+        if (!this._isComparable('$lt', variableName, variableValue, operand)) {
+            return false;
+        }
+
+        if (this._isCollated(variableValue, operand)) {
+            return this._collator.compare(variableValue, operand) < 0;
         }
         return variableValue < operand;
     }
 
     _evalLte(variableName, variableValue, operand) {
-        if (this.strictMode && typeof(variableValue) != typeof(operand) && variableValue !== null) {
-            throw new TypeError(`$lte: variable ${variableName} is of type ${typeof(variableValue)} while operand is of type ${typeof(operand)}`);
+        if (!this._isComparable('$lte', variableName, variableValue, operand)) {
+            return false;
+        }
+
+        if (this._isCollated(variableValue, operand)) {
+            return this._collator.compare(variableValue, operand) <= 0;
         }
         return variableValue <= operand;
     }
 
+    /**
+     * Checks whether a range operator can compare the values (throws in
+     * strict mode if not); dates are only comparable to dates
+     */
+    _isComparable(operator, variableName, variableValue, operand) {
+        const variableType = this._typeOf(variableValue);
+        const operandType = this._typeOf(operand);
+
+        if (variableType === operandType) {
+            return true;
+        }
+
+        if (variableValue === null) {
+            return operandType !== 'date';
+        }
+
+        if (this.strictMode) {
+            throw new TypeError(`${operator}: variable ${variableName} is of type ${variableType} while operand is of type ${operandType}`);
+        }
+
+        return variableType !== 'date' && operandType !== 'date';
+    }
+
+    _isCollated(a, b) {
+        return this._collator !== null && typeof(a) === 'string' && typeof(b) === 'string';
+    }
+
+    /**
+     * Compares two strings using the collation (if any)
+     */
+    _compareStrings(a, b) {
+        if (this._collator !== null) {
+            return this._collator.compare(a, b);
+        }
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    /**
+     * Like typeof, but "date" for dates and "number" for BigInts (e.g. from
+     * {"$numberLong": ...})
+     */
+    _typeOf(value) {
+        if (value instanceof Date) {
+            return 'date';
+        }
+        return typeof(value) === 'bigint' ? 'number' : typeof(value);
+    }
+
     _evalIn(variableName, variableValue, operand) {
         if (!Array.isArray(operand)) {
             if (this.strictMode) {
@@ -307,26 +1470,310 @@ class QueryCheck {
         return false;
     }
 
-    _evalRegExp(variableName, variableValue, operand, expression) {
-        const options = expression['$options'] || undefined;
-        const re = new RegExp(operand, options);
-        return re.test(variableValue);
+    _evalNin(variableName, variableValue, operand) {
+        if (!Array.isArray(operand)) {
+            if (this.strictMode) {
+                throw new TypeError(`$nin: variable ${variableName}: operand must be of type array but is of type ${typeof(operand)}`);
+            }
+            return false;
+        }
+
+        return !this._evalIn(variableName, variableValue, operand);
+    }
+
+    _evalType(variableName, variableValue, operand) {
+        const aliases = Array.isArray(operand) ? operand : [operand];
+        const types = this._getTypes(variableValue);
+
+        for (let i = 0; i < aliases.length; ++i) {
+            const alias = typeof(aliases[i]) === 'number' ? typeCodes[aliases[i]] : aliases[i];
+            if (typeAliases.indexOf(alias) === -1) {
+                throw new Error(`$type: unsupported type ${aliases[i]}`);
+            }
+
+            if (types.indexOf(alias) !== -1) {
+                return true;
+            }
+        }
+
+        if (Array.isArray(variableValue)) {
+            // like MongoDB, an array also matches if any of its elements matches
+            for (let i = 0; i < variableValue.length; ++i) {
+                if (!Array.isArray(variableValue[i]) && this._evalType(variableName, variableValue[i], operand)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    _getTypes(value) {
+        if (value === undefined) {
+            // missing variables are of no type at all
+            return [];
+        }
+
+        if (value === null) {
+            return ['null'];
+        }
+
+        if (Array.isArray(value)) {
+            return ['array'];
+        }
+
+        switch (typeof(value)) {
+            case 'string':
+                return ['string'];
+            case 'boolean':
+                return ['bool'];
+            case 'bigint':
+                return ['long', 'number'];
+            case 'function':
+                return ['javascript'];
+            case 'number':
+                // JS does not distinguish between integers and doubles, so
+                // integral numbers match the integer types as well
+                if (Number.isInteger(value)) {
+                    if (value >= -2147483648 && value <= 2147483647) {
+                        return ['double', 'int', 'long', 'number'];
+                    }
+                    return ['double', 'long', 'number'];
+                }
+                return ['double', 'number'];
+        }
+
+        if (value instanceof Date) {
+            return ['date'];
+        }
+
+        if (value instanceof RegExp) {
+            return ['regex'];
+        }
+
+        return ['object'];
+    }
+
+    _evalMod(variableName, variableValue, operand) {
+        if (!Array.isArray(operand) || operand.length != 2 || typeof(operand[0]) !== 'number' || typeof(operand[1]) !== 'number' || Math.trunc(operand[0]) === 0) {
+            if (this.strictMode) {
+                throw new TypeError(`$mod: variable ${variableName}: operand must be an array of [divisor, remainder] with a non-zero divisor`);
+            }
+            return false;
+        }
+
+        if (typeof(variableValue) !== 'number') {
+            if (this.strictMode && variableValue !== null) {
+                throw new TypeError(`$mod: variable ${variableName} is of type ${typeof(variableValue)} while it must be of type number`);
+            }
+            return false;
+        }
+
+        return Math.trunc(variableValue) % Math.trunc(operand[0]) === Math.trunc(operand[1]);
+    }
+
+    _evalAll(variableName, variableValue, operand) {
+        if (!Array.isArray(operand)) {
+            if (this.strictMode) {
+                throw new TypeError(`$all: variable ${variableName}: operand must be of type array but is of type ${typeof(operand)}`);
+            }
+            return false;
+        }
+
+        if (operand.length == 0) {
+            // like MongoDB, an empty $all never matches
+            return false;
+        }
+
+        for (let i = 0; i < operand.length; ++i) {
+            if (!this._evalEq(variableName, variableValue, operand[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    _evalSize(variableName, variableValue, operand) {
+        if (typeof(operand) !== 'number' || !Number.isInteger(operand) || operand < 0) {
+            if (this.strictMode) {
+                throw new TypeError(`$size: variable ${variableName}: operand must be a non-negative integer`);
+            }
+            return false;
+        }
+
+        if (!Array.isArray(variableValue)) {
+            if (this.strictMode && variableValue !== null) {
+                throw new TypeError(`$size: variable ${variableName} is of type ${typeof(variableValue)} while it must be of type array`);
+            }
+            return false;
+        }
+
+        return variableValue.length === operand;
+    }
+
+    _compileElemMatch(variableName, operand, expression, pointer) {
+        if (operand === null || typeof(operand) !== 'object' || Array.isArray(operand)) {
+            this._report('INVALID_OPERAND', pointer, `$elemMatch: variable ${variableName}: operand must be a query object`, SyntaxError);
+            return () => false;
+        }
+
+        const keys = Object.keys(operand);
+        let elementFn;
+
+        if (keys.length > 0 && keys.every((key) => this._isExpressionOperator(key))) {
+            // operator-only expression like {$elemMatch: {$gt: 10, $lt: 20}};
+            // evaluated against each element directly (arrays of scalars)
+            const expressionFn = this._compileExpression(variableName, operand, pointer);
+            elementFn = (element, data) => expressionFn(element, data);
+        } else {
+            // full sub query evaluated against each element (arrays of objects)
+            const queryFn = this._compileQuery(operand, pointer);
+            elementFn = (element) => {
+                if (element === null || typeof(element) !== 'object' || Array.isArray(element)) {
+                    return false;
+                }
+                return queryFn(element);
+            };
+        }
+
+        return (variableValue, data) => {
+            return this._matchCandidates(variableValue, (value) => {
+                if (!Array.isArray(value)) {
+                    return false;
+                }
+
+                for (let i = 0; i < value.length; ++i) {
+                    if (elementFn(value[i], data)) {
+                        return true;
+                    }
+                }
+                return false;
+            });
+        };
+    }
+
+    _compileExists(variableName, operand) {
+        const operandFn = this._compileOperand(operand);
+
+        return (variableValue, data, trace) => {
+            const exists = this._matchCandidates(variableValue, (value) => value !== undefined);
+            const operandValue = operandFn(data);
+            if (trace !== undefined) {
+                trace.operand = operandValue;
+            }
+            return exists === Boolean(operandValue);
+        };
+    }
+
+    _compileRegExp(variableName, operand, expression, pointer) {
+        const options = expression['$options'];
+        const operandFn = this._compileOperand(operand);
+
+        // patterns are compiled only once per query (evaluated operands once
+        // per distinct pattern); invalid operands are TypeErrors (which only
+        // throw in strict mode), invalid patterns and flags SyntaxErrors
+        const cache = new Map();
+        const getMatcher = (pattern) => {
+            let entry = cache.get(pattern);
+            if (entry !== undefined) {
+                return entry;
+            }
+
+            try {
+                const parsed = regex.parse(pattern, options);
+                if (parsed === null) {
+                    throw new TypeError(`operand must be a string or a RegExp but is of type ${typeof(pattern)}`);
+                }
+
+                entry = {matcher: regex.compile(parsed, this.regExpPolicy), operand: `/${parsed.source}/${parsed.flags}`};
+            } catch (e) {
+                if (e instanceof TypeError && !this.strictMode) {
+                    return null;
+                }
+
+                const ErrorClass = e instanceof TypeError ? TypeError : SyntaxError;
+                throw new ErrorClass(`$regex: variable ${variableName}: ${e.message}`);
+            }
+
+            if (cache.size >= 100) {
+                cache.clear();
+            }
+            cache.set(pattern, entry);
+            return entry;
+        };
+
+        if (this._isStaticOperand(operand)) {
+            try {
+                getMatcher(operand);
+            } catch (e) {
+                this._report(e instanceof TypeError ? 'INVALID_OPERAND' : 'INVALID_REGEX', pointer, e.message, e.constructor);
+                return () => false;
+            }
+        }
+
+        return (variableValue, data, trace) => {
+            const entry = getMatcher(operandFn(data));
+            if (trace !== undefined && entry !== null) {
+                trace.operand = entry.operand;
+            }
+
+            if (entry === null) {
+                return false;
+            }
+
+            const matchString = (value) => {
+                if (typeof(value) !== 'string') {
+                    return false;
+                }
+
+                entry.matcher.lastIndex = 0;
+                return entry.matcher.test(value);
+            };
+
+            return this._matchCandidates(variableValue, (value) => {
+                if (value === undefined || value === null) {
+                    return false;
+                }
+
+                if (Array.isArray(value)) {
+                    // like MongoDB, arrays match if any element matches
+                    return value.some(matchString);
+                }
+
+                if (typeof(value) !== 'string' && this.strictMode) {
+                    throw new TypeError(`$regex: variable ${variableName} is of type ${typeof(value)} while $regex expects a string`);
+                }
+
+                return matchString(value);
+            });
+        };
     }
 
     _evalTrue() {
         return true;
     }
 
-    _evalNot(variableName, variableValue, operand) {
-        return !this._evalExpression(variableName, variableValue, operand);
+    _compileNot(variableName, operand, expression, pointer) {
+        // {$not: /pattern/} is compiled like {$not: {$regex: /pattern/}}
+        const expressionFn = this._compileExpression(variableName, operand, pointer);
+        return (variableValue, data, trace) => !expressionFn(variableValue, data, trace);
     }
 
     _isEqual(a, b) {
+        if (this._isCollated(a, b)) {
+            return this._collator.compare(a, b) === 0;
+        }
+
         if (typeof(a) == typeof(b) && typeof(a) != 'object') {
             // boolean, number, string
             return a === b;
         }
 
+        if (this._typeOf(a) === 'number' && this._typeOf(b) === 'number') {
+            // number and BigInt
+            return a == b;
+        }
+
         if (a === null || b === null) {
             // either a or b are null or both are null
             return a === b;
@@ -357,6 +1804,15 @@ class QueryCheck {
     }
 
     _isEqualObject(a, b) {
+        if (a instanceof Date || b instanceof Date) {
+            // dates have no own keys; compare their time instead
+            return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+        }
+
+        if (a instanceof RegExp || b instanceof RegExp) {
+            return a instanceof RegExp && b instanceof RegExp && String(a) === String(b);
+        }
+
         const aKeys = Object.keys(a);
         const bKeys = Object.keys(b);
 
@@ -0,0 +1,512 @@
+'use strict';
+
+/**
+ * Query index
+ *
+ * Matches a document against many queries at once and returns the ids of
+ * the matching ones, e.g. to find the subscriptions matching an event:
+ *
+ *   const index = QueryCheck.createIndex();
+ *   index.add('cheap', {"type": "offer", "price": {"$lt": 10}});
+ *   index.match({"type": "offer", "price": 5})   → ['cheap']
+ *
+ * The equality ($eq, $in) and range ($gt, $gte, $lt, $lte on numbers and
+ * dates) conditions of a query's top level (and of top level $and) are its
+ * predicates; each one has to be true for the query to match. Predicates are
+ * indexed by path and value (equality) or by their sorted bounds (ranges), so
+ * matching looks up the values of the document once per path and counts the
+ * true predicates of every query instead of evaluating all queries.
+ *
+ * Only queries with all predicates true are candidates, and only those with
+ * other conditions or whose predicates might be true because of type
+ * coercion, arrays, null or BigInts get evaluated by their compiled predicate
+ * function; queries without any predicate are evaluated for every document.
+ * The lookups may find more predicates than are actually true, never less, so
+ * the results are the same as those of test(). In strict mode, queries for
+ * which test() would throw don't match.
+ */
+
+const ejson = require('./ejson.js');
+const utils = require('./utils.js');
+
+const rangeOperators = {
+    '$gt': {side: 'lower', inclusive: false},
+    '$gte': {side: 'lower', inclusive: true},
+    '$lt': {side: 'upper', inclusive: false},
+    '$lte': {side: 'upper', inclusive: true},
+};
+
+function isValidDate(value) {
+    return value instanceof Date && !isNaN(value.getTime());
+}
+
+class QueryIndex {
+
+    /**
+     * Use QueryCheck.createIndex() to create an index
+     *
+     * @param {function} QueryCheck the QueryCheck class
+     */
+    constructor(QueryCheck) {
+        this._QueryCheck = QueryCheck;
+        this._resolver = new QueryCheck({});
+
+        // entries ({id, qc, predicateFn, predicates, complete, ...}) by id
+        this._entries = new Map();
+        this._sequence = 0;
+
+        // indexed predicates by path
+        this._paths = new Map();
+
+        // entries without predicates; evaluated for every document
+        this._unindexed = new Set();
+
+        // incremented for every match() to reset the counters of the entries
+        this._run = 0;
+    }
+
+    /**
+     * Adds a query (or replaces the query with the same id); QueryCheck
+     * instances are evaluated with their settings and custom operators
+     *
+     * @param {*} id
+     * @param {object|QueryCheck} query
+     * @returns {QueryIndex}
+     */
+    add(id, query) {
+        const qc = query instanceof this._QueryCheck ? query : new this._QueryCheck(query);
+
+        // compile first, so invalid queries throw without changing the index
+        const predicateFn = qc.compile();
+        const entry = {id, qc, predicateFn, predicates: [], complete: true, sequence: this._sequence++, run: 0, hits: 0};
+
+        if (qc.operandEvaluator !== null && qc._operandFunctionOptions === null) {
+            // a custom operand evaluator might change any operand
+            entry.complete = false;
+        } else {
+            collectPredicates(qc, qc.query, entry);
+        }
+
+        this.remove(id);
+        this._entries.set(id, entry);
+
+        if (entry.predicates.length == 0) {
+            this._unindexed.add(entry);
+            return this;
+        }
+
+        for (let predicate of entry.predicates) {
+            this._indexPredicate(predicate);
+        }
+        return this;
+    }
+
+    /**
+     * Removes a query; returns false if there is no query with this id
+     *
+     * @param {*} id
+     * @returns {boolean}
+     */
+    remove(id) {
+        const entry = this._entries.get(id);
+        if (entry === undefined) {
+            return false;
+        }
+
+        this._entries.delete(id);
+        this._unindexed.delete(entry);
+        for (let predicate of entry.predicates) {
+            this._unindexPredicate(predicate);
+        }
+        return true;
+    }
+
+    has(id) {
+        return this._entries.has(id);
+    }
+
+    /**
+     * Returns the QueryCheck instance of a query (or undefined)
+     *
+     * @param {*} id
+     * @returns {QueryCheck|undefined}
+     */
+    get(id) {
+        const entry = this._entries.get(id);
+        return entry !== undefined ? entry.qc : undefined;
+    }
+
+    /**
+     * Returns the ids of all queries in the order they were added
+     *
+     * @returns {Array}
+     */
+    ids() {
+        return Array.from(this._entries.keys());
+    }
+
+    size() {
+        return this._entries.size;
+    }
+
+    clear() {
+        this._entries.clear();
+        this._paths.clear();
+        this._unindexed.clear();
+    }
+
+    /**
+     * Returns the ids of the queries matching the document, in the order the
+     * queries were added
+     *
+     * @param {object} data
+     * @returns {Array}
+     */
+    match(data) {
+        if (data === null || typeof(data) !== 'object' || Array.isArray(data)) {
+            // test() returns false (or throws in strict mode)
+            return [];
+        }
+
+        const run = ++this._run;
+        const candidates = [];
+        const hit = (item, exact) => {
+            const predicate = item.predicate;
+            if (predicate.run === run) {
+                predicate.exact = predicate.exact || exact;
+                return;
+            }
+
+            predicate.run = run;
+            predicate.exact = exact;
+
+            const entry = predicate.entry;
+            if (entry.run !== run) {
+                entry.run = run;
+                entry.hits = 0;
+            }
+            if (++entry.hits === entry.predicates.length) {
+                candidates.push(entry);
+            }
+        };
+
+        this._paths.forEach((bucket, path) => {
+            this._lookup(bucket, this._resolver.getVariableValue(path, data), hit);
+        });
+
+        const matches = [];
+        const evaluate = (entry) => {
+            try {
+                if (entry.predicateFn(data)) {
+                    matches.push(entry);
+                }
+            } catch (e) {
+                // like a document which doesn't match
+            }
+        };
+
+        for (let entry of candidates) {
+            if (entry.complete && entry.predicates.every((predicate) => predicate.exact)) {
+                matches.push(entry);
+            } else {
+                evaluate(entry);
+            }
+        }
+        this._unindexed.forEach(evaluate);
+
+        return matches.sort((a, b) => a.sequence - b.sequence).map((entry) => entry.id);
+    }
+
+    _indexPredicate(predicate) {
+        if (!this._paths.has(predicate.path)) {
+            this._paths.set(predicate.path, {
+                count: 0,
+                values: new Map(),
+                number: {lower: [], upper: []},
+                date: {lower: [], upper: []},
+            });
+        }
+
+        const bucket = this._paths.get(predicate.path);
+        bucket.count++;
+
+        if (predicate.keys !== undefined) {
+            for (let item of predicate.keys) {
+                if (!bucket.values.has(item.key)) {
+                    bucket.values.set(item.key, []);
+                }
+                bucket.values.get(item.key).push({predicate, exact: item.exact});
+            }
+            return;
+        }
+
+        const list = bucket[predicate.domain][predicate.side];
+        list.splice(upperIndex(list, predicate.bound), 0, {predicate, exact: predicate.exactBound, bound: predicate.bound, inclusive: predicate.inclusive});
+    }
+
+    _unindexPredicate(predicate) {
+        const bucket = this._paths.get(predicate.path);
+
+        if (predicate.keys !== undefined) {
+            for (let item of predicate.keys) {
+                const items = bucket.values.get(item.key).filter((other) => other.predicate !== predicate);
+                if (items.length > 0) {
+                    bucket.values.set(item.key, items);
+                } else {
+                    bucket.values.delete(item.key);
+                }
+            }
+        } else {
+            const list = bucket[predicate.domain][predicate.side];
+            list.splice(list.findIndex((item) => item.predicate === predicate), 1);
+        }
+
+        if (--bucket.count == 0) {
+            this._paths.delete(predicate.path);
+        }
+    }
+
+    /**
+     * Finds the predicates of a path which might be true for the value of the
+     * document
+     */
+    _lookup(bucket, value, hit) {
+        // a single value decides predicates on values of the same type exactly
+        const single = value !== null && value !== undefined && !Array.isArray(value);
+
+        // like the operators, look into arrays (and arrays of candidates
+        // collected from a path like "items.tags")
+        const values = [value];
+        if (Array.isArray(value)) {
+            for (let element of value) {
+                values.push(element);
+                if (Array.isArray(element)) {
+                    values.push.apply(values, element);
+                }
+            }
+        }
+
+        for (let candidate of values) {
+            if (bucket.values.size > 0) {
+                for (let item of valueKeys(candidate)) {
+                    const indexed = bucket.values.get(item.key);
+                    if (indexed !== undefined) {
+                        indexed.forEach((other) => hit(other, single && item.exact && other.exact));
+                    }
+                }
+            }
+
+            if (candidate instanceof Date) {
+                lookupRange(bucket.date, candidate.getTime(), false, single, hit);
+                continue;
+            }
+
+            // range operators compare numbers to anything JavaScript converts
+            // to a number: null, booleans, numeric strings, [5], ...
+            let number = NaN;
+            if (candidate === null || candidate === undefined) {
+                number = 0;
+            } else if (typeof(candidate) !== 'symbol') {
+                try {
+                    number = Number(candidate);
+                } catch (e) {
+                    // e.g. objects without prototype
+                }
+            }
+            if (!isNaN(number)) {
+                lookupRange(bucket.number, number, typeof(candidate) === 'bigint', single && typeof(candidate) === 'number', hit);
+            }
+        }
+    }
+}
+
+/**
+ * Collects the predicates of the top level (and of top level $and) of a
+ * query; marks the entry incomplete if there are other conditions
+ */
+function collectPredicates(qc, query, entry) {
+    if (!utils.isPlainObject(query)) {
+        entry.complete = false;
+        return;
+    }
+
+    for (let key of Object.keys(query)) {
+        const condition = query[key];
+
+        if (key === '$and' && Array.isArray(condition)) {
+            condition.forEach((subQuery) => collectPredicates(qc, subQuery, entry));
+        } else if (key === '' || key[0] === '$') {
+            entry.complete = false;
+        } else {
+            collectCondition(qc, key, condition, entry);
+        }
+    }
+}
+
+function collectCondition(qc, path, condition, entry) {
+    condition = ejson.deserialize(condition, () => {});
+
+    if (!utils.isOperatorObject(condition, (key) => qc._isExpressionOperator(key))) {
+        // {path: value}
+        addEquality(qc, path, [condition], entry);
+        return;
+    }
+
+    for (let op of Object.keys(condition)) {
+        const operand = condition[op];
+
+        if (op === '$eq') {
+            addEquality(qc, path, [operand], entry);
+        } else if (op === '$in' && Array.isArray(operand)) {
+            addEquality(qc, path, operand, entry);
+        } else if (op in rangeOperators) {
+            addRange(path, op, operand, entry);
+        } else {
+            entry.complete = false;
+        }
+    }
+}
+
+function addEquality(qc, path, operands, entry) {
+    const keys = [];
+
+    for (let operand of operands) {
+        if (typeof(operand) === 'string' && qc._collator !== null) {
+            // equal by collation
+            entry.complete = false;
+            return;
+        }
+
+        const key = operandKey(operand);
+        if (key === null) {
+            entry.complete = false;
+            return;
+        }
+        keys.push(key);
+    }
+
+    entry.predicates.push({entry, path, keys, run: 0, exact: false});
+}
+
+function addRange(path, op, operand, entry) {
+    const predicate = Object.assign({entry, path, run: 0, exact: false}, rangeOperators[op]);
+
+    if (typeof(operand) === 'number' && !isNaN(operand)) {
+        Object.assign(predicate, {domain: 'number', bound: operand, exactBound: true});
+    } else if (typeof(operand) === 'bigint') {
+        // compared by its (possibly rounded) number
+        Object.assign(predicate, {domain: 'number', bound: Number(operand), inclusive: true, exactBound: false});
+    } else if (isValidDate(operand)) {
+        Object.assign(predicate, {domain: 'date', bound: operand.getTime(), exactBound: true});
+    } else {
+        entry.complete = false;
+        return;
+    }
+
+    entry.predicates.push(predicate);
+}
+
+/**
+ * Returns the key of an equality operand (exact if equal values of the same
+ * type are always equal by the key) or null if it can't be indexed
+ */
+function operandKey(operand) {
+    if (operand === null) {
+        // also equal to undefined (by setUndefinedEqualsNull())
+        return {key: 'null', exact: false};
+    }
+
+    switch (typeof(operand)) {
+        case 'boolean':
+            return {key: 'b:' + operand, exact: true};
+        case 'number':
+            return isNaN(operand) ? null : {key: 'n:' + operand, exact: true};
+        case 'bigint':
+            return {key: 'n:' + Number(operand), exact: false};
+        case 'string':
+            return {key: 't:' + operand, exact: true};
+    }
+
+    return isValidDate(operand) ? {key: 'd:' + operand.getTime(), exact: true} : null;
+}
+
+/**
+ * Returns the keys of the operands a value of the document might be equal
+ * to; numbers and strings are equal to each other if they look the same
+ */
+function valueKeys(value) {
+    if (value === null || value === undefined) {
+        return [{key: 'null', exact: false}];
+    }
+
+    switch (typeof(value)) {
+        case 'boolean':
+            return [{key: 'b:' + value, exact: true}];
+        case 'number':
+            return [{key: 'n:' + value, exact: true}, {key: 't:' + value, exact: false}];
+        case 'bigint':
+            return [{key: 'n:' + Number(value), exact: false}];
+        case 'string':
+            return [{key: 't:' + value, exact: true}, {key: 'n:' + value, exact: false}];
+    }
+
+    return isValidDate(value) ? [{key: 'd:' + value.getTime(), exact: true}] : [];
+}
+
+/**
+ * Finds the range predicates true for a number; loose compares inclusively
+ * (for numbers rounded from BigInts)
+ */
+function lookupRange(ranges, number, loose, exact, hit) {
+    const lower = ranges.lower;
+    for (let i = 0; i < lower.length && lower[i].bound <= number; ++i) {
+        if (lower[i].bound < number || lower[i].inclusive || loose) {
+            hit(lower[i], exact && lower[i].exact);
+        }
+    }
+
+    const upper = ranges.upper;
+    for (let i = lowerIndex(upper, number); i < upper.length; ++i) {
+        if (upper[i].bound > number || upper[i].inclusive || loose) {
+            hit(upper[i], exact && upper[i].exact);
+        }
+    }
+}
+
+/**
+ * Returns the index of the first item with a bound >= number
+ */
+function lowerIndex(list, number) {
+    let lo = 0;
+    let hi = list.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (list[mid].bound < number) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+/**
+ * Returns the index of the first item with a bound > number
+ */
+function upperIndex(list, number) {
+    let lo = 0;
+    let hi = list.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (list[mid].bound <= number) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+module.exports = {
+    QueryIndex,
+};
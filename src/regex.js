@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * Regular expressions for $regex
+ *
+ * Patterns are strings, strings in the form "/pattern/flags" or native RegExp
+ * objects; flags given by $options are added to the flags of the pattern.
+ * Before a pattern is compiled, an optional policy function(source, flags)
+ * can reject it (by returning false or throwing) or replace it by any object
+ * with a test(string) method, e.g. a RE2 instance or a bounded matcher.
+ */
+
+// flags supported by $options; "x" (extended) is emulated by removing
+// whitespace and comments from the pattern, "g" has no effect
+const allowedOptions = 'gimsux';
+
+const slashedPattern = new RegExp(`^/([\\s\\S]+)/([${allowedOptions}]*)$`);
+
+/**
+ * Checks a $options value and returns it as string
+ *
+ * @param {*} options
+ * @returns {string}
+ */
+function checkOptions(options) {
+    if (options === undefined || options === null) {
+        return '';
+    }
+
+    if (typeof(options) !== 'string') {
+        throw new TypeError(`$options must be a string of flags (${allowedOptions})`);
+    }
+
+    for (let i = 0; i < options.length; ++i) {
+        if (allowedOptions.indexOf(options[i]) === -1) {
+            throw new SyntaxError(`Unsupported $options flag "${options[i]}"; supported flags are ${allowedOptions}`);
+        }
+        if (options.indexOf(options[i]) !== i) {
+            throw new SyntaxError(`Duplicate $options flag "${options[i]}"`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Splits a $regex operand into the pattern source and its flags
+ *
+ * @param {string|RegExp} pattern
+ * @param {string} [options] $options
+ * @returns {{source: string, flags: string}|null} null if the pattern is neither a string nor a RegExp
+ */
+function parse(pattern, options) {
+    let source;
+    let flags = checkOptions(options);
+
+    if (pattern instanceof RegExp) {
+        source = pattern.source;
+        flags += pattern.flags;
+    } else if (typeof(pattern) === 'string') {
+        const match = slashedPattern.exec(pattern);
+        source = match !== null ? match[1] : pattern;
+        flags += match !== null ? match[2] : '';
+    } else {
+        return null;
+    }
+
+    // the matcher is stateless, so "g" (and "y" of native RegExps) would only
+    // make consecutive tests depend on each other
+    flags = Array.from(new Set(flags.replace(/[gy]/g, ''))).sort().join('');
+
+    if (flags.indexOf('x') !== -1) {
+        source = stripExtended(source);
+        flags = flags.replace('x', '');
+    }
+
+    return {source, flags};
+}
+
+/**
+ * Removes unescaped whitespace and #-comments outside of character classes
+ */
+function stripExtended(source) {
+    let result = '';
+    let inClass = false;
+
+    for (let i = 0; i < source.length; ++i) {
+        const c = source[i];
+
+        if (c === '\\') {
+            result += source.substr(i, 2);
+            ++i;
+        } else if (inClass) {
+            inClass = c !== ']';
+            result += c;
+        } else if (c === '[') {
+            inClass = true;
+            result += c;
+        } else if (c === '#') {
+            while (i < source.length && source[i] !== '\n') {
+                ++i;
+            }
+        } else if (!/\s/.test(c)) {
+            result += c;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Compiles a parsed pattern applying the policy
+ *
+ * @param {{source: string, flags: string}} parsed
+ * @param {function|null} policy
+ * @returns {{test: function(string): boolean}}
+ */
+function compile(parsed, policy) {
+    if (policy !== null) {
+        const result = policy(parsed.source, parsed.flags);
+        if (result === false) {
+            throw new SyntaxError(`Pattern /${parsed.source}/${parsed.flags} rejected by policy`);
+        }
+        if (result !== null && typeof(result) === 'object' && typeof(result.test) === 'function') {
+            return result;
+        }
+    }
+
+    return new RegExp(parsed.source, parsed.flags);
+}
+
+/**
+ * Creates a policy rejecting patterns prone to catastrophic backtracking
+ *
+ * Options: `maxLength` of the pattern (default 256), `maxInputLength` of
+ * tested strings (longer strings never match; default unlimited),
+ * `allowBackreferences` and `allowNestedQuantifiers` (both default false).
+ *
+ * @param {object} [options]
+ * @returns {function(string, string): (boolean|object)}
+ */
+function createSafePolicy(options) {
+    options = Object.assign({maxLength: 256, maxInputLength: Infinity, allowBackreferences: false, allowNestedQuantifiers: false}, options);
+
+    return (source, flags) => {
+        if (source.length > options.maxLength) {
+            throw new SyntaxError(`Pattern is longer than ${options.maxLength} characters`);
+        }
+
+        const features = analyze(source);
+        if (features.backreferences && !options.allowBackreferences) {
+            throw new SyntaxError('Backreferences are not allowed');
+        }
+        if (features.nestedQuantifiers && !options.allowNestedQuantifiers) {
+            throw new SyntaxError('Nested quantifiers are not allowed');
+        }
+
+        if (options.maxInputLength === Infinity) {
+            return true;
+        }
+
+        const re = new RegExp(source, flags);
+        return {
+            source,
+            flags,
+            test: (value) => value.length <= options.maxInputLength && re.test(value),
+        };
+    };
+}
+
+/**
+ * Scans a pattern for backreferences and quantified groups which contain
+ * quantifiers themselves, like (a+)+ or (\w*x?)*
+ */
+function analyze(source) {
+    const features = {backreferences: false, nestedQuantifiers: false};
+    const stack = [{quantified: false}];
+
+    // returns the length of an unbounded quantifier (*, +, {n,}, {n,m} with m > 1) at i or 0
+    const quantifierAt = (i) => {
+        if (source[i] === '*' || source[i] === '+') {
+            return 1;
+        }
+        const match = /^\{(\d+)(,(\d*))?\}/.exec(source.substr(i));
+        if (match !== null && match[2] !== undefined && (match[3] === '' || Number(match[3]) > 1)) {
+            return match[0].length;
+        }
+        return 0;
+    };
+
+    for (let i = 0; i < source.length; ++i) {
+        const c = source[i];
+
+        if (c === '\\') {
+            if (/[1-9k]/.test(source[i + 1] || '')) {
+                features.backreferences = true;
+            }
+            ++i;
+        } else if (c === '[') {
+            for (++i; i < source.length && source[i] !== ']'; ++i) {
+                if (source[i] === '\\') {
+                    ++i;
+                }
+            }
+        } else if (c === '(') {
+            stack.push({quantified: false});
+            if (source[i + 1] === '?') {
+                // skip group prefixes like (?:, (?=, (?<name>
+                const prefix = /^\?(<[^>=!]*>|<=|<!|[:=!])/.exec(source.substr(i + 1));
+                i += prefix !== null ? prefix[0].length : 1;
+            }
+        } else if (c === ')' && stack.length > 1) {
+            const group = stack.pop();
+            const length = quantifierAt(i + 1);
+            if (length > 0 && group.quantified) {
+                features.nestedQuantifiers = true;
+            }
+            stack[stack.length - 1].quantified = stack[stack.length - 1].quantified || group.quantified || length > 0;
+            i += length;
+        } else if (quantifierAt(i) > 0) {
+            stack[stack.length - 1].quantified = true;
+        }
+    }
+
+    return features;
+}
+
+module.exports = {
+    allowedOptions,
+    checkOptions,
+    parse,
+    compile,
+    createSafePolicy,
+};
@@ -0,0 +1,377 @@
+'use strict';
+
+/**
+ * Rule engine
+ *
+ * A rule set evaluates business rules whose conditions are queries and
+ * reports which rules fired and why:
+ *
+ *   const rules = QueryCheck.createRuleSet([
+ *       {id: 'closed', query: {"now.hour": {"$not": {"$gte": 10, "$lt": 18}}}, priority: 10, payload: {open: false}},
+ *       {id: 'open', query: {}, payload: {open: true}},
+ *   ], {strategy: 'highest-priority'});
+ *
+ *   rules.evaluate(data).fired[0].payload   → {open: false} outside opening hours
+ *
+ * A rule has a unique `id`, a `query`, a `priority` (default 0), an optional
+ * `description`, a `payload` (any value) and/or an `action` (the name of a
+ * function given in the option `actions`, called with the data and the rule
+ * when the rule fires; a rule whose action throws gets the status 'error'
+ * instead), and is active if `enabled` (default true) and
+ * between `validFrom` (inclusive) and `validUntil` (exclusive), given as
+ * Dates or ISO-8601 strings.
+ *
+ * Strategies:
+ *
+ *   'first-match'       fires the first matching rule in the order of the rule set
+ *   'highest-priority'  fires the matching rule with the highest priority (the first one if equal)
+ *   'all-matches'       fires all matching rules, by priority
+ *
+ * Rule sets are saved as JSON by toJSON() (queries in Extended JSON) and
+ * loaded by QueryCheck.createRuleSet(); payloads are saved as they are.
+ */
+
+const ejson = require('./ejson.js');
+const utils = require('./utils.js');
+
+const strategies = ['first-match', 'highest-priority', 'all-matches'];
+
+const ruleKeys = ['id', 'description', 'query', 'priority', 'enabled', 'validFrom', 'validUntil', 'payload', 'action'];
+
+function checkStrategy(strategy) {
+    if (strategies.indexOf(strategy) === -1) {
+        throw new TypeError(`Unsupported strategy ${JSON.stringify(strategy)}; use one of ${strategies.join(', ')}`);
+    }
+    return strategy;
+}
+
+/**
+ * Converts validFrom/validUntil to a Date (or null)
+ */
+function toDate(id, name, value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    if (ejson.isExtendedJson(value)) {
+        value = ejson.deserialize(value, (keys, message) => {
+            throw new TypeError(`Rule ${id}: ${name}: ${message}`);
+        });
+    }
+
+    const date = value instanceof Date ? new Date(value.getTime()) : (typeof(value) === 'string' ? new Date(value) : null);
+    if (date === null || isNaN(date.getTime())) {
+        throw new TypeError(`Rule ${id}: ${name} must be a Date or an ISO-8601 string`);
+    }
+    return date;
+}
+
+class RuleSet {
+
+    /**
+     * Use QueryCheck.createRuleSet() to create a rule set
+     *
+     * @param {function} QueryCheck the QueryCheck class
+     * @param {object} options
+     */
+    constructor(QueryCheck, options) {
+        this._QueryCheck = QueryCheck;
+        this._actions = options.actions || {};
+        this._configure = options.configure || null;
+        this.strategy = checkStrategy(options.strategy || 'first-match');
+
+        // rules ({definition, qc}) in order
+        this._rules = [];
+    }
+
+    /**
+     * Loads a rule set from a list of rules, a saved rule set ({strategy,
+     * rules}) or its JSON string
+     *
+     * @param {function} QueryCheck
+     * @param {Array|object|string} rules
+     * @param {object} [options]
+     * @returns {RuleSet}
+     */
+    static load(QueryCheck, rules, options) {
+        options = options || {};
+
+        if (rules === undefined) {
+            rules = [];
+        } else if (typeof(rules) === 'string') {
+            rules = JSON.parse(rules);
+        }
+
+        let strategy = options.strategy;
+        if (utils.isPlainObject(rules)) {
+            strategy = strategy || rules.strategy;
+            rules = rules.rules;
+        }
+
+        if (!Array.isArray(rules)) {
+            throw new TypeError('Rules must be an array or an object of {strategy, rules}');
+        }
+
+        const ruleSet = new RuleSet(QueryCheck, Object.assign({}, options, {strategy}));
+        rules.forEach((rule) => ruleSet.add(rule));
+        return ruleSet;
+    }
+
+    /**
+     * Adds a rule (at the end)
+     *
+     * @param {object} rule
+     * @returns {RuleSet}
+     */
+    add(rule) {
+        const definition = this._checkRule(rule);
+
+        const qc = new this._QueryCheck(definition.query);
+        if (this._configure !== null) {
+            this._configure(qc);
+        }
+        // invalid queries throw here rather than on evaluation
+        qc.compile();
+
+        this._rules.push({definition, qc});
+        return this;
+    }
+
+    /**
+     * Removes a rule; returns false if there is no rule with this id
+     *
+     * @param {string} id
+     * @returns {boolean}
+     */
+    remove(id) {
+        const index = this._rules.findIndex((rule) => rule.definition.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this._rules.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Returns a rule (or undefined)
+     *
+     * @param {string} id
+     * @returns {object|undefined}
+     */
+    get(id) {
+        const rule = this._rules.find((rule) => rule.definition.id === id);
+        return rule !== undefined ? Object.assign({}, rule.definition) : undefined;
+    }
+
+    /**
+     * Returns the ids of the rules in order
+     *
+     * @returns {Array<string>}
+     */
+    ids() {
+        return this._rules.map((rule) => rule.definition.id);
+    }
+
+    /**
+     * Evaluates the rules for the data and returns the fired rules and the
+     * outcome of every rule, in the order of evaluation.
+     *
+     * Supported options are `strategy` (overrides the strategy of the rule
+     * set), `now` (the Date to check validFrom/validUntil against; default is
+     * the current time) and `explain` (add the trace of explain() to the
+     * outcome of every evaluated rule).
+     *
+     * @param {object} data
+     * @param {object} [options]
+     * @returns {{strategy: string, fired: Array<object>, outcomes: Array<object>}}
+     */
+    evaluate(data, options) {
+        options = options || {};
+
+        const strategy = checkStrategy(options.strategy || this.strategy);
+        const now = options.now !== undefined ? options.now : new Date();
+        if (!(now instanceof Date) || isNaN(now.getTime())) {
+            throw new TypeError('Option now must be a valid Date');
+        }
+
+        let rules = this._rules;
+        if (strategy !== 'first-match') {
+            // stable sort by priority (highest first)
+            rules = rules.map((rule, i) => ({rule, i}))
+                .sort((a, b) => (b.rule.definition.priority - a.rule.definition.priority) || (a.i - b.i))
+                .map((item) => item.rule);
+        }
+
+        const fired = [];
+        const outcomes = [];
+
+        for (let rule of rules) {
+            const definition = rule.definition;
+            const outcome = {id: definition.id};
+            outcomes.push(outcome);
+
+            if (fired.length > 0 && strategy !== 'all-matches') {
+                Object.assign(outcome, {status: 'skipped', reason: `Rule ${fired[0].id} fired before`});
+                continue;
+            }
+
+            if (!definition.enabled) {
+                Object.assign(outcome, {status: 'disabled', reason: 'Rule is disabled'});
+                continue;
+            }
+
+            if (definition.validFrom !== null && now < definition.validFrom) {
+                Object.assign(outcome, {status: 'not-yet-valid', reason: `Rule is valid from ${definition.validFrom.toISOString()}`});
+                continue;
+            }
+
+            if (definition.validUntil !== null && now >= definition.validUntil) {
+                Object.assign(outcome, {status: 'expired', reason: `Rule was valid until ${definition.validUntil.toISOString()}`});
+                continue;
+            }
+
+            let matches;
+            try {
+                if (options.explain) {
+                    // the trace has the result as well; don't evaluate twice
+                    outcome.trace = rule.qc.explain(data);
+                    if (outcome.trace.error !== undefined) {
+                        throw outcome.trace.error;
+                    }
+                    matches = outcome.trace.result;
+                } else {
+                    matches = rule.qc.test(data);
+                }
+            } catch (e) {
+                Object.assign(outcome, {status: 'error', reason: e.message, error: e});
+                continue;
+            }
+
+            if (!matches) {
+                Object.assign(outcome, {status: 'no-match', reason: 'Query does not match'});
+                continue;
+            }
+
+            let result;
+            try {
+                result = this._fire(definition, data);
+            } catch (e) {
+                Object.assign(outcome, {status: 'error', reason: e.message, error: e});
+                continue;
+            }
+
+            Object.assign(outcome, {status: 'fired', reason: 'Query matches'});
+            fired.push(result);
+        }
+
+        return {strategy, fired, outcomes};
+    }
+
+    /**
+     * Returns the rule set as JSON ({strategy, rules}); Date, RegExp and
+     * BigInt values of queries are converted to Extended JSON
+     *
+     * @returns {object}
+     */
+    toJSON() {
+        const rules = this._rules.map((rule) => {
+            const definition = rule.definition;
+            const json = {};
+
+            for (let key of ruleKeys) {
+                const value = definition[key];
+                if (value === undefined || (value === null && (key === 'validFrom' || key === 'validUntil'))) {
+                    continue;
+                }
+
+                if (key === 'query') {
+                    json.query = ejson.serialize(value);
+                } else if (value instanceof Date) {
+                    json[key] = value.toISOString();
+                } else {
+                    json[key] = value;
+                }
+            }
+            return json;
+        });
+
+        return {strategy: this.strategy, rules};
+    }
+
+    _fire(definition, data) {
+        const result = {id: definition.id, priority: definition.priority};
+
+        if (definition.payload !== undefined) {
+            result.payload = definition.payload;
+        }
+
+        if (definition.action !== undefined) {
+            result.action = definition.action;
+            result.result = this._actions[definition.action](data, Object.assign({}, definition));
+        }
+
+        return result;
+    }
+
+    /**
+     * Checks a rule and returns its definition with defaults
+     */
+    _checkRule(rule) {
+        if (!utils.isPlainObject(rule)) {
+            throw new TypeError('Rule must be an object');
+        }
+
+        const id = rule.id;
+        if (typeof(id) !== 'string' || id === '') {
+            throw new TypeError('Rule id must be a non-empty string');
+        }
+        if (this._rules.some((other) => other.definition.id === id)) {
+            throw new TypeError(`Rule ${id} already exists`);
+        }
+
+        for (let key of Object.keys(rule)) {
+            if (ruleKeys.indexOf(key) === -1) {
+                throw new TypeError(`Rule ${id}: unknown property ${key}`);
+            }
+        }
+
+        if (!utils.isPlainObject(rule.query)) {
+            throw new TypeError(`Rule ${id}: query must be an object`);
+        }
+
+        const priority = rule.priority === undefined ? 0 : rule.priority;
+        if (typeof(priority) !== 'number' || !isFinite(priority)) {
+            throw new TypeError(`Rule ${id}: priority must be a number`);
+        }
+
+        const enabled = rule.enabled === undefined ? true : rule.enabled;
+        if (typeof(enabled) !== 'boolean') {
+            throw new TypeError(`Rule ${id}: enabled must be a boolean`);
+        }
+
+        if (rule.description !== undefined && typeof(rule.description) !== 'string') {
+            throw new TypeError(`Rule ${id}: description must be a string`);
+        }
+
+        if (rule.action !== undefined && (typeof(rule.action) !== 'string' || typeof(this._actions[rule.action]) !== 'function')) {
+            throw new TypeError(`Rule ${id}: unknown action ${JSON.stringify(rule.action)}`);
+        }
+
+        return {
+            id,
+            description: rule.description,
+            query: rule.query,
+            priority,
+            enabled,
+            validFrom: toDate(id, 'validFrom', rule.validFrom),
+            validUntil: toDate(id, 'validUntil', rule.validUntil),
+            payload: rule.payload,
+            action: rule.action,
+        };
+    }
+}
+
+module.exports = {
+    RuleSet,
+};
@@ -0,0 +1,525 @@
+'use strict';
+
+/**
+ * SQL translation
+ *
+ * Translates a query into a parameterised SQL WHERE fragment and the values
+ * bound to its placeholders:
+ *
+ *   toSql({"now.hour": {"$gte": 10}, "tags": {"$in": ["open", "new"]}}, {columns: {"now.hour": "hour"}})
+ *   → {sql: '"hour" >= $1 AND "tags" IN ($2, $3)', params: [10, "open", "new"]}
+ *
+ * Supported are $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $not,
+ * $and, $or, $nor and $regex (if the dialect supports it) on scalar values
+ * (strings, numbers, booleans, dates and bigints). Everything else, e.g.
+ * $elemMatch, $expr, operand functions or equality with arrays, throws an
+ * error with `code` "UNTRANSLATABLE" and the JSON `pointer` of the construct.
+ *
+ * Fields are columns of the same name unless mapped by the `columns` option,
+ * an object or a function(path) returning for a path
+ *
+ *   'hour'                        a column (may be qualified, e.g. 't.hour')
+ *   {json: 'data'}                a JSON column holding the value at the path
+ *   {json: 'data', path: 'a.b'}   the value at a path within a JSON column
+ *   {sql: 'lower(name)'}          an SQL expression
+ *
+ * Mappings of an object apply to the path and everything below it, so
+ * {meta: {json: 'meta'}} maps "meta.created" to the path "created" within
+ * the column meta. Paths neither mapped nor below a mapping are looked up in
+ * the JSON column given by the `json` option, or are errors if they contain
+ * dots and no such column is given.
+ *
+ * Columns have no missing values, so NULL is both null and missing there:
+ * {a: null}, {a: {$exists: false}}, {a: {$ne: 1}} and {a: {$nin: [1]}} all
+ * match NULL. Within JSON columns, null and missing values are told apart
+ * like the query engine does (see the `undefinedEqualsNull` option), and
+ * values are only compared with values of the same JSON type; dates are
+ * compared with strings in ISO-8601 format only, other strings don't match
+ * (like test() doesn't match dates with strings). Comparisons ($gt etc.)
+ * never match null, and array fields are not traversed.
+ */
+
+const ejson = require('./ejson.js');
+const regex = require('./regex.js');
+const utils = require('./utils.js');
+
+// ISO-8601 dates and times as stored in JSON; other strings are not cast to
+// timestamptz by postgres, as the cast would fail the whole query
+const postgresDatePattern = "'^[0-9]{4}-[0-9]{2}-[0-9]{2}([T ][0-9]{2}:[0-9]{2}(:[0-9]{2}([.][0-9]+)?)?)?(Z|[+-][0-9]{2}(:?[0-9]{2})?)?$'";
+
+const comparisonOperators = {
+    '$gt': '>',
+    '$gte': '>=',
+    '$lt': '<',
+    '$lte': '<=',
+};
+
+/**
+ * Built-in dialects
+ *
+ * A dialect defines
+ *
+ *   placeholder(index)                 the placeholder of the parameter at the 1-based index
+ *   quoteIdentifier(name)              a quoted identifier
+ *   jsonValue(column, path, type)      the value at a path (an array of keys and indexes) within a
+ *                                      JSON column if it is of the type "string", "number", "boolean"
+ *                                      or "date" (an ISO-8601 string), NULL otherwise
+ *   jsonType(column, path)             the JSON type of the value at a path, "null" for JSON null and
+ *                                      NULL if there is no value
+ *   regex(expression, source, flags, bind)   an SQL condition or null if the flags aren't supported
+ *   bindValue(value)                   the value to bind for a query value
+ *   operators                          an object of custom operators, function(operand, context)
+ *                                      returning an SQL condition; context is {field(type), bind(value),
+ *                                      dialect} with field() returning the value like jsonValue()
+ *
+ * Dialects given as object may extend a registered dialect by name, e.g.
+ * {extends: 'sqlite', regex: (expression, source, flags, bind) => ...}.
+ */
+const dialects = {
+
+    // JSON columns are expected to be jsonb
+    postgres: {
+        placeholder: (index) => '$' + index,
+        quoteIdentifier,
+        jsonValue(column, path, type) {
+            const literal = postgresPath(path);
+            const casts = {string: '', number: '::numeric', boolean: '::boolean', date: '::timestamptz'};
+            const jsonType = type === 'date' ? 'string' : type;
+            const guard = type === 'date' ? ` AND (${column} #>> ${literal}) ~ ${postgresDatePattern}` : '';
+            return `CASE WHEN jsonb_typeof(${column} #> ${literal}) = '${jsonType}'${guard} THEN (${column} #>> ${literal})${casts[type]} END`;
+        },
+        jsonType(column, path) {
+            return `jsonb_typeof(${column} #> ${postgresPath(path)})`;
+        },
+        regex(expression, source, flags, bind) {
+            if (flags !== '' && flags !== 'i') {
+                return null;
+            }
+            return `${expression} ${flags === 'i' ? '~*' : '~'} ${bind(source)}`;
+        },
+        bindValue: (value) => value,
+        operators: {},
+    },
+
+    // SQLite has no REGEXP function by default; a dialect extending this one
+    // can add $regex for an application defined function
+    sqlite: {
+        placeholder: () => '?',
+        quoteIdentifier,
+        jsonValue(column, path, type) {
+            const jsonPath = sqlitePath(path);
+            const jsonTypes = {string: "'text'", number: "'integer', 'real'", boolean: "'true', 'false'", date: "'text'"};
+            return `CASE WHEN json_type(${column}, ${jsonPath}) IN (${jsonTypes[type]}) THEN json_extract(${column}, ${jsonPath}) END`;
+        },
+        jsonType(column, path) {
+            return `json_type(${column}, ${sqlitePath(path)})`;
+        },
+        regex: () => null,
+        bindValue(value) {
+            if (typeof(value) === 'boolean') {
+                return value ? 1 : 0;
+            }
+            if (value instanceof Date) {
+                return value.toISOString();
+            }
+            return value;
+        },
+        operators: {},
+    },
+};
+
+function quoteIdentifier(name) {
+    return '"' + name.replace(/"/g, '""') + '"';
+}
+
+function quoteString(str) {
+    return "'" + str.replace(/'/g, "''") + "'";
+}
+
+function postgresPath(path) {
+    return quoteString('{' + path.map((key) => '"' + String(key).replace(/["\\]/g, '\\$&') + '"').join(',') + '}');
+}
+
+function sqlitePath(path) {
+    return quoteString('$' + path.map((key) => typeof(key) === 'number' ? `[${key}]` : '."' + key.replace(/"/g, '\\"') + '"').join(''));
+}
+
+function untranslatable(message, pointer) {
+    const error = new Error(`${message} (at ${pointer || '/'})`);
+    error.code = 'UNTRANSLATABLE';
+    error.pointer = pointer;
+    return error;
+}
+
+/**
+ * Registers a dialect for use by name
+ *
+ * @param {string} name
+ * @param {object} dialect
+ */
+function registerDialect(name, dialect) {
+    if (typeof(name) !== 'string' || name === '') {
+        throw new TypeError('Dialect name must be a non-empty string');
+    }
+    dialects[name] = resolveDialect(dialect);
+}
+
+function resolveDialect(dialect) {
+    if (typeof(dialect) === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(dialects, dialect)) {
+            throw new TypeError(`Unknown SQL dialect "${dialect}"; known dialects are ${Object.keys(dialects).join(', ')}`);
+        }
+        return dialects[dialect];
+    }
+
+    if (!utils.isPlainObject(dialect)) {
+        throw new TypeError('SQL dialect must be a name or an object');
+    }
+
+    const base = dialect.extends !== undefined ? resolveDialect(dialect.extends) : {};
+    const resolved = Object.assign({}, base, dialect);
+    resolved.operators = Object.assign({}, base.operators, dialect.operators);
+    delete resolved.extends;
+
+    for (let fn of ['placeholder', 'quoteIdentifier', 'jsonValue', 'jsonType', 'regex', 'bindValue']) {
+        if (typeof(resolved[fn]) !== 'function') {
+            throw new TypeError(`SQL dialect lacks the function ${fn}()`);
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Translates a query into a parameterised SQL WHERE fragment
+ *
+ * @param {object} query
+ * @param {object} [options]
+ * @param {string|object} [options.dialect='postgres'] name of a registered dialect or a dialect
+ * @param {object|function(string): *} [options.columns] field mappings
+ * @param {string} [options.json] JSON column holding the fields not mapped
+ * @param {boolean} [options.undefinedEqualsNull=false] whether null matches missing values in JSON columns
+ * @returns {{sql: string, params: Array}}
+ * @throws {Error} with `code` "UNTRANSLATABLE" and `pointer` for constructs without SQL equivalent
+ */
+function toSql(query, options) {
+    options = options || {};
+
+    const context = {
+        dialect: resolveDialect(options.dialect !== undefined ? options.dialect : 'postgres'),
+        columns: options.columns || {},
+        json: options.json,
+        undefinedEqualsNull: Boolean(options.undefinedEqualsNull),
+        params: [],
+    };
+
+    if (typeof(context.columns) !== 'function' && !utils.isPlainObject(context.columns)) {
+        throw new TypeError('columns must be an object or a function');
+    }
+
+    context.bind = (value) => {
+        context.params.push(context.dialect.bindValue(value));
+        return context.dialect.placeholder(context.params.length);
+    };
+
+    const conditions = translateQuery(query, '', context);
+    return {sql: conjunction(conditions), params: context.params};
+}
+
+function conjunction(conditions) {
+    return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+}
+
+function negate(condition) {
+    return `NOT COALESCE(${condition}, FALSE)`;
+}
+
+/**
+ * Translates a query into a list of conditions which all have to match
+ */
+function translateQuery(query, pointer, context) {
+    if (!utils.isPlainObject(query)) {
+        throw new TypeError(`Query must be an object (at ${pointer || '/'})`);
+    }
+
+    const conditions = [];
+
+    for (let key of Object.keys(query)) {
+        const operand = query[key];
+        const keyPointer = utils.childPointer(pointer, key);
+
+        if (key === '$and' || key === '$or' || key === '$nor') {
+            if (!Array.isArray(operand)) {
+                throw new TypeError(`${key} requires an array of queries (at ${keyPointer})`);
+            }
+            const items = operand.map((item, i) => translateQuery(item, utils.childPointer(keyPointer, i), context));
+
+            if (key === '$and') {
+                items.forEach((item) => conditions.push.apply(conditions, item));
+                continue;
+            }
+
+            const disjunction = items.length > 0
+                ? items.map((item) => item.length > 1 ? `(${conjunction(item)})` : conjunction(item)).join(' OR ')
+                : 'FALSE';
+            if (key === '$or') {
+                conditions.push(items.length > 1 ? `(${disjunction})` : disjunction);
+            } else {
+                conditions.push(items.length > 0 ? negate(disjunction) : 'TRUE');
+            }
+        } else if (key === '$not') {
+            conditions.push(negate(conjunction(translateQuery(operand, keyPointer, context))));
+        } else if (key[0] === '$') {
+            throw untranslatable(`Cannot translate ${key} to SQL`, keyPointer);
+        } else if (key === '') {
+            throw new TypeError(`Field path must not be empty (at ${keyPointer})`);
+        } else {
+            conditions.push.apply(conditions, translateField(key, operand, keyPointer, context));
+        }
+    }
+
+    return conditions;
+}
+
+/**
+ * Translates the condition of a field into a list of conditions
+ */
+function translateField(path, condition, pointer, context) {
+    const field = resolveField(path, pointer, context);
+
+    condition = ejson.deserialize(condition, (keys, message) => {
+        throw new TypeError(`${message} (at ${keys.reduce(utils.childPointer, pointer)})`);
+    });
+
+    if (condition instanceof RegExp) {
+        return [translateRegex(field, condition, undefined, pointer, context)];
+    }
+    if (!utils.isOperatorObject(condition)) {
+        return [translateEquality(field, condition, pointer, context)];
+    }
+
+    return translateOperators(field, condition, pointer, context);
+}
+
+function translateOperators(field, operators, pointer, context) {
+    const conditions = [];
+
+    for (let op of Object.keys(operators)) {
+        const operand = operators[op];
+        const opPointer = utils.childPointer(pointer, op);
+
+        if (Object.prototype.hasOwnProperty.call(context.dialect.operators, op)) {
+            conditions.push(context.dialect.operators[op](operand, {field: field.value, bind: context.bind, dialect: context.dialect}));
+        } else if (op === '$eq') {
+            conditions.push(translateEquality(field, operand, opPointer, context));
+        } else if (op === '$ne') {
+            if (operand === null) {
+                conditions.push(field.isNull(false));
+            } else {
+                const expression = field.value(scalarType(operand, opPointer));
+                conditions.push(`(${expression} IS NULL OR ${expression} <> ${context.bind(operand)})`);
+            }
+        } else if (Object.prototype.hasOwnProperty.call(comparisonOperators, op)) {
+            if (operand === null) {
+                throw untranslatable(`Cannot translate ${op} with null to SQL`, opPointer);
+            }
+            conditions.push(`${field.value(scalarType(operand, opPointer))} ${comparisonOperators[op]} ${context.bind(operand)}`);
+        } else if (op === '$in' || op === '$nin') {
+            const condition = translateIn(field, op, operand, opPointer, context);
+            conditions.push(op === '$in' ? condition : (condition === 'FALSE' ? 'TRUE' : negate(condition)));
+        } else if (op === '$exists') {
+            if (typeof(operand) !== 'boolean') {
+                throw new TypeError(`$exists requires a boolean (at ${opPointer})`);
+            }
+            conditions.push(field.exists(operand));
+        } else if (op === '$regex') {
+            conditions.push(translateRegex(field, operand, operators['$options'], opPointer, context));
+        } else if (op === '$options') {
+            if (!Object.prototype.hasOwnProperty.call(operators, '$regex')) {
+                throw new TypeError(`$options requires $regex (at ${opPointer})`);
+            }
+        } else if (op === '$not') {
+            if (operand instanceof RegExp) {
+                conditions.push(negate(translateRegex(field, operand, undefined, opPointer, context)));
+            } else if (utils.isOperatorObject(operand)) {
+                conditions.push(negate(conjunction(translateOperators(field, operand, opPointer, context))));
+            } else {
+                throw new TypeError(`$not requires an object of operators or a regular expression (at ${opPointer})`);
+            }
+        } else if (op[0] === '$') {
+            throw untranslatable(`Cannot translate ${op} to SQL`, opPointer);
+        } else {
+            throw untranslatable(`Cannot translate operators mixed with fields ("${op}") to SQL`, opPointer);
+        }
+    }
+
+    return conditions;
+}
+
+function translateEquality(field, value, pointer, context) {
+    if (value === null) {
+        return field.isNull(true);
+    }
+    return `${field.value(scalarType(value, pointer))} = ${context.bind(value)}`;
+}
+
+function translateIn(field, op, values, pointer, context) {
+    if (!Array.isArray(values)) {
+        throw new TypeError(`${op} requires an array (at ${pointer})`);
+    }
+
+    // values are grouped by type as JSON values are only equal to values of the same type
+    const groups = new Map();
+    let matchNull = false;
+    values.forEach((value, i) => {
+        if (value === null) {
+            matchNull = true;
+            return;
+        }
+        const type = scalarType(value, utils.childPointer(pointer, i));
+        groups.set(type, (groups.get(type) || []).concat([value]));
+    });
+
+    const conditions = [];
+    for (let [type, group] of groups) {
+        const expression = field.value(type);
+        conditions.push(group.length == 1
+            ? `${expression} = ${context.bind(group[0])}`
+            : `${expression} IN (${group.map(context.bind).join(', ')})`);
+    }
+    if (matchNull) {
+        conditions.push(field.isNull(true));
+    }
+
+    if (conditions.length == 0) {
+        return 'FALSE';
+    }
+    return conditions.length > 1 ? `(${conditions.join(' OR ')})` : conditions[0];
+}
+
+function translateRegex(field, pattern, options, pointer, context) {
+    const parsed = regex.parse(pattern, options);
+    if (parsed === null) {
+        throw new TypeError(`$regex requires a string or a regular expression (at ${pointer})`);
+    }
+
+    const condition = context.dialect.regex(field.value('string'), parsed.source, parsed.flags, context.bind);
+    if (condition === null) {
+        throw untranslatable(parsed.flags !== ''
+            ? `Cannot translate $regex with flags "${parsed.flags}" to SQL in this dialect`
+            : 'Cannot translate $regex to SQL in this dialect', pointer);
+    }
+    return condition;
+}
+
+/**
+ * Returns the type of a value used for comparisons or throws if there is no
+ * SQL equivalent
+ */
+function scalarType(value, pointer) {
+    switch (typeof(value)) {
+        case 'string':
+            return 'string';
+        case 'number':
+        case 'bigint':
+            return 'number';
+        case 'boolean':
+            return 'boolean';
+    }
+
+    if (value instanceof Date) {
+        return 'date';
+    }
+    if (value instanceof RegExp) {
+        throw untranslatable('Cannot translate regular expressions within operands to SQL', pointer);
+    }
+    if (Array.isArray(value)) {
+        throw untranslatable('Cannot translate comparisons with arrays to SQL', pointer);
+    }
+    if (utils.isPlainObject(value) && Object.keys(value).length == 1 && Object.keys(value)[0][0] === '$') {
+        throw untranslatable(`Cannot translate operand function ${Object.keys(value)[0]} to SQL`, pointer);
+    }
+    if (utils.isPlainObject(value)) {
+        throw untranslatable('Cannot translate comparisons with documents to SQL', pointer);
+    }
+    throw untranslatable(`Cannot translate values of type ${typeof(value)} to SQL`, pointer);
+}
+
+/**
+ * Returns the SQL of a field: its value(type) and conditions testing it for
+ * null and for existence
+ */
+function resolveField(path, pointer, context) {
+    const dialect = context.dialect;
+    const keys = path.split('.');
+
+    let mapping;
+    let rest = [];
+    if (typeof(context.columns) === 'function') {
+        mapping = context.columns(path);
+    } else {
+        for (let i = keys.length; i > 0 && mapping === undefined; --i) {
+            const prefix = keys.slice(0, i).join('.');
+            if (Object.prototype.hasOwnProperty.call(context.columns, prefix)) {
+                mapping = context.columns[prefix];
+                rest = keys.slice(i);
+            }
+        }
+    }
+
+    if (mapping === undefined || mapping === null) {
+        if (context.json !== undefined) {
+            mapping = {json: context.json};
+            rest = keys;
+        } else if (keys.length > 1) {
+            throw untranslatable(`No column for the path "${path}"; map it using the columns option`, pointer);
+        } else {
+            mapping = path;
+        }
+    }
+
+    const column = (name) => name.split('.').map(dialect.quoteIdentifier).join('.');
+    const scalar = (expression) => ({
+        value: () => expression,
+        isNull: (isNull) => `${expression} ${isNull ? 'IS NULL' : 'IS NOT NULL'}`,
+        exists: (exists) => `${expression} ${exists ? 'IS NOT NULL' : 'IS NULL'}`,
+    });
+
+    if (typeof(mapping) === 'string') {
+        if (rest.length > 0) {
+            throw untranslatable(`Cannot translate "${path}": column ${mapping} is not a JSON column`, pointer);
+        }
+        return scalar(column(mapping));
+    }
+
+    if (utils.isPlainObject(mapping) && typeof(mapping.sql) === 'string') {
+        if (rest.length > 0) {
+            throw untranslatable(`Cannot translate "${path}": SQL expression ${mapping.sql} is not JSON`, pointer);
+        }
+        return scalar(mapping.sql);
+    }
+
+    if (utils.isPlainObject(mapping) && typeof(mapping.json) === 'string') {
+        const jsonPath = (mapping.path ? mapping.path.split('.') : []).concat(rest)
+            .map((key) => /^(0|[1-9][0-9]*)$/.test(key) ? Number(key) : key);
+        const expression = column(mapping.json);
+        const jsonType = dialect.jsonType(expression, jsonPath);
+        return {
+            value: (type) => dialect.jsonValue(expression, jsonPath, type),
+            isNull: (isNull) => {
+                if (context.undefinedEqualsNull) {
+                    return isNull ? `(${jsonType} IS NULL OR ${jsonType} = 'null')` : `${jsonType} <> 'null'`;
+                }
+                return isNull ? `${jsonType} = 'null'` : `(${jsonType} IS NULL OR ${jsonType} <> 'null')`;
+            },
+            exists: (exists) => `${jsonType} ${exists ? 'IS NOT NULL' : 'IS NULL'}`,
+        };
+    }
+
+    throw new TypeError(`Invalid column mapping for "${path}"; expected a column name, {json, path} or {sql}`);
+}
+
+module.exports = {
+    toSql,
+    registerDialect,
+};
@@ -0,0 +1,870 @@
+'use strict';
+
+/**
+ * Text query language
+ *
+ * A small infix language for queries, e.g.
+ *
+ *   now.isoTime > "10:00" and now.isoDate not in ["2019-12-25"] or myString ~ /^this/i
+ *
+ * parse() turns text into the query objects QueryCheck evaluates and print()
+ * turns any query back into text; parse(print(query)) returns an equal query.
+ *
+ * Conditions are a field path (quoted if it isn't a plain dotted name)
+ * followed by an operator and a value:
+ *
+ *   =  plain value (implicit equality)   ==  $eq      !=  $ne
+ *   >  $gt    >=  $gte    <  $lt    <=  $lte
+ *   in, nin, all, size, mod, type and exists (the value defaults to true)
+ *   ~ /pattern/flags   $regex and $options (or ~ "pattern")
+ *   elemMatch (query) or elemMatch (operators)
+ *   not <operator>     $not, e.g. `not in [...]` or `not (> 1 and < 5)`
+ *   $name value        any other (e.g. custom) operator
+ *
+ * Conditions are combined using `and`, `or`, `not` (negating a whole query)
+ * and parentheses; conditions joined by `and` are merged into one query
+ * object. $and, $nor, $expr and custom boolean operators are written like
+ * function calls: `$nor(a = 1, b = 2)`, `$expr({"$gt": ["$a", "$b"]})`.
+ *
+ * Values are JSON values (strings may also be single quoted, object keys
+ * unquoted) as well as Infinity, NaN, bigints (`12n`), regular expressions
+ * (`/pattern/flags`) and dates (`date("2020-05-21T13:59:48Z")`). `#` starts
+ * a comment until the end of the line.
+ */
+
+const utils = require('./utils.js');
+
+// operators written as symbols or words
+const operatorTokens = {
+    '==': '$eq',
+    '!=': '$ne',
+    '>': '$gt',
+    '>=': '$gte',
+    '<': '$lt',
+    '<=': '$lte',
+    'in': '$in',
+    'nin': '$nin',
+    'all': '$all',
+    'size': '$size',
+    'mod': '$mod',
+    'type': '$type',
+    'exists': '$exists',
+};
+const operatorNames = Object.keys(operatorTokens).reduce((names, token) => Object.assign(names, {[operatorTokens[token]]: token}), {});
+
+const reservedWords = ['and', 'or', 'not', 'true', 'false', 'null', 'Infinity', 'NaN', 'date', 'elemMatch'].concat(Object.keys(operatorTokens).filter((token) => /^[a-z]/.test(token)));
+
+// boolean operators taking a list of queries: $and(query, ...)
+const queryListOperators = ['$and', '$or', '$nor'];
+
+const bareWord = /^[A-Za-z_][\w$]*(?:\.[\w$]+)*$/;
+
+const tokenPatterns = [
+    ['number', /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?n?(?![\w$])|-?Infinity(?![\w$])/y],
+    ['word', /[A-Za-z_$][\w$]*(?:\.[\w$]+)*/y],
+    ['operator', /==|!=|>=|<=|[=<>~]/y],
+    ['punctuation', /[()[\]{},:]/y],
+];
+
+class Lexer {
+
+    constructor(text) {
+        this.text = text;
+        this.index = 0;
+        this.token = null;
+        this.next();
+    }
+
+    next() {
+        const previous = this.token;
+        this.token = this._read();
+        return previous;
+    }
+
+    error(message, index) {
+        return syntaxError(this.text, message, index === undefined ? this.token.start : index);
+    }
+
+    _skipWhitespace() {
+        const text = this.text;
+        while (this.index < text.length) {
+            const c = text[this.index];
+            if (c === '#') {
+                while (this.index < text.length && text[this.index] !== '\n') {
+                    ++this.index;
+                }
+            } else if (/\s/.test(c)) {
+                ++this.index;
+            } else {
+                break;
+            }
+        }
+    }
+
+    _read() {
+        this._skipWhitespace();
+
+        const start = this.index;
+        const c = this.text[start];
+        if (c === undefined) {
+            return {type: 'eof', text: '', start};
+        }
+
+        if (c === '"' || c === "'") {
+            return this._readString(start, c);
+        }
+
+        if (c === '/') {
+            return this._readRegExp(start);
+        }
+
+        for (let [type, pattern] of tokenPatterns) {
+            pattern.lastIndex = start;
+            const match = pattern.exec(this.text);
+            if (match !== null) {
+                this.index = start + match[0].length;
+                return {type, text: match[0], start};
+            }
+        }
+
+        throw this.error(`Unexpected character ${JSON.stringify(c)}`, start);
+    }
+
+    _readString(start, quote) {
+        const text = this.text;
+        let json = '';
+
+        let i = start + 1;
+        for (;;) {
+            const c = text[i];
+            if (c === undefined || c === '\n' || c === '\r') {
+                throw this.error('Unterminated string', start);
+            }
+            if (c === quote) {
+                break;
+            }
+            if (c === '\\') {
+                // \' is only needed in single quoted strings and no JSON escape
+                json += text[i + 1] === "'" ? "'" : c + (text[i + 1] || '');
+                i += 2;
+                continue;
+            }
+            json += c === '"' || c < ' ' ? JSON.stringify(c).slice(1, -1) : c;
+            ++i;
+        }
+
+        this.index = i + 1;
+        try {
+            return {type: 'string', text: text.slice(start, i + 1), start, value: JSON.parse('"' + json + '"')};
+        } catch (e) {
+            throw this.error('Invalid string escape sequence', start);
+        }
+    }
+
+    _readRegExp(start) {
+        const end = scanRegExpBody(this.text, start + 1);
+        if (end === -1) {
+            throw this.error('Unterminated regular expression', start);
+        }
+        if (end === start + 1) {
+            throw this.error('Empty regular expression', start);
+        }
+
+        const flags = /[a-z]*/y;
+        flags.lastIndex = end + 1;
+        this.index = end + 1 + flags.exec(this.text)[0].length;
+
+        return {
+            type: 'regexp',
+            text: this.text.slice(start, this.index),
+            start,
+            source: this.text.slice(start + 1, end),
+            flags: this.text.slice(end + 1, this.index),
+        };
+    }
+}
+
+/**
+ * Returns the index of the slash ending a regular expression literal whose
+ * body starts at `start` (-1 if unterminated)
+ */
+function scanRegExpBody(text, start) {
+    let inClass = false;
+    for (let i = start; i < text.length; ++i) {
+        const c = text[i];
+        if (c === '\n' || c === '\r' || c === '\u2028' || c === '\u2029') {
+            return -1;
+        }
+        if (c === '\\') {
+            ++i;
+            if (i < text.length && /[\n\r\u2028\u2029]/.test(text[i])) {
+                return -1;
+            }
+        } else if (c === '[') {
+            inClass = true;
+        } else if (c === ']') {
+            inClass = false;
+        } else if (c === '/' && !inClass) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function syntaxError(text, message, index) {
+    const lines = text.slice(0, index).split('\n');
+    const line = lines.length;
+    const column = lines[lines.length - 1].length + 1;
+
+    const error = new SyntaxError(`${message} at line ${line}, column ${column}`);
+    error.line = line;
+    error.column = column;
+    return error;
+}
+
+function describe(token) {
+    return token.type === 'eof' ? 'end of input' : `"${token.text}"`;
+}
+
+function toOperatorObject(value) {
+    if (utils.isOperatorObject(value)) {
+        return Object.assign({}, value);
+    }
+    return value instanceof RegExp ? {'$regex': value} : {'$eq': value};
+}
+
+function hasKey(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+class Parser {
+
+    constructor(text) {
+        this.lexer = new Lexer(text);
+    }
+
+    get token() {
+        return this.lexer.token;
+    }
+
+    parse() {
+        const query = this.token.type === 'eof' ? {} : this.parseOr();
+        if (this.token.type !== 'eof') {
+            throw this.lexer.error(`Expected "and", "or" or end of input but found ${describe(this.token)}`);
+        }
+        return query;
+    }
+
+    isWord(word) {
+        return this.token.type === 'word' && this.token.text === word;
+    }
+
+    isPunctuation(c) {
+        return this.token.type === 'punctuation' && this.token.text === c;
+    }
+
+    expectPunctuation(c) {
+        if (!this.isPunctuation(c)) {
+            throw this.lexer.error(`Expected "${c}" but found ${describe(this.token)}`);
+        }
+        this.lexer.next();
+    }
+
+    parseOr() {
+        const items = [this.parseAnd()];
+        while (this.isWord('or')) {
+            this.lexer.next();
+            items.push(this.parseAnd());
+        }
+        return items.length == 1 ? items[0] : {'$or': items};
+    }
+
+    parseAnd() {
+        const items = [this.parseUnary()];
+        while (this.isWord('and')) {
+            this.lexer.next();
+            items.push(this.parseUnary());
+        }
+        return items.length == 1 ? items[0] : mergeQueries(items);
+    }
+
+    parseUnary() {
+        if (this.isWord('not')) {
+            this.lexer.next();
+            return {'$not': this.parseUnary()};
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.token;
+
+        if (this.isPunctuation('(')) {
+            this.lexer.next();
+            const query = this.isPunctuation(')') ? {} : this.parseOr();
+            this.expectPunctuation(')');
+            return query;
+        }
+
+        if (token.type === 'word' && token.text[0] === '$') {
+            this.lexer.next();
+            return {[token.text]: this.parseCallArguments(token.text)};
+        }
+
+        let path;
+        if (token.type === 'string') {
+            path = token.value;
+        } else if (token.type === 'word' && reservedWords.indexOf(token.text) === -1) {
+            path = token.text;
+        } else if (token.type === 'word') {
+            throw this.lexer.error(`"${token.text}" is a reserved word; quote field names like "${token.text}"`);
+        } else {
+            throw this.lexer.error(`Expected a field, "(" or "not" but found ${describe(token)}`);
+        }
+        this.lexer.next();
+
+        const condition = this.parseCondition();
+        return {[path]: condition.isValue ? condition.value : condition.operators};
+    }
+
+    parseCallArguments(name) {
+        this.expectPunctuation('(');
+
+        let operand;
+        if (queryListOperators.indexOf(name) !== -1) {
+            operand = [];
+            while (!this.isPunctuation(')')) {
+                if (operand.length > 0) {
+                    this.expectPunctuation(',');
+                }
+                operand.push(this.parseOr());
+            }
+        } else if (name === '$not') {
+            operand = this.parseOr();
+        } else {
+            operand = this.parseValue();
+        }
+
+        this.expectPunctuation(')');
+        return operand;
+    }
+
+    /**
+     * Parses the condition following a field: either a plain value
+     * ({isValue: true, value}) or operators ({isValue: false, operators})
+     */
+    parseCondition() {
+        const token = this.token;
+
+        if (this.isPunctuation('(')) {
+            this.lexer.next();
+            const condition = this.parseCondition();
+            if (!this.isWord('and')) {
+                this.expectPunctuation(')');
+                return condition;
+            }
+
+            const operators = this.parseOperators(condition, token.start);
+            this.expectPunctuation(')');
+            return {isValue: false, operators};
+        }
+
+        if (token.type === 'operator' && token.text === '=') {
+            this.lexer.next();
+            return {isValue: true, value: this.parseValue()};
+        }
+
+        if (this.isWord('not')) {
+            this.lexer.next();
+            const condition = this.parseCondition();
+            return {isValue: false, operators: {'$not': condition.isValue ? condition.value : condition.operators}};
+        }
+
+        if (token.type === 'operator' && token.text === '~') {
+            this.lexer.next();
+            return {isValue: false, operators: this.parsePattern()};
+        }
+
+        if (this.isWord('elemMatch')) {
+            this.lexer.next();
+            return {isValue: false, operators: {'$elemMatch': this.parseElemMatch()}};
+        }
+
+        if (this.isWord('exists')) {
+            this.lexer.next();
+            return {isValue: false, operators: {'$exists': this.startsValue() ? this.parseValue() : true}};
+        }
+
+        const operator = (token.type === 'operator' || token.type === 'word') && hasKey(operatorTokens, token.text) ? operatorTokens[token.text] :
+            token.type === 'word' && /^\$[\w$]+$/.test(token.text) ? token.text : null;
+
+        if (operator === null) {
+            throw this.lexer.error(`Expected an operator but found ${describe(token)}`);
+        }
+
+        this.lexer.next();
+        return {isValue: false, operators: {[operator]: this.parseValue()}};
+    }
+
+    parsePattern() {
+        const token = this.token;
+        if (token.type === 'regexp') {
+            this.lexer.next();
+            return token.flags === '' ? {'$regex': token.source} : {'$regex': token.source, '$options': token.flags};
+        }
+        if (token.type === 'string') {
+            this.lexer.next();
+            return {'$regex': token.value};
+        }
+        throw this.lexer.error(`Expected a regular expression or string but found ${describe(token)}`);
+    }
+
+    parseElemMatch() {
+        this.expectPunctuation('(');
+
+        let operand = {};
+        if (!this.isPunctuation(')')) {
+            // either a query on the elements or operators on the elements
+            // themselves like (> 80 and < 90); try the query first
+            const state = {index: this.lexer.index, token: this.lexer.token};
+            try {
+                operand = this.parseOr();
+                if (!this.isPunctuation(')')) {
+                    throw this.lexer.error(`Expected ")" but found ${describe(this.token)}`);
+                }
+            } catch (queryError) {
+                this.lexer.index = state.index;
+                this.lexer.token = state.token;
+                try {
+                    operand = this.parseOperators();
+                } catch (operatorError) {
+                    throw queryError.line > operatorError.line || queryError.line == operatorError.line && queryError.column >= operatorError.column ? queryError : operatorError;
+                }
+            }
+        }
+
+        this.expectPunctuation(')');
+        return operand;
+    }
+
+    /**
+     * Parses conditions without a field joined by `and` into one operator
+     * object (optionally starting with an already parsed condition)
+     */
+    parseOperators(first, start) {
+        start = start === undefined ? this.token.start : start;
+        const conditions = [first || this.parseCondition()];
+        while (this.isWord('and')) {
+            this.lexer.next();
+            conditions.push(this.parseCondition());
+        }
+
+        const operators = {};
+        for (let condition of conditions) {
+            const object = condition.isValue ? toOperatorObject(condition.value) : condition.operators;
+            for (let key of Object.keys(object)) {
+                if (hasKey(operators, key)) {
+                    throw this.lexer.error(`Duplicate operator ${key}`, start);
+                }
+                operators[key] = object[key];
+            }
+        }
+        return operators;
+    }
+
+    startsValue() {
+        const token = this.token;
+        if (token.type === 'word') {
+            return ['true', 'false', 'null', 'NaN', 'date'].indexOf(token.text) !== -1;
+        }
+        return token.type === 'string' || token.type === 'number' || token.type === 'regexp' ||
+            (token.type === 'punctuation' && (token.text === '[' || token.text === '{'));
+    }
+
+    parseValue() {
+        const token = this.token;
+
+        switch (token.type) {
+            case 'string':
+                this.lexer.next();
+                return token.value;
+
+            case 'number':
+                this.lexer.next();
+                if (token.text[token.text.length - 1] === 'n') {
+                    if (/[.eE]/.test(token.text)) {
+                        throw this.lexer.error('Invalid bigint', token.start);
+                    }
+                    return BigInt(token.text.slice(0, -1));
+                }
+                return Number(token.text);
+
+            case 'regexp':
+                this.lexer.next();
+                try {
+                    return new RegExp(token.source, token.flags);
+                } catch (e) {
+                    throw this.lexer.error(`Invalid regular expression: ${e.message}`, token.start);
+                }
+
+            case 'word':
+                switch (token.text) {
+                    case 'true':
+                    case 'false':
+                        this.lexer.next();
+                        return token.text === 'true';
+                    case 'null':
+                        this.lexer.next();
+                        return null;
+                    case 'NaN':
+                        this.lexer.next();
+                        return NaN;
+                    case 'date':
+                        return this.parseDate();
+                }
+                break;
+
+            case 'punctuation':
+                if (token.text === '[') {
+                    return this.parseArray();
+                }
+                if (token.text === '{') {
+                    return this.parseObject();
+                }
+                break;
+        }
+
+        throw this.lexer.error(`Expected a value but found ${describe(token)}`);
+    }
+
+    parseDate() {
+        this.lexer.next();
+        this.expectPunctuation('(');
+
+        const token = this.token;
+        if (token.type !== 'string' && token.type !== 'number') {
+            throw this.lexer.error(`Expected an ISO-8601 string or milliseconds but found ${describe(token)}`);
+        }
+        this.lexer.next();
+
+        const date = new Date(token.type === 'string' ? token.value : Number(token.text));
+        if (isNaN(date.getTime())) {
+            throw this.lexer.error(`Invalid date ${token.text}`, token.start);
+        }
+
+        this.expectPunctuation(')');
+        return date;
+    }
+
+    parseArray() {
+        this.lexer.next();
+        const items = [];
+        while (!this.isPunctuation(']')) {
+            if (items.length > 0) {
+                this.expectPunctuation(',');
+            }
+            items.push(this.parseValue());
+        }
+        this.lexer.next();
+        return items;
+    }
+
+    parseObject() {
+        this.lexer.next();
+        const object = {};
+        let first = true;
+        while (!this.isPunctuation('}')) {
+            if (!first) {
+                this.expectPunctuation(',');
+            }
+            first = false;
+
+            const token = this.token;
+            if (token.type !== 'string' && (token.type !== 'word' || token.text.indexOf('.') !== -1)) {
+                throw this.lexer.error(`Expected a key but found ${describe(token)}`);
+            }
+            this.lexer.next();
+            this.expectPunctuation(':');
+            object[token.type === 'string' ? token.value : token.text] = this.parseValue();
+        }
+        this.lexer.next();
+        return object;
+    }
+}
+
+/**
+ * Merges the queries of an `and` chain into a single query; conditions that
+ * can't be merged (e.g. two $gt on the same field) go into $and
+ */
+function mergeQueries(queries) {
+    const query = {};
+    const rest = [];
+
+    for (let item of queries) {
+        for (let key of Object.keys(item)) {
+            const value = item[key];
+
+            if (!hasKey(query, key)) {
+                query[key] = value;
+            } else if (key[0] !== '$' && canMerge(query[key], value)) {
+                query[key] = Object.assign(toOperatorObject(query[key]), toOperatorObject(value));
+            } else {
+                rest.push({[key]: value});
+            }
+        }
+    }
+
+    if (rest.length > 0) {
+        query['$and'] = Array.isArray(query['$and']) ? query['$and'].concat(rest) : rest;
+    }
+
+    return query;
+}
+
+function canMerge(a, b) {
+    const keysA = Object.keys(toOperatorObject(a));
+    return Object.keys(toOperatorObject(b)).every((key) => keysA.indexOf(key) === -1);
+}
+
+/**
+ * Parses a query written in the text language
+ *
+ * @param {string} text
+ * @returns {object}
+ * @throws {SyntaxError} with `line` and `column` of the error
+ */
+function parse(text) {
+    if (typeof(text) !== 'string') {
+        throw new TypeError('Query text must be a string');
+    }
+    return new Parser(text).parse();
+}
+
+class Printer {
+
+    constructor(options) {
+        options = options || {};
+        this.pretty = Boolean(options.pretty);
+        this.indent = typeof(options.indent) === 'string' ? options.indent : '    ';
+    }
+
+    newline(depth) {
+        return this.pretty ? '\n' + this.indent.repeat(depth) : ' ';
+    }
+
+    /**
+     * Prints a query; `depth` is the nesting level used for pretty printing
+     * and `andDepth` the one of `and` clauses (indented within `or` chains)
+     */
+    printQuery(query, depth, andDepth) {
+        if (!utils.isPlainObject(query)) {
+            throw new TypeError(`Cannot print query ${printable(query)}; queries must be objects`);
+        }
+
+        const keys = Object.keys(query);
+        if (keys.length == 0) {
+            return '()';
+        }
+
+        if (keys.length == 1 && keys[0] === '$or' && Array.isArray(query['$or']) && query['$or'].length > 1) {
+            return query['$or'].map((item) => this.printOrItem(item, depth)).join(this.newline(depth) + 'or ');
+        }
+
+        const clauses = [];
+        for (let key of keys) {
+            clauses.push.apply(clauses, this.printClauses(key, query[key], depth));
+        }
+        return clauses.join(this.newline(andDepth === undefined ? depth : andDepth) + 'and ');
+    }
+
+    printOrItem(item, depth) {
+        // nested $or would be flattened without parentheses
+        const nested = utils.isPlainObject(item) && Object.keys(item).length == 1 && Array.isArray(item['$or']) && item['$or'].length > 1;
+        return nested ? this.group(item, depth) : this.printQuery(item, depth, depth + 1);
+    }
+
+    group(query, depth) {
+        if (!this.pretty) {
+            return `(${this.printQuery(query, depth)})`;
+        }
+        return '(' + this.newline(depth + 1) + this.printQuery(query, depth + 1) + this.newline(depth) + ')';
+    }
+
+    /**
+     * Prints a query as operand of `not` or within an `and` chain, adding
+     * parentheses if needed
+     */
+    printPrimary(query, depth) {
+        if (!utils.isPlainObject(query)) {
+            throw new TypeError(`Cannot print query ${printable(query)}; queries must be objects`);
+        }
+
+        const keys = Object.keys(query);
+        const clauses = keys.length == 1 ? this.printClauses(keys[0], query[keys[0]], depth) : [];
+        if (keys.length == 0 || clauses.length == 1 && !(keys[0] === '$or' && Array.isArray(query['$or']) && query['$or'].length > 1)) {
+            return keys.length == 0 ? '()' : clauses[0];
+        }
+        return this.group(query, depth);
+    }
+
+    printClauses(key, value, depth) {
+        if (key[0] !== '$') {
+            return this.printField(key, value, depth);
+        }
+
+        if (key === '$or' && Array.isArray(value) && value.length > 1) {
+            return [this.group({'$or': value}, depth)];
+        }
+
+        if (key === '$not') {
+            return ['not ' + this.printPrimary(value, depth)];
+        }
+
+        if (queryListOperators.indexOf(key) !== -1) {
+            if (!Array.isArray(value)) {
+                throw new TypeError(`Cannot print ${key}: operand must be an array of queries`);
+            }
+            if (!this.pretty || value.length == 0) {
+                return [`${key}(${value.map((item) => this.printQuery(item, depth)).join(', ')})`];
+            }
+            const items = value.map((item) => this.newline(depth + 1) + this.printQuery(item, depth + 1));
+            return [`${key}(${items.join(',')}${this.newline(depth)})`];
+        }
+
+        if (!/^\$[\w$]+$/.test(key)) {
+            throw new TypeError(`Cannot print operator ${JSON.stringify(key)}`);
+        }
+        return [`${key}(${printValue(value)})`];
+    }
+
+    printField(path, value, depth) {
+        const field = bareWord.test(path) && reservedWords.indexOf(path) === -1 ? path : JSON.stringify(path);
+
+        if (!utils.isOperatorObject(value)) {
+            return [`${field} = ${printValue(value)}`];
+        }
+
+        return this.printOperators(value, depth).map((condition) => `${field} ${condition}`);
+    }
+
+    /**
+     * Prints the operators of a field, one string per operator
+     */
+    printOperators(operators, depth) {
+        const conditions = [];
+        const keys = Object.keys(operators);
+
+        const options = operators['$options'];
+        const printablePattern = typeof(operators['$regex']) === 'string' && isPrintablePattern(operators['$regex']) &&
+            (options === undefined || typeof(options) === 'string' && /^[a-z]+$/.test(options));
+
+        for (let key of keys) {
+            const operand = operators[key];
+
+            if (key === '$regex' && printablePattern) {
+                conditions.push(`~ /${operand}/${options || ''}`);
+            } else if (key === '$options' && printablePattern) {
+                continue;
+            } else if (hasKey(operatorNames, key)) {
+                conditions.push(`${operatorNames[key]} ${printValue(operand)}`);
+            } else if (key === '$not' && (utils.isOperatorObject(operand) || operand instanceof RegExp)) {
+                const negated = operand instanceof RegExp ? [`= ${printValue(operand)}`] : this.printOperators(operand, depth);
+                conditions.push('not ' + (negated.length == 1 ? negated[0] : `(${negated.join(' and ')})`));
+            } else if (key === '$elemMatch' && utils.isPlainObject(operand)) {
+                conditions.push('elemMatch ' + this.printElemMatch(operand, depth));
+            } else if (/^\$[\w$]+$/.test(key)) {
+                conditions.push(`${key} ${printValue(operand)}`);
+            } else {
+                throw new TypeError(`Cannot print operator ${JSON.stringify(key)}`);
+            }
+        }
+
+        return conditions;
+    }
+
+    printElemMatch(operand, depth) {
+        const keys = Object.keys(operand);
+        if (keys.length == 0) {
+            return '()';
+        }
+
+        // like QueryCheck, operands consisting of operators only apply to the elements themselves
+        if (keys.some((key) => key[0] !== '$' || queryListOperators.indexOf(key) !== -1 || key === '$expr')) {
+            return this.group(operand, depth);
+        }
+        return `(${this.printOperators(operand, depth).join(' and ')})`;
+    }
+}
+
+/**
+ * Checks whether a $regex string can be written as /pattern/
+ */
+function isPrintablePattern(pattern) {
+    return pattern !== '' && scanRegExpBody(pattern + '/', 0) === pattern.length;
+}
+
+function printable(value) {
+    return value === undefined ? 'undefined' : typeof(value) === 'function' ? 'function' : String(value);
+}
+
+/**
+ * Prints a value
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function printValue(value) {
+    if (value === null || typeof(value) === 'boolean' || typeof(value) === 'string') {
+        return JSON.stringify(value);
+    }
+
+    if (typeof(value) === 'number') {
+        return Object.is(value, -0) ? '-0' : String(value);
+    }
+
+    if (typeof(value) === 'bigint') {
+        return `${value}n`;
+    }
+
+    if (Array.isArray(value)) {
+        return `[${value.map(printValue).join(', ')}]`;
+    }
+
+    if (value instanceof RegExp) {
+        return `/${value.source}/${value.flags}`;
+    }
+
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) {
+            throw new TypeError('Cannot print an invalid date');
+        }
+        return `date(${JSON.stringify(value.toISOString())})`;
+    }
+
+    if (utils.isPlainObject(value)) {
+        const entries = Object.keys(value).map((key) => `${JSON.stringify(key)}: ${printValue(value[key])}`);
+        return `{${entries.join(', ')}}`;
+    }
+
+    throw new TypeError(`Cannot print value ${printable(value)}`);
+}
+
+/**
+ * Prints a query in the text language
+ *
+ * Options: `pretty` (put `or` and `and` clauses on separate, indented lines)
+ * and `indent` (default four spaces).
+ *
+ * @param {object} query
+ * @param {object} [options]
+ * @returns {string}
+ */
+function print(query, options) {
+    return new Printer(options).printQuery(query, 0);
+}
+
+module.exports = {
+    parse,
+    print,
+    printValue,
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Helpers shared by the modules walking queries
+ */
+
+/**
+ * Escapes a key for use in a JSON pointer (RFC 6901) and appends it
+ *
+ * @param {string} pointer
+ * @param {string|number} key
+ * @returns {string}
+ */
+function childPointer(pointer, key) {
+    return pointer + '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Checks whether a value is an object literal (with or without prototype)
+ * rather than an array, a Date, a RegExp or another class instance
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    if (value === null || typeof(value) !== 'object' || Array.isArray(value)) {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Checks whether a field's value is a set of operators like {"$gt": 1}
+ * (instead of a value to compare with, which includes Extended JSON values
+ * like {"$date": ...})
+ *
+ * @param {*} value
+ * @param {function(string): boolean} [isOperator] tells which keys are operators, by default those starting with "$"
+ * @returns {boolean}
+ */
+function isOperatorObject(value, isOperator) {
+    // required here as ejson.js requires this module
+    const ejson = require('./ejson.js');
+    if (!isPlainObject(value) || ejson.isExtendedJson(value)) {
+        return false;
+    }
+    return Object.keys(value).some(isOperator || ((key) => key[0] === '$'));
+}
+
+module.exports = {
+    childPointer,
+    isPlainObject,
+    isOperatorObject,
+};
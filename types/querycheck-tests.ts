@@ -0,0 +1,260 @@
+// Compile-time tests of the type declarations; run with `npm run test:types`.
+// Lines marked @ts-expect-error must fail to type check.
+
+import QueryCheck = require('../src/querycheck');
+
+interface Vars {
+    now: {
+        isoDate: string;
+        isoTime: string;
+        hour: number;
+    };
+    createdAt: Date;
+    active: boolean;
+    nickname?: string | null;
+    tags: string[];
+    items: Array<{ sku: string; qty: number }>;
+}
+
+const vars: Vars = {
+    now: { isoDate: "2020-05-21", isoTime: "13:59:48", hour: 13 },
+    createdAt: new Date(),
+    active: true,
+    tags: ["open"],
+    items: [{ sku: "a1", qty: 2 }],
+};
+
+// untyped queries accept anything
+
+const untyped = new QueryCheck({ "anything.goes": { "$custom": [1, 2] } });
+const untypedResult: boolean = untyped.test({ anything: {} });
+
+// dotted paths resolve to the value type
+
+const openingHours: QueryCheck.Query<Vars> = {
+    "now.isoDate": { "$not": { "$in": ["2019-12-25", "2019-12-26"] } },
+    "now.isoTime": { "$gt": "10:00", "$lt": "18:00" },
+    "now.hour": { "$gte": 10, "$mod": [2, 1] },
+    "createdAt": { "$lt": new Date(), "$gte": { "$date": "2020-01-01T00:00:00Z" } },
+    "nickname": { "$exists": true, "$regex": "^m", "$options": "i" },
+};
+
+const badPath: QueryCheck.Query<Vars> = {
+    // @ts-expect-error unknown path
+    "now.isodate": "2020-05-21",
+};
+
+const badValue: QueryCheck.Query<Vars> = {
+    // @ts-expect-error "now.hour" is a number
+    "now.hour": "13",
+};
+
+// $in takes arrays of the field type
+
+const badIn: QueryCheck.Query<Vars> = {
+    // @ts-expect-error "now.isoDate" is a string
+    "now.isoDate": { "$in": [20200521] },
+};
+
+// range operators only apply to comparable types
+
+const badRange: QueryCheck.Query<Vars> = {
+    // @ts-expect-error booleans are not comparable
+    "active": { "$gt": false },
+};
+
+const badRegex: QueryCheck.Query<Vars> = {
+    // @ts-expect-error $regex on a number
+    "now.hour": { "$regex": "^1" },
+};
+
+// arrays match by element and support array operators
+
+const arrays: QueryCheck.Query<Vars> = {
+    "tags": "open",
+    "items.sku": { "$in": ["a1", "b2"] },
+    "items.0.qty": { "$gt": 1 },
+    "items[0].sku": "a1",
+    "items": { "$size": 1, "$elemMatch": { "sku": "a1", "qty": { "$lte": 5 } } },
+    "$or": [{ "tags": { "$all": ["open", "new"] } }, { "tags": ["open"] }],
+};
+
+const badElemMatch: QueryCheck.Query<Vars> = {
+    // @ts-expect-error "qty" is a number
+    "items": { "$elemMatch": { "qty": "2" } },
+};
+
+const badIndex: QueryCheck.Query<Vars> = {
+    // @ts-expect-error "qty" is a number
+    "items[0].qty": { "$gt": "1" },
+};
+
+const badSize: QueryCheck.Query<Vars> = {
+    // @ts-expect-error $size on a string
+    "now.isoDate": { "$size": 10 },
+};
+
+// logical operators, $expr and operand functions
+
+const logical: QueryCheck.Query<Vars> = {
+    "$and": [{ "active": true }, { "$nor": [{ "now.hour": { "$lt": { "$var": "opensAt" } } }] }],
+    "$not": { "tags": { "$in": ["closed"] } },
+    "$expr": { "$gt": ["$now.hour", 10] },
+};
+
+// typed instances check the data and collection helpers
+
+const qc = new QueryCheck<Vars>(openingHours);
+const result: boolean = qc.test(vars);
+const predicate: (data: Vars) => boolean = qc.compile();
+const matching: Vars[] = qc.filter([vars], { sort: { "now.hour": -1, "createdAt": 1 }, skip: 1, limit: 10 });
+const projected: Array<QueryCheck.Projected<Vars>> = qc.filter([vars], { projection: { "now.isoDate": 1 } });
+const found: Vars | undefined = qc.find([vars]);
+const [yes, no]: [Vars[], Vars[]] = qc.partition([vars]);
+const count: number = qc.count([vars], { limit: 5 });
+
+// @ts-expect-error unknown sort path
+qc.filter([vars], { sort: { "now.minute": 1 } });
+
+// @ts-expect-error data of the wrong type
+qc.test({ now: "2020-05-21" });
+
+// settings, operators and plugins
+
+qc.setStrictMode(true);
+qc.setEvaluateAll(true);
+qc.setCollation({ locale: 'de', strength: 2 });
+qc.setRegExpPolicy(QueryCheck.safeRegExpPolicy({ maxLength: 100 }));
+qc.useOperandFunctions({ now: () => new Date(), functions: { '$double': (params: number) => params * 2 } });
+
+QueryCheck.registerOperator({
+    name: '$startsWith',
+    operand: 'string',
+    evaluate: (value, operand) => typeof value === 'string' && value.startsWith(operand),
+});
+
+QueryCheck.use({
+    operators: [{ name: '$always', type: 'boolean', evaluate: () => true }],
+});
+
+const issues: QueryCheck.ValidationIssue[] = QueryCheck.validate({ a: { "$foo": 1 } }, { strictMode: true });
+const trace: QueryCheck.TraceNode = qc.explain(vars);
+const text: string = QueryCheck.formatTrace(trace);
+
+// query builder
+
+const built: QueryCheck.Query<Vars> = QueryCheck.builder<Vars>()
+    .where('now.isoTime').gt('10:00').lt('18:00')
+    .where('tags').eq("open").size(1)
+    .where('items').elemMatch(QueryCheck.builder<{ sku: string; qty: number }>().where('qty').gte(2))
+    .or({ "active": false })
+    .build();
+
+const untypedBuilder = QueryCheck.where('anything').gt(1).op('$custom', true).build();
+
+// @ts-expect-error unknown path
+QueryCheck.builder<Vars>().where('now.isodate');
+
+// @ts-expect-error "now.hour" is a number
+QueryCheck.builder<Vars>().where('now.hour').eq("13");
+
+// @ts-expect-error booleans are not comparable
+QueryCheck.builder<Vars>().where('active').gt(false);
+
+// @ts-expect-error $in takes an array of strings
+QueryCheck.builder<Vars>().where('now.isoDate').in([1]);
+
+// @ts-expect-error "items[0].qty" is a number
+QueryCheck.builder<Vars>().where('items[0].qty').eq("2");
+
+// @ts-expect-error indexes are numbers
+QueryCheck.builder<Vars>().where('items[first].qty');
+
+// text language
+
+const parsed: QueryCheck.Query<Vars> = QueryCheck.parseText<Vars>('now.hour >= 10 and tags = "open"');
+const printed: string = QueryCheck.printText(openingHours, { pretty: true, indent: '  ' });
+
+// SQL
+
+const fragment: QueryCheck.SqlFragment = QueryCheck.toSql(openingHours, {
+    dialect: 'sqlite',
+    columns: { "now": { json: 'now' }, "createdAt": 'created_at', "nickname": { sql: 'lower(nickname)' } },
+});
+const params: unknown[] = QueryCheck.toSql({ "a": 1 }, { json: 'data', columns: (path) => path === 'id' ? 'id' : undefined }).params;
+
+QueryCheck.registerSqlDialect('sqlite-regexp', {
+    extends: 'sqlite',
+    regex: (expression, source, flags, bind) => `${expression} REGEXP ${bind(source)}`,
+    operators: { '$startsWith': (operand: string, context) => `${context.field('string')} LIKE ${context.bind(operand + '%')}` },
+});
+
+// @ts-expect-error columns map to strings or mappings
+QueryCheck.toSql({ "a": 1 }, { columns: { "a": 1 } });
+
+// JsonLogic
+
+const rule: QueryCheck.JsonLogicRule = QueryCheck.toJsonLogic(openingHours);
+const fromRule: QueryCheck.Query<Vars> = QueryCheck.fromJsonLogic<Vars>({ "<": [10, { "var": "now.hour" }, 18] });
+
+// @ts-expect-error rules are booleans or objects
+QueryCheck.fromJsonLogic("now.hour");
+QueryCheck.fromJsonLogic({ "in": ["open", { "var": "tags" }] }, { arrayFields: ["tags"] });
+
+// normalization
+
+const normalized: QueryCheck.Query<Vars> = QueryCheck.normalize(openingHours);
+const key: string = QueryCheck.hash(openingHours) + qc.hash();
+
+// @ts-expect-error hashes are strings
+const numericKey: number = QueryCheck.hash(openingHours);
+
+// analysis
+
+const analysis: QueryCheck.AnalysisResult = QueryCheck.analyze({ "myInt": { "$gt": 40, "$lt": 30 } }, { scalarFields: ["myInt"] });
+const codes: Array<'UNSATISFIABLE' | 'ALWAYS_TRUE'> = analysis.issues.map((issue) => issue.code);
+const shadowed: boolean = qc.implies({ "now.hour": { "$gte": 0 } }) && QueryCheck.implies({ "a": 1 }, { "a": { "$in": [1, 2] } });
+
+// @ts-expect-error implies() takes a query
+QueryCheck.implies({ "a": 1 });
+
+qc.setScalarFields(true);
+qc.setScalarFields(["now.hour"]);
+// @ts-expect-error scalarFields lists paths
+QueryCheck.analyze({ "a": 1 }, { scalarFields: "a" });
+
+// dependencies
+
+const paths: string[] = QueryCheck.dependencies(openingHours).map((dependency) => dependency.path);
+const usedBy: string[] = qc.dependencies().reduce((operators: string[], dependency) => operators.concat(dependency.operators), []);
+
+// @ts-expect-error dependencies are objects
+const pathNames: string[] = qc.dependencies();
+
+// query index
+
+const index = QueryCheck.createIndex<Vars, number>().add(1, openingHours).add(2, qc);
+const matchingIds: number[] = index.match(vars);
+const removed: boolean = index.remove(1) && index.has(2) && index.size() > 0;
+
+// @ts-expect-error ids are numbers
+index.add("3", openingHours);
+
+// rules
+
+const ruleSet = QueryCheck.createRuleSet<Vars, { open: boolean }>([
+    { id: 'open', query: openingHours, priority: 10, payload: { open: true }, validFrom: new Date() },
+    { id: 'closed', query: {}, payload: { open: false }, action: 'notify' },
+], {
+    strategy: 'highest-priority',
+    actions: { notify: (data, rule) => rule.id + data.now.isoTime },
+    configure: (qcOfRule) => qcOfRule.setStrictMode(true),
+});
+const evaluation: QueryCheck.RuleEvaluation<{ open: boolean }> = ruleSet.evaluate(vars, { now: new Date(), explain: true });
+const isOpen: boolean | undefined = evaluation.fired.length > 0 ? evaluation.fired[0].payload?.open : undefined;
+const statuses: string[] = evaluation.outcomes.map((outcome) => outcome.status + outcome.reason);
+const savedRules: QueryCheck.SavedRuleSet = ruleSet.toJSON();
+const reloaded: QueryCheck.RuleSet = QueryCheck.createRuleSet(JSON.stringify(savedRules));
+
+// @ts-expect-error unknown strategy
+ruleSet.evaluate(vars, { strategy: 'random' });